@@ -1,163 +1,399 @@
 require("dotenv").config();
 const { ChatGroq } = require("@langchain/groq");
 const { ChatOpenAI } = require("@langchain/openai");
-const { BufferMemory } = require("langchain/memory");
+const { ChatAnthropic } = require("@langchain/anthropic");
 const { ConversationChain } = require("langchain/chains");
 const { PromptTemplate } = require("@langchain/core/prompts");
+const { createQueryPlanPrompt, parseQueryPlan, formatComputedResult } = require("./queryEngine");
+const { sessionStore } = require("./sessionStore");
+const { formatForecast } = require("./forecasting");
+const { formatAnomalies } = require("./anomalies");
+const { formatDrivers } = require("./drivers");
+const { formatCohorts } = require("./cohorts");
+const { formatDomainContext } = require("./domainPacks");
+const { formatMetrics } = require("./metrics");
+const { formatPeriodComparison } = require("./periods");
+const { createScenarioPrompt, parseScenarioPlan } = require("./scenarios");
+const { createMockModel } = require("./mockProvider");
+const { describeResponseSchema, parseStructuredResponse, createRepairPrompt, StructuredOutputError } = require("./responseSchema");
+const { checkChartBinding } = require("./chartSpec");
 
-// Store conversation memories per session
-const conversationMemories = new Map();
+/**
+ * Get the saved conversation turns for a session
+ */
+async function getConversationHistory(sessionId) {
+  return sessionStore.getChatTurns(sessionId);
+}
 
 /**
- * Get or create conversation memory for a session
+ * Clear conversation memory for a session
  */
-function getConversationMemory(sessionId) {
-  if (!conversationMemories.has(sessionId)) {
-    conversationMemories.set(sessionId, new BufferMemory({
-      returnMessages: true,
-      memoryKey: "chat_history",
-    }));
+async function clearConversationMemory(sessionId) {
+  await sessionStore.clearChatTurns(sessionId);
+}
+
+const PROVIDERS = ['groq', 'openai', 'claude', 'local', 'mock'];
+
+/**
+ * Default provider from AI_PROVIDER
+ */
+function getDefaultProvider() {
+  return process.env.AI_PROVIDER || 'groq';
+}
+
+/**
+ * Normalise per-request AI options ({ provider, model }) and reject unknown providers
+ */
+function resolveAIOptions(options = {}) {
+  const provider = options.provider || getDefaultProvider();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown provider: ${provider}`);
   }
-  return conversationMemories.get(sessionId);
+  return { provider, model: options.model || null };
 }
 
 /**
- * Clear conversation memory for a session
+ * Providers to try in order: the requested one, then AI_FALLBACK_PROVIDERS (comma separated)
  */
-function clearConversationMemory(sessionId) {
-  conversationMemories.delete(sessionId);
+function getProviderChain(provider) {
+  const fallbacks = (process.env.AI_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(p => p && PROVIDERS.includes(p));
+  return Array.from(new Set([provider, ...fallbacks]));
+}
+
+/**
+ * Read temperature / max tokens for a provider from <PREFIX>_TEMPERATURE and <PREFIX>_MAX_TOKENS
+ */
+function getProviderSettings(prefix, defaults = {}) {
+  const temperature = parseFloat(process.env[`${prefix}_TEMPERATURE`]);
+  const maxTokens = parseInt(process.env[`${prefix}_MAX_TOKENS`]);
+  return {
+    temperature: isNaN(temperature) ? (defaults.temperature ?? 0.7) : temperature,
+    maxTokens: isNaN(maxTokens) ? defaults.maxTokens : maxTokens,
+  };
 }
 
 /**
  * Get AI model based on provider
+ * modelName overrides the provider's default model for this call
  */
-function getAIModel(provider = 'groq') {
+function getAIModel(provider = 'groq', modelName = null) {
   switch (provider) {
     case 'groq':
       return new ChatGroq({
         apiKey: process.env.GROQ_API_KEY,
-        model: "llama-3.3-70b-versatile", // Updated to current model
-        temperature: 0.7,
+        model: modelName || process.env.GROQ_MODEL || "llama-3.3-70b-versatile", // Updated to current model
+        ...getProviderSettings('GROQ'),
       });
     
     case 'openai':
       return new ChatOpenAI({
         apiKey: process.env.OPENAI_API_KEY,
-        model: "gpt-4",
-        temperature: 0.7,
+        model: modelName || process.env.OPENAI_MODEL || "gpt-4",
+        ...getProviderSettings('OPENAI'),
       });
     
     case 'claude':
-      // Will add Claude later if needed
-      throw new Error('Claude provider not yet implemented');
+      return new ChatAnthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: modelName || process.env.CLAUDE_MODEL || "claude-3-5-sonnet-latest",
+        // Anthropic requires an explicit output limit
+        ...getProviderSettings('CLAUDE', { maxTokens: 2048 }),
+      });
+
+    case 'local': {
+      // Any OpenAI-compatible server (Ollama, vLLM, llama.cpp) - data never leaves your network
+      const baseURL = process.env.LOCAL_AI_BASE_URL;
+      if (!baseURL) {
+        throw new Error('LOCAL_AI_BASE_URL must be set to use the local provider');
+      }
+      const model = modelName || process.env.LOCAL_AI_MODEL;
+      if (!model) {
+        throw new Error('LOCAL_AI_MODEL must be set to use the local provider');
+      }
+      return new ChatOpenAI({
+        // Most local servers ignore the key, but the client insists on one
+        apiKey: process.env.LOCAL_AI_API_KEY || 'not-needed',
+        model,
+        configuration: { baseURL },
+        ...getProviderSettings('LOCAL_AI'),
+      });
+    }
+
+    case 'mock':
+      return createMockModel({ model: modelName || 'mock' });
     
     default:
       throw new Error(`Unknown provider: ${provider}`);
   }
 }
 
+function isRateLimitError(error) {
+  return error && (error.status === 429 || /\b429\b|rate limit/i.test(error.message || ''));
+}
+
 /**
- * Chat with AI agent using conversation memory
- * Simplified approach: manually manage chat history
+ * Send a prompt (string or message list) through the provider chain
+ * Falls back to the next provider on any error, including 429s
+ * Returns { content, provider, model }
+ */
+async function invokeModel(input, options = {}) {
+  const { provider, model } = resolveAIOptions(options);
+  const chain = getProviderChain(provider);
+  let lastError;
+
+  for (const candidate of chain) {
+    try {
+      // Only the requested provider gets the per-request model name
+      const chatModel = getAIModel(candidate, candidate === provider ? model : null);
+      const response = await chatModel.invoke(input, { signal: options.signal });
+      const content = response.content || response.text || response.message || '';
+      return { content, provider: candidate, model: chatModel.model || null };
+    } catch (error) {
+      if (options.signal && options.signal.aborted) throw error;
+      lastError = error;
+      console.error(`AI provider ${candidate} failed${isRateLimitError(error) ? ' (rate limited)' : ''}:`, error.message);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Stream a prompt through the provider chain, calling onToken for each chunk
+ * A provider can only be swapped for the next one before it has produced any tokens
+ * Returns { content, provider, model }
+ */
+async function streamModel(input, options = {}) {
+  const { provider, model } = resolveAIOptions(options);
+  const { signal, onToken } = options;
+  const chain = getProviderChain(provider);
+  let lastError;
+
+  for (const candidate of chain) {
+    let content = '';
+    try {
+      const chatModel = getAIModel(candidate, candidate === provider ? model : null);
+      const stream = await chatModel.stream(input, { signal });
+      for await (const chunk of stream) {
+        const text = typeof chunk.content === 'string' ? chunk.content : '';
+        if (!text) continue;
+        content += text;
+        if (onToken) onToken(text);
+      }
+      return { content, provider: candidate, model: chatModel.model || null };
+    } catch (error) {
+      if ((signal && signal.aborted) || content) throw error;
+      lastError = error;
+      console.error(`AI provider ${candidate} failed${isRateLimitError(error) ? ' (rate limited)' : ''}:`, error.message);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Ask the model to plan a query for the question (the server executes it)
+ * tables - [{ name, summary, sampleRows }] from describeDatasets
+ * ai.signal aborts the model call (the abort is rethrown rather than read as "no plan")
+ * Returns the raw plan object, or null if no aggregation is needed
+ */
+async function planQuery(question, tables, ai = {}, relationships = []) {
+  try {
+    const response = await invokeModel(createQueryPlanPrompt(tables, question, relationships), ai);
+    return parseQueryPlan(response.content);
+  } catch (error) {
+    // A cancelled request has nothing to fall back to
+    if (ai.signal && ai.signal.aborted) throw error;
+    console.error('Error in planQuery:', error);
+    return null;
+  }
+}
+
+/**
+ * Ask the model to translate a described what-if scenario into adjustments (the server applies them)
+ * table - { name, columns, numericColumns, rows } for the dataset
+ * Returns { adjustments, recompute, assumptions }, or null if the reply couldn't be read
  */
-async function chatWithAgent(sessionId, userMessage, csvContext, provider = 'groq') {
+async function planScenario(description, table, ai = {}) {
   try {
-    const model = getAIModel(provider);
-    const memory = getConversationMemory(sessionId);
+    const response = await invokeModel(createScenarioPrompt(description, table), ai);
+    return parseScenarioPlan(response.content);
+  } catch (error) {
+    console.error('Error in planScenario:', error);
+    return null;
+  }
+}
 
-    // Get chat history
-    const chatHistory = await memory.loadMemoryVariables({});
-    const previousMessages = chatHistory.chat_history || [];
+/**
+ * Build the message list for a chat turn: data context, saved history, then the new message
+ * options.computedResult - table computed by the query engine for this question
+ * options.forecast - statistical forecast, when the question asks for one
+ * options.anomalies - anomaly scan, when the question asks about unusual values
+ * options.drivers - driver analysis, when the question asks what moves a metric
+ * options.cohorts - cohort and retention analysis, when the question asks about retention or churn
+ * options.domain - resolved business domain, for domain-specific guidance and KPIs
+ * options.metrics - the session's defined metrics with their computed values
+ * options.periods - period-over-period comparison, when the question compares periods
+ */
+async function buildChatMessages(sessionId, userMessage, csvContext, options = {}) {
+  // Get chat history
+  const previousTurns = await getConversationHistory(sessionId);
 
-    // Build messages array for AI
-    const messages = [];
-    
-    // Always include CSV context for every message
-    messages.push({
-      role: 'system',
-      content: `You are an expert data analyst. Analyze this CSV data and help answer questions.
+  // Build messages array for AI
+  const messages = [];
+  
+  // Always include CSV context for every message
+  messages.push({
+    role: 'system',
+    content: `You are an expert data analyst. Analyze this CSV data and help answer questions.
 
-CSV Data:
+${options.domain ? `${formatDomainContext(options.domain)}\n\n` : ''}CSV Data:
 ${csvContext}
+${options.computedResult ? `\n${formatComputedResult(options.computedResult)}\n` : ''}
+${options.forecast ? `\n${formatForecast(options.forecast)}\n` : ''}
+${options.anomalies ? `\n${formatAnomalies(options.anomalies)}\n` : ''}
+${options.drivers ? `\n${formatDrivers(options.drivers)}\n` : ''}
+${options.cohorts ? `\n${formatCohorts(options.cohorts)}\n` : ''}
+${options.periods ? `\n${formatPeriodComparison(options.periods)}\n` : ''}
+${options.metrics && options.metrics.length > 0 ? `\n${formatMetrics(options.metrics)}\n` : ''}
+Respond in this JSON format:
+${describeResponseSchema()}`
+  });
 
-Respond in JSON format with:
-- answer: your analysis
-- keyInsights: key findings (optional)
-- recommendations: suggestions (optional)
-- chartData: {labels: [], data: [], type: "pie|bar|line"} (optional)`
-    });
+  // Add conversation history
+  previousTurns.forEach((turn) => {
+    messages.push({ role: 'user', content: turn.input });
+    messages.push({ role: 'assistant', content: turn.output });
+  });
+
+  // Add current message
+  messages.push({
+    role: 'user',
+    content: userMessage
+  });
+
+  return messages;
+}
+
+/**
+ * Number of times an invalid reply is sent back for repair (AI_REPAIR_RETRIES, default 2)
+ */
+function getRepairRetries() {
+  const retries = parseInt(process.env.AI_REPAIR_RETRIES);
+  return isNaN(retries) ? 2 : Math.max(0, retries);
+}
 
-    // Add conversation history
-    if (Array.isArray(previousMessages)) {
-      previousMessages.forEach((msg) => {
-        messages.push({
-          role: msg._getType() === 'human' ? 'user' : 'assistant',
-          content: msg.content
-        });
+/**
+ * Validate a reply against the response schema, re-prompting with the errors until it passes
+ * messages - the conversation that produced `content`
+ * options.computedResult - the turn's computed result; a chart must draw its columns (see checkChartBinding)
+ * Returns { response, content, attempts }; throws StructuredOutputError once retries run out. A reply
+ * whose only problem is a chart that won't bind to the computed result is returned without the chart.
+ */
+async function repairStructured(messages, content, ai = {}, options = {}) {
+  const maxRetries = options.maxRetries ?? getRepairRetries();
+  const conversation = [...messages];
+  let attempts = 1;
+
+  for (;;) {
+    const result = parseStructuredResponse(content);
+    const errors = result.valid ? checkChartBinding(result.value.chart, options.computedResult) : result.errors;
+    if (errors.length === 0) {
+      return { response: result.value, content, attempts };
+    }
+    if (attempts > maxRetries) {
+      if (result.valid) {
+        console.log('Chart dropped:', errors);
+        return { response: { ...result.value, chart: null }, content, attempts };
+      }
+      throw new StructuredOutputError('AI response did not match the response schema', {
+        errors,
+        raw: content,
+        attempts
       });
     }
 
-    // Add current message
-    messages.push({
-      role: 'user',
-      content: userMessage
-    });
+    console.log(`Repairing AI response (attempt ${attempts}):`, errors);
+    if (options.onRepair) options.onRepair({ attempt: attempts, errors });
+
+    conversation.push({ role: 'assistant', content });
+    conversation.push({ role: 'user', content: createRepairPrompt(errors) });
+    content = (await invokeModel(conversation, { ...ai, signal: options.signal })).content;
+    attempts++;
+  }
+}
+
+/**
+ * Invoke the model and return a schema-valid response
+ * Returns { response, content, provider, attempts }
+ */
+async function invokeStructured(input, ai = {}, options = {}) {
+  const messages = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+  const first = await invokeModel(messages, { ...ai, signal: options.signal });
+  const result = await repairStructured(messages, first.content, ai, options);
+  return { ...result, provider: first.provider };
+}
+
+/**
+ * Chat with AI agent using conversation memory
+ * Simplified approach: manually manage chat history
+ * ai - { provider, model } for this request; options are passed through to buildChatMessages
+ */
+async function chatWithAgent(sessionId, userMessage, csvContext, ai = {}, options = {}) {
+  try {
+    const messages = await buildChatMessages(sessionId, userMessage, csvContext, options);
 
     // Call AI directly
     console.log('Calling AI with messages:', messages.length);
-    const response = await model.invoke(messages);
+    const result = await invokeStructured(messages, ai, { computedResult: options.computedResult });
     console.log('AI Response:', {
-      content: response.content?.substring(0, 100) + '...',
-      hasContent: !!response.content,
-      responseType: typeof response
+      content: result.content?.substring(0, 100) + '...',
+      attempts: result.attempts,
+      provider: result.provider
     });
 
-    // Save to memory
-    await memory.saveContext(
-      { input: userMessage },
-      { output: response.content }
-    );
+    // Save to memory (the validated reply, so history stays in the expected format)
+    await sessionStore.appendChatTurn(sessionId, userMessage, result.content);
 
-    // Parse the response
-    let parsedResponse;
-    try {
-      const content = response.content || response.text || response.message || '';
-      
-      // If content is empty, provide a default response
-      if (!content || content.trim() === '') {
-        parsedResponse = {
-          answer: "I'm sorry, I didn't receive a response. Please try asking your question again.",
-        };
-      } else {
-        // Try to extract JSON from the response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            parsedResponse = JSON.parse(jsonMatch[0]);
-          } catch (jsonError) {
-            // JSON parsing failed, use content as answer
-            parsedResponse = {
-              answer: content,
-            };
-          }
-        } else {
-          // No JSON found, use content as answer
-          parsedResponse = {
-            answer: content,
-          };
-        }
-      }
-    } catch (e) {
-      console.error('Error parsing response:', e);
-      // Fallback to text response
-      parsedResponse = {
-        answer: response.content || response.text || response.message || "I'm sorry, I couldn't process your request. Please try again.",
-      };
+    return result.response;
+  } catch (error) {
+    console.error('Error in chatWithAgent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Streaming variant of chatWithAgent
+ * options.onToken(text) is called for every chunk; options.signal aborts the model call.
+ * options.onRepair({ attempt, errors }) is called if the streamed reply has to be repaired.
+ * Memory is only saved once the stream has finished successfully.
+ */
+async function streamChatWithAgent(sessionId, userMessage, csvContext, ai = {}, options = {}) {
+  const { onToken, onRepair, signal, ...promptOptions } = options;
+  try {
+    const messages = await buildChatMessages(sessionId, userMessage, csvContext, promptOptions);
+
+    console.log('Streaming AI with messages:', messages.length);
+    const { content } = await streamModel(messages, { ...ai, signal, onToken });
+
+    // A cancelled stream can end quietly, so check before saving a partial reply
+    if (signal && signal.aborted) {
+      throw new Error('Stream aborted');
     }
 
-    return parsedResponse;
+    // Repairs happen after the stream, as regular (non-streamed) calls
+    const result = await repairStructured(messages, content, ai, { signal, onRepair, computedResult: promptOptions.computedResult });
+
+    await sessionStore.appendChatTurn(sessionId, userMessage, result.content);
+
+    return result.response;
   } catch (error) {
-    console.error('Error in chatWithAgent:', error);
+    if (!(signal && signal.aborted)) {
+      console.error('Error in streamChatWithAgent:', error);
+    }
     throw error;
   }
 }
@@ -165,10 +401,8 @@ Respond in JSON format with:
 /**
  * Simple one-off analysis without memory (for quick insights)
  */
-async function quickAnalysis(userMessage, csvContext, provider = 'groq') {
+async function quickAnalysis(userMessage, csvContext, ai = {}) {
   try {
-    const model = getAIModel(provider);
-
     const prompt = `You are an expert data analyst. Analyze this CSV data and answer the user's question.
 
 CSV Data:
@@ -176,20 +410,11 @@ ${csvContext}
 
 User Question: ${userMessage}
 
-Provide a JSON response with: answer, keyInsights, recommendations, chartData (with labels, data, type).`;
+Respond in this JSON format:
+${describeResponseSchema()}`;
 
-    const response = await model.invoke(prompt);
-    
-    // Parse response
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { answer: response.content };
-    } catch (e) {
-      return { answer: response.content };
-    }
+    const result = await invokeStructured(prompt, ai);
+    return result.response;
   } catch (error) {
     console.error('Error in quickAnalysis:', error);
     throw error;
@@ -198,7 +423,14 @@ Provide a JSON response with: answer, keyInsights, recommendations, chartData (w
 
 module.exports = {
   chatWithAgent,
+  streamChatWithAgent,
+  planQuery,
+  planScenario,
   quickAnalysis,
+  invokeModel,
+  invokeStructured,
+  streamModel,
+  resolveAIOptions,
   clearConversationMemory,
-  getConversationMemory,
+  getConversationHistory,
 };
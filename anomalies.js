@@ -0,0 +1,359 @@
+// anomalies.js - Unusual periods in a metric over time, and sudden shifts in the category mix
+// A metric is aggregated per period (see forecasting.buildSeries) and checked three ways: a rolling
+// z-score against the preceding periods, IQR fences over the whole series, and the residuals of a
+// seasonal decomposition. Category shares are compared with their recent average to catch mix shifts.
+
+const { buildSeries, pickDateColumn, pickMetric, SEASON_LENGTHS } = require('./forecasting');
+const { toNumber, resolveColumn, filterRows } = require('./queryEngine');
+
+const METHODS = ['rollingZ', 'iqr', 'seasonal'];
+// Which method's estimate to report as the expected value: the seasonal fit is the best, the IQR median the weakest
+const EXPECTED_FROM = ['seasonal', 'rollingZ', 'iqr'];
+const DEFAULT_THRESHOLD = 3;
+const DEFAULT_WINDOW = 6;
+const MIN_WINDOW = 3;
+const IQR_MULTIPLIER = 1.5;
+const MIN_SEASONS = 3;
+// Mix shifts: a category's share must move this much (0.1 = 10 percentage points) from its recent average
+const DEFAULT_MIN_SHIFT = 0.1;
+const MAX_DIMENSION_VALUES = 12;
+const MAX_MIX_SHIFTS = 10;
+// A last period with less than this share of the usual row count is treated as incomplete
+const PARTIAL_PERIOD_SHARE = 0.5;
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  return sorted[lower] + (sorted[Math.ceil(pos)] - sorted[lower]) * (pos - lower);
+}
+
+function stdDev(values) {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Leave out a last period with far fewer rows than usual - data that stops mid-month would
+ * otherwise show up as a collapse in the final month
+ * Returns the series unchanged, or with the last period removed and partialPeriod set
+ */
+function dropPartialPeriod(rows, dateColumn, built) {
+  if (built.series.length < 3) return built;
+  const counts = buildSeries(rows.map(row => ({ date: row[dateColumn], rows: 1 })), 'date', 'rows', { frequency: built.frequency }).series;
+  const last = counts[counts.length - 1].value;
+  if (last >= median(counts.slice(0, -1).map(p => p.value)) * PARTIAL_PERIOD_SHARE) return built;
+  return { ...built, series: built.series.slice(0, -1), partialPeriod: built.series[built.series.length - 1].period };
+}
+
+// --- Methods ------------------------------------------------------------
+// Each takes the series values and returns, per point, null (not checked) or { expected, score, flagged }
+// where score is the distance from expected in the method's own units (z or IQRs)
+
+function rollingZ(values, { window, threshold }) {
+  return values.map((v, i) => {
+    if (i < window) return null;
+    const previous = values.slice(i - window, i);
+    const sd = stdDev(previous);
+    // A perfectly flat history gives no scale to measure against
+    if (sd === 0) return null;
+    const expected = mean(previous);
+    const score = (v - expected) / sd;
+    return { expected, score, flagged: Math.abs(score) >= threshold };
+  });
+}
+
+function iqr(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const spread = q3 - q1;
+  if (spread === 0) return values.map(() => null);
+  const low = q1 - IQR_MULTIPLIER * spread;
+  const high = q3 + IQR_MULTIPLIER * spread;
+  const expected = quantile(sorted, 0.5);
+  return values.map(v => ({
+    expected,
+    score: v > high ? (v - high) / spread : v < low ? (v - low) / spread : 0,
+    flagged: v > high || v < low
+  }));
+}
+
+/**
+ * Classical additive decomposition: centred moving-average trend, typical seasonal effect per
+ * position in the season, and what's left over. Residuals far from typical are anomalies.
+ */
+function decompose(values, seasonLength) {
+  const n = values.length;
+  const half = Math.floor(seasonLength / 2);
+  const trend = values.map((_, i) => {
+    if (i < half || i >= n - half) return null;
+    if (seasonLength % 2 === 1) return mean(values.slice(i - half, i + half + 1));
+    // Even seasons use a 2 x m moving average so the window stays centred
+    const window = values.slice(i - half, i + half + 1);
+    return (window.slice(1, -1).reduce((a, b) => a + b, 0) + (window[0] + window[window.length - 1]) / 2) / seasonLength;
+  });
+  const effects = Array.from({ length: seasonLength }, (_, p) => {
+    const detrended = values.map((v, i) => (i % seasonLength === p && trend[i] !== null ? v - trend[i] : null)).filter(v => v !== null);
+    // The median keeps one bad year from shifting the effect for every other year
+    return detrended.length > 0 ? median(detrended) : 0;
+  });
+  const offset = mean(effects);
+  return { trend, effects: values.map((_, i) => effects[i % seasonLength] - offset) };
+}
+
+function seasonal(values, { trend, effects }, { threshold }) {
+  // The first and last half season have no centred trend, so they aren't checked
+  const expected = values.map((_, i) => (trend[i] === null ? null : trend[i] + effects[i]));
+  const residuals = values.map((v, i) => (expected[i] === null ? null : v - expected[i]));
+
+  const checked = residuals.filter(r => r !== null);
+  const center = median(checked);
+  const mad = median(checked.map(r => Math.abs(r - center))) * 1.4826;
+  if (mad === 0) return values.map(() => null);
+  return residuals.map((r, i) => {
+    if (r === null) return null;
+    const score = (r - center) / mad;
+    return { expected: expected[i], score, flagged: Math.abs(score) >= threshold };
+  });
+}
+
+/**
+ * Check a built series for unusual periods
+ * options: methods (default all), threshold (z, default 3), window (rolling periods, default 6), seasonLength
+ * Returns { points: [{ period, value, expected, direction, severity, methods: [{ method, score }] }], skipped: [{ method, reason }] }
+ */
+function findSeriesAnomalies(series, options = {}) {
+  const values = series.map(p => p.value);
+  const methods = options.methods || METHODS;
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const window = Math.max(MIN_WINDOW, Math.min(options.window || DEFAULT_WINDOW, values.length - 1));
+  const seasonLength = options.seasonLength || null;
+  const results = {};
+  const skipped = [];
+  // Three seasons give every position in the cycle at least two years to estimate its effect from
+  const decomposition = seasonLength && values.length >= MIN_SEASONS * seasonLength ? decompose(values, seasonLength) : null;
+  // With a known cycle the rolling and IQR checks run on seasonally adjusted values, so a regular
+  // December peak isn't flagged; the seasonal effect is added back to their expected values
+  const effects = decomposition ? decomposition.effects : values.map(() => 0);
+  const adjusted = values.map((v, i) => v - effects[i]);
+  const addEffects = (checks) => checks.map((check, i) => (check ? { ...check, expected: check.expected + effects[i] } : null));
+
+  methods.forEach(method => {
+    if (method === 'rollingZ') {
+      if (values.length <= window) skipped.push({ method, reason: `needs more than ${window} periods` });
+      else results[method] = addEffects(rollingZ(adjusted, { window, threshold }));
+    } else if (method === 'iqr') {
+      if (values.length < 4) skipped.push({ method, reason: 'needs at least 4 periods' });
+      else results[method] = addEffects(iqr(adjusted));
+    } else if (method === 'seasonal') {
+      if (!decomposition) {
+        skipped.push({ method, reason: seasonLength ? `needs ${MIN_SEASONS} full seasons (${MIN_SEASONS * seasonLength} periods)` : 'no seasonal cycle for this frequency' });
+      } else {
+        results[method] = seasonal(values, decomposition, { threshold });
+      }
+    }
+  });
+
+  const points = [];
+  series.forEach((point, i) => {
+    const hits = Object.keys(results)
+      .filter(method => results[method][i] && results[method][i].flagged)
+      .map(method => ({ method, score: round(results[method][i].score), expected: results[method][i].expected }));
+    if (hits.length === 0) return;
+    const best = EXPECTED_FROM.find(method => hits.some(h => h.method === method));
+    const expected = hits.find(h => h.method === best).expected;
+    const strongest = Math.max(...hits.map(h => Math.abs(h.score)));
+    points.push({
+      period: point.period,
+      value: round(point.value),
+      expected: round(expected),
+      direction: point.value >= expected ? 'high' : 'low',
+      severity: hits.length >= 2 || strongest >= 2 * threshold ? 'high' : 'medium',
+      methods: hits.map(({ method, score }) => ({ method, score }))
+    });
+  });
+  return { points, skipped };
+}
+
+/**
+ * Periods where a category's share of the metric moved sharply from its recent average
+ * Returns [{ period, category, share, baselineShare, shift }] (shares as fractions), biggest shifts first
+ */
+function findMixShifts(rows, dateColumn, metric, dimension, periods, { frequency, window, minShift }) {
+  const totals = new Map();
+  const byCategory = new Map();
+  rows.forEach(row => {
+    const category = row[dimension];
+    const value = toNumber(row[metric]);
+    if (category === null || category === undefined || category === '' || value === null) return;
+    totals.set(category, (totals.get(category) || 0) + value);
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(row);
+  });
+  if (totals.size < 2 || totals.size > MAX_DIMENSION_VALUES) return [];
+
+  const keys = periods.map(p => p.key);
+  const overall = periods.map(p => p.value);
+  const shifts = [];
+  byCategory.forEach((categoryRows, category) => {
+    const values = new Map(buildSeries(categoryRows, dateColumn, metric, { frequency }).series.map(p => [p.key, p.value]));
+    const shares = keys.map((key, i) => (overall[i] === 0 ? null : (values.get(key) || 0) / overall[i]));
+    let lastShift = 0;
+    shares.forEach((share, i) => {
+      const previous = shares.slice(Math.max(0, i - window), i).filter(s => s !== null);
+      const shift = share === null || previous.length < MIN_WINDOW ? 0 : share - mean(previous);
+      const baseline = share - shift;
+      // A lasting shift keeps differing from the catching-up average; report only where it starts
+      const continues = Math.sign(shift) === Math.sign(lastShift);
+      lastShift = Math.abs(shift) >= minShift ? shift : 0;
+      if (!lastShift || continues) return;
+      shifts.push({ period: periods[i].period, category: String(category), share: round(share, 3), baselineShare: round(baseline, 3), shift: round(shift, 3) });
+    });
+  });
+  return shifts.sort((a, b) => Math.abs(b.shift) - Math.abs(a.shift)).slice(0, MAX_MIX_SHIFTS);
+}
+
+/**
+ * A low-cardinality text column for mix shifts: one named in the question, else the first one found
+ */
+function pickDimension(rows, question, exclude) {
+  const columns = Object.keys(rows[0] || {}).filter(c => !exclude.includes(c));
+  const candidates = columns.filter(column => {
+    const values = new Set();
+    for (const row of rows) {
+      const value = row[column];
+      if (value === null || value === undefined || value === '') continue;
+      if (toNumber(value) !== null) return false;
+      values.add(value);
+      if (values.size > MAX_DIMENSION_VALUES) return false;
+    }
+    return values.size >= 2;
+  });
+  const lowerQuestion = (question || '').toLowerCase();
+  return candidates.find(c => lowerQuestion.includes(c.toLowerCase())) || candidates[0] || null;
+}
+
+/**
+ * Read a numeric option that must be above zero; missing values take the default
+ * A zero or negative threshold would flag every period, so those are rejected rather than ignored
+ */
+function positiveOption(value, name, fallback, { integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`${name} must be a positive ${integer ? 'whole number' : 'number'}, got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+/**
+ * Scan raw rows for anomalies
+ * options: dateColumn, metric, dimension (or false to skip mix shifts), frequency, aggregation (sum|avg),
+ * filters, methods, threshold, window, minShift, question
+ */
+function detectAnomalies(data, options = {}) {
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error('No data to check for anomalies');
+  }
+  const methods = options.methods ? [].concat(options.methods) : METHODS;
+  const unknown = methods.filter(m => !METHODS.includes(m));
+  if (unknown.length > 0) throw new Error(`Unknown method "${unknown[0]}". Supported: ${METHODS.join(', ')}`);
+  const threshold = positiveOption(options.threshold, 'threshold', DEFAULT_THRESHOLD);
+  const window = positiveOption(options.window, 'window', DEFAULT_WINDOW, { integer: true });
+  const minShift = positiveOption(options.minShift, 'minShift', DEFAULT_MIN_SHIFT);
+
+  let rows = data;
+  if (options.filters && options.filters.length > 0) {
+    rows = filterRows(data, options.filters);
+  }
+  const dateColumn = pickDateColumn(rows, options.dateColumn);
+  if (!dateColumn) throw new Error('No date column found to check over time');
+  const metric = pickMetric(rows, options.question, dateColumn, options.metric);
+  if (!metric) throw new Error('No numeric column found to check');
+
+  const built = dropPartialPeriod(rows, dateColumn, buildSeries(rows, dateColumn, metric, {
+    frequency: options.frequency,
+    aggregation: options.aggregation
+  }));
+  if (built.series.length < 4) throw new Error('Need at least 4 periods to judge what is unusual');
+
+  const { points, skipped } = findSeriesAnomalies(built.series, {
+    methods,
+    threshold,
+    window,
+    seasonLength: built.yearless ? null : SEASON_LENGTHS[built.frequency]
+  });
+
+  let dimension = null;
+  if (options.dimension !== false) {
+    dimension = options.dimension
+      ? resolveColumn(options.dimension, Object.keys(rows[0] || {}))
+      : pickDimension(rows, options.question, [dateColumn, metric]);
+    if (options.dimension && !dimension) throw new Error(`Unknown dimension column "${options.dimension}"`);
+  }
+  // Shares only make sense for totals
+  const mixShifts = dimension && (options.aggregation || 'sum') === 'sum'
+    ? findMixShifts(rows, dateColumn, metric, dimension, built.series, {
+      frequency: built.frequency,
+      window,
+      minShift
+    })
+    : [];
+
+  return {
+    dateColumn,
+    metric,
+    dimension,
+    aggregation: options.aggregation || 'sum',
+    frequency: built.frequency,
+    partialPeriod: built.partialPeriod || null,
+    threshold,
+    series: built.series.map(p => ({ period: p.period, value: round(p.value) })),
+    anomalies: points,
+    mixShifts,
+    skipped
+  };
+}
+
+/**
+ * Format an anomaly scan as prompt text for the model to explain
+ */
+function formatAnomalies(result) {
+  if (!result) return '';
+  const pct = (share) => `${round(share * 100, 1)}%`;
+  const anomalies = result.anomalies.length > 0
+    ? result.anomalies.map(a => `- ${a.period}: ${a.value}, expected about ${a.expected} (${a.direction}, ${a.severity} severity; flagged by ${a.methods.map(m => m.method).join(', ')})`).join('\n')
+    : '- none';
+  const shifts = result.mixShifts.length > 0
+    ? result.mixShifts.map(s => `- ${s.period}: ${s.category} was ${pct(s.share)} of ${result.metric}, against ${pct(s.baselineShare)} recently`).join('\n')
+    : '- none';
+
+  return `ANOMALY SCAN (computed by the server over every row):
+Metric: ${result.metric} (${result.aggregation} per ${result.frequency}), date column: ${result.dateColumn}${result.partialPeriod ? `; ${result.partialPeriod} looks incomplete and was left out` : ''}
+Unusual periods:
+${anomalies}
+${result.dimension ? `Sudden shifts in the ${result.dimension} mix:\n${shifts}\n` : ''}
+These are the only anomalies the checks found. If none are listed, say nothing looks unusual rather than guessing.`;
+}
+
+module.exports = {
+  METHODS,
+  detectAnomalies,
+  findSeriesAnomalies,
+  dropPartialPeriod,
+  formatAnomalies
+};
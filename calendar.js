@@ -0,0 +1,335 @@
+// calendar.js - Date normalisation and calendar periods
+// Parses date-like cells ("2024-03-15", "3/15/2024", "March 2024", "January", "2024-W11", "Q1 2024",
+// "FY24") and buckets times into days, ISO weeks (starting Monday), months, quarters and years.
+// Quarters and years can follow a fiscal calendar (FISCAL_YEAR_START, 1-12, default 1 = January).
+// A fiscal year is named after the calendar year it ends in: with an April start, FY2025 runs
+// from April 2024 to March 2025.
+// Numeric dates ("04/03/2024", "4.3.2024", "04-03-24") are read month first unless told otherwise;
+// dotted dates, which are the European style, are read day first. Parts out of range are rejected.
+// Two-digit years follow the POSIX rule: 69-99 are 19xx, 00-68 are 20xx.
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Finest to coarsest
+const GRAINS = ['day', 'week', 'month', 'quarter', 'year'];
+const NUMERIC_DATE = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{2}|\d{4})$/;
+// Besides month names, what a long written-out date may contain: weekdays, days, years, times and zones
+const DATE_PARTS = /^(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?|\d{1,2}(?:st|nd|rd|th)?|\d{4}|\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?|am|pm|(?:gmt|utc)?[+-]\d{2}:?\d{2}|gmt|utc|z)$/i;
+
+/**
+ * First month (1-12) of the fiscal year: the value given, else FISCAL_YEAR_START, else January
+ */
+function getFiscalYearStart(value) {
+  const month = parseInt(value ?? process.env.FISCAL_YEAR_START, 10);
+  return month >= 1 && month <= 12 ? month : 1;
+}
+
+function monthIndex(text) {
+  const lower = String(text).trim().toLowerCase().replace(/\.$/, '');
+  if (lower.length < 3) return null;
+  // "mar" and "march" match March, "marketing" does not
+  const index = MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(lower));
+  return index === -1 ? null : index;
+}
+
+function fullYear(text) {
+  if (text.length !== 2) return +text;
+  return +text >= 69 ? 1900 + +text : 2000 + +text;
+}
+
+// Date.UTC rolls "February 30th" over into March, so check the parts before using it
+function validDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dayTime(year, month, day) {
+  return validDate(year, month, day) ? { time: Date.UTC(year, month - 1, day), grain: 'day' } : null;
+}
+
+// Years starting on a Thursday, and leap years starting on a Wednesday, have an ISO week 53
+function isoWeeksInYear(year) {
+  const jan1 = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+  const leap = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+  return jan1 === 4 || (leap && jan1 === 3) ? 53 : 52;
+}
+
+// Monday of ISO week 1 is the Monday on or before January 4th
+function isoWeekStart(year, week) {
+  const jan4 = Date.UTC(year, 0, 4);
+  const weekday = (new Date(jan4).getUTCDay() + 6) % 7;
+  return jan4 - weekday * DAY_MS + (week - 1) * 7 * DAY_MS;
+}
+
+// First day of fiscal quarter `quarter` (1-4) of the fiscal year named `year`
+function fiscalQuarterStart(year, quarter, start) {
+  const firstMonth = (start === 1 ? year : year - 1) * 12 + (start - 1) + (quarter - 1) * 3;
+  return Date.UTC(Math.floor(firstMonth / 12), firstMonth % 12, 1);
+}
+
+/**
+ * Parse a single date-like cell
+ * Returns { time, grain } where grain is how precisely the cell names a period ('day' for a date,
+ * 'week' for "2024-W11", 'month', 'quarter', 'year'), { month, grain: 'month' } for bare month names
+ * (no year), or null - also for impossible dates such as "2024-02-30" or "13/13/2024"
+ * options.fiscalYearStart - month the fiscal year starts in, for "FY24" and "FY24 Q2"
+ * options.dayFirst - read numeric dates as day/month/year (see detectDateOrder); defaults to
+ *   month first, except for dotted dates
+ */
+function parseDateCell(value, { fiscalYearStart, dayFirst } = {}) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return dayTime(+m[1], +m[2], +m[3]);
+
+  m = text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/);
+  if (m) return dayTime(+m[1], +m[2], +m[3]);
+
+  m = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (m) return +m[2] >= 1 && +m[2] <= 12 ? { time: Date.UTC(+m[1], +m[2] - 1, 1), grain: 'month' } : null;
+
+  m = text.match(NUMERIC_DATE);
+  if (m) {
+    const first = dayFirst ?? m[2] === '.';
+    return first ? dayTime(fullYear(m[4]), +m[3], +m[1]) : dayTime(fullYear(m[4]), +m[1], +m[3]);
+  }
+
+  // ISO weeks: "2024-W11", "2024W11-3", "W11 2024", "Week 11, 2024", "2024 week 11"
+  m = text.match(/^(\d{4})-?W(\d{1,2})(?:-?([1-7]))?$/i)
+    || text.match(/^(\d{4})\s+(?:wk|week)\s*(\d{1,2})$/i);
+  if (m && +m[2] >= 1 && +m[2] <= isoWeeksInYear(+m[1])) {
+    return { time: isoWeekStart(+m[1], +m[2]) + (m[3] ? (+m[3] - 1) * DAY_MS : 0), grain: m[3] ? 'day' : 'week' };
+  }
+  m = text.match(/^(?:w|wk|week)\s*(\d{1,2}),?[\s/-]+(\d{4})$/i);
+  if (m && +m[1] >= 1 && +m[1] <= isoWeeksInYear(+m[2])) return { time: isoWeekStart(+m[2], +m[1]), grain: 'week' };
+
+  // Calendar quarters: "2024-Q1", "2024 Q1", "Q1 2024"
+  m = text.match(/^(\d{4})\s*-?\s*Q([1-4])$/i);
+  if (m) return { time: Date.UTC(+m[1], (+m[2] - 1) * 3, 1), grain: 'quarter' };
+  m = text.match(/^Q([1-4])[\s-]+(\d{4})$/i);
+  if (m) return { time: Date.UTC(+m[2], (+m[1] - 1) * 3, 1), grain: 'quarter' };
+
+  // Fiscal years and quarters: "FY2024", "FY24", "FY24 Q2", "FY2024-Q2", "Q2 FY24"
+  const start = getFiscalYearStart(fiscalYearStart);
+  m = text.match(/^FY\s*'?(\d{4}|\d{2})(?:\s*-?\s*Q([1-4]))?$/i);
+  if (m) {
+    return m[2]
+      ? { time: fiscalQuarterStart(fullYear(m[1]), +m[2], start), grain: 'quarter' }
+      : { time: fiscalQuarterStart(fullYear(m[1]), 1, start), grain: 'year' };
+  }
+  m = text.match(/^Q([1-4])\s*-?\s*FY\s*'?(\d{4}|\d{2})$/i);
+  if (m) return { time: fiscalQuarterStart(fullYear(m[2]), +m[1], start), grain: 'quarter' };
+
+  const month = monthIndex(text);
+  if (month !== null) return { month, grain: 'month' };
+
+  m = text.match(/^([A-Za-z]+)\.?[\s-]+(\d{4})$/);
+  if (m && monthIndex(m[1]) !== null) return { time: Date.UTC(+m[2], monthIndex(m[1]), 1), grain: 'month' };
+
+  if (/^(19|20)\d{2}$/.test(text)) return { time: Date.UTC(+text, 0, 1), grain: 'year' };
+
+  // "March 5, 2024", "Mar 5th 2024", "5 March 2024", "15-Mar-2024"
+  m = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (m && monthIndex(m[1]) !== null) return dayTime(+m[3], monthIndex(m[1]) + 1, +m[2]);
+  m = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]+)\.?,?[\s-]+(\d{4})$/i);
+  if (m && monthIndex(m[2]) !== null) return dayTime(+m[3], monthIndex(m[2]) + 1, +m[1]);
+
+  // Longer forms such as "Tue Mar 05 2024 10:30:00 GMT+0100" go to Date.parse only when every part is
+  // a date word, a number or a time, so codes like "ORD-2024-001" and "Room 2001" are never read as dates
+  const parts = text.split(/[\s,]+/);
+  if (parts.some(part => monthIndex(part) !== null) && parts.some(part => /^(19|20)\d{2}$/.test(part))
+    && parts.every(part => monthIndex(part) !== null || DATE_PARTS.test(part))) {
+    const parsed = Date.parse(text);
+    if (!isNaN(parsed)) {
+      const d = new Date(parsed);
+      return { time: Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()), grain: 'day' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Which way round a column writes numeric dates, from the cells that can only be read one way
+ * ("25/03/2024" is day first, "03/25/2024" month first)
+ * Returns 'day-first', 'month-first', 'mixed' (both kinds seen), 'ambiguous' (every cell reads
+ * either way, like "01/02/2024") or null when there are no numeric dates
+ */
+function detectDateOrder(values) {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  let numeric = 0;
+  values.forEach(value => {
+    const m = value === null || value === undefined ? null : String(value).trim().match(NUMERIC_DATE);
+    if (!m) return;
+    numeric++;
+    const year = fullYear(m[4]);
+    const asDayFirst = validDate(year, +m[3], +m[1]);
+    const asMonthFirst = validDate(year, +m[1], +m[3]);
+    if (asDayFirst && !asMonthFirst) dayFirst++;
+    if (asMonthFirst && !asDayFirst) monthFirst++;
+  });
+  if (numeric === 0) return null;
+  if (dayFirst > 0 && monthFirst > 0) return 'mixed';
+  if (dayFirst > 0) return 'day-first';
+  if (monthFirst > 0) return 'month-first';
+  return 'ambiguous';
+}
+
+/**
+ * parseDateCell options for reading a whole column: day first when the column's own dates say so
+ * An explicit options.dayFirst wins
+ */
+function columnDateOptions(values, options = {}) {
+  if (options.dayFirst !== undefined) return options;
+  return detectDateOrder(values) === 'day-first' ? { ...options, dayFirst: true } : options;
+}
+
+/**
+ * Rewrite a numeric date as "YYYY-MM-DD" so it no longer depends on the reading order
+ * Anything else, including impossible dates, is returned unchanged
+ */
+function toIsoDate(value, { dayFirst } = {}) {
+  if (typeof value !== 'string' || !NUMERIC_DATE.test(value.trim())) return value;
+  const parsed = parseDateCell(value, { dayFirst });
+  return parsed ? new Date(parsed.time).toISOString().slice(0, 10) : value;
+}
+
+/**
+ * Detect the reporting frequency from the median gap between distinct dates
+ */
+function detectFrequency(times) {
+  const unique = Array.from(new Set(times)).sort((a, b) => a - b);
+  if (unique.length < 2) return 'month';
+  const gaps = [];
+  for (let i = 1; i < unique.length; i++) gaps.push((unique[i] - unique[i - 1]) / DAY_MS);
+  gaps.sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  if (median <= 1.5) return 'day';
+  if (median <= 10) return 'week';
+  if (median <= 45) return 'month';
+  if (median <= 120) return 'quarter';
+  return 'year';
+}
+
+/**
+ * Bucket a time into a period; keys are consecutive integers per period so gaps are easy to fill
+ * Quarter and year keys follow the fiscal calendar when fiscalYearStart isn't January
+ */
+function bucketKey(time, frequency, fiscalYearStart = 1) {
+  const d = new Date(time);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+  // Months counted from the start of fiscal year 0
+  const fiscalMonth = y * 12 + m - (fiscalYearStart - 1);
+  switch (frequency) {
+    case 'day':
+      return Math.floor(time / DAY_MS);
+    case 'week':
+      // Weeks start on Monday (epoch day 0 was a Thursday)
+      return Math.floor((Math.floor(time / DAY_MS) + 3) / 7);
+    case 'month':
+      return y * 12 + m;
+    case 'quarter':
+      return Math.floor(fiscalMonth / 3);
+    default:
+      // Named after the calendar year the fiscal year ends in
+      return Math.floor(fiscalMonth / 12) + (fiscalYearStart === 1 ? 0 : 1);
+  }
+}
+
+function bucketLabel(key, frequency, yearless = false, fiscalYearStart = 1) {
+  if (yearless) return MONTH_NAMES[((key % 12) + 12) % 12];
+  const fiscal = fiscalYearStart !== 1;
+  switch (frequency) {
+    case 'day':
+      return new Date(key * DAY_MS).toISOString().slice(0, 10);
+    case 'week':
+      return new Date((key * 7 - 3) * DAY_MS).toISOString().slice(0, 10);
+    case 'month':
+      return `${Math.floor(key / 12)}-${String((key % 12) + 1).padStart(2, '0')}`;
+    case 'quarter':
+      return fiscal ? `FY${Math.floor(key / 4) + 1}-Q${(key % 4) + 1}` : `${Math.floor(key / 4)}-Q${(key % 4) + 1}`;
+    default:
+      return fiscal ? `FY${key}` : String(key);
+  }
+}
+
+/**
+ * First and last day of a bucket, as ISO dates
+ */
+function bucketRange(key, frequency, fiscalYearStart = 1) {
+  let from;
+  let to;
+  switch (frequency) {
+    case 'day':
+      from = key * DAY_MS;
+      to = from;
+      break;
+    case 'week':
+      from = (key * 7 - 3) * DAY_MS;
+      to = from + 6 * DAY_MS;
+      break;
+    case 'month':
+      from = Date.UTC(Math.floor(key / 12), key % 12, 1);
+      to = Date.UTC(Math.floor(key / 12), (key % 12) + 1, 0);
+      break;
+    case 'quarter': {
+      const first = key * 3 + (fiscalYearStart - 1);
+      from = Date.UTC(Math.floor(first / 12), first % 12, 1);
+      to = Date.UTC(Math.floor(first / 12), (first % 12) + 3, 0);
+      break;
+    }
+    default: {
+      const first = (fiscalYearStart === 1 ? key : key - 1) * 12 + (fiscalYearStart - 1);
+      from = Date.UTC(Math.floor(first / 12), first % 12, 1);
+      to = Date.UTC(Math.floor(first / 12), (first % 12) + 12, 0);
+    }
+  }
+  return { from: new Date(from).toISOString().slice(0, 10), to: new Date(to).toISOString().slice(0, 10) };
+}
+
+/**
+ * "first to last" for a column of date-like cells, in the grain the cells are written at
+ * Returns null when no cell parses
+ */
+function describeDateRange(values, { fiscalYearStart } = {}) {
+  const start = getFiscalYearStart(fiscalYearStart);
+  const options = columnDateOptions(values, { fiscalYearStart: start });
+  const parsed = values.map(value => parseDateCell(value, options)).filter(Boolean);
+  if (parsed.length === 0) return null;
+
+  if (parsed.every(p => p.month !== undefined)) {
+    const months = parsed.map(p => p.month);
+    const first = months.reduce((a, b) => Math.min(a, b));
+    const last = months.reduce((a, b) => Math.max(a, b));
+    return `${MONTH_NAMES[first]} to ${MONTH_NAMES[last]} (months without a year)`;
+  }
+  const dated = parsed.filter(p => p.time !== undefined);
+  // The finest grain any cell is written at
+  const grain = GRAINS.find(g => dated.some(p => p.grain === g));
+  const times = dated.map(p => p.time);
+  const first = times.reduce((a, b) => Math.min(a, b));
+  const last = times.reduce((a, b) => Math.max(a, b));
+  const label = (time) => bucketLabel(bucketKey(time, grain, start), grain, false, start);
+  return first === last ? label(first) : `${label(first)} to ${label(last)}`;
+}
+
+module.exports = {
+  MONTH_NAMES,
+  DAY_MS,
+  GRAINS,
+  getFiscalYearStart,
+  parseDateCell,
+  detectDateOrder,
+  columnDateOptions,
+  toIsoDate,
+  detectFrequency,
+  bucketKey,
+  bucketLabel,
+  bucketRange,
+  describeDateRange
+};
@@ -0,0 +1,513 @@
+// chartRenderer.js - Render chart specs to SVG and PNG on the server, without a browser
+// SVG is built as text; PNG is rasterised from the SVG with resvg (a native module, loaded on first use)
+
+const { histogram } = require('./profiler');
+
+const CHART_TYPES = ['bar', 'stackedBar', 'line', 'area', 'pie', 'scatter', 'histogram', 'heatmap'];
+const TYPE_ALIASES = { 'stacked bar': 'stackedBar', 'stacked-bar': 'stackedBar', stackedbar: 'stackedBar', column: 'bar' };
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 450;
+const MAX_PNG_WIDTH = 4000;
+const FONT = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', INR: '₹' };
+const TEXT_COLOR = '#333';
+const GRID_COLOR = '#e5e5e5';
+
+/**
+ * Raised for chart specs that can't be drawn
+ */
+class ChartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChartError';
+    this.code = 'INVALID_CHART';
+  }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : Number(value);
+  return isFinite(num) ? num : null;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Smallest and largest of the values in one pass: Math.min(...values) overflows the stack on
+// large scatter and heatmap inputs
+function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { min, max };
+}
+
+function truncate(text, max) {
+  const value = String(text);
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Short tick and label numbers: 1250 -> "1.3K", 2500000 -> "2.5M"
+ */
+function formatNumber(value) {
+  if (value === null || value === undefined) return '';
+  const abs = Math.abs(value);
+  const compact = (n, suffix) => `${Number(n.toFixed(1))}${suffix}`;
+  if (abs >= 1e9) return compact(value / 1e9, 'B');
+  if (abs >= 1e6) return compact(value / 1e6, 'M');
+  if (abs >= 1e4) return compact(value / 1e3, 'K');
+  return String(Number(value.toFixed(abs < 1 ? 3 : 2)));
+}
+
+/**
+ * formatNumber with the chart's value unit: "$1.3K", "12%", "40 kg"
+ */
+function formatValue(value, unit) {
+  const number = formatNumber(value);
+  if (!number || !unit) return number;
+  if (unit.currency) {
+    const code = unit.currency.toUpperCase();
+    return CURRENCY_SYMBOLS[code] ? `${number.startsWith('-') ? '-' : ''}${CURRENCY_SYMBOLS[code]}${number.replace(/^-/, '')}` : `${number} ${code}`;
+  }
+  if (unit.unit === '%') return `${number}%`;
+  return unit.unit ? `${number} ${unit.unit}` : number;
+}
+
+function axisTitle(title, unit) {
+  if (!unit) return title || null;
+  return title ? `${title} (${unit})` : unit;
+}
+
+/**
+ * Bring the accepted chart shapes to one internal form
+ *   { labels, data, type }                       one series (the chat response shape)
+ *   { labels, series: [{ name, data }], type }   several series; stacked: true (or mode: 'stacked') stacks bars and areas
+ *   { type: 'scatter', points: [{ x, y }] }      or series: [{ name, points }]
+ *   { type: 'histogram', values: [...] }         or bins: [{ from, to, count }] as in column profiles
+ *   { type: 'heatmap', labels, series }          one grid row per series, one column per label
+ *   version 2 specs (see chartSpec.js)           axis titles, units and currency come from x / y
+ * Returns { type, stacked, title, xTitle, yTitle, unit, labels, series: [{ name, data }], points: [{ name, data: [{ x, y }] }] }
+ */
+function normalizeChart(chart) {
+  if (!chart || typeof chart !== 'object') throw new ChartError('Chart spec must be an object');
+  const rawType = String(chart.type || 'bar').trim();
+  let type = TYPE_ALIASES[rawType.toLowerCase()] || rawType;
+  const stacked = Boolean(chart.stacked || chart.mode === 'stacked' || type === 'stackedBar');
+  if (type === 'bar' && stacked) type = 'stackedBar';
+  if (!CHART_TYPES.includes(type)) throw new ChartError(`Unsupported chart type "${chart.type}". Supported: ${CHART_TYPES.join(', ')}`);
+
+  const x = chart.x && typeof chart.x === 'object' ? chart.x : {};
+  const y = chart.y && typeof chart.y === 'object' ? chart.y : {};
+  const out = {
+    type,
+    stacked,
+    title: chart.title || null,
+    xTitle: chart.xTitle || axisTitle(x.title, x.unit),
+    yTitle: chart.yTitle || axisTitle(y.title, y.currency || (y.unit === '%' ? null : y.unit)),
+    unit: y.currency || y.unit ? { unit: y.unit || null, currency: y.currency || null } : null,
+    labels: [],
+    series: [],
+    points: []
+  };
+
+  if (type === 'scatter') {
+    const groups = Array.isArray(chart.series) ? chart.series : [{ name: chart.name || '', points: chart.points }];
+    out.points = groups.map((group, i) => {
+      // Version 2 specs keep scatter points in "data"
+      const points = Array.isArray(group.points) ? group.points : group.data;
+      if (!Array.isArray(points)) throw new ChartError('Scatter charts need "points": [{ x, y }]');
+      return {
+        name: group.name || `Series ${i + 1}`,
+        data: points.map(p => ({ x: toNumber(p && p.x), y: toNumber(p && p.y) })).filter(p => p.x !== null && p.y !== null)
+      };
+    });
+    if (out.points.every(group => group.data.length === 0)) throw new ChartError('Scatter chart has no numeric points');
+    return out;
+  }
+
+  // A version 2 histogram is one series of raw values with no labels
+  const rawValues = Array.isArray(chart.values) ? chart.values
+    : !Array.isArray(chart.labels) && Array.isArray(chart.series) && chart.series[0] ? chart.series[0].data : null;
+  if (type === 'histogram' && (Array.isArray(rawValues) || Array.isArray(chart.bins))) {
+    const bins = Array.isArray(chart.bins)
+      ? chart.bins
+      : histogram(rawValues.map(toNumber).filter(v => v !== null).sort((a, b) => a - b));
+    if (bins.length === 0) throw new ChartError('Histogram has no numeric values');
+    out.labels = bins.map(bin => `${formatNumber(bin.from)}–${formatNumber(bin.to)}`);
+    out.series = [{ name: chart.name || 'Count', data: bins.map(bin => toNumber(bin.count) || 0) }];
+    return out;
+  }
+
+  if (!Array.isArray(chart.labels)) throw new ChartError('Chart needs "labels"');
+  out.labels = chart.labels.map(label => (label === null || label === undefined ? '' : String(label)));
+  const series = Array.isArray(chart.series) ? chart.series : [{ name: chart.name || '', data: chart.data }];
+  out.series = series.map((s, i) => {
+    if (!s || !Array.isArray(s.data)) throw new ChartError(`Series ${i + 1} needs a "data" array`);
+    if (s.data.length !== out.labels.length) {
+      throw new ChartError(`Series ${i + 1} has ${s.data.length} values for ${out.labels.length} labels`);
+    }
+    return { name: s.name || (series.length > 1 ? `Series ${i + 1}` : ''), data: s.data.map(toNumber) };
+  });
+  if (out.series.length === 0) throw new ChartError('Chart has no series');
+  if (type === 'pie' && out.series[0].data.some(v => v !== null && v < 0)) {
+    throw new ChartError('Pie charts cannot show negative values');
+  }
+  return out;
+}
+
+/**
+ * Round axis bounds out to tidy steps (1, 2, 2.5, 5 x 10^n)
+ * Returns { min, max, ticks }
+ */
+function niceScale(min, max, count = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    min -= pad;
+    max += pad;
+  }
+  const rough = (max - min) / (count - 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let t = niceMin; t <= niceMax + step / 2; t += step) ticks.push(Number(t.toPrecision(12)));
+  return { min: niceMin, max: niceMax, ticks };
+}
+
+function text(x, y, content, { size = 12, anchor = 'middle', weight = 'normal', color = TEXT_COLOR, rotate = null } = {}) {
+  const transform = rotate === null ? '' : ` transform="rotate(${rotate} ${x} ${y})"`;
+  return `<text x="${x}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}"${transform}>${escapeXml(content)}</text>`;
+}
+
+function legend(names, width, y) {
+  if (names.length < 2) return '';
+  const items = names.map(name => truncate(name, 20));
+  const itemWidth = (name) => 22 + name.length * 7;
+  const total = items.reduce((sum, name) => sum + itemWidth(name), 0);
+  let x = Math.max(10, (width - total) / 2);
+  return items.map((name, i) => {
+    const item = `<rect x="${x}" y="${y - 9}" width="12" height="12" fill="${PALETTE[i % PALETTE.length]}"/>${text(x + 16, y + 1, name, { anchor: 'start', size: 11 })}`;
+    x += itemWidth(name);
+    return item;
+  }).join('');
+}
+
+/**
+ * Axes, grid and scales shared by the bar, line, histogram and scatter charts
+ */
+function cartesianFrame(chart, width, height, yValues, { xValues = null } = {}) {
+  const names = chart.type === 'scatter' ? chart.points.map(p => p.name) : chart.series.map(s => s.name);
+  const hasLegend = names.length > 1;
+  const longLabels = chart.labels.length > 8 || chart.labels.some(l => l.length > 10);
+  const plot = {
+    left: 70,
+    right: width - 20,
+    top: (chart.title ? 40 : 15) + (hasLegend ? 22 : 0),
+    bottom: height - (longLabels ? 80 : 45) - (chart.xTitle ? 18 : 0)
+  };
+
+  const yRange = extent(yValues.filter(v => v !== null));
+  const y = niceScale(Math.min(0, yRange.min), Math.max(0, yRange.max));
+  const yPos = (v) => plot.bottom - ((v - y.min) / (y.max - y.min)) * (plot.bottom - plot.top);
+
+  const parts = [];
+  y.ticks.forEach(t => {
+    parts.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${yPos(t)}" y2="${yPos(t)}" stroke="${GRID_COLOR}"/>`);
+    parts.push(text(plot.left - 8, yPos(t) + 4, formatValue(t, chart.unit), { anchor: 'end', size: 11 }));
+  });
+  // The value axis always includes zero, so bars grow from a visible baseline
+  parts.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${yPos(0)}" y2="${yPos(0)}" stroke="#999"/>`);
+
+  let xPos = null;
+  if (xValues) {
+    const xRange = extent(xValues);
+    const x = niceScale(xRange.min, xRange.max);
+    xPos = (v) => plot.left + ((v - x.min) / (x.max - x.min)) * (plot.right - plot.left);
+    x.ticks.forEach(t => {
+      parts.push(`<line x1="${xPos(t)}" x2="${xPos(t)}" y1="${plot.top}" y2="${plot.bottom}" stroke="${GRID_COLOR}"/>`);
+      parts.push(text(xPos(t), plot.bottom + 18, formatNumber(t), { size: 11 }));
+    });
+  } else {
+    const band = (plot.right - plot.left) / Math.max(chart.labels.length, 1);
+    // Thin out labels that would overlap
+    const every = Math.ceil(chart.labels.length / Math.max(1, Math.floor((plot.right - plot.left) / 28)));
+    chart.labels.forEach((label, i) => {
+      if (i % every !== 0) return;
+      const cx = plot.left + band * (i + 0.5);
+      parts.push(longLabels
+        ? text(cx, plot.bottom + 14, truncate(label, 16), { anchor: 'end', size: 11, rotate: -35 })
+        : text(cx, plot.bottom + 18, truncate(label, 16), { size: 11 }));
+    });
+  }
+
+  if (chart.xTitle) parts.push(text((plot.left + plot.right) / 2, height - 8, chart.xTitle, { size: 12, weight: 'bold' }));
+  if (chart.yTitle) parts.push(text(16, (plot.top + plot.bottom) / 2, chart.yTitle, { size: 12, weight: 'bold', rotate: -90 }));
+  if (hasLegend) parts.push(legend(names, width, plot.top - 12));
+
+  return { plot, yPos, xPos, band: (plot.right - plot.left) / Math.max(chart.labels.length, 1), svg: parts.join('') };
+}
+
+function drawBars(chart, width, height) {
+  const stacked = chart.type === 'stackedBar';
+  const totals = [];
+  if (stacked) {
+    chart.labels.forEach((_, i) => {
+      let up = 0;
+      let down = 0;
+      chart.series.forEach(s => { const v = s.data[i] || 0; if (v >= 0) up += v; else down += v; });
+      totals.push(up, down);
+    });
+  }
+  const frame = cartesianFrame(chart, width, height, stacked ? totals : chart.series.flatMap(s => s.data));
+  const { plot, yPos, band } = frame;
+  const zero = yPos(0);
+  const gap = chart.type === 'histogram' ? 0 : band * 0.2;
+  const parts = [frame.svg];
+
+  chart.labels.forEach((_, i) => {
+    const x0 = plot.left + band * i + gap / 2;
+    if (stacked) {
+      let up = 0;
+      let down = 0;
+      chart.series.forEach((s, k) => {
+        const v = s.data[i];
+        if (!v) return;
+        const from = v >= 0 ? up : down;
+        const to = from + v;
+        if (v >= 0) up = to; else down = to;
+        const top = Math.min(yPos(from), yPos(to));
+        parts.push(`<rect x="${x0}" y="${top}" width="${band - gap}" height="${Math.abs(yPos(to) - yPos(from))}" fill="${PALETTE[k % PALETTE.length]}"/>`);
+      });
+    } else {
+      const barWidth = (band - gap) / chart.series.length;
+      chart.series.forEach((s, k) => {
+        const v = s.data[i];
+        if (v === null) return;
+        const top = Math.min(yPos(v), zero);
+        const stroke = chart.type === 'histogram' ? ' stroke="#fff"' : '';
+        parts.push(`<rect x="${x0 + barWidth * k}" y="${top}" width="${barWidth}" height="${Math.abs(zero - yPos(v))}" fill="${PALETTE[k % PALETTE.length]}"${stroke}/>`);
+      });
+    }
+  });
+  return parts.join('');
+}
+
+function drawLines(chart, width, height) {
+  const frame = cartesianFrame(chart, width, height, chart.series.flatMap(s => s.data));
+  const { plot, yPos, band } = frame;
+  const parts = [frame.svg];
+  chart.series.forEach((s, k) => {
+    const color = PALETTE[k % PALETTE.length];
+    // Missing values break the line rather than dropping to zero
+    let path = '';
+    let drawing = false;
+    s.data.forEach((v, i) => {
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      const x = plot.left + band * (i + 0.5);
+      path += `${drawing ? 'L' : 'M'}${x.toFixed(1)} ${yPos(v).toFixed(1)} `;
+      drawing = true;
+    });
+    parts.push(`<path d="${path.trim()}" fill="none" stroke="${color}" stroke-width="2.5"/>`);
+    if (s.data.length <= 40) {
+      s.data.forEach((v, i) => {
+        if (v !== null) parts.push(`<circle cx="${plot.left + band * (i + 0.5)}" cy="${yPos(v)}" r="3.5" fill="${color}"/>`);
+      });
+    }
+  });
+  return parts.join('');
+}
+
+function drawAreas(chart, width, height) {
+  // Stacked areas sit on the running total of the series below; missing values count as zero
+  const running = chart.labels.map(() => 0);
+  const layers = chart.series.map(s => s.data.map((v, i) => {
+    const from = chart.stacked ? running[i] : 0;
+    const to = from + (v || 0);
+    if (chart.stacked) running[i] = to;
+    return { from, to };
+  }));
+  const frame = cartesianFrame(chart, width, height, layers.flatMap(layer => layer.map(p => p.to)));
+  const { plot, yPos, band } = frame;
+  const xAt = (i) => (plot.left + band * (i + 0.5)).toFixed(1);
+  const parts = [frame.svg];
+  layers.forEach((layer, k) => {
+    const color = PALETTE[k % PALETTE.length];
+    const top = layer.map((p, i) => `${xAt(i)} ${yPos(p.to).toFixed(1)}`);
+    const base = layer.map((p, i) => `${xAt(i)} ${yPos(p.from).toFixed(1)}`).reverse();
+    parts.push(`<path d="M${top.join(' L')} L${base.join(' L')} Z" fill="${color}" fill-opacity="${chart.stacked ? 0.85 : 0.35}" stroke="none"/>`);
+    parts.push(`<path d="M${top.join(' L')}" fill="none" stroke="${color}" stroke-width="2"/>`);
+  });
+  return parts.join('');
+}
+
+function drawScatter(chart, width, height) {
+  const all = chart.points.flatMap(group => group.data);
+  const frame = cartesianFrame(chart, width, height, all.map(p => p.y), { xValues: all.map(p => p.x) });
+  const parts = [frame.svg];
+  chart.points.forEach((group, k) => {
+    group.data.forEach(p => {
+      parts.push(`<circle cx="${frame.xPos(p.x).toFixed(1)}" cy="${frame.yPos(p.y).toFixed(1)}" r="4" fill="${PALETTE[k % PALETTE.length]}" fill-opacity="0.75"/>`);
+    });
+  });
+  return parts.join('');
+}
+
+function drawPie(chart, width, height) {
+  const values = chart.series[0].data.map(v => v || 0);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const top = chart.title ? 40 : 15;
+  const radius = Math.min(width * 0.3, (height - top - 20) / 2);
+  const cx = 30 + radius;
+  const cy = top + (height - top) / 2 - 5;
+  const parts = [];
+
+  if (total <= 0) {
+    parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${GRID_COLOR}"/>`);
+  } else {
+    let angle = -Math.PI / 2;
+    values.forEach((v, i) => {
+      if (v <= 0) return;
+      const color = PALETTE[i % PALETTE.length];
+      const sweep = (v / total) * Math.PI * 2;
+      if (sweep >= Math.PI * 2 - 1e-9) {
+        parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"/>`);
+      } else {
+        const x1 = cx + radius * Math.cos(angle);
+        const y1 = cy + radius * Math.sin(angle);
+        const x2 = cx + radius * Math.cos(angle + sweep);
+        const y2 = cy + radius * Math.sin(angle + sweep);
+        parts.push(`<path d="M${cx} ${cy} L${x1.toFixed(2)} ${y1.toFixed(2)} A${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2.toFixed(2)} ${y2.toFixed(2)} Z" fill="${color}" stroke="#fff"/>`);
+      }
+      angle += sweep;
+    });
+  }
+
+  // Legend with shares, to the right of the pie
+  const legendX = cx + radius + 40;
+  const rowHeight = Math.min(22, (height - top - 10) / Math.max(chart.labels.length, 1));
+  chart.labels.forEach((label, i) => {
+    const y = top + 10 + rowHeight * i;
+    const share = total > 0 ? `${Math.round((values[i] / total) * 1000) / 10}%` : '';
+    parts.push(`<rect x="${legendX}" y="${y}" width="12" height="12" fill="${PALETTE[i % PALETTE.length]}"/>`);
+    parts.push(text(legendX + 18, y + 10, `${truncate(label, 28)}  ${formatValue(values[i], chart.unit)} (${share})`, { anchor: 'start', size: 12 }));
+  });
+  return parts.join('');
+}
+
+// Cell colour from white (lowest) to the first palette colour (highest)
+function heatColor(value, min, max) {
+  const share = max === min ? 1 : (value - min) / (max - min);
+  const [r, g, b] = [0x4e, 0x79, 0xa7].map(c => Math.round(255 - (255 - c) * share));
+  return { fill: `rgb(${r},${g},${b})`, dark: share > 0.55 };
+}
+
+function drawHeatmap(chart, width, height) {
+  const values = chart.series.flatMap(s => s.data).filter(v => v !== null);
+  if (values.length === 0) throw new ChartError('Heatmap has no numeric values');
+  const { min, max } = extent(values);
+  const longest = extent(chart.series.map(s => truncate(s.name, 16).length)).max;
+  const plot = {
+    left: 20 + longest * 7 + (chart.yTitle ? 18 : 0),
+    right: width - 20,
+    top: (chart.title ? 40 : 15) + 20,
+    bottom: height - 15 - (chart.xTitle ? 18 : 0)
+  };
+  const cellWidth = (plot.right - plot.left) / Math.max(chart.labels.length, 1);
+  const cellHeight = (plot.bottom - plot.top) / chart.series.length;
+  const showValues = cellWidth >= 34 && cellHeight >= 14;
+  const parts = [];
+
+  chart.labels.forEach((label, i) => {
+    parts.push(text(plot.left + cellWidth * (i + 0.5), plot.top - 6, truncate(label, Math.max(3, Math.floor(cellWidth / 7))), { size: 11 }));
+  });
+  chart.series.forEach((s, row) => {
+    const y = plot.top + cellHeight * row;
+    parts.push(text(plot.left - 8, y + cellHeight / 2 + 4, truncate(s.name, 16), { anchor: 'end', size: 11 }));
+    s.data.forEach((v, i) => {
+      const x = plot.left + cellWidth * i;
+      if (v === null) {
+        parts.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${cellWidth.toFixed(1)}" height="${cellHeight.toFixed(1)}" fill="#f7f7f7" stroke="#fff"/>`);
+        return;
+      }
+      const color = heatColor(v, min, max);
+      parts.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${cellWidth.toFixed(1)}" height="${cellHeight.toFixed(1)}" fill="${color.fill}" stroke="#fff"/>`);
+      if (showValues) {
+        parts.push(text(x + cellWidth / 2, y + cellHeight / 2 + 4, formatValue(v, chart.unit), { size: 10, color: color.dark ? '#fff' : TEXT_COLOR }));
+      }
+    });
+  });
+
+  if (chart.xTitle) parts.push(text((plot.left + plot.right) / 2, height - 8, chart.xTitle, { size: 12, weight: 'bold' }));
+  if (chart.yTitle) parts.push(text(16, (plot.top + plot.bottom) / 2, chart.yTitle, { size: 12, weight: 'bold', rotate: -90 }));
+  return parts.join('');
+}
+
+const DRAWERS = {
+  bar: drawBars,
+  stackedBar: drawBars,
+  histogram: drawBars,
+  line: drawLines,
+  area: drawAreas,
+  scatter: drawScatter,
+  pie: drawPie,
+  heatmap: drawHeatmap
+};
+
+function readSize(options) {
+  const width = Math.min(Math.max(parseInt(options.width, 10) || DEFAULT_WIDTH, 200), MAX_PNG_WIDTH);
+  const height = Math.min(Math.max(parseInt(options.height, 10) || Math.round(width * (DEFAULT_HEIGHT / DEFAULT_WIDTH)), 150), MAX_PNG_WIDTH);
+  return { width, height };
+}
+
+/**
+ * Render a chart spec (see normalizeChart) to an SVG document
+ * options.width / height in pixels (default 800 x 450); options.title overrides the spec's title
+ */
+function renderSvg(spec, options = {}) {
+  const chart = normalizeChart(spec);
+  if (options.title) chart.title = options.title;
+  const { width, height } = readSize(options);
+  const body = DRAWERS[chart.type](chart, width, height);
+  const title = chart.title ? text(width / 2, 24, truncate(chart.title, 90), { size: 16, weight: 'bold' }) : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">` +
+    `<rect width="100%" height="100%" fill="#fff"/>${title}${body}</svg>`;
+}
+
+/**
+ * Render a chart spec to a PNG buffer
+ */
+function renderPng(spec, options = {}) {
+  const svg = renderSvg(spec, options);
+  // Required here so SVG rendering keeps working where the native module isn't installed
+  const { Resvg } = require('@resvg/resvg-js');
+  const resvg = new Resvg(svg, {
+    background: '#ffffff',
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+  return resvg.render().asPng();
+}
+
+module.exports = {
+  CHART_TYPES,
+  ChartError,
+  normalizeChart,
+  renderSvg,
+  renderPng,
+  formatNumber
+};
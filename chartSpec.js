@@ -0,0 +1,295 @@
+// chartSpec.js - The versioned chart specification used in AI answers
+// Version 2 charts have named series, axis titles, units, sort order and stacked/grouped modes.
+// Series point at columns of the computed result ("field"), and the server fills in the numbers
+// from that result, so charts never show model-typed figures when exact ones exist.
+// Version 1 charts ({ labels, data, type }) are still accepted and upgraded.
+
+const CHART_SPEC_VERSION = 2;
+const CHART_TYPES = ['bar', 'line', 'area', 'pie', 'scatter', 'histogram', 'heatmap'];
+const CHART_MODES = ['grouped', 'stacked'];
+const SORT_KEYS = ['label', 'value'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const TYPE_ALIASES = { column: 'bar', stackedbar: 'bar', 'stacked bar': 'bar', 'stacked-bar': 'bar', 'scatter plot': 'scatter' };
+const MAX_SERIES = 12;
+
+/**
+ * The chart part of the response format, for prompts
+ */
+function describeChartSpec() {
+  return `{"version": ${CHART_SPEC_VERSION}, "type": "${CHART_TYPES.join('|')}", "title": "...", "mode": "${CHART_MODES.join('|')}",
+    "x": {"field": "<computed result column with the categories or dates>", "title": "..."},
+    "y": {"title": "...", "unit": "<e.g. USD, %, units>", "currency": "<ISO code or null>"},
+    "series": [{"name": "...", "field": "<computed result column with the values>"}],
+    "seriesBy": "<computed result column to split into one series per value, or null>",
+    "sort": {"by": "${SORT_KEYS.join('|')}", "direction": "${SORT_DIRECTIONS.join('|')}"} or null} or null`;
+}
+
+/**
+ * Rules for the chart spec, appended to the response format description
+ */
+function describeChartRules() {
+  return `For "chart": when a COMPUTED RESULT is given, set "x.field" and each series "field" to its column names and leave out numbers - the server fills them in. Without a computed result, give "labels" and a numeric "data" array per series instead. Use "seriesBy" for one line or bar per category (e.g. sales by category over time), several series for different measures (e.g. revenue vs units), "mode": "stacked" to stack bars or areas, "scatter" with "x.field" numeric to plot one measure against another, and "heatmap" for a grid of values (one row per series, one column per label, e.g. retention by cohort and month).`;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const num = Number(value.replace(/[$,%\s]/g, ''));
+    return isNaN(num) ? null : num;
+  }
+  return null;
+}
+
+function optionalString(value, path, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    errors.push(`${path} must be a string`);
+    return null;
+  }
+  return value.trim();
+}
+
+function readAxis(axis, path, errors, keys) {
+  if (axis === undefined || axis === null) return {};
+  if (typeof axis === 'string') return { title: axis.trim() };
+  if (typeof axis !== 'object' || Array.isArray(axis)) {
+    errors.push(`${path} must be an object`);
+    return {};
+  }
+  const out = {};
+  keys.forEach(key => { out[key] = optionalString(axis[key], `${path}.${key}`, errors); });
+  return out;
+}
+
+/**
+ * Validate a chart from a model reply and bring it to the version 2 shape
+ * Returns { value, errors }; errors are phrased for the repair prompt
+ */
+function validateChartSpec(chart, path = 'chart') {
+  const errors = [];
+  if (typeof chart !== 'object' || Array.isArray(chart)) {
+    return { value: chart, errors: [`${path} must be an object or null`] };
+  }
+
+  const rawType = typeof chart.type === 'string' ? chart.type.trim().toLowerCase() : chart.type;
+  const type = TYPE_ALIASES[rawType] || rawType;
+  if (!CHART_TYPES.includes(type)) errors.push(`${path}.type must be one of ${CHART_TYPES.join(', ')}`);
+
+  let mode = chart.mode === undefined || chart.mode === null ? (chart.stacked || /stack/.test(rawType) ? 'stacked' : 'grouped') : String(chart.mode).trim().toLowerCase();
+  if (!CHART_MODES.includes(mode)) {
+    errors.push(`${path}.mode must be one of ${CHART_MODES.join(', ')}`);
+    mode = 'grouped';
+  }
+
+  const value = {
+    version: CHART_SPEC_VERSION,
+    type,
+    title: optionalString(chart.title, `${path}.title`, errors),
+    mode,
+    x: { field: null, title: null, unit: null, ...readAxis(chart.x, `${path}.x`, errors, ['field', 'title', 'unit']) },
+    y: { title: null, unit: null, currency: null, ...readAxis(chart.y, `${path}.y`, errors, ['title', 'unit', 'currency']) },
+    seriesBy: optionalString(chart.seriesBy, `${path}.seriesBy`, errors),
+    sort: null,
+    labels: null,
+    series: []
+  };
+
+  if (chart.sort !== undefined && chart.sort !== null) {
+    const sort = typeof chart.sort === 'string' ? { by: chart.sort } : chart.sort;
+    const by = String(sort.by || '').toLowerCase();
+    const direction = String(sort.direction || (by === 'value' ? 'desc' : 'asc')).toLowerCase();
+    if (!SORT_KEYS.includes(by)) errors.push(`${path}.sort.by must be one of ${SORT_KEYS.join(', ')}`);
+    else if (!SORT_DIRECTIONS.includes(direction)) errors.push(`${path}.sort.direction must be one of ${SORT_DIRECTIONS.join(', ')}`);
+    else value.sort = { by, direction };
+  }
+
+  if (chart.labels !== undefined && chart.labels !== null) {
+    if (!Array.isArray(chart.labels)) errors.push(`${path}.labels must be an array`);
+    else {
+      value.labels = chart.labels.map((label, i) => {
+        if (typeof label !== 'string' && typeof label !== 'number') errors.push(`${path}.labels[${i}] must be a string or number`);
+        return label;
+      });
+    }
+  }
+
+  // Version 1: one flat data array
+  const rawSeries = Array.isArray(chart.series)
+    ? chart.series
+    : chart.data !== undefined ? [{ name: chart.name || null, data: chart.data }] : [];
+  if (chart.series !== undefined && !Array.isArray(chart.series)) errors.push(`${path}.series must be an array`);
+  if (rawSeries.length === 0 && !value.seriesBy) errors.push(`${path}.series must list at least one series`);
+  if (rawSeries.length > MAX_SERIES) errors.push(`${path}.series can have at most ${MAX_SERIES} series`);
+
+  value.series = rawSeries.slice(0, MAX_SERIES).map((s, i) => {
+    const at = `${path}.series[${i}]`;
+    if (!s || typeof s !== 'object' || Array.isArray(s)) {
+      errors.push(`${at} must be an object`);
+      return { name: null, field: null, data: null };
+    }
+    const series = { name: optionalString(s.name, `${at}.name`, errors), field: optionalString(s.field, `${at}.field`, errors), data: null };
+    if (s.data !== undefined && s.data !== null) {
+      if (!Array.isArray(s.data)) errors.push(`${at}.data must be an array`);
+      else if (type === 'scatter') {
+        series.data = s.data.map((p, j) => {
+          const point = p && typeof p === 'object' ? { x: toNumber(p.x), y: toNumber(p.y) } : { x: null, y: null };
+          if (point.x === null || point.y === null) errors.push(`${at}.data[${j}] must be {"x": number, "y": number}`);
+          return point;
+        });
+      } else {
+        series.data = s.data.map((n, j) => {
+          const num = n === null ? null : toNumber(n);
+          if (n !== null && num === null) errors.push(`${at}.data[${j}] must be a number`);
+          return num;
+        });
+      }
+    }
+    if (!series.field && !series.data) errors.push(`${at} needs a "field" from the computed result or a "data" array`);
+    // Numbers for a field are replaced with the computed ones, so only field-less series need labels
+    const needsLabels = series.data && !series.field && type !== 'scatter' && type !== 'histogram';
+    if (needsLabels && !value.labels) errors.push(`${path}.labels is required when ${at}.data is given`);
+    if (needsLabels && value.labels && series.data.length !== value.labels.length) {
+      errors.push(`${path}.labels has ${value.labels.length} items but ${at}.data has ${series.data.length}`);
+    }
+    return series;
+  });
+
+  return { value, errors };
+}
+
+function resolveField(name, columns) {
+  if (!name) return null;
+  if (columns.includes(name)) return name;
+  const lower = name.toLowerCase();
+  return columns.find(c => c.toLowerCase() === lower) || null;
+}
+
+// A series draws its field, or else the result column its name matches ("revenue")
+function seriesField(series, columns) {
+  return resolveField(series.field, columns) || resolveField(series.name, columns);
+}
+
+/**
+ * Problems binding a chart to the computed result, phrased for the repair prompt
+ * With a computed result every series has to draw one of its columns; numbers the model typed are
+ * never drawn next to computed ones. Without a computed result there is nothing to check.
+ */
+function checkChartBinding(chart, computedResult, path = 'chart') {
+  const rows = computedResult && Array.isArray(computedResult.rows) ? computedResult.rows : [];
+  if (!chart || !Array.isArray(chart.series) || rows.length === 0) return [];
+  const columns = computedResult.columns || Object.keys(rows[0]);
+  return chart.series
+    .map((s, i) => (seriesField(s, columns) ? null : `${path}.series[${i}] must set "field" to a computed result column (${columns.join(', ')}) instead of giving numbers`))
+    .filter(Boolean);
+}
+
+function applySort(chart) {
+  if (!chart.sort || !chart.labels || chart.type === 'scatter' || chart.type === 'histogram') return chart;
+  const { by, direction } = chart.sort;
+  const sign = direction === 'desc' ? -1 : 1;
+  const totals = chart.labels.map((_, i) => chart.series.reduce((sum, s) => sum + (s.data[i] || 0), 0));
+  const order = chart.labels.map((_, i) => i).sort((a, b) => {
+    if (by === 'value') return sign * (totals[a] - totals[b]);
+    const x = chart.labels[a];
+    const y = chart.labels[b];
+    return sign * (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y), undefined, { numeric: true }));
+  });
+  return {
+    ...chart,
+    labels: order.map(i => chart.labels[i]),
+    series: chart.series.map(s => ({ ...s, data: order.map(i => s.data[i]) }))
+  };
+}
+
+/**
+ * Take the chart's numbers from the computed result wherever its fields (or series names) name result columns
+ * Series that name none are dropped, and a chart with no such series is dropped
+ * chart - a validated version 2 chart; computedResult - { columns, rows } from the query engine
+ * Returns { chart, source } where source is "computed" or "model", or { chart: null, reason }
+ * when there is nothing to draw. `labels` / `data` mirror the first series for version 1 clients.
+ */
+function fillChartFromResult(chart, computedResult = null) {
+  if (!chart) return { chart: null, reason: 'No chart' };
+  const rows = computedResult && Array.isArray(computedResult.rows) ? computedResult.rows : [];
+  const columns = computedResult ? computedResult.columns || Object.keys(rows[0] || {}) : [];
+  const xField = resolveField(chart.x.field, columns);
+  const splitField = resolveField(chart.seriesBy, columns);
+  const fields = chart.series.map(s => seriesField(s, columns));
+  let filled = { ...chart, series: chart.series.map(s => ({ ...s })) };
+  let source = 'model';
+
+  if (rows.length > 0 && !fields.some(Boolean)) {
+    return { chart: null, reason: checkChartBinding(chart, computedResult).join('; ') };
+  }
+  if (rows.length > 0) {
+    source = 'computed';
+    if (chart.type === 'histogram') {
+      const field = fields.find(Boolean);
+      filled.labels = null;
+      filled.series = [{ name: chart.series[0].name || field, field, data: rows.map(r => toNumber(r[field])).filter(v => v !== null) }];
+    } else if (chart.type === 'scatter') {
+      if (!xField) return { chart: null, reason: `Scatter chart needs x.field to be a computed column (${columns.join(', ')})` };
+      filled.labels = null;
+      filled.series = chart.series
+        .map((s, i) => ({ ...s, field: fields[i] }))
+        .filter(s => s.field)
+        .map(s => ({ name: s.name || s.field, field: s.field, data: rows.map(r => ({ x: toNumber(r[xField]), y: toNumber(r[s.field]) })).filter(p => p.x !== null && p.y !== null) }));
+    } else {
+      // Categories come from x.field, or else the result's text columns (joined when grouped by several)
+      const labelFields = xField ? [xField] : columns.filter(c => !fields.includes(c) && c !== splitField && rows.some(r => toNumber(r[c]) === null));
+      if (labelFields.length === 0) return { chart: null, reason: 'No label column in the computed result' };
+      const labelOf = (row) => (labelFields.length === 1 ? row[labelFields[0]] : labelFields.map(c => row[c]).join(' / '));
+      const valueFields = chart.series.map((s, i) => ({ ...s, field: fields[i] })).filter(s => s.field);
+
+      if (splitField) {
+        // One series per value of seriesBy, e.g. a line per category over months
+        const labels = [];
+        const groups = new Map();
+        rows.forEach(row => {
+          const label = labelOf(row);
+          if (!labels.includes(label)) labels.push(label);
+          const group = String(row[splitField]);
+          if (!groups.has(group)) groups.set(group, new Map());
+          groups.get(group).set(label, toNumber(row[valueFields[0].field]));
+        });
+        filled.labels = labels;
+        filled.series = Array.from(groups.entries()).slice(0, MAX_SERIES).map(([name, values]) => ({
+          name,
+          field: valueFields[0].field,
+          data: labels.map(label => (values.has(label) ? values.get(label) : null))
+        }));
+      } else {
+        filled.labels = rows.map(labelOf);
+        filled.series = valueFields.map(s => ({ name: s.name || s.field, field: s.field, data: rows.map(r => toNumber(r[s.field])) }));
+      }
+      filled.x = { ...filled.x, field: labelFields.length === 1 ? labelFields[0] : null };
+    }
+  } else if (chart.series.some(s => !s.data)) {
+    // No computed result to take fields from; keep whatever series the model filled in
+    filled.series = chart.series.filter(s => s.data);
+    if (filled.series.length === 0) {
+      return { chart: null, reason: `Chart fields ${chart.series.map(s => `"${s.field}"`).join(', ')} need a computed result` };
+    }
+  }
+  if (source === 'model' && !filled.labels && chart.type !== 'scatter' && chart.type !== 'histogram') {
+    return { chart: null, reason: 'Chart has no labels and no computed result to take them from' };
+  }
+
+  filled = applySort(filled);
+  const first = filled.series[0];
+  return {
+    chart: { ...filled, dataSource: source, data: first && chart.type !== 'scatter' ? first.data : null },
+    source
+  };
+}
+
+module.exports = {
+  CHART_SPEC_VERSION,
+  CHART_TYPES,
+  CHART_MODES,
+  describeChartSpec,
+  describeChartRules,
+  validateChartSpec,
+  checkChartBinding,
+  fillChartFromResult
+};
@@ -0,0 +1,310 @@
+// cleaning.js - Data quality findings with proposed fixes
+// Looks for the dirty data behind "why are my numbers off?": outliers, inconsistent category
+// spellings, mixed date formats, duplicate rows and impossible values. Every fix is a list of
+// transform operations (see transforms.js), so accepting it is recorded in the dataset's history
+
+const { generateDataSummary } = require('./dataProcessor');
+const { classifyText, isNull } = require('./profiler');
+const { parseNumericValue } = require('./numberFormat');
+const { parseDateCell, detectDateOrder, columnDateOptions } = require('./calendar');
+const { columnRef } = require('./expression');
+
+// Fixes are applied in this order: spellings are unified before duplicates are looked for, and so on
+const FINDING_TYPES = ['inconsistentCategories', 'mixedDateFormats', 'impossibleValues', 'outliers', 'duplicateRows'];
+const MAX_EXAMPLES = 5;
+// Outliers are values beyond this many interquartile ranges outside the middle half
+const OUTLIER_IQR = 3;
+const MIN_VALUES_FOR_OUTLIERS = 10;
+
+// Quantities that can't be negative, and a sanity cap for ages
+const NON_NEGATIVE_NAMES = /qty|quantity|units|count|price|cost|age|stock|inventory|weight|height|duration|distance/i;
+const AGE_NAMES = /(^|[_\s-])age($|[_\s-])|^age/i;
+const MAX_AGE = 120;
+// Dates that record something that already happened
+const PAST_DATE_NAMES = /birth|dob|created|signup|sign_up|joined|order|purchase|hired/i;
+const MIN_YEAR = 1900;
+
+function severity(affected, total) {
+  const share = total === 0 ? 0 : affected / total;
+  return share >= 0.05 ? 'high' : share >= 0.01 ? 'medium' : 'low';
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  return sorted[lower] + (sorted[Math.ceil(pos)] - sorted[lower]) * (pos - lower);
+}
+
+function roundBound(value) {
+  return Number(value.toPrecision(6));
+}
+
+/**
+ * "Electronics", "electronics " and "ELECTRONICS" are one category written three ways
+ */
+function findInconsistentCategories(rows, column) {
+  const variants = new Map(); // normalised -> Map(raw -> count)
+  rows.forEach(row => {
+    const value = row[column];
+    if (isNull(value)) return;
+    const raw = String(value);
+    const key = raw.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!variants.has(key)) variants.set(key, new Map());
+    const counts = variants.get(key);
+    counts.set(raw, (counts.get(raw) || 0) + 1);
+  });
+
+  const mapping = {};
+  const groups = [];
+  let affected = 0;
+  variants.forEach(counts => {
+    if (counts.size < 2) return;
+    // The most common spelling wins, tidied of stray whitespace
+    const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    const canonical = ranked[0][0].trim().replace(/\s+/g, ' ');
+    ranked.forEach(([raw, count]) => {
+      if (raw === canonical) return;
+      mapping[raw] = canonical;
+      affected += count;
+    });
+    groups.push({ canonical, variants: ranked.map(([value, count]) => ({ value, count })) });
+  });
+  if (groups.length === 0) return null;
+
+  const shown = groups.slice(0, 3).map(g => g.variants.map(v => `"${v.value}"`).join(' / ')).join('; ');
+  return {
+    type: 'inconsistentCategories',
+    column,
+    affectedRows: affected,
+    message: `${column} has ${groups.length} value(s) spelled more than one way (${shown}), so totals per ${column} are split across spellings.`,
+    examples: groups.slice(0, MAX_EXAMPLES),
+    fix: {
+      description: `Use one spelling for each ${column} value (${Object.keys(mapping).length} replacement(s)).`,
+      operations: [{ op: 'replaceValues', column, mapping }]
+    }
+  };
+}
+
+/**
+ * Dates written several ways ("2024-03-05", "3/5/2024", "March 5, 2024") sort and group badly
+ * Numeric dates are read in the order the column's own values show ("17/04/2024" is day first); when
+ * none of them show it, or they disagree, the finding has no fix and the order has to be chosen
+ */
+function findMixedDateFormats(rows, column) {
+  const formats = new Map(); // format -> { count, example }
+  const values = [];
+  rows.forEach(row => {
+    if (isNull(row[column])) return;
+    const text = String(row[column]).trim();
+    const { kind, format } = classifyText(text);
+    if (kind !== 'date' || !format || format === 'month name') return;
+    values.push(text);
+    const entry = formats.get(format) || { count: 0, example: text };
+    entry.count++;
+    formats.set(format, entry);
+  });
+  if (formats.size < 2) return null;
+
+  const order = detectDateOrder(values);
+  const label = (format) => (order === 'day-first' ? format.replace(/^MM([/-])DD/, 'DD$1MM') : format);
+  const ranked = Array.from(formats.entries()).sort((a, b) => b[1].count - a[1].count);
+  const affected = ranked.slice(1).reduce((sum, [, entry]) => sum + entry.count, 0);
+  const finding = {
+    type: 'mixedDateFormats',
+    column,
+    affectedRows: affected,
+    dateOrder: order,
+    message: `${column} mixes ${ranked.length} date formats (${ranked.map(([format, entry]) => `${label(format)} like "${entry.example}"`).join(', ')}).`,
+    examples: ranked.map(([format, entry]) => ({ format: label(format), count: entry.count, example: entry.example }))
+  };
+
+  if (order === 'ambiguous' || order === 'mixed') {
+    const example = values.find(value => detectDateOrder([value]) === 'ambiguous') || values[0];
+    return {
+      ...finding,
+      message: `${finding.message} ${order === 'mixed'
+        ? 'Its numeric dates are written both day first and month first'
+        : `Numeric dates like "${example}" could be day first or month first`}, so it needs a decision: cast ${column} to date with dayFirst set.`,
+      fix: null
+    };
+  }
+
+  // A date that only reads one way shows which order the column uses
+  const proof = order && values.find(value => detectDateOrder([value]) === order);
+  return {
+    ...finding,
+    fix: {
+      description: `Rewrite every ${column} value as YYYY-MM-DD.${order ? ` Numeric dates are read ${order.replace('-', ' ')}, as "${proof}" shows.` : ''}`,
+      operations: [{ op: 'cast', column, to: 'date', ...(order ? { dayFirst: order === 'day-first' } : {}) }]
+    }
+  };
+}
+
+/**
+ * Values that can't be true: negative quantities or prices, ages over MAX_AGE, event dates
+ * before MIN_YEAR or (for things that already happened) in the future
+ */
+function findImpossibleValues(rows, column, type, today) {
+  let condition = null;
+  let reason = null;
+  let isImpossible = null;
+
+  if (type === 'number' && AGE_NAMES.test(column)) {
+    condition = `${columnRef(column)} < 0 or ${columnRef(column)} > ${MAX_AGE}`;
+    reason = `ages below 0 or above ${MAX_AGE}`;
+    isImpossible = (value) => { const n = parseNumericValue(value); return n !== null && (n < 0 || n > MAX_AGE); };
+  } else if (type === 'number' && NON_NEGATIVE_NAMES.test(column)) {
+    condition = `${columnRef(column)} < 0`;
+    reason = `negative ${column.toLowerCase()} values`;
+    isImpossible = (value) => { const n = parseNumericValue(value); return n !== null && n < 0; };
+  } else if (type === 'date') {
+    const pastOnly = PAST_DATE_NAMES.test(column);
+    condition = `year(${columnRef(column)}) < ${MIN_YEAR}${pastOnly ? ` or date(${columnRef(column)}) > '${today}'` : ''}`;
+    reason = pastOnly ? `dates before ${MIN_YEAR} or in the future` : `dates before ${MIN_YEAR}`;
+    const dateOptions = columnDateOptions(rows.map(row => row[column]));
+    isImpossible = (value) => {
+      const parsed = parseDateCell(value, dateOptions);
+      if (!parsed || parsed.time === undefined) return false;
+      const iso = new Date(parsed.time).toISOString().slice(0, 10);
+      return iso < `${MIN_YEAR}-01-01` || (pastOnly && iso > today);
+    };
+  }
+  if (!isImpossible) return null;
+
+  const examples = [];
+  let affected = 0;
+  rows.forEach(row => {
+    if (isNull(row[column]) || !isImpossible(row[column])) return;
+    affected++;
+    if (examples.length < MAX_EXAMPLES) examples.push(row[column]);
+  });
+  if (affected === 0) return null;
+
+  return {
+    type: 'impossibleValues',
+    column,
+    affectedRows: affected,
+    message: `${column} has ${affected} impossible value(s): ${reason} (e.g. ${examples.slice(0, 3).join(', ')}).`,
+    examples,
+    fix: {
+      description: `Clear the impossible ${column} values so they count as missing instead of skewing results.`,
+      operations: [{ op: 'derive', column, expression: `if(${condition}, null, ${columnRef(column)})` }]
+    }
+  };
+}
+
+/**
+ * Numbers far outside the interquartile range - typos, unit mix-ups or test records
+ */
+function findOutliers(rows, column) {
+  const numbers = [];
+  rows.forEach(row => {
+    const n = isNull(row[column]) ? null : parseNumericValue(row[column]);
+    if (n !== null) numbers.push(n);
+  });
+  if (numbers.length < MIN_VALUES_FOR_OUTLIERS) return null;
+
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  if (iqr === 0) return null;
+  const low = roundBound(q1 - OUTLIER_IQR * iqr);
+  const high = roundBound(q3 + OUTLIER_IQR * iqr);
+  const outliers = numbers.filter(n => n < low || n > high);
+  if (outliers.length === 0) return null;
+
+  const extremes = outliers.slice().sort((a, b) => Math.abs(b - q3) - Math.abs(a - q3)).slice(0, MAX_EXAMPLES);
+  return {
+    type: 'outliers',
+    column,
+    affectedRows: outliers.length,
+    message: `${column} has ${outliers.length} outlier(s) outside the typical range ${low} to ${high} (e.g. ${extremes.slice(0, 3).join(', ')}); they can dominate sums and averages.`,
+    examples: extremes,
+    bounds: { low, high },
+    fix: {
+      description: `Clear ${column} values outside ${low} to ${high} so they count as missing. Undo the fix if they are real.`,
+      operations: [{ op: 'derive', column, expression: `if(${columnRef(column)} < ${low} or ${columnRef(column)} > ${high}, null, ${columnRef(column)})` }]
+    }
+  };
+}
+
+/**
+ * Rows that repeat another row exactly, usually from a double export or a bad join
+ */
+function findDuplicateRows(rows, columns) {
+  const seen = new Set();
+  const examples = [];
+  let duplicates = 0;
+  rows.forEach(row => {
+    const key = JSON.stringify(columns.map(c => (isNull(row[c]) ? '' : String(row[c]).trim())));
+    if (seen.has(key)) {
+      duplicates++;
+      if (examples.length < MAX_EXAMPLES) examples.push(row);
+    } else {
+      seen.add(key);
+    }
+  });
+  if (duplicates === 0) return null;
+  return {
+    type: 'duplicateRows',
+    column: null,
+    affectedRows: duplicates,
+    message: `${duplicates} row(s) are exact copies of another row, so they are counted twice.`,
+    examples,
+    fix: {
+      description: 'Remove the duplicate rows, keeping the first copy.',
+      operations: [{ op: 'dedupe' }]
+    }
+  };
+}
+
+/**
+ * Look for data quality problems in a dataset
+ * rows - the full rows to check; profile - cached profile for the same rows (computed if omitted)
+ * Returns findings sorted in fix order:
+ * [{ id, type, column, severity, affectedRows, message, examples, fix: { description, operations } }]
+ * fix is null for findings that need a decision first (dates that could be day or month first)
+ */
+function suggestCleaning(rows, profile = null, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  if (!rows || rows.length === 0) return [];
+  const summary = generateDataSummary(rows, profile);
+  const columns = summary.profile.columns.map(c => c.name);
+  const numeric = summary.numericColumns.filter(c => summary.columnTypes[c] !== 'percent');
+  const dates = summary.dateColumns.filter(c => summary.columnTypes[c] === 'date');
+
+  const findings = [
+    ...summary.categoricalColumns.map(c => findInconsistentCategories(rows, c)),
+    ...dates.map(c => findMixedDateFormats(rows, c)),
+    ...numeric.map(c => findImpossibleValues(rows, c, 'number', today)),
+    ...dates.map(c => findImpossibleValues(rows, c, 'date', today)),
+    ...numeric.map(c => findOutliers(rows, c)),
+    findDuplicateRows(rows, columns)
+  ].filter(Boolean);
+
+  return findings
+    .map(finding => ({
+      id: finding.column ? `${finding.type}:${finding.column}` : finding.type,
+      severity: severity(finding.affectedRows, rows.length),
+      ...finding
+    }))
+    .sort((a, b) => FINDING_TYPES.indexOf(a.type) - FINDING_TYPES.indexOf(b.type));
+}
+
+/**
+ * The transform operations for a chosen set of findings, in the order they should run
+ * Returns { operations, fixed, missing, unfixable } - missing lists ids that don't match a current finding,
+ * unfixable the chosen findings that have no fix (fix: null) and need a decision first
+ */
+function fixOperations(findings, ids) {
+  const chosen = findings.filter(f => ids.includes(f.id) && f.fix);
+  const missing = ids.filter(id => !findings.some(f => f.id === id));
+  const unfixable = findings.filter(f => ids.includes(f.id) && !f.fix).map(f => f.id);
+  return { operations: chosen.flatMap(f => f.fix.operations), fixed: chosen.map(f => f.id), missing, unfixable };
+}
+
+module.exports = {
+  FINDING_TYPES,
+  suggestCleaning,
+  fixOperations
+};
@@ -0,0 +1,275 @@
+// cohorts.js - Cohort and retention analysis for customer-level data
+// Customers are grouped by the month of their first purchase (acquisition cohort). For each cohort
+// the retention matrix shows the share still buying 0, 1, 2... months later; repeat-purchase rates
+// and RFM (recency, frequency, monetary) segments describe the customer base as of the last date.
+
+const { toNumber, resolveColumn } = require('./queryEngine');
+const { pickDateColumn } = require('./forecasting');
+const { parseDateCell, columnDateOptions } = require('./calendar');
+const { validateChartSpec, fillChartFromResult } = require('./chartSpec');
+
+const CUSTOMER_KEYWORDS = ['customer', 'client', 'user', 'member', 'buyer', 'account', 'subscriber', 'patient', 'guest'];
+const ORDER_KEYWORDS = ['order', 'invoice', 'transaction', 'receipt', 'booking'];
+const AMOUNT_KEYWORDS = ['revenue', 'amount', 'sales', 'total', 'spend', 'value', 'price'];
+const DEFAULT_PERIODS = 12;
+const MAX_PERIODS = 36;
+// Cohorts drawn in the heatmap (the most recent ones)
+const CHART_COHORTS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checked in order; a customer gets the first segment whose rule matches their 1-5 scores
+const RFM_SEGMENTS = [
+  { name: 'Champions', rule: (r, f) => r >= 4 && f >= 4 },
+  { name: 'Loyal', rule: (r, f) => r >= 3 && f >= 3 },
+  { name: 'New', rule: (r, f) => r >= 4 },
+  { name: 'Promising', rule: (r) => r >= 3 },
+  { name: 'At risk', rule: (r, f) => f >= 3 },
+  { name: 'Lost', rule: () => true }
+];
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+function monthKey(time) {
+  const d = new Date(time);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+function monthLabel(key) {
+  return `${Math.floor(key / 12)}-${String((key % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * First column whose name contains one of the keywords, preferring "...id" columns
+ */
+function findColumnByName(columns, keywords) {
+  const matches = columns.filter(c => keywords.some(k => c.toLowerCase().includes(k)));
+  return matches.find(c => /id\b|_id|id$/i.test(c)) || matches[0] || null;
+}
+
+function pickColumn(columns, preferred, keywords, label) {
+  if (preferred) {
+    const column = resolveColumn(preferred, columns);
+    if (!column) throw new Error(`Unknown ${label} column "${preferred}"`);
+    return column;
+  }
+  return findColumnByName(columns, keywords);
+}
+
+/**
+ * Score values 1-5 by quintile of their rank (ties share a score); higher values score higher
+ */
+function quintileScores(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const scores = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const score = Math.max(1, Math.ceil((((i + j) / 2 + 1) / order.length) * 5));
+    for (let k = i; k <= j; k++) scores[order[k].index] = score;
+    i = j + 1;
+  }
+  return scores;
+}
+
+/**
+ * One entry per customer: first and last purchase, active months, purchases and spend
+ * A purchase is a distinct order id when there is an order column, otherwise a distinct purchase day
+ */
+function collectCustomers(rows, { customerColumn, dateColumn, orderColumn, amountColumn }) {
+  const customers = new Map();
+  let skipped = 0;
+  const dateOptions = columnDateOptions(rows.map(row => row[dateColumn]));
+  rows.forEach(row => {
+    const id = row[customerColumn];
+    const parsed = parseDateCell(row[dateColumn], dateOptions);
+    if (id === null || id === undefined || id === '' || !parsed || parsed.time === undefined) {
+      skipped++;
+      return;
+    }
+    const key = String(id);
+    if (!customers.has(key)) {
+      customers.set(key, { id: key, first: parsed.time, last: parsed.time, months: new Set(), purchases: new Set(), spend: 0 });
+    }
+    const customer = customers.get(key);
+    customer.first = Math.min(customer.first, parsed.time);
+    customer.last = Math.max(customer.last, parsed.time);
+    customer.months.add(monthKey(parsed.time));
+    customer.purchases.add(orderColumn && row[orderColumn] !== '' && row[orderColumn] != null ? `o:${row[orderColumn]}` : `d:${parsed.time}`);
+    const amount = amountColumn ? toNumber(row[amountColumn]) : null;
+    if (amount !== null) customer.spend += amount;
+  });
+  return { customers: Array.from(customers.values()), skipped };
+}
+
+/**
+ * Acquisition cohorts and their monthly retention
+ * Offsets a cohort hasn't reached yet (past the last month in the data) are null, not zero
+ */
+function buildRetention(customers, lastMonth, periods) {
+  const cohorts = new Map();
+  customers.forEach(customer => {
+    const start = monthKey(customer.first);
+    if (!cohorts.has(start)) cohorts.set(start, []);
+    cohorts.get(start).push(customer);
+  });
+
+  return Array.from(cohorts.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, members]) => {
+      const reached = Math.min(periods, lastMonth - start + 1);
+      const active = Array.from({ length: periods }, (_, offset) => (
+        offset < reached ? members.filter(c => c.months.has(start + offset)).length : null
+      ));
+      return {
+        cohort: monthLabel(start),
+        customers: members.length,
+        active,
+        retention: active.map(count => (count === null ? null : round(count / members.length, 3))),
+        repeatRate: round(members.filter(c => c.purchases.size > 1).length / members.length, 3)
+      };
+    });
+}
+
+/**
+ * Retention per month offset across all cohorts that have reached it, weighted by cohort size
+ */
+function averageRetention(cohorts, periods) {
+  return Array.from({ length: periods }, (_, offset) => {
+    const reached = cohorts.filter(c => c.active[offset] !== null);
+    const size = reached.reduce((sum, c) => sum + c.customers, 0);
+    return size === 0 ? null : round(reached.reduce((sum, c) => sum + c.active[offset], 0) / size, 3);
+  });
+}
+
+/**
+ * RFM segments as of the last purchase date in the data
+ * Recency and frequency are scored 1-5 by quintile and decide the segment; spend is reported per segment
+ */
+function buildRfm(customers, asOf, hasAmount) {
+  const recency = customers.map(c => Math.round((asOf - c.last) / DAY_MS));
+  // Fewer days since the last purchase is better, so score the negated recency
+  const rScores = quintileScores(recency.map(days => -days));
+  const fScores = quintileScores(customers.map(c => c.purchases.size));
+  const segments = new Map(RFM_SEGMENTS.map(s => [s.name, { segment: s.name, customers: 0, recency: 0, frequency: 0, spend: 0 }]));
+  customers.forEach((customer, i) => {
+    const { name } = RFM_SEGMENTS.find(s => s.rule(rScores[i], fScores[i]));
+    const segment = segments.get(name);
+    segment.customers++;
+    segment.recency += recency[i];
+    segment.frequency += customer.purchases.size;
+    segment.spend += customer.spend;
+  });
+  return Array.from(segments.values())
+    .filter(s => s.customers > 0)
+    .map(s => ({
+      segment: s.segment,
+      customers: s.customers,
+      share: round(s.customers / customers.length, 3),
+      avgRecencyDays: round(s.recency / s.customers, 1),
+      avgPurchases: round(s.frequency / s.customers, 2),
+      avgSpend: hasAmount ? round(s.spend / s.customers) : null,
+      totalSpend: hasAmount ? round(s.spend) : null
+    }));
+}
+
+/**
+ * Cohort, retention, repeat-purchase and RFM analysis
+ * options: customerColumn, dateColumn, orderColumn, amountColumn (found by name when not given), periods (months, default 12)
+ * Returns { customerColumn, dateColumn, orderColumn, amountColumn, asOf, customers, repeatRate, periods, cohorts,
+ * averageRetention, rfm, table: { columns, rows }, chart, skippedRows }
+ */
+function buildCohorts(data, options = {}) {
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error('No data for cohort analysis');
+  }
+  const columns = Object.keys(data[0] || {});
+  const customerColumn = pickColumn(columns, options.customerColumn, CUSTOMER_KEYWORDS, 'customer');
+  if (!customerColumn) throw new Error('No customer column found (e.g. customer_id, client, user)');
+  const dateColumn = pickDateColumn(data, options.dateColumn);
+  if (!dateColumn) throw new Error('No date column found to place purchases in time');
+  const orderColumn = pickColumn(columns.filter(c => c !== customerColumn && c !== dateColumn), options.orderColumn, ORDER_KEYWORDS, 'order');
+  const amountCandidates = columns.filter(c => c !== customerColumn && c !== dateColumn && c !== orderColumn);
+  let amountColumn = pickColumn(amountCandidates, options.amountColumn, AMOUNT_KEYWORDS, 'amount');
+  // A name match alone isn't enough - the spend column has to hold numbers
+  if (amountColumn && !options.amountColumn && !data.slice(0, 100).some(row => toNumber(row[amountColumn]) !== null)) amountColumn = null;
+
+  const requested = Math.min(Math.max(parseInt(options.periods, 10) || DEFAULT_PERIODS, 1), MAX_PERIODS);
+  const { customers, skipped } = collectCustomers(data, { customerColumn, dateColumn, orderColumn, amountColumn });
+  if (customers.length === 0) throw new Error(`No rows with both a ${customerColumn} and a full date in ${dateColumn}`);
+
+  const asOf = customers.reduce((latest, c) => Math.max(latest, c.last), -Infinity);
+  const earliest = customers.reduce((first, c) => Math.min(first, c.first), Infinity);
+  // No more month columns than the data spans
+  const periods = Math.min(requested, monthKey(asOf) - monthKey(earliest) + 1);
+  const cohorts = buildRetention(customers, monthKey(asOf), periods);
+  const repeaters = customers.filter(c => c.purchases.size > 1).length;
+
+  // Long form of the matrix, in the computed result shape; the heatmap is drawn from its latest cohorts
+  const tableRows = cohorts.flatMap(c => c.active.map((count, offset) => ({
+    cohort: c.cohort,
+    month: `Month ${offset}`,
+    customers: c.customers,
+    active: count,
+    retention: count === null ? null : round((count / c.customers) * 100, 1)
+  })));
+  const table = { columns: ['cohort', 'month', 'customers', 'active', 'retention'], rows: tableRows };
+  const recent = new Set(cohorts.slice(-CHART_COHORTS).map(c => c.cohort));
+  const spec = validateChartSpec({
+    version: 2,
+    type: 'heatmap',
+    title: 'Monthly retention by acquisition cohort',
+    x: { field: 'month', title: 'Months since first purchase' },
+    y: { title: 'Acquisition cohort', unit: '%' },
+    seriesBy: 'cohort',
+    series: [{ name: 'Retention', field: 'retention' }]
+  }).value;
+
+  return {
+    customerColumn,
+    dateColumn,
+    orderColumn,
+    amountColumn,
+    asOf: new Date(asOf).toISOString().slice(0, 10),
+    customers: customers.length,
+    repeatRate: round(repeaters / customers.length, 3),
+    periods,
+    cohorts,
+    averageRetention: averageRetention(cohorts, periods),
+    rfm: buildRfm(customers, asOf, Boolean(amountColumn)),
+    table,
+    chart: fillChartFromResult(spec, { columns: table.columns, rows: tableRows.filter(r => recent.has(r.cohort)) }).chart,
+    skippedRows: skipped
+  };
+}
+
+/**
+ * Format a cohort analysis as prompt text for the model to explain
+ */
+function formatCohorts(result) {
+  if (!result) return '';
+  const pct = (share) => (share === null ? '-' : `${round(share * 100, 1)}%`);
+  const shown = Math.min(result.periods, 7);
+  const matrix = result.cohorts.slice(-CHART_COHORTS)
+    .map(c => `- ${c.cohort} (${c.customers} customers): ${c.retention.slice(0, shown).map(pct).join(', ')}; repeat rate ${pct(c.repeatRate)}`)
+    .join('\n');
+  const segments = result.rfm
+    .map(s => `- ${s.segment}: ${s.customers} customers (${pct(s.share)}), last purchase ${s.avgRecencyDays} days ago on average, ${s.avgPurchases} purchases${s.avgSpend === null ? '' : `, ${s.avgSpend} spent`} each`)
+    .join('\n');
+
+  return `COHORT ANALYSIS (computed by the server over every row):
+Customers: ${result.customers} (by ${result.customerColumn}, dated by ${result.dateColumn}, as of ${result.asOf}); ${pct(result.repeatRate)} bought more than once
+Retention - share of each acquisition cohort buying again in month 0, 1, 2... after their first purchase ('-' = not reached yet):
+${matrix}
+Average across cohorts: ${result.averageRetention.slice(0, shown).map(pct).join(', ')}
+RFM segments (recency and frequency scored 1-5 by quintile):
+${segments}
+
+Explain how retention develops and where customers drop off, using these figures. Churn is the share of a cohort that did not come back.`;
+}
+
+module.exports = {
+  buildCohorts,
+  formatCohorts
+};
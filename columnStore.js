@@ -0,0 +1,102 @@
+// columnStore.js - On-disk columnar storage for uploaded datasets
+// Each dataset is a directory with a manifest and one newline-delimited JSON file per column,
+// so a query only has to read the columns it uses
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT = 'columnar-ndjson';
+const MANIFEST = 'manifest.json';
+
+// Dot-directory so express.static('.') never serves it
+const DEFAULT_DIR = process.env.DATASET_DIR || path.join(__dirname, '.datasets');
+
+// Column files are numbered; column names come from user files and are never used as paths
+const columnFile = (dir, index) => path.join(dir, `${index}.col`);
+
+/**
+ * A fresh directory for one upload of a dataset
+ * Uploads never reuse a directory, so replacing a dataset can't clobber the new copy
+ */
+function newStorageDir(sessionId, datasetName, root = DEFAULT_DIR) {
+  const unique = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  return path.join(root, encodeURIComponent(sessionId), `${encodeURIComponent(datasetName)}-${unique}`);
+}
+
+/**
+ * Buffered writer: write(row) for every row, flush() now and then, close() at the end
+ * close() writes the manifest and returns the storage descriptor kept with the session
+ */
+async function createColumnWriter(dir, columns) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  await Promise.all(columns.map((_, i) => fs.promises.writeFile(columnFile(dir, i), '')));
+
+  let buffers = columns.map(() => []);
+  let rowCount = 0;
+
+  function write(row) {
+    columns.forEach((column, i) => {
+      const value = row[column];
+      buffers[i].push(JSON.stringify(value === undefined ? null : value));
+    });
+    rowCount++;
+  }
+
+  async function flush() {
+    const pending = buffers;
+    buffers = columns.map(() => []);
+    if (pending[0] && pending[0].length === 0) return;
+    await Promise.all(pending.map((lines, i) => fs.promises.appendFile(columnFile(dir, i), lines.join('\n') + '\n')));
+  }
+
+  async function close() {
+    await flush();
+    const manifest = { format: FORMAT, columns, rowCount, createdAt: Date.now() };
+    await fs.promises.writeFile(path.join(dir, MANIFEST), JSON.stringify(manifest));
+    return { dir, format: FORMAT, columns, rowCount };
+  }
+
+  return { write, flush, close, get rowCount() { return rowCount; } };
+}
+
+async function readColumn(dir, index) {
+  const raw = await fs.promises.readFile(columnFile(dir, index), 'utf8');
+  if (raw === '') return [];
+  return raw.slice(0, -1).split('\n').map(line => JSON.parse(line));
+}
+
+/**
+ * Read some (or all) columns of a stored dataset back into row objects
+ * Unknown column names are ignored
+ */
+async function loadRows(storage, columns = null) {
+  const wanted = (columns || storage.columns)
+    .map(name => ({ name, index: storage.columns.indexOf(name) }))
+    .filter(c => c.index !== -1);
+
+  const values = await Promise.all(wanted.map(c => readColumn(storage.dir, c.index)));
+  const rows = new Array(storage.rowCount);
+  for (let r = 0; r < storage.rowCount; r++) {
+    const row = {};
+    wanted.forEach((c, i) => { row[c.name] = values[i][r]; });
+    rows[r] = row;
+  }
+  return rows;
+}
+
+/**
+ * Delete a stored dataset (missing directories are fine)
+ */
+async function removeStorage(storage) {
+  if (!storage || !storage.dir) return;
+  await fs.promises.rm(storage.dir, { recursive: true, force: true });
+  // Drop the session's directory once its last dataset is gone
+  await fs.promises.rmdir(path.dirname(storage.dir)).catch(() => {});
+}
+
+module.exports = {
+  newStorageDir,
+  createColumnWriter,
+  loadRows,
+  removeStorage
+};
@@ -0,0 +1,309 @@
+// csvDialect.js - Sniff how a delimited text file is written before parsing it
+// Encoding and BOM, delimiter, quote character, which line holds the header, the number format
+// and whether numeric dates are written day first
+
+const { Transform } = require('stream');
+const { parseNumericValue, detectNumberFormat, DOT_DECIMAL, COMMA_DECIMAL } = require('./numberFormat');
+const { detectDateOrder } = require('./calendar');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SNIFF_LINES = 50;
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+const DELIMITER_ALIASES = { comma: ',', semicolon: ';', tab: '\t', '\\t': '\t', pipe: '|' };
+const DATE_ORDERS = ['day-first', 'month-first'];
+const DATE_ORDER_ALIASES = { dmy: 'day-first', mdy: 'month-first' };
+
+/**
+ * Raised for upload overrides that can't be used (unknown encoding, multi-character delimiter...)
+ */
+class DialectOptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DialectOptionError';
+    this.code = 'INVALID_OPTION';
+  }
+}
+
+/**
+ * Encoding from the byte order mark, or by inspecting the bytes when there is none
+ * Returns { encoding, bom, warning }
+ */
+function detectEncoding(head) {
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return { encoding: 'utf-8', bom: true };
+  if (head[0] === 0xff && head[1] === 0xfe) return { encoding: 'utf-16le', bom: true };
+  if (head[0] === 0xfe && head[1] === 0xff) return { encoding: 'utf-16be', bom: true };
+
+  // ASCII text in UTF-16 has a zero byte in every other position
+  const probe = head.subarray(0, 400);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  probe.forEach((byte, i) => {
+    if (byte === 0) i % 2 === 0 ? evenZeros++ : oddZeros++;
+  });
+  const half = probe.length / 2;
+  if (half > 0 && oddZeros / half > 0.3) return { encoding: 'utf-16le', bom: false };
+  if (half > 0 && evenZeros / half > 0.3) return { encoding: 'utf-16be', bom: false };
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (e) {
+    return {
+      encoding: 'windows-1252',
+      bom: false,
+      warning: 'File is not valid UTF-8; read it as Windows-1252. Pass encoding (e.g. iso-8859-2) if accented characters look wrong.'
+    };
+  }
+}
+
+/**
+ * Split one line into fields, honouring quotes ("a, b" stays one field; "" is an escaped quote)
+ */
+function splitLine(line, delimiter, quote = '"') {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === quote && line[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === quote && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function mode(numbers) {
+  const counts = new Map();
+  numbers.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (!best || count > best.count || (count === best.count && value > best.value)) best = { value, count };
+  });
+  return best;
+}
+
+/**
+ * Score each candidate delimiter by how consistently it splits the lines into the same number of fields
+ */
+function rankDelimiters(lines, quote) {
+  const nonEmpty = lines.filter(line => line.trim() !== '');
+  return DELIMITERS.map(delimiter => {
+    const counts = nonEmpty.map(line => splitLine(line, delimiter, quote).length - 1);
+    const common = mode(counts.filter(c => c > 0));
+    if (!common) return { delimiter, fields: 1, score: 0 };
+    return { delimiter, fields: common.value + 1, score: common.count / nonEmpty.length };
+  }).sort((a, b) => b.score - a.score || b.fields - a.fields);
+}
+
+function pickQuote(text) {
+  const double = (text.match(/(^|[,;\t|])"/gm) || []).length;
+  const single = (text.match(/(^|[,;\t|])'[^'\n]*'(?=[,;\t|]|$)/gm) || []).length;
+  return single > double ? "'" : '"';
+}
+
+function looksLikeValue(cell) {
+  const text = cell.trim();
+  return parseNumericValue(text) !== null ||
+    parseNumericValue(text, COMMA_DECIMAL) !== null ||
+    /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(text);
+}
+
+/**
+ * Read upload overrides: delimiter, quote, encoding, headerRow (1-based line number, 0 for no header), decimal,
+ * dateOrder ('day-first' or 'month-first')
+ */
+function normalizeOverrides(options = {}) {
+  const out = {};
+  if (options.delimiter !== undefined && options.delimiter !== null && options.delimiter !== '') {
+    const delimiter = DELIMITER_ALIASES[String(options.delimiter).toLowerCase()] || String(options.delimiter);
+    if (delimiter.length !== 1) throw new DialectOptionError(`delimiter must be a single character, got "${options.delimiter}"`);
+    out.delimiter = delimiter;
+  }
+  if (options.quote !== undefined && options.quote !== null && options.quote !== '') {
+    if (String(options.quote).length !== 1) throw new DialectOptionError(`quote must be a single character, got "${options.quote}"`);
+    out.quote = String(options.quote);
+  }
+  if (options.encoding) {
+    try {
+      new TextDecoder(options.encoding);
+    } catch (e) {
+      throw new DialectOptionError(`Unknown encoding "${options.encoding}"`);
+    }
+    out.encoding = String(options.encoding).toLowerCase();
+  }
+  if (options.headerRow !== undefined && options.headerRow !== null && options.headerRow !== '') {
+    const headerRow = parseInt(options.headerRow, 10);
+    if (isNaN(headerRow) || headerRow < 0) throw new DialectOptionError(`headerRow must be a line number (0 for no header), got "${options.headerRow}"`);
+    out.headerRow = headerRow;
+  }
+  if (options.decimal) {
+    if (options.decimal !== '.' && options.decimal !== ',') throw new DialectOptionError(`decimal must be "." or ",", got "${options.decimal}"`);
+    out.decimal = options.decimal;
+  }
+  if (options.dateOrder) {
+    const dateOrder = DATE_ORDER_ALIASES[String(options.dateOrder).toLowerCase()] || String(options.dateOrder).toLowerCase();
+    if (!DATE_ORDERS.includes(dateOrder)) throw new DialectOptionError(`dateOrder must be "day-first" or "month-first", got "${options.dateOrder}"`);
+    out.dateOrder = dateOrder;
+  }
+  return out;
+}
+
+/**
+ * Work out the dialect from the first bytes of a file
+ * head - Buffer with the start of the file; truncated - whether the file continues past it
+ * options - overrides, see normalizeOverrides; `delimiter` is fixed for TSV
+ * Returns { encoding, bom, delimiter, quote, headerRow, skipLines, hasHeader, decimal, thousands, dateOrder, warnings }
+ * dateOrder is null when the sample has no numeric dates like "01/02/2024"
+ */
+function sniffDialect(head, { truncated = false, ...options } = {}) {
+  const overrides = normalizeOverrides(options);
+  const warnings = [];
+
+  const detected = detectEncoding(head);
+  const encoding = overrides.encoding || detected.encoding;
+  if (!overrides.encoding && detected.warning) warnings.push(detected.warning);
+
+  const text = new TextDecoder(encoding).decode(head, { stream: true });
+  let lines = text.split(/\r\n|\n|\r/);
+  if (truncated) lines.pop(); // the last line may be cut off
+  lines = lines.slice(0, SNIFF_LINES);
+
+  const quote = overrides.quote || pickQuote(text);
+
+  let delimiter = overrides.delimiter;
+  if (!delimiter) {
+    const [best, runnerUp] = rankDelimiters(lines, quote);
+    delimiter = best.score > 0 ? best.delimiter : ',';
+    if (runnerUp && runnerUp.score >= 0.9 && best.score - runnerUp.score < 0.1) {
+      warnings.push(`Both ${DELIMITER_NAMES[best.delimiter]} and ${DELIMITER_NAMES[runnerUp.delimiter]} split every line evenly; using ${DELIMITER_NAMES[best.delimiter]}. Pass delimiter to override.`);
+    }
+  }
+
+  // The header is the first line with the usual number of fields, most of them filled in
+  const split = lines.map(line => splitLine(line, delimiter, quote));
+  const usual = (mode(split.filter(fields => fields.some(f => f.trim() !== '')).map(fields => fields.length)) || { value: 1 }).value;
+  let headerIndex = split.findIndex(fields =>
+    fields.length === usual && fields.filter(f => f.trim() !== '').length >= Math.ceil(usual / 2)
+  );
+  if (headerIndex === -1) headerIndex = 0;
+
+  let hasHeader = true;
+  if (overrides.headerRow !== undefined) {
+    hasHeader = overrides.headerRow > 0;
+    headerIndex = hasHeader ? overrides.headerRow - 1 : 0;
+  } else {
+    if (headerIndex > 0) {
+      warnings.push(`Skipped ${headerIndex} line(s) above the header row (line ${headerIndex + 1}). Pass headerRow to override.`);
+    }
+    const candidate = (split[headerIndex] || []).filter(f => f.trim() !== '');
+    if (candidate.length > 0 && candidate.every(looksLikeValue)) {
+      hasHeader = false;
+      warnings.push('The first row looks like data, so columns were named column_1, column_2, ... Pass headerRow to override.');
+    }
+  }
+
+  // Number format from the data cells below the header
+  const dataCells = split.slice(headerIndex + (hasHeader ? 1 : 0)).flat();
+  let number = overrides.decimal === ',' ? COMMA_DECIMAL : overrides.decimal === '.' ? DOT_DECIMAL : null;
+  if (!number) {
+    const guess = detectNumberFormat(dataCells);
+    number = guess.decimal === ',' ? COMMA_DECIMAL : DOT_DECIMAL;
+    if (guess.ambiguous) {
+      warnings.push(`Numbers are written both as 1,234.56 and 1.234,56; reading "${number.decimal}" as the decimal mark. Pass decimal to override.`);
+    }
+    if (number.decimal === ',' && delimiter === ',') {
+      warnings.push('Decimal commas detected in a comma-delimited file; unquoted numbers may have been split across columns.');
+    }
+  }
+
+  // Date order by column, from dates that only read one way; undecided columns follow the locale
+  let dateOrder = overrides.dateOrder || null;
+  if (!dateOrder) {
+    const header = split[headerIndex] || [];
+    const rows = split.slice(headerIndex + (hasHeader ? 1 : 0));
+    const orders = header.map((name, i) => detectDateOrder(rows.map(fields => fields[i])));
+    const named = (order) => header.map((name, i) => (hasHeader ? `"${name.trim()}"` : `column_${i + 1}`)).filter((name, i) => orders[i] === order);
+    if (orders.includes('mixed')) {
+      warnings.push(`Dates in ${named('mixed').join(', ')} are written both day first and month first; they may be misread. Pass dateOrder to override.`);
+    }
+    if (orders.includes('day-first') && orders.includes('month-first')) {
+      warnings.push('Some columns write dates day first and others month first; reading them day first. Pass dateOrder to override.');
+    }
+    if (orders.includes('day-first')) {
+      dateOrder = 'day-first';
+    } else if (orders.includes('month-first')) {
+      dateOrder = 'month-first';
+    } else if (orders.includes('ambiguous')) {
+      // Month first has always been the default; decimal commas point to a day-first locale
+      dateOrder = number.decimal === ',' ? 'day-first' : 'month-first';
+      if (dateOrder === 'day-first') {
+        warnings.push('Dates like 01/02/2024 read either way; reading them day first to match the decimal commas in the numbers. Pass dateOrder to override.');
+      }
+    }
+  }
+
+  return {
+    encoding,
+    bom: detected.bom && (!overrides.encoding || overrides.encoding === detected.encoding),
+    delimiter,
+    quote,
+    headerRow: hasHeader ? headerIndex + 1 : 0,
+    skipLines: headerIndex,
+    hasHeader,
+    columnCount: usual,
+    decimal: number.decimal,
+    thousands: number.thousands,
+    dateOrder,
+    warnings
+  };
+}
+
+/**
+ * Stream transform from the file's encoding to UTF-8 text (drops any BOM)
+ */
+function createDecoder(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+}
+
+/**
+ * How a dialect is described to clients ("\t" becomes "tab")
+ */
+function describeDialect(dialect) {
+  const { encoding, bom, delimiter, quote, headerRow, decimal, thousands, dateOrder } = dialect;
+  return { encoding, bom, delimiter: DELIMITER_NAMES[delimiter] || delimiter, quote, headerRow, decimal, thousands, dateOrder };
+}
+
+module.exports = {
+  DialectOptionError,
+  detectEncoding,
+  splitLine,
+  sniffDialect,
+  createDecoder,
+  describeDialect
+};
@@ -1,4 +1,16 @@
 // dataProcessor.js - Intelligent data handling for large datasets
+const { formatComputedResult } = require('./queryEngine');
+const { formatForecast, pickDateColumn } = require('./forecasting');
+const { formatAnomalies } = require('./anomalies');
+const { formatDrivers } = require('./drivers');
+const { formatCohorts } = require('./cohorts');
+const { formatMetrics } = require('./metrics');
+const { formatPeriodComparison } = require('./periods');
+const { describeDateRange } = require('./calendar');
+const { GENERAL_DOMAIN, getDomainPack, detectDomain, formatDomainContext } = require('./domainPacks');
+const { describeResponseSchema } = require('./responseSchema');
+const { formatRelationships } = require('./relationships');
+const { profileDataset, formatProfile, isNumericType, isDateType } = require('./profiler');
 
 function processDataForAI(data, question) {
   const dataLength = data.length;
@@ -47,55 +59,97 @@ function processDataForAI(data, question) {
   };
 }
 
-function generateDataSummary(data) {
+/**
+ * Column types and statistics for a dataset, built from a full profile of every column
+ * Pass a precomputed profile (e.g. cached at upload) to skip the scan
+ */
+function generateDataSummary(data, profile = null) {
   if (!data || data.length === 0) return {};
-  
+  profile = profile || profileDataset(data);
+
   const summary = {
-    totalRecords: data.length,
+    // The profile covers the full dataset even when `data` is only a sample of it
+    totalRecords: profile.rowCount,
     columns: Object.keys(data[0] || {}),
     dateColumns: [],
     numericColumns: [],
-    categoricalColumns: []
+    categoricalColumns: [],
+    identifierColumns: [],
+    textColumns: [],
+    columnTypes: {},
+    profile
   };
-  
-  // Analyze column types
-  const firstRow = data[0];
-  if (firstRow) {
-    Object.keys(firstRow).forEach(key => {
-      const sampleValues = data.slice(0, 10).map(row => row[key]);
-      
-      // Check if it's a date column
-      if (isDateColumn(sampleValues)) {
-        summary.dateColumns.push(key);
-      }
-      // Check if it's numeric
-      else if (isNumericColumn(sampleValues)) {
-        summary.numericColumns.push(key);
-      }
-      // Otherwise it's categorical
-      else {
-        summary.categoricalColumns.push(key);
-      }
-    });
-  }
-  
-  // Add basic statistics for numeric columns
+
+  profile.columns.forEach(column => {
+    summary.columnTypes[column.name] = column.type;
+    if (isDateType(column.type)) summary.dateColumns.push(column.name);
+    else if (isNumericType(column.type)) summary.numericColumns.push(column.name);
+    else if (column.type === 'identifier') summary.identifierColumns.push(column.name);
+    else if (column.type === 'text') summary.textColumns.push(column.name);
+    else summary.categoricalColumns.push(column.name);
+  });
+
+  // Basic statistics for numeric columns
   summary.numericStats = {};
-  summary.numericColumns.forEach(col => {
-    const values = data.map(row => parseFloat(row[col])).filter(v => !isNaN(v));
-    if (values.length > 0) {
-      summary.numericStats[col] = {
-        min: Math.min(...values),
-        max: Math.max(...values),
-        avg: values.reduce((a, b) => a + b, 0) / values.length,
-        count: values.length
-      };
-    }
+  profile.columns.filter(column => isNumericType(column.type) && column.stats.mean !== null).forEach(column => {
+    summary.numericStats[column.name] = {
+      min: column.stats.min,
+      max: column.stats.max,
+      avg: column.stats.mean,
+      count: column.count - column.nullCount - column.stats.invalidCount
+    };
   });
-  
+
   return summary;
 }
 
+/**
+ * Summarise every dataset in a session for planning and prompts
+ * datasets - { name: rows }; profiles - { name: profile } cached at upload (optional)
+ * Returns [{ name, summary, sampleRows }]
+ */
+function describeDatasets(datasets, profiles = {}) {
+  return Object.entries(datasets).map(([name, rows]) => ({
+    name,
+    summary: generateDataSummary(rows, profiles[name]),
+    sampleRows: rows.slice(0, 5)
+  }));
+}
+
+/**
+ * Data context for chat: each table's column profile, the relationships between them, then sample rows
+ * Rows are kept within maxLength characters overall
+ */
+function formatDatasetContext(datasets, relationships = [], maxLength = 3000, profiles = {}) {
+  const names = Object.keys(datasets);
+  const tables = describeDatasets(datasets, profiles);
+  if (names.length === 1) {
+    const profile = tables[0].summary.profile;
+    return `COLUMN PROFILE (${tables[0].summary.totalRecords || 0} rows):
+${profile ? formatProfile(profile) : 'No data'}
+
+ROWS:
+${JSON.stringify(datasets[names[0]]).substring(0, maxLength)}`;
+  }
+
+  const schemas = tables.map(({ name, summary }) =>
+    `Dataset "${name}" (${summary.totalRecords || 0} rows):\n${summary.profile ? formatProfile(summary.profile) : 'No data'}`
+  ).join('\n');
+  let context = `DATASETS:
+${schemas}
+
+RELATIONSHIPS:
+${formatRelationships(relationships)}
+`;
+
+  // Share the space evenly between the datasets' rows
+  const perDataset = Math.max(200, Math.floor(maxLength / names.length));
+  names.forEach(name => {
+    context += `\n${name} rows:\n${JSON.stringify(datasets[name]).substring(0, perDataset)}\n`;
+  });
+  return context;
+}
+
 function isDateColumn(values) {
   const datePatterns = [
     /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
@@ -109,12 +163,6 @@ function isDateColumn(values) {
   );
 }
 
-function isNumericColumn(values) {
-  return values.some(value => 
-    !isNaN(parseFloat(value)) && value !== '' && value !== null
-  );
-}
-
 function removeDuplicates(data) {
   const seen = new Set();
   return data.filter(item => {
@@ -171,24 +219,35 @@ function getDateValue(row) {
   return 0;
 }
 
-function createOptimizedPrompt(processedData, question, summary) {
-  // Detect business type from data
-  const businessType = detectBusinessType(processedData.fullData);
-  const businessContext = getBusinessContext(businessType);
-  
-  let prompt = `You are a senior business analyst and consultant with expertise in ${businessType}. Your goal is to provide actionable business insights that drive growth and profitability.
+/**
+ * Build the business analysis prompt
+ * context.computedResult - exact table from the query engine
+ * context.forecast - statistical forecast from forecasting.js
+ * context.anomalies - anomaly scan from anomalies.js
+ * context.drivers - driver analysis from drivers.js
+ * context.cohorts - cohort and retention analysis from cohorts.js
+ * context.domain - resolved business domain from domainPacks.js
+ * context.metrics - defined metrics with their computed values, from metrics.js
+ * context.periods - period-over-period comparison from periods.js
+ */
+function createOptimizedPrompt(processedData, question, summary, context = {}) {
+  const { computedResult, forecast, anomalies, drivers, cohorts, metrics, periods } = context;
+  // The session's domain when the caller resolved one, otherwise detect it from these rows
+  const domain = context.domain || detectDomain(processedData.fullData);
+  
+  let prompt = `You are a senior business analyst and consultant with expertise in ${domain.name}. Your goal is to provide actionable business insights that drive growth and profitability.
 
-BUSINESS CONTEXT:
-- Business Type: ${businessType}
-- Focus Areas: ${businessContext}
-- Priority: Practical insights that business owners can implement immediately
+${formatDomainContext(domain)}
 
 DATA OVERVIEW:
 - Total Records Analyzed: ${processedData.totalRecords || summary.totalRecords}
 - Sample Size: ${processedData.sampleSize || summary.sampleSize}
 - Key Metrics: ${summary.numericColumns.join(', ')}
 - Time Period: ${getDateRange(processedData.fullData)}
-
+${summary.profile ? `
+COLUMN PROFILE (types inferred from every row):
+${formatProfile(summary.profile)}
+` : ''}
 BUSINESS INTELLIGENCE REQUEST: ${question}
 
 ANALYSIS REQUIREMENTS:
@@ -209,6 +268,48 @@ For forecasting questions, provide:
 3. Strategic recommendations based on forecasts
 4. Risk factors and contingency planning
 
+`;
+    if (forecast) {
+      prompt += `${formatForecast(forecast)}
+
+`;
+    }
+  }
+
+  if (anomalies) {
+    prompt += `${formatAnomalies(anomalies)}
+
+`;
+  }
+
+  if (drivers) {
+    prompt += `${formatDrivers(drivers)}
+
+`;
+  }
+
+  if (cohorts) {
+    prompt += `${formatCohorts(cohorts)}
+
+`;
+  }
+
+  if (periods) {
+    prompt += `${formatPeriodComparison(periods)}
+
+`;
+  }
+
+  if (metrics && metrics.length > 0) {
+    prompt += `${formatMetrics(metrics)}
+
+`;
+  }
+
+  // Exact figures computed locally take precedence over anything read off the sample
+  if (computedResult) {
+    prompt += `${formatComputedResult(computedResult)}
+
 `;
   }
 
@@ -217,101 +318,30 @@ For forecasting questions, provide:
 IMPORTANT: This analysis is based on ${processedData.sampleSize || summary.sampleSize} records sampled from ${processedData.totalRecords || summary.totalRecords} total records, ensuring representative insights across your entire dataset.
 
 REQUIRED OUTPUT FORMAT:
-{
-  "answer": "Clear business explanation with specific actionable recommendations",
-  "keyInsights": ["Top 3 business insights from the data"],
-  "recommendations": ["Specific actions to take based on findings"],
-  "potentialImpact": "Expected business impact of implementing recommendations",
-  "nextSteps": ["Immediate next steps to implement recommendations"],
-  "labels": [...],
-  "data": [...],
-  "type": "pie|bar|line",
-  "confidence": "high|medium|low",
-  "limitations": "Any limitations of the analysis"
-}
+${describeResponseSchema()}
 
 Focus on business value, growth opportunities, and actionable insights.`;
 
   return prompt;
 }
 
-// New helper functions for business context
+// Business context helpers, kept for callers that only need the domain's name or focus
 function detectBusinessType(data) {
-  if (!data || data.length === 0) return 'general business';
-  
-  const columns = Object.keys(data[0] || {});
-  const lowerColumns = columns.map(c => c.toLowerCase());
-  
-  // Check for retail/e-commerce indicators
-  if (lowerColumns.some(c => 
-    c.includes('product') || c.includes('item') || c.includes('sku') || 
-    c.includes('inventory') || c.includes('category')
-  )) {
-    return 'retail/e-commerce';
-  }
-  
-  // Check for service business indicators
-  if (lowerColumns.some(c => 
-    c.includes('customer') || c.includes('client') || c.includes('service') ||
-    c.includes('appointment') || c.includes('booking')
-  )) {
-    return 'service business';
-  }
-  
-  // Check for sales/financial indicators
-  if (lowerColumns.some(c => 
-    c.includes('revenue') || c.includes('sales') || c.includes('profit') ||
-    c.includes('commission') || c.includes('deal')
-  )) {
-    return 'sales/financial business';
-  }
-  
-  // Check for restaurant/food service indicators
-  if (lowerColumns.some(c => 
-    c.includes('menu') || c.includes('dish') || c.includes('order') ||
-    c.includes('table') || c.includes('check')
-  )) {
-    return 'restaurant/food service';
-  }
-  
-  return 'general business';
+  return detectDomain(data).name;
 }
 
 function getBusinessContext(businessType) {
-  const contexts = {
-    'retail/e-commerce': 'product performance, inventory optimization, customer behavior, seasonal trends, revenue growth',
-    'service business': 'customer retention, service efficiency, pricing optimization, client satisfaction, operational growth',
-    'sales/financial business': 'revenue trends, sales forecasting, conversion rates, market opportunities, profit optimization',
-    'restaurant/food service': 'menu optimization, customer preferences, operational efficiency, revenue per table, seasonal patterns',
-    'general business': 'growth opportunities, operational efficiency, revenue optimization, market insights, strategic planning'
-  };
-  return contexts[businessType] || contexts['general business'];
+  const pack = getDomainPack(businessType) || getDomainPack(GENERAL_DOMAIN);
+  return pack.focus;
 }
 
 function getDateRange(data) {
   if (!data || data.length === 0) return 'No date information';
-  
-  // Try to find date columns
-  const firstRow = data[0];
-  let dateColumn = null;
-  
-  for (let key in firstRow) {
-    const sampleValues = data.slice(0, 5).map(row => row[key]);
-    if (isDateColumn(sampleValues)) {
-      dateColumn = key;
-      break;
-    }
-  }
-  
-  if (dateColumn) {
-    const dates = data.map(row => row[dateColumn]).filter(d => d);
-    if (dates.length > 0) {
-      const sortedDates = dates.sort();
-      return `${sortedDates[0]} to ${sortedDates[sortedDates.length - 1]}`;
-    }
-  }
-  
-  return 'Time period not specified';
+
+  // Dates are compared as dates, so "January" and "3/1/2024" sort correctly
+  const dateColumn = pickDateColumn(data);
+  const range = dateColumn ? describeDateRange(data.map(row => row[dateColumn])) : null;
+  return range || 'Time period not specified';
 }
 
 function isForecastingQuestion(question) {
@@ -325,57 +355,61 @@ function isForecastingQuestion(question) {
   return forecastingKeywords.some(keyword => lowerQuestion.includes(keyword));
 }
 
-function generateSimpleForecast(data, periods = 3) {
-  if (!data || data.length < 2) return null;
-  
-  // Extract numeric values from data
-  const values = data.map(d => {
-    if (typeof d === 'object' && d !== null) {
-      // Find first numeric value in the object
-      for (let key in d) {
-        const val = parseFloat(d[key]);
-        if (!isNaN(val)) return val;
-      }
-      return 0;
-    }
-    return typeof d === 'string' ? parseFloat(d) || 0 : (typeof d === 'number' ? d : 0);
-  }).filter(v => !isNaN(v) && v > 0);
-  
-  if (values.length < 2) return null;
-  
-  // Calculate trend
-  const firstHalf = values.slice(0, Math.floor(values.length / 2));
-  const secondHalf = values.slice(Math.floor(values.length / 2));
-  const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-  const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
-  const trend = secondAvg - firstAvg;
-  
-  // Generate forecast
-  const lastValue = values[values.length - 1];
-  const forecast = Array.from({length: periods}, (_, i) => 
-    Math.max(0, lastValue + (trend * (i + 1)))
-  );
-  
-  // Calculate confidence based on data quality
-  let confidence = 'low';
-  if (values.length >= 6) confidence = 'medium';
-  if (values.length >= 12 && Math.abs(trend) > 0) confidence = 'high';
-  
-  return {
-    forecast: forecast,
-    trend: trend,
-    confidence: confidence,
-    lastValue: lastValue,
-    periods: periods
-  };
+function isAnomalyQuestion(question) {
+  const anomalyKeywords = [
+    'unusual', 'anomal', 'unexpected', 'outlier', 'abnormal', 'strange', 'weird',
+    'spike', 'dip', 'surge', 'irregular', 'stand out', 'stands out', 'out of the ordinary'
+  ];
+
+  const lowerQuestion = question.toLowerCase();
+  return anomalyKeywords.some(keyword => lowerQuestion.includes(keyword));
+}
+
+function isDriverQuestion(question) {
+  const driverKeywords = [
+    'drive', 'driving', 'driver', 'affect', 'influence', 'impact on', 'correlat', 'relationship between',
+    'contribut', 'factor', 'depend on', 'depends on', 'what explains', 'regression', 'related to'
+  ];
+
+  const lowerQuestion = question.toLowerCase();
+  return driverKeywords.some(keyword => lowerQuestion.includes(keyword));
+}
+
+function isRetentionQuestion(question) {
+  const retentionKeywords = [
+    'retention', 'retain', 'churn', 'cohort', 'repeat', 'returning', 'come back', 'came back',
+    'loyal', 'rfm', 'lapsed', 'lifetime', 'win back', 'winback'
+  ];
+
+  const lowerQuestion = question.toLowerCase();
+  return retentionKeywords.some(keyword => lowerQuestion.includes(keyword));
+}
+
+function isPeriodComparisonQuestion(question) {
+  const comparisonKeywords = [
+    'month over month', 'month-over-month', 'quarter over quarter', 'quarter-over-quarter',
+    'year over year', 'year-over-year', 'week over week', 'week-over-week', 'period over period',
+    'yoy', 'qoq', 'm/m', 'y/y', 'q/q', 'last month', 'previous month', 'prior month',
+    'last quarter', 'previous quarter', 'prior quarter', 'last year', 'previous year', 'prior year',
+    'last week', 'previous week', 'same period', 'a year ago', 'vs last', 'versus last', 'than last',
+    'grew', 'growth rate'
+  ];
+
+  const lowerQuestion = question.toLowerCase();
+  return comparisonKeywords.some(keyword => lowerQuestion.includes(keyword));
 }
 
 module.exports = {
   processDataForAI,
   generateDataSummary,
+  describeDatasets,
+  formatDatasetContext,
   createOptimizedPrompt,
   isForecastingQuestion,
-  generateSimpleForecast,
+  isAnomalyQuestion,
+  isDriverQuestion,
+  isRetentionQuestion,
+  isPeriodComparisonQuestion,
   detectBusinessType,
   getBusinessContext,
   getDateRange
@@ -0,0 +1,321 @@
+// domainPacks.js - Business-domain packs: how to recognise a kind of business from its columns,
+// and what to look at once it's recognised
+// A pack is plain config:
+//   { id, name, signals: [{ match, weight }], focus, guidance, kpis: [{ name, description, needs }], suggestedQuestions }
+// Signals are words matched against the words of column names ("sales_rep" and "SalesRep" both hold
+// "rep"); every pack is scored and the best one wins. A KPI's "needs" lists one column hint per input,
+// alternatives separated by "|", e.g. ['revenue|sales|amount', 'order|transaction'].
+// More packs can be registered in code (registerDomainPack) or listed in the JSON file named by DOMAIN_PACKS_FILE.
+
+require('dotenv').config();
+const fs = require('fs');
+
+const GENERAL_DOMAIN = 'general';
+// A pack needs at least this score to be chosen over the general one
+const MIN_SCORE = 2;
+// Scores from here on count as full-strength evidence
+const CONFIDENT_SCORE = 6;
+
+const BUILT_IN_PACKS = [
+  {
+    id: 'retail',
+    name: 'retail/e-commerce',
+    signals: [
+      { match: 'product', weight: 2 }, { match: 'sku', weight: 3 }, { match: 'inventory', weight: 3 },
+      { match: 'stock', weight: 2 }, { match: 'item', weight: 1 }, { match: 'category', weight: 1 },
+      { match: 'brand', weight: 2 }, { match: 'cart', weight: 3 }, { match: 'shipping', weight: 2 },
+      { match: 'units', weight: 1 }, { match: 'quantity', weight: 1 }, { match: 'discount', weight: 1 }
+    ],
+    focus: 'product performance, inventory optimization, customer behavior, seasonal trends, revenue growth',
+    guidance: 'Compare products and categories on revenue, units and margin; look for slow movers tying up inventory, seasonal peaks to stock for, and price or discount changes that moved volume.',
+    kpis: [
+      { name: 'Average order value', description: 'revenue per order', needs: ['revenue|sales|amount|total', 'order|transaction|invoice'] },
+      { name: 'Units per order', description: 'units sold per order', needs: ['units|quantity|qty', 'order|transaction|invoice'] },
+      { name: 'Average selling price', description: 'revenue per unit sold', needs: ['revenue|sales|amount', 'units|quantity|qty'] },
+      { name: 'Sell-through rate', description: 'units sold / (units sold + units in stock)', needs: ['units|quantity|sold', 'inventory|stock'] },
+      { name: 'Gross margin', description: '(revenue - cost) / revenue', needs: ['revenue|sales', 'cost|cogs'] }
+    ],
+    suggestedQuestions: [
+      'Which products bring in the most revenue?',
+      'Which categories are growing or shrinking?',
+      'Where is inventory building up?'
+    ]
+  },
+  {
+    id: 'service',
+    name: 'service business',
+    signals: [
+      { match: 'service', weight: 3 }, { match: 'appointment', weight: 3 }, { match: 'booking', weight: 2 },
+      { match: 'client', weight: 2 }, { match: 'customer', weight: 1 }, { match: 'satisfaction', weight: 2 },
+      { match: 'billable', weight: 3 }, { match: 'hours', weight: 1 }, { match: 'consultant', weight: 2 },
+      { match: 'technician', weight: 2 }, { match: 'ticket', weight: 1 }
+    ],
+    focus: 'customer retention, service efficiency, pricing optimization, client satisfaction, operational growth',
+    guidance: 'Look at which services and clients drive revenue, how often clients come back, how well staff time is used, and where satisfaction or no-shows point to problems.',
+    kpis: [
+      { name: 'Revenue per client', description: 'revenue / distinct clients', needs: ['revenue|amount|fee|billing|price', 'client|customer'] },
+      { name: 'Utilisation', description: 'billable hours / available hours', needs: ['billable', 'hours|available|capacity'] },
+      { name: 'Average satisfaction', description: 'mean satisfaction or rating score', needs: ['satisfaction|rating|score|nps'] },
+      { name: 'Repeat client rate', description: 'share of clients with more than one visit', needs: ['client|customer', 'date|appointment|booking'] }
+    ],
+    suggestedQuestions: [
+      'Which services are most profitable?',
+      'How many clients come back for a second visit?',
+      'How does satisfaction vary by service or staff member?'
+    ]
+  },
+  {
+    id: 'sales',
+    name: 'sales/financial business',
+    signals: [
+      { match: 'revenue', weight: 1 }, { match: 'sales', weight: 1 }, { match: 'profit', weight: 2 },
+      { match: 'commission', weight: 3 }, { match: 'deal', weight: 3 }, { match: 'pipeline', weight: 3 },
+      { match: 'opportunity', weight: 2 }, { match: 'quota', weight: 3 }, { match: 'lead', weight: 2 },
+      { match: 'rep', weight: 1 }, { match: 'margin', weight: 1 }, { match: 'stage', weight: 2 }
+    ],
+    focus: 'revenue trends, sales forecasting, conversion rates, market opportunities, profit optimization',
+    guidance: 'Follow revenue and profit over time, compare reps, regions and deal sizes, and point out where conversion or margin is being lost.',
+    kpis: [
+      { name: 'Average deal size', description: 'revenue per deal', needs: ['deal|amount|value|revenue'] },
+      { name: 'Win rate', description: 'won deals / closed deals', needs: ['stage|status|won|outcome'] },
+      { name: 'Quota attainment', description: 'sales / quota', needs: ['revenue|sales|amount', 'quota|target'] },
+      { name: 'Commission rate', description: 'commission / revenue', needs: ['commission', 'revenue|sales|amount'] },
+      { name: 'Profit margin', description: 'profit / revenue', needs: ['profit|margin', 'revenue|sales'] }
+    ],
+    suggestedQuestions: [
+      'Which reps or regions are above or below target?',
+      'How is revenue trending month over month?',
+      'Where are we losing margin?'
+    ]
+  },
+  {
+    id: 'restaurant',
+    name: 'restaurant/food service',
+    signals: [
+      { match: 'menu', weight: 3 }, { match: 'dish', weight: 3 }, { match: 'covers', weight: 3 },
+      { match: 'table', weight: 2 }, { match: 'reservation', weight: 2 }, { match: 'tip', weight: 2 },
+      { match: 'meal', weight: 2 }, { match: 'kitchen', weight: 2 }, { match: 'food', weight: 2 },
+      { match: 'beverage', weight: 2 }, { match: 'server', weight: 1 }, { match: 'check', weight: 1 },
+      { match: 'order', weight: 1 }
+    ],
+    focus: 'menu optimization, customer preferences, operational efficiency, revenue per table, seasonal patterns',
+    guidance: 'Compare menu items on popularity and revenue, look at busy and quiet days or hours, and how quickly tables turn over.',
+    kpis: [
+      { name: 'Average check', description: 'revenue per check or order', needs: ['revenue|sales|total|amount', 'check|order|ticket|bill'] },
+      { name: 'Revenue per cover', description: 'revenue per guest served', needs: ['revenue|sales|total|amount', 'covers|guests|party'] },
+      { name: 'Table turnover', description: 'parties seated per table per day', needs: ['table', 'date|time|day'] },
+      { name: 'Food cost percentage', description: 'food cost / food revenue', needs: ['cost|cogs', 'revenue|sales'] },
+      { name: 'Item popularity', description: 'quantity sold per menu item', needs: ['menu|item|dish', 'quantity|units|qty|sold'] }
+    ],
+    suggestedQuestions: [
+      'Which menu items sell best, and which earn the most?',
+      'What are our busiest days and hours?',
+      'How much does the average table spend?'
+    ]
+  },
+  {
+    id: GENERAL_DOMAIN,
+    name: 'general business',
+    signals: [],
+    focus: 'growth opportunities, operational efficiency, revenue optimization, market insights, strategic planning',
+    guidance: 'Find the biggest contributors, the clearest trends and anything unusual, and turn them into practical next steps.',
+    kpis: [
+      { name: 'Total revenue', description: 'sum of revenue', needs: ['revenue|sales|amount|total'] },
+      { name: 'Growth rate', description: 'change in revenue from one period to the next', needs: ['revenue|sales|amount|total', 'date|month|period|year|quarter'] }
+    ],
+    suggestedQuestions: [
+      'What are the main trends in this data?',
+      'What stands out as unusual?',
+      'Where is the biggest opportunity?'
+    ]
+  }
+];
+
+const packs = new Map();
+
+/**
+ * Words of a column name: "SalesRep" and "sales_rep" both give ["sales", "rep"]
+ */
+function nameWords(column) {
+  return String(column)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// "product" matches the words "product" and "products"
+function columnMatches(column, hint) {
+  return nameWords(column).some(word => word.startsWith(hint));
+}
+
+/**
+ * Add or replace a domain pack
+ */
+function registerDomainPack(pack) {
+  if (!pack || typeof pack.id !== 'string' || !pack.id.trim()) throw new Error('Domain pack needs an "id"');
+  if (typeof pack.name !== 'string' || !pack.name.trim()) throw new Error(`Domain pack "${pack.id}" needs a "name"`);
+  const signals = pack.signals || [];
+  if (!Array.isArray(signals) || signals.some(s => !s || typeof s.match !== 'string' || typeof s.weight !== 'number')) {
+    throw new Error(`Domain pack "${pack.id}" signals must be [{ match, weight }]`);
+  }
+  packs.set(pack.id, {
+    id: pack.id,
+    name: pack.name,
+    signals: signals.map(s => ({ match: s.match.toLowerCase(), weight: s.weight })),
+    focus: pack.focus || '',
+    guidance: pack.guidance || '',
+    kpis: Array.isArray(pack.kpis) ? pack.kpis : [],
+    suggestedQuestions: Array.isArray(pack.suggestedQuestions) ? pack.suggestedQuestions : []
+  });
+}
+
+/**
+ * Packs from DOMAIN_PACKS_FILE, if set; a pack with a built-in id replaces the built-in one
+ */
+function loadPackFile() {
+  const file = process.env.DOMAIN_PACKS_FILE;
+  if (!file) return;
+  try {
+    const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(extra)) throw new Error('expected a JSON array');
+    extra.forEach(registerDomainPack);
+  } catch (err) {
+    console.error(`Failed to load domain packs from ${file}:`, err.message);
+  }
+}
+
+BUILT_IN_PACKS.forEach(registerDomainPack);
+loadPackFile();
+
+/**
+ * A pack by id, or by its display name (e.g. "retail/e-commerce"); null when unknown
+ */
+function getDomainPack(idOrName) {
+  if (typeof idOrName !== 'string') return null;
+  const key = idOrName.trim().toLowerCase();
+  return Array.from(packs.values()).find(p => p.id.toLowerCase() === key || p.name.toLowerCase() === key) || null;
+}
+
+function listDomainPacks() {
+  return Array.from(packs.values()).map(({ id, name, focus, kpis, suggestedQuestions }) => ({ id, name, focus, kpis, suggestedQuestions }));
+}
+
+/**
+ * The pack's KPIs with the columns that can feed them; a KPI is available when every input has a
+ * matching column (a column feeds one input only)
+ */
+function matchKpis(pack, columns) {
+  return pack.kpis.map(kpi => {
+    const used = [];
+    (kpi.needs || []).forEach(need => {
+      const hints = need.toLowerCase().split('|');
+      const column = columns.find(c => !used.includes(c) && hints.some(hint => columnMatches(c, hint)));
+      used.push(column || null);
+    });
+    return {
+      name: kpi.name,
+      description: kpi.description,
+      columns: used,
+      available: used.every(Boolean)
+    };
+  });
+}
+
+function describeDomain(pack, columns, { confidence, overridden, scores }) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    confidence,
+    overridden,
+    scores,
+    focus: pack.focus,
+    guidance: pack.guidance,
+    kpis: matchKpis(pack, columns),
+    suggestedQuestions: pack.suggestedQuestions
+  };
+}
+
+/**
+ * Score every pack against the column names and pick the best
+ * columns - column names, or rows to take them from
+ * Returns { id, name, confidence (0-1), overridden: false, scores: [{ id, score, matched }], focus, guidance, kpis, suggestedQuestions }
+ */
+function detectDomain(columns) {
+  const names = Array.isArray(columns) && typeof columns[0] === 'object' && columns[0] !== null
+    ? Object.keys(columns[0])
+    : (columns || []);
+  const scores = Array.from(packs.values())
+    .filter(pack => pack.id !== GENERAL_DOMAIN)
+    .map(pack => {
+      // Each signal counts once, however many columns carry it
+      const hits = pack.signals.filter(signal => names.some(c => columnMatches(c, signal.match)));
+      return {
+        id: pack.id,
+        score: hits.reduce((sum, s) => sum + s.weight, 0),
+        matched: names.filter(c => hits.some(s => columnMatches(c, s.match)))
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (!best || best.score < MIN_SCORE) {
+    return describeDomain(packs.get(GENERAL_DOMAIN), names, { confidence: 0, overridden: false, scores });
+  }
+  // Strong evidence that clearly beats the next pack gives a confidence near 1
+  const margin = best.score / (best.score + (runnerUp ? runnerUp.score : 0));
+  const confidence = Number((Math.min(1, best.score / CONFIDENT_SCORE) * margin).toFixed(2));
+  return describeDomain(packs.get(best.id), names, { confidence, overridden: false, scores });
+}
+
+/**
+ * Detect the domain, unless the user chose one (override: pack id or name)
+ * Throws for an unknown override
+ */
+function resolveDomain(columns, override = null) {
+  const detected = detectDomain(columns);
+  if (!override) return detected;
+  const pack = getDomainPack(override);
+  if (!pack) throw new Error(`Unknown domain "${override}". Available: ${Array.from(packs.keys()).join(', ')}`);
+  const names = Array.isArray(columns) && typeof columns[0] === 'object' && columns[0] !== null ? Object.keys(columns[0]) : (columns || []);
+  return describeDomain(pack, names, { confidence: 1, overridden: true, scores: detected.scores });
+}
+
+/**
+ * The parts of a resolved domain clients need in response metadata
+ */
+function domainSummary(domain) {
+  return domain ? { id: domain.id, name: domain.name, confidence: domain.confidence, overridden: domain.overridden } : null;
+}
+
+/**
+ * Business context block for prompts
+ */
+function formatDomainContext(domain) {
+  if (!domain) return '';
+  const source = domain.overridden
+    ? 'chosen by the user'
+    : domain.id === GENERAL_DOMAIN ? 'no specific domain recognised' : `detected from the columns, confidence ${domain.confidence}`;
+  const kpis = domain.kpis.map(k => (k.available
+    ? `- ${k.name}: ${k.description} (from ${k.columns.join(', ')})`
+    : `- ${k.name}: ${k.description} (not in this data)`)).join('\n');
+  return `BUSINESS CONTEXT:
+- Business Type: ${domain.name} (${source})
+- Focus Areas: ${domain.focus}
+- Guidance: ${domain.guidance}
+- Priority: Practical insights that business owners can implement immediately
+KEY METRICS FOR THIS KIND OF BUSINESS:
+${kpis || '- none'}
+QUESTIONS WORTH ANSWERING: ${domain.suggestedQuestions.join(' ')}`;
+}
+
+module.exports = {
+  GENERAL_DOMAIN,
+  registerDomainPack,
+  getDomainPack,
+  listDomainPacks,
+  detectDomain,
+  resolveDomain,
+  domainSummary,
+  formatDomainContext
+};
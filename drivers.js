@@ -0,0 +1,368 @@
+// drivers.js - What moves a metric: correlations, category contributions and a linear regression
+// Numeric columns are compared with the target by Pearson (linear) and Spearman (rank) correlation,
+// category columns by how much of the target's spread they explain and how much each value
+// contributes, and the numeric drivers are fitted together by least squares. The results come back
+// as a table in the computed result shape, with a chart spec drawn from it.
+
+const { toNumber, resolveColumn } = require('./queryEngine');
+const { profileDataset, isNumericType } = require('./profiler');
+const { pickMetric } = require('./forecasting');
+const { validateChartSpec, fillChartFromResult } = require('./chartSpec');
+
+const MIN_ROWS = 10;
+const MAX_CATEGORIES = 20;
+const MAX_CONTRIBUTIONS = 10;
+const MAX_PREDICTORS = 8;
+const TABLE_COLUMNS = ['driver', 'kind', 'pearson', 'spearman', 'eta', 'coefficient', 'standardized', 'strength'];
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Pearson correlation of two equal-length number arrays (null when either is constant)
+ */
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+// Ranks starting at 1, ties sharing their average rank
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k].index] = rank;
+    i = j + 1;
+  }
+  return result;
+}
+
+/**
+ * Spearman rank correlation: Pearson over the ranks, so any steadily rising or falling link counts
+ */
+function spearman(xs, ys) {
+  return pearson(ranks(xs), ranks(ys));
+}
+
+function strengthLabel(value) {
+  const size = Math.abs(value);
+  if (size >= 0.7) return 'strong';
+  if (size >= 0.4) return 'moderate';
+  if (size >= 0.2) return 'weak';
+  return 'no clear';
+}
+
+/**
+ * Numeric and category columns from the dataset profile; identifiers, dates and free text are left out
+ */
+function classifyColumns(rows, profile) {
+  const columns = (profile || profileDataset(rows)).columns;
+  return {
+    numeric: columns.filter(c => isNumericType(c.type)).map(c => c.name),
+    categorical: columns
+      .filter(c => (c.type === 'category' || c.type === 'boolean') && c.distinctCount >= 2 && c.distinctCount <= MAX_CATEGORIES)
+      .map(c => c.name)
+  };
+}
+
+/**
+ * The target is a numeric column named in the question - the last one named, since "how do units
+ * affect revenue" asks about revenue - or the usual metric otherwise
+ */
+function pickTarget(rows, numeric, question, preferred) {
+  if (preferred) {
+    const column = resolveColumn(preferred, numeric);
+    if (!column) throw new Error(`Unknown or non-numeric target column "${preferred}"`);
+    return column;
+  }
+  const lowerQuestion = (question || '').toLowerCase();
+  const mentioned = numeric
+    .map(column => ({ column, at: lowerQuestion.lastIndexOf(column.toLowerCase()) }))
+    .filter(m => m.at !== -1)
+    .sort((a, b) => b.at - a.at);
+  if (mentioned.length > 0) return mentioned[0].column;
+  const metric = pickMetric(rows, '', null);
+  return numeric.includes(metric) ? metric : numeric[0];
+}
+
+function numericCorrelation(rows, target, column) {
+  const xs = [];
+  const ys = [];
+  let identical = true;
+  rows.forEach(row => {
+    const x = toNumber(row[column]);
+    const y = toNumber(row[target]);
+    if (x === null || y === null) return;
+    xs.push(x);
+    ys.push(y);
+    if (x !== y) identical = false;
+  });
+  // A copy of the target isn't a driver of it
+  if (xs.length < MIN_ROWS || identical) return null;
+  const r = pearson(xs, ys);
+  if (r === null) return null;
+  return { column, pearson: r, spearman: spearman(xs, ys), rows: xs.length };
+}
+
+/**
+ * How the target splits across a category column: each value's total, share and average, and eta -
+ * the square root of the share of the target's variance explained by the category (0 to 1)
+ */
+function categoryContribution(rows, target, column) {
+  const groups = new Map();
+  const values = [];
+  rows.forEach(row => {
+    const key = row[column];
+    const y = toNumber(row[target]);
+    if (key === null || key === undefined || key === '' || y === null) return;
+    if (!groups.has(String(key))) groups.set(String(key), []);
+    groups.get(String(key)).push(y);
+    values.push(y);
+  });
+  if (groups.size < 2 || values.length < MIN_ROWS) return null;
+
+  const overall = mean(values);
+  const total = values.reduce((a, b) => a + b, 0);
+  const totalSquares = values.reduce((sum, y) => sum + (y - overall) ** 2, 0);
+  let betweenSquares = 0;
+  const categories = Array.from(groups.entries()).map(([value, ys]) => {
+    const sum = ys.reduce((a, b) => a + b, 0);
+    const average = sum / ys.length;
+    betweenSquares += ys.length * (average - overall) ** 2;
+    return {
+      value,
+      total: round(sum),
+      share: total === 0 ? null : round(sum / total, 3),
+      average: round(average),
+      vsAverage: round(average - overall),
+      rows: ys.length
+    };
+  });
+  return {
+    column,
+    eta: totalSquares === 0 ? 0 : Math.sqrt(betweenSquares / totalSquares),
+    average: round(overall),
+    categories: categories.sort((a, b) => b.total - a.total).slice(0, MAX_CONTRIBUTIONS)
+  };
+}
+
+// Solve a x = b by Gauss-Jordan elimination
+// Returns { x }, or { singular } with the first column that is a combination of the ones before it
+function solve(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => row.concat(b[i]));
+  // A pivot this small next to the column's own sum of squares means the column repeats the others
+  const scale = a.map((row, i) => Math.abs(row[i]));
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (Math.abs(m[pivot][col]) <= 1e-9 * scale[col]) return { singular: col };
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+    }
+  }
+  return { x: m.map((row, i) => row[n] / row[i]) };
+}
+
+/**
+ * Least squares fit of the target on several numeric columns
+ * predictors - strongest first; one that is an exact combination of those before it is dropped
+ * Returns { target, predictors, intercept, coefficients: [{ column, coefficient, standardized }], rSquared, adjustedRSquared, rows, dropped } or null
+ */
+function fitRegression(rows, target, predictors) {
+  const columns = predictors.slice();
+  const dropped = [];
+  while (columns.length > 0) {
+    const points = [];
+    rows.forEach(row => {
+      const y = toNumber(row[target]);
+      if (y === null) return;
+      const xs = columns.map(c => toNumber(row[c]));
+      if (xs.some(x => x === null)) return;
+      points.push({ xs, y });
+    });
+    const k = columns.length;
+    if (points.length < Math.max(MIN_ROWS, k + 2)) return null;
+
+    // Centring first keeps the normal equations well conditioned and gives the intercept for free
+    const means = columns.map((_, j) => mean(points.map(p => p.xs[j])));
+    const yMean = mean(points.map(p => p.y));
+    const xtx = columns.map(() => new Array(k).fill(0));
+    const xty = new Array(k).fill(0);
+    points.forEach(({ xs, y }) => {
+      for (let i = 0; i < k; i++) {
+        const xi = xs[i] - means[i];
+        xty[i] += xi * (y - yMean);
+        for (let j = 0; j < k; j++) xtx[i][j] += xi * (xs[j] - means[j]);
+      }
+    });
+    const { x: coefficients, singular } = solve(xtx, xty);
+    if (!coefficients) {
+      dropped.push(columns.splice(singular, 1)[0]);
+      continue;
+    }
+
+    const intercept = yMean - coefficients.reduce((sum, b, j) => sum + b * means[j], 0);
+    let residualSquares = 0;
+    let totalSquares = 0;
+    points.forEach(({ xs, y }) => {
+      const fitted = intercept + coefficients.reduce((sum, b, j) => sum + b * xs[j], 0);
+      residualSquares += (y - fitted) ** 2;
+      totalSquares += (y - yMean) ** 2;
+    });
+    const n = points.length;
+    const rSquared = totalSquares === 0 ? 0 : Math.max(0, 1 - residualSquares / totalSquares);
+    const ySd = Math.sqrt(totalSquares / (n - 1));
+    return {
+      target,
+      predictors: columns,
+      intercept: round(intercept, 4),
+      coefficients: columns.map((column, j) => {
+        const xSd = Math.sqrt(xtx[j][j] / (n - 1));
+        return { column, coefficient: round(coefficients[j], 4), standardized: ySd === 0 ? null : round(coefficients[j] * xSd / ySd, 3) };
+      }),
+      rSquared: round(rSquared, 3),
+      adjustedRSquared: n - k - 1 > 0 ? round(1 - (1 - rSquared) * (n - 1) / (n - k - 1), 3) : null,
+      rows: n,
+      dropped
+    };
+  }
+  return null;
+}
+
+/**
+ * Analyse what drives a numeric target
+ * options: target (column), question (to find the target in), profile (dataset profile, computed when missing)
+ * Returns { target, rows, correlations, contributions, regression, table: { columns, rows }, chart, skipped }
+ */
+function analyzeDrivers(data, options = {}) {
+  if (!Array.isArray(data) || data.length < MIN_ROWS) {
+    throw new Error(`Need at least ${MIN_ROWS} rows to look for drivers`);
+  }
+  const { numeric, categorical } = classifyColumns(data, options.profile);
+  if (numeric.length === 0) throw new Error('No numeric column found to explain');
+  const target = pickTarget(data, numeric, options.question, options.target);
+
+  const skipped = [];
+  const correlations = numeric
+    .filter(column => column !== target)
+    .map(column => {
+      const found = numericCorrelation(data, target, column);
+      if (!found) skipped.push({ column, reason: 'too few values, constant, or a copy of the target' });
+      return found;
+    })
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(b.pearson) - Math.abs(a.pearson));
+  const contributions = categorical
+    .map(column => categoryContribution(data, target, column))
+    .filter(Boolean)
+    .sort((a, b) => b.eta - a.eta);
+  if (correlations.length === 0 && contributions.length === 0) {
+    throw new Error(`No other numeric or category column to compare with ${target}`);
+  }
+
+  const regression = correlations.length > 0
+    ? fitRegression(data, target, correlations.slice(0, MAX_PREDICTORS).map(c => c.column))
+    : null;
+  const coefficientOf = (column) => (regression ? regression.coefficients.find(c => c.column === column) : null);
+
+  const tableRows = correlations.map(c => ({
+    driver: c.column,
+    kind: 'numeric',
+    pearson: round(c.pearson, 3),
+    spearman: round(c.spearman, 3),
+    eta: null,
+    coefficient: coefficientOf(c.column) ? coefficientOf(c.column).coefficient : null,
+    standardized: coefficientOf(c.column) ? coefficientOf(c.column).standardized : null,
+    strength: round(Math.max(Math.abs(c.pearson), Math.abs(c.spearman)), 3)
+  })).concat(contributions.map(c => ({
+    driver: c.column,
+    kind: 'category',
+    pearson: null,
+    spearman: null,
+    eta: round(c.eta, 3),
+    coefficient: null,
+    standardized: null,
+    strength: round(c.eta, 3)
+  }))).sort((a, b) => b.strength - a.strength);
+  const table = { columns: TABLE_COLUMNS, rows: tableRows };
+
+  const spec = validateChartSpec({
+    version: 2,
+    type: 'bar',
+    title: `What moves ${target}`,
+    x: { field: 'driver', title: 'Driver' },
+    y: { title: 'Strength of link (0 to 1)' },
+    series: [{ name: 'Strength', field: 'strength' }]
+  }).value;
+
+  return {
+    target,
+    rows: data.length,
+    correlations: correlations.map(c => ({ ...c, pearson: round(c.pearson, 3), spearman: round(c.spearman, 3), strength: strengthLabel(Math.max(Math.abs(c.pearson), Math.abs(c.spearman))) })),
+    contributions: contributions.map(c => ({ ...c, eta: round(c.eta, 3) })),
+    regression,
+    table,
+    chart: fillChartFromResult(spec, table).chart,
+    skipped
+  };
+}
+
+/**
+ * Format a driver analysis as prompt text for the model to explain
+ */
+function formatDrivers(result) {
+  if (!result) return '';
+  const numeric = result.correlations.length > 0
+    ? result.correlations.map(c => `- ${c.column}: r = ${c.pearson}, rho = ${c.spearman} (${c.strength} ${c.pearson >= 0 ? 'positive' : 'negative'} link, ${c.rows} rows)`).join('\n')
+    : '- none';
+  const categories = result.contributions.length > 0
+    ? result.contributions.map(c => {
+      const parts = c.categories.map(v => `${v.value} ${v.share === null ? '' : `${round(v.share * 100, 1)}% of total, `}avg ${v.average}`);
+      return `- ${c.column}: eta = ${c.eta}; overall avg ${c.average}; ${parts.join('; ')}`;
+    }).join('\n')
+    : '- none';
+  const regression = result.regression
+    ? `${result.target} = ${result.regression.intercept} ${result.regression.coefficients.map(c => `${c.coefficient >= 0 ? '+' : '-'} ${Math.abs(c.coefficient)} x ${c.column}`).join(' ')}
+R² = ${result.regression.rSquared}${result.regression.adjustedRSquared === null ? '' : ` (adjusted ${result.regression.adjustedRSquared})`} over ${result.regression.rows} rows; standardized coefficients: ${result.regression.coefficients.map(c => `${c.column} ${c.standardized}`).join(', ')}${result.regression.dropped.length > 0 ? `; left out as redundant: ${result.regression.dropped.join(', ')}` : ''}`
+    : 'not fitted (no usable numeric drivers)';
+
+  return `DRIVER ANALYSIS for ${result.target} (computed by the server over ${result.rows} rows):
+Numeric columns (Pearson r measures a straight-line link, Spearman rho any steady rise or fall; -1 to 1):
+${numeric}
+Categories (eta = how much of the spread in ${result.target} the category explains, 0 to 1; top values by total):
+${categories}
+Linear regression on the numeric columns:
+${regression}
+
+Explain which drivers matter most using these numbers. They show association, not cause - say so where it matters, and mention when R² is low that other factors explain most of the variation.`;
+}
+
+module.exports = {
+  pearson,
+  spearman,
+  analyzeDrivers,
+  fitRegression,
+  formatDrivers
+};
@@ -0,0 +1,440 @@
+// expression.js - A small, safe expression language for derived columns and row filters
+// Expressions are parsed into a tree and interpreted - nothing is ever passed to eval or Function
+//
+//   Revenue - Cost                         arithmetic on columns
+//   [Unit Price] * Quantity                brackets for names with spaces
+//   `Qty [pcs]` * 2                        backticks for names with brackets
+//   if(Region = 'North', 'N', 'Other')     functions
+//   Revenue > 1000 and not isnull(Email)   comparisons and logic
+
+const { parseNumericValue } = require('./numberFormat');
+const { parseDateCell } = require('./calendar');
+
+/**
+ * Raised for expressions that don't parse or reference unknown columns / functions
+ */
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position + 1})`);
+    this.name = 'ExpressionError';
+    this.code = 'INVALID_EXPRESSION';
+    this.position = position;
+  }
+}
+
+const KEYWORDS = { and: 'and', or: 'or', not: 'not', true: true, false: false, null: null };
+const COMPARISONS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    const start = i;
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(text[i + 1]))) {
+      const match = text.slice(i).match(/^\d*\.?\d+([eE][-+]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw new ExpressionError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (char === '[' || char === '`') {
+      const close = char === '[' ? ']' : '`';
+      const end = text.indexOf(close, i + 1);
+      if (end === -1) throw new ExpressionError(`Missing closing ${close}`, start);
+      tokens.push({ type: 'column', value: text.slice(i + 1, end), position: start });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+      const word = match[0];
+      const lower = word.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, lower)) {
+        const keyword = KEYWORDS[lower];
+        tokens.push(typeof keyword === 'string'
+          ? { type: 'operator', value: keyword, position: start }
+          : { type: 'literal', value: keyword, position: start });
+      } else {
+        tokens.push({ type: 'name', value: word, position: start });
+      }
+      i += word.length;
+    } else {
+      const two = text.slice(i, i + 2);
+      if (['==', '!=', '<>', '<=', '>=', '&&', '||'].includes(two)) {
+        tokens.push({ type: 'operator', value: two === '&&' ? 'and' : two === '||' ? 'or' : two, position: start });
+        i += 2;
+      } else if ('+-*/%<>=!(),'.includes(char)) {
+        tokens.push({ type: char === '(' || char === ')' || char === ',' ? char : 'operator', value: char === '!' ? 'not' : char, position: start });
+        i++;
+      } else {
+        throw new ExpressionError(`Unexpected character "${char}"`, start);
+      }
+    }
+  }
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a tree of { type, ... } nodes
+ */
+function parse(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const expect = (type) => {
+    const token = peek();
+    if (token.type !== type) throw new ExpressionError(`Expected "${type}"`, token.position);
+    index++;
+    return token;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOperator('or')) {
+      index++;
+      node = { type: 'logical', operator: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isOperator('and')) {
+      index++;
+      node = { type: 'logical', operator: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isOperator('not')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const node = parseAdditive();
+    if (isOperator(...COMPARISONS)) {
+      const operator = tokens[index++].value;
+      return { type: 'compare', operator, left: node, right: parseAdditive() };
+    }
+    return node;
+  }
+
+  function parseAdditive() {
+    let node = parseMultiplicative();
+    while (isOperator('+', '-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'arithmetic', operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  }
+
+  function parseMultiplicative() {
+    let node = parseUnary();
+    while (isOperator('*', '/', '%')) {
+      const operator = tokens[index++].value;
+      node = { type: 'arithmetic', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator('-')) {
+      index++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    if (isOperator('+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        index++;
+        return { type: 'value', value: token.value };
+      case 'column':
+        index++;
+        return { type: 'column', name: token.value, position: token.position };
+      case 'name': {
+        index++;
+        if (peek().type !== '(') return { type: 'column', name: token.value, position: token.position };
+        index++;
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseOr());
+          while (peek().type === ',') {
+            index++;
+            args.push(parseOr());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value.toLowerCase(), args, position: token.position };
+      }
+      case '(': {
+        index++;
+        const node = parseOr();
+        expect(')');
+        return node;
+      }
+      default:
+        throw new ExpressionError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`, token.position);
+    }
+  }
+
+  if (peek().type === 'end') throw new ExpressionError('Expression is empty');
+  const tree = parseOr();
+  if (peek().type !== 'end') throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+  return tree;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return parseNumericValue(value);
+}
+
+function toText(value) {
+  return isEmpty(value) ? '' : String(value);
+}
+
+function truthy(value) {
+  if (isEmpty(value)) return false;
+  if (typeof value === 'string') return !['false', '0', 'no', 'n'].includes(value.trim().toLowerCase());
+  return Boolean(value);
+}
+
+function dateParts(value) {
+  const parsed = parseDateCell(value);
+  if (!parsed || parsed.time === undefined) return null;
+  return new Date(parsed.time);
+}
+
+const FUNCTIONS = {
+  upper: { args: [1, 1], fn: (s) => toText(s).toUpperCase() },
+  lower: { args: [1, 1], fn: (s) => toText(s).toLowerCase() },
+  trim: { args: [1, 1], fn: (s) => toText(s).trim() },
+  len: { args: [1, 1], fn: (s) => toText(s).length },
+  concat: { args: [1, Infinity], fn: (...parts) => parts.map(toText).join('') },
+  substr: {
+    args: [2, 3],
+    // 1-based start, like spreadsheet MID()
+    fn: (s, start, length) => {
+      const from = Math.max(0, (toNumber(start) || 1) - 1);
+      return length === undefined ? toText(s).slice(from) : toText(s).substr(from, toNumber(length) || 0);
+    }
+  },
+  replace: { args: [3, 3], fn: (s, find, replacement) => toText(s).split(toText(find)).join(toText(replacement)) },
+  contains: { args: [2, 2], fn: (s, part) => toText(s).toLowerCase().includes(toText(part).toLowerCase()) },
+  startswith: { args: [2, 2], fn: (s, part) => toText(s).toLowerCase().startsWith(toText(part).toLowerCase()) },
+  endswith: { args: [2, 2], fn: (s, part) => toText(s).toLowerCase().endsWith(toText(part).toLowerCase()) },
+  round: {
+    args: [1, 2],
+    fn: (x, digits) => {
+      const num = toNumber(x);
+      if (num === null) return null;
+      const factor = 10 ** (toNumber(digits) || 0);
+      return Math.round(num * factor) / factor;
+    }
+  },
+  floor: { args: [1, 1], fn: (x) => (toNumber(x) === null ? null : Math.floor(toNumber(x))) },
+  ceil: { args: [1, 1], fn: (x) => (toNumber(x) === null ? null : Math.ceil(toNumber(x))) },
+  abs: { args: [1, 1], fn: (x) => (toNumber(x) === null ? null : Math.abs(toNumber(x))) },
+  min: { args: [1, Infinity], fn: (...xs) => { const n = xs.map(toNumber).filter(v => v !== null); return n.length ? Math.min(...n) : null; } },
+  max: { args: [1, Infinity], fn: (...xs) => { const n = xs.map(toNumber).filter(v => v !== null); return n.length ? Math.max(...n) : null; } },
+  number: { args: [1, 1], fn: (x) => toNumber(x) },
+  text: { args: [1, 1], fn: (x) => toText(x) },
+  isnull: { args: [1, 1], fn: (x) => isEmpty(x) || (typeof x === 'string' && x.trim() === '') },
+  coalesce: { args: [1, Infinity], fn: (...xs) => { const found = xs.find(x => !isEmpty(x)); return found === undefined ? null : found; } },
+  year: { args: [1, 1], fn: (d) => { const date = dateParts(d); return date ? date.getUTCFullYear() : null; } },
+  month: { args: [1, 1], fn: (d) => { const date = dateParts(d); return date ? date.getUTCMonth() + 1 : null; } },
+  day: { args: [1, 1], fn: (d) => { const date = dateParts(d); return date ? date.getUTCDate() : null; } },
+  // ISO "YYYY-MM-DD", so dates compare correctly as text
+  date: { args: [1, 1], fn: (d) => { const date = dateParts(d); return date ? date.toISOString().slice(0, 10) : null; } }
+};
+
+function compare(operator, left, right) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  let cmp;
+  if (a !== null && b !== null) {
+    cmp = a === b ? 0 : a < b ? -1 : 1;
+  } else {
+    // Text compares case-insensitively, like query filters
+    const x = toText(left).trim().toLowerCase();
+    const y = toText(right).trim().toLowerCase();
+    if (operator === '<' || operator === '<=' || operator === '>' || operator === '>=') {
+      if (isEmpty(left) || isEmpty(right)) return false;
+    }
+    cmp = x === y ? 0 : x < y ? -1 : 1;
+  }
+  switch (operator) {
+    case '=':
+    case '==':
+      return cmp === 0;
+    case '!=':
+    case '<>':
+      return cmp !== 0;
+    case '<':
+      return cmp < 0;
+    case '<=':
+      return cmp <= 0;
+    case '>':
+      return cmp > 0;
+    default:
+      return cmp >= 0;
+  }
+}
+
+function arithmetic(operator, left, right) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+  switch (operator) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+      return b === 0 ? null : a / b;
+    default:
+      return b === 0 ? null : a % b;
+  }
+}
+
+/**
+ * Reference a column in a generated expression: [Name], or `Name` when the name itself contains "]"
+ */
+function columnRef(name) {
+  return name.includes(']') ? `\`${name}\`` : `[${name}]`;
+}
+
+/**
+ * Parse an expression once and return something that evaluates it per row
+ * options.columns - the dataset's columns; names resolve case-insensitively and unknown ones are rejected
+ * options.functions - extra functions { name: { args: [min, max], fn } }, or { aggregate: true } for functions
+ *   of a whole column such as sum(Revenue): the caller computes them and passes the value in the row under
+ *   the call's key ("sum(Revenue)")
+ * Returns { evaluate(row), columns, aggregates } where columns lists the columns the expression reads and
+ * aggregates the aggregate calls as [{ key, name, column }]
+ */
+function compileExpression(text, { columns = null, functions = {} } = {}) {
+  if (typeof text !== 'string') throw new ExpressionError('Expression must be a string');
+  const tree = parse(text);
+  // No prototype, so names like constructor() are unknown functions rather than Object members
+  const library = Object.assign(Object.create(null), FUNCTIONS);
+  Object.entries(functions).forEach(([name, definition]) => { library[name.toLowerCase()] = definition; });
+  const used = new Set();
+  const aggregates = new Map();
+
+  // Resolve column names and check function calls before evaluating any row
+  (function check(node) {
+    if (node.type === 'column') {
+      if (columns) {
+        const lower = node.name.toLowerCase();
+        const resolved = columns.includes(node.name) ? node.name : columns.find(c => c.toLowerCase() === lower);
+        if (!resolved) throw new ExpressionError(`Unknown column "${node.name}"`, node.position);
+        node.name = resolved;
+      }
+      used.add(node.name);
+    } else if (node.type === 'call' && library[node.name] && library[node.name].aggregate) {
+      const [arg] = node.args;
+      if (node.args.length !== 1 || arg.type !== 'column') {
+        throw new ExpressionError(`${node.name}() takes one column`, node.position);
+      }
+      check(arg);
+      // From here on the call reads its precomputed value like a column
+      const key = `${node.name}(${arg.name})`;
+      aggregates.set(key, { key, name: node.name, column: arg.name });
+      node.type = 'column';
+      node.name = key;
+    } else if (node.type === 'call') {
+      const definition = library[node.name];
+      if (!definition) throw new ExpressionError(`Unknown function "${node.name}"`, node.position);
+      const [min, max] = definition.args;
+      if (node.args.length < min || node.args.length > max) {
+        throw new ExpressionError(`${node.name}() takes ${min === max ? min : `${min} to ${max === Infinity ? 'any number of' : max}`} argument(s)`, node.position);
+      }
+      node.args.forEach(check);
+    } else {
+      [node.left, node.right, node.operand].filter(Boolean).forEach(check);
+    }
+  })(tree);
+
+  function evaluate(node, row) {
+    switch (node.type) {
+      case 'value':
+        return node.value;
+      case 'column':
+        return row[node.name] === undefined ? null : row[node.name];
+      case 'negate': {
+        const value = toNumber(evaluate(node.operand, row));
+        return value === null ? null : -value;
+      }
+      case 'not':
+        return !truthy(evaluate(node.operand, row));
+      case 'logical':
+        return node.operator === 'and'
+          ? truthy(evaluate(node.left, row)) && truthy(evaluate(node.right, row))
+          : truthy(evaluate(node.left, row)) || truthy(evaluate(node.right, row));
+      case 'compare':
+        return compare(node.operator, evaluate(node.left, row), evaluate(node.right, row));
+      case 'arithmetic':
+        return arithmetic(node.operator, evaluate(node.left, row), evaluate(node.right, row));
+      case 'call': {
+        // if() only evaluates the branch it takes
+        if (node.name === 'if' && !functions.if) {
+          return truthy(evaluate(node.args[0], row))
+            ? evaluate(node.args[1], row)
+            : (node.args[2] ? evaluate(node.args[2], row) : null);
+        }
+        return library[node.name].fn(...node.args.map(arg => evaluate(arg, row)));
+      }
+      default:
+        throw new ExpressionError(`Cannot evaluate ${node.type}`);
+    }
+  }
+
+  return {
+    evaluate: (row) => evaluate(tree, row),
+    columns: Array.from(used),
+    aggregates: Array.from(aggregates.values())
+  };
+}
+
+// if() is special-cased in evaluate; this entry documents and arity-checks it
+FUNCTIONS.if = { args: [2, 3], fn: (condition, a, b) => (truthy(condition) ? a : b) };
+
+module.exports = {
+  ExpressionError,
+  compileExpression,
+  columnRef,
+  truthy,
+  FUNCTIONS
+};
@@ -0,0 +1,392 @@
+// fileFormats.js - Format detection and row readers for uploaded files
+// Every format (CSV, TSV, Excel, JSON, NDJSON, Parquet) is read into the same row model as csv-parser:
+// one object per row, keyed by column name, with every cell as a string
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const csv = require('csv-parser');
+const { sniffDialect, createDecoder, describeDialect, DialectOptionError } = require('./csvDialect');
+const { normalizeNumber } = require('./numberFormat');
+const { toIsoDate } = require('./calendar');
+
+const SUPPORTED_FORMATS = ['csv', 'tsv', 'xlsx', 'json', 'ndjson', 'parquet'];
+
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.xlsx': 'xlsx',
+  '.xlsm': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.parquet': 'parquet'
+};
+
+const PARQUET_BATCH_ROWS = 10000;
+
+/**
+ * Raised for files that can't be read (unsupported format, unknown sheet, malformed content)
+ */
+class FileFormatError extends Error {
+  constructor(message, { code, details = null } = {}) {
+    super(message);
+    this.name = 'FileFormatError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+async function readHead(filePath, bytes = 65536) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Work out a file's format from its first bytes, falling back to the file name
+ * Returns one of SUPPORTED_FORMATS
+ */
+async function detectFormat(filePath, fileName = '') {
+  const head = await readHead(filePath);
+  const magic = head.subarray(0, 4).toString('latin1');
+  if (magic === 'PAR1') return 'parquet';
+  if (magic === 'PK\x03\x04') return 'xlsx';
+  if (head.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))) {
+    throw new FileFormatError('Legacy .xls workbooks are not supported. Save the file as .xlsx and upload it again.', { code: 'UNSUPPORTED_FORMAT' });
+  }
+
+  const byName = EXTENSIONS[path.extname(fileName).toLowerCase()];
+  if (byName && byName !== 'json') return byName;
+
+  // Sniff text content: JSON documents, JSON lines, or delimited text
+  const text = head.toString('utf8').replace(/^﻿/, '');
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('{')) {
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    try {
+      JSON.parse(lines[0]);
+      return lines.length > 1 ? 'ndjson' : 'json';
+    } catch (e) {
+      return 'json';
+    }
+  }
+  if (byName) return byName;
+
+  const firstLine = text.split(/\r?\n/)[0];
+  const tabs = (firstLine.match(/\t/g) || []).length;
+  const commas = (firstLine.match(/,/g) || []).length;
+  return tabs > commas ? 'tsv' : 'csv';
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Turn one typed cell (Excel, JSON, Parquet) into the string the rest of the app expects
+ */
+function toCellString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    const hasTime = value.getUTCHours() || value.getUTCMinutes() || value.getUTCSeconds();
+    return hasTime ? `${date} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}` : date;
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'object') {
+    // Excel cell objects: formulas, rich text, hyperlinks and errors
+    if ('result' in value) return toCellString(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value && 'hyperlink' in value) return toCellString(value.text);
+    if ('error' in value) return '';
+    return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+  }
+  return String(value);
+}
+
+/**
+ * Flatten nested JSON objects into dotted column names ({ customer: { id } } -> "customer.id")
+ * Arrays stay in one cell as JSON
+ */
+function flattenRecord(record, prefix = '', out = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flattenRecord(value, name, out);
+    } else {
+      out[name] = toCellString(value);
+    }
+  });
+  return out;
+}
+
+/**
+ * Give every row the same columns, in first-seen order
+ */
+function unionColumns(records) {
+  const columns = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+  return Array.from(columns);
+}
+
+function alignRow(record, columns) {
+  const row = {};
+  columns.forEach(column => { row[column] = record[column] !== undefined ? record[column] : ''; });
+  return row;
+}
+
+/**
+ * Namer for header cells: blanks become column_<n>, repeats get a numeric suffix
+ */
+function createHeaderNamer() {
+  const seen = new Map();
+  return (cell, index) => {
+    let name = toCellString(cell).trim() || `column_${index + 1}`;
+    const count = seen.get(name.toLowerCase()) || 0;
+    seen.set(name.toLowerCase(), count + 1);
+    if (count > 0) name = `${name}_${count + 1}`;
+    return name;
+  };
+}
+
+function uniqueHeaders(cells) {
+  const name = createHeaderNamer();
+  return cells.map((cell, i) => name(cell, i));
+}
+
+/**
+ * Delimited text, parsed with the sniffed (or overridden) dialect
+ * info gains { dialect, warnings }; comma-decimal numbers are rewritten as "1234.56" and day-first dates
+ * as "2024-04-17", so neither depends on the file's locale later on
+ */
+async function* readDelimited(filePath, overrides, info) {
+  const head = await readHead(filePath);
+  const { size } = await fs.promises.stat(filePath);
+  let dialect;
+  try {
+    dialect = sniffDialect(head, { ...overrides, truncated: size > head.length });
+  } catch (err) {
+    if (err instanceof DialectOptionError) throw new FileFormatError(err.message, { code: err.code });
+    throw err;
+  }
+  info.dialect = describeDialect(dialect);
+  info.warnings = dialect.warnings;
+
+  const nameHeader = createHeaderNamer();
+  const parser = csv({
+    separator: dialect.delimiter,
+    quote: dialect.quote,
+    escape: dialect.quote,
+    skipLines: dialect.skipLines,
+    headers: dialect.hasHeader ? undefined : Array.from({ length: dialect.columnCount }, (_, i) => `column_${i + 1}`),
+    mapHeaders: ({ header, index }) => nameHeader(header, index)
+  });
+  const rows = fs.createReadStream(filePath).pipe(createDecoder(dialect.encoding)).pipe(parser);
+
+  const number = dialect.decimal === ',' ? { decimal: dialect.decimal, thousands: dialect.thousands } : null;
+  const dayFirst = dialect.dateOrder === 'day-first';
+  for await (const row of rows) {
+    if (number || dayFirst) {
+      Object.keys(row).forEach(key => {
+        const date = dayFirst ? toIsoDate(row[key], { dayFirst }) : row[key];
+        row[key] = date === row[key] && number ? normalizeNumber(row[key], number) : date;
+      });
+    }
+    yield row;
+  }
+}
+
+/**
+ * Rows of one worksheet, streamed; the first non-empty row is the header
+ * Without a sheet option the first sheet holding data rows is read
+ * info.sheets is filled with every sheet name once the whole workbook has been read
+ */
+async function* readWorkbook(filePath, sheet, info) {
+  const ExcelJS = require('exceljs');
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'cache'
+  });
+
+  const wanted = sheet === undefined || sheet === null || sheet === '' ? null : String(sheet).trim().toLowerCase();
+  const sheets = [];
+  let found = false;
+
+  for await (const worksheet of reader) {
+    const name = worksheet.name || `Sheet${worksheet.id}`;
+    sheets.push(name);
+    // Sheets are picked by name or 1-based position; by default each is tried until one has rows
+    const selected = !found && (wanted === null || name.toLowerCase() === wanted || String(sheets.length) === wanted);
+
+    let headers = null;
+    let yielded = 0;
+    for await (const row of worksheet) {
+      if (!selected) continue;
+      const cells = Array.isArray(row.values) ? row.values.slice(1) : [];
+      if (!headers) {
+        if (cells.every(cell => toCellString(cell).trim() === '')) continue;
+        headers = uniqueHeaders(cells);
+        continue;
+      }
+      const out = {};
+      headers.forEach((header, i) => { out[header] = toCellString(cells[i]); });
+      if (Object.values(out).some(value => value !== '')) {
+        yielded++;
+        yield out;
+      }
+    }
+    if (selected && (wanted !== null || yielded > 0)) {
+      found = true;
+      info.sheet = name;
+    }
+  }
+
+  info.sheets = sheets;
+  if (!found && wanted === null) {
+    throw new FileFormatError(`The workbook has no data rows. Sheets: ${sheets.join(', ')}`, {
+      code: 'EMPTY_WORKBOOK',
+      details: { sheets }
+    });
+  }
+  if (!found) {
+    throw new FileFormatError(`Worksheet "${sheet}" not found. Available sheets: ${sheets.join(', ')}`, {
+      code: 'SHEET_NOT_FOUND',
+      details: { sheets }
+    });
+  }
+}
+
+/**
+ * A JSON document: an array of records, or an object holding one (e.g. { "data": [...] })
+ */
+async function* readJson(filePath) {
+  let document;
+  try {
+    document = JSON.parse((await fs.promises.readFile(filePath, 'utf8')).replace(/^﻿/, ''));
+  } catch (err) {
+    throw new FileFormatError(`Invalid JSON: ${err.message}`, { code: 'INVALID_FILE' });
+  }
+
+  let records = Array.isArray(document) ? document : null;
+  if (!records && document && typeof document === 'object') {
+    records = Object.values(document).find(value => Array.isArray(value) && value.some(v => v && typeof v === 'object'))
+      || [document];
+  }
+  if (!records) {
+    throw new FileFormatError('JSON file must contain an array of records', { code: 'INVALID_FILE' });
+  }
+
+  const flat = records
+    .filter(record => record !== null && record !== undefined)
+    .map(record => (typeof record === 'object' && !Array.isArray(record) ? flattenRecord(record) : { value: toCellString(record) }));
+  const columns = unionColumns(flat);
+  for (const record of flat) yield alignRow(record, columns);
+}
+
+async function* readJsonLines(filePath, onRecord) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    let record;
+    try {
+      record = JSON.parse(line.replace(/^﻿/, ''));
+    } catch (err) {
+      throw new FileFormatError(`Invalid JSON on line ${lineNumber}: ${err.message}`, { code: 'INVALID_FILE' });
+    }
+    yield onRecord(record && typeof record === 'object' && !Array.isArray(record) ? flattenRecord(record) : { value: toCellString(record) });
+  }
+}
+
+/**
+ * JSON lines, streamed twice: once to collect every column name, once to emit the rows
+ */
+async function* readNdjson(filePath) {
+  const columns = new Set();
+  for await (const record of readJsonLines(filePath, r => r)) {
+    Object.keys(record).forEach(key => columns.add(key));
+  }
+  const ordered = Array.from(columns);
+  yield* readJsonLines(filePath, record => alignRow(record, ordered));
+}
+
+/**
+ * Parquet rows, read a batch at a time
+ */
+async function* readParquet(filePath) {
+  // hyparquet is published as an ES module only
+  const { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } = await import('hyparquet');
+  let file;
+  let metadata;
+  try {
+    file = await asyncBufferFromFile(filePath);
+    metadata = await parquetMetadataAsync(file);
+  } catch (err) {
+    throw new FileFormatError(`Invalid Parquet file: ${err.message}`, { code: 'INVALID_FILE' });
+  }
+
+  const total = Number(metadata.num_rows);
+  for (let start = 0; start < total; start += PARQUET_BATCH_ROWS) {
+    const rows = await parquetReadObjects({ file, metadata, rowStart: start, rowEnd: Math.min(total, start + PARQUET_BATCH_ROWS) });
+    for (const row of rows) yield flattenRecord(row);
+  }
+}
+
+/**
+ * Open a file as a stream of rows
+ * options.format - force a format instead of detecting it
+ * options.sheet - worksheet name or 1-based number for Excel files
+ * options.dialect - CSV/TSV overrides: delimiter, quote, encoding, headerRow, decimal, dateOrder
+ * Returns { format, rows, info }; once rows are read info holds { sheet, sheets } for workbooks
+ * and { dialect, warnings } for delimited text
+ */
+async function openRowSource(filePath, { format = null, fileName = '', sheet = null, dialect = {} } = {}) {
+  const resolved = format ? String(format).toLowerCase() : await detectFormat(filePath, fileName);
+  if (!SUPPORTED_FORMATS.includes(resolved)) {
+    throw new FileFormatError(`Unsupported format "${format}". Supported formats: ${SUPPORTED_FORMATS.join(', ')}`, {
+      code: 'UNSUPPORTED_FORMAT'
+    });
+  }
+
+  const info = {};
+  let rows;
+  switch (resolved) {
+    case 'tsv':
+      rows = readDelimited(filePath, { delimiter: '\t', ...dialect }, info);
+      break;
+    case 'xlsx':
+      rows = readWorkbook(filePath, sheet, info);
+      break;
+    case 'json':
+      rows = readJson(filePath);
+      break;
+    case 'ndjson':
+      rows = readNdjson(filePath);
+      break;
+    case 'parquet':
+      rows = readParquet(filePath);
+      break;
+    default:
+      rows = readDelimited(filePath, dialect, info);
+  }
+  return { format: resolved, rows, info };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  FileFormatError,
+  detectFormat,
+  openRowSource
+};
@@ -0,0 +1,394 @@
+// forecasting.js - Statistical forecasting over a date column and a metric
+// Aggregates rows to a detected frequency, fits several models, and keeps the one with the lowest backtest error
+
+const { toNumber, resolveColumn, executeQuery, filterRows } = require('./queryEngine');
+const { parseDateCell, columnDateOptions, detectFrequency, bucketKey, bucketLabel } = require('./calendar');
+
+// Season length per frequency, used by Holt-Winters and seasonal naive
+const SEASON_LENGTHS = { day: 7, week: 52, month: 12, quarter: 4, year: null };
+
+const METRIC_PREFERENCES = ['revenue', 'sales', 'amount', 'total', 'profit', 'units', 'quantity', 'value'];
+
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+/**
+ * Pick the column whose values parse as dates most consistently
+ */
+function pickDateColumn(data, preferred) {
+  const columns = Object.keys(data[0] || {});
+  if (preferred) {
+    const column = resolveColumn(preferred, columns);
+    if (!column) throw new Error(`Unknown date column "${preferred}"`);
+    return column;
+  }
+
+  let best = null;
+  let bestRate = 0;
+  columns.forEach(column => {
+    const values = data.map(row => row[column]).filter(v => v !== '' && v != null);
+    if (values.length === 0) return;
+    const options = columnDateOptions(values);
+    const parsed = values.filter(v => parseDateCell(v, options) !== null).length;
+    const rate = parsed / values.length;
+    if (rate > bestRate) {
+      best = column;
+      bestRate = rate;
+    }
+  });
+  return bestRate >= 0.8 ? best : null;
+}
+
+/**
+ * Pick the metric to forecast - one named in the question, else the most "business-like" numeric column
+ */
+function pickMetric(data, question, dateColumn, preferred) {
+  const columns = Object.keys(data[0] || {});
+  if (preferred) {
+    const column = resolveColumn(preferred, columns);
+    if (!column) throw new Error(`Unknown metric column "${preferred}"`);
+    return column;
+  }
+
+  const numeric = columns.filter(column => {
+    if (column === dateColumn) return false;
+    const values = data.map(row => row[column]).filter(v => v !== '' && v != null);
+    return values.length > 0 && values.filter(v => toNumber(v) !== null).length / values.length >= 0.8;
+  });
+  if (numeric.length === 0) return null;
+
+  const lowerQuestion = (question || '').toLowerCase();
+  const mentioned = numeric.find(c => lowerQuestion.includes(c.toLowerCase()));
+  if (mentioned) return mentioned;
+
+  for (const keyword of METRIC_PREFERENCES) {
+    const match = numeric.find(c => c.toLowerCase().includes(keyword));
+    if (match) return match;
+  }
+  return numeric[0];
+}
+
+/**
+ * Aggregate rows into an evenly spaced series of { key, period, value }
+ */
+function buildSeries(data, dateColumn, metric, { frequency, aggregation = 'sum' } = {}) {
+  const points = [];
+  const dateOptions = columnDateOptions(data.map(row => row[dateColumn]));
+  data.forEach(row => {
+    const date = parseDateCell(row[dateColumn], dateOptions);
+    const value = toNumber(row[metric]);
+    if (date && value !== null) points.push({ date, value });
+  });
+  if (points.length === 0) return { frequency: frequency || 'month', yearless: false, series: [] };
+
+  // Bare month names ("January") can only be treated as a monthly series
+  const yearless = points.every(p => p.date.month !== undefined);
+  const usable = yearless ? points : points.filter(p => p.date.time !== undefined);
+  const freq = yearless ? 'month' : (frequency || detectFrequency(usable.map(p => p.date.time)));
+
+  const buckets = new Map();
+  usable.forEach(p => {
+    const key = yearless ? p.date.month : bucketKey(p.date.time, freq);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(p.value);
+  });
+
+  const keys = Array.from(buckets.keys()).sort((a, b) => a - b);
+  const series = [];
+  let previous = 0;
+  for (let key = keys[0]; key <= keys[keys.length - 1]; key++) {
+    const values = buckets.get(key);
+    let value;
+    if (!values) {
+      // A period with no rows sold nothing; an average carries forward
+      value = aggregation === 'avg' ? previous : 0;
+    } else if (aggregation === 'avg') {
+      value = values.reduce((a, b) => a + b, 0) / values.length;
+    } else {
+      value = values.reduce((a, b) => a + b, 0);
+    }
+    previous = value;
+    series.push({ key, period: bucketLabel(key, freq, yearless), value });
+  }
+
+  return { frequency: freq, yearless, series };
+}
+
+// --- Models -------------------------------------------------------------
+// Each model takes the history values and a horizon and returns
+// { forecast: number[], fitted: (number|null)[] } where fitted are one-step-ahead in-sample predictions
+
+function linearRegression(values, horizon) {
+  const n = values.length;
+  const meanT = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((y, t) => {
+    num += (t - meanT) * (y - meanY);
+    den += (t - meanT) ** 2;
+  });
+  const slope = den === 0 ? 0 : num / den;
+  const intercept = meanY - slope * meanT;
+  return {
+    fitted: values.map((_, t) => intercept + slope * t),
+    forecast: Array.from({ length: horizon }, (_, i) => intercept + slope * (n + i)),
+    params: { slope, intercept }
+  };
+}
+
+function holtLinear(values, horizon, alpha, beta) {
+  let level = values[0];
+  let trend = values.length > 1 ? values[1] - values[0] : 0;
+  const fitted = [null];
+  for (let t = 1; t < values.length; t++) {
+    fitted.push(level + trend);
+    const prevLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+  }
+  return {
+    fitted,
+    forecast: Array.from({ length: horizon }, (_, i) => level + trend * (i + 1))
+  };
+}
+
+function holtWintersAdditive(values, horizon, seasonLength, alpha, beta, gamma) {
+  const L = seasonLength;
+  const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const firstSeason = values.slice(0, L);
+  let level = mean(firstSeason);
+  let trend = (mean(values.slice(L, 2 * L)) - level) / L;
+  const seasonals = firstSeason.map(v => v - level);
+
+  const fitted = new Array(L).fill(null);
+  for (let t = L; t < values.length; t++) {
+    const s = seasonals[t % L];
+    fitted.push(level + trend + s);
+    const prevLevel = level;
+    level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    seasonals[t % L] = gamma * (values[t] - level) + (1 - gamma) * s;
+  }
+  const n = values.length;
+  return {
+    fitted,
+    forecast: Array.from({ length: horizon }, (_, i) => level + trend * (i + 1) + seasonals[(n + i) % L])
+  };
+}
+
+function sumSquaredErrors(values, fitted) {
+  return values.reduce((sum, y, t) => (fitted[t] === null ? sum : sum + (y - fitted[t]) ** 2), 0);
+}
+
+/**
+ * Holt-Winters exponential smoothing with a small grid search over the smoothing parameters
+ * Uses the additive seasonal form when there are two full seasons, otherwise Holt's linear trend
+ */
+function holtWinters(values, horizon, seasonLength) {
+  const grid = [0.1, 0.3, 0.5, 0.7, 0.9];
+  const seasonal = seasonLength && values.length >= 2 * seasonLength;
+  let best = null;
+
+  grid.forEach(alpha => {
+    grid.forEach(beta => {
+      const gammas = seasonal ? grid : [null];
+      gammas.forEach(gamma => {
+        const fit = seasonal
+          ? holtWintersAdditive(values, horizon, seasonLength, alpha, beta, gamma)
+          : holtLinear(values, horizon, alpha, beta);
+        const sse = sumSquaredErrors(values, fit.fitted);
+        if (!best || sse < best.sse) {
+          best = { ...fit, sse, params: { alpha, beta, gamma, seasonal } };
+        }
+      });
+    });
+  });
+  return best;
+}
+
+function seasonalNaive(values, horizon, seasonLength) {
+  const n = values.length;
+  // Without a full season of history this degrades to a plain naive (last value) forecast
+  const L = seasonLength && n > seasonLength ? seasonLength : 1;
+  return {
+    fitted: values.map((_, t) => (t >= L ? values[t - L] : null)),
+    forecast: Array.from({ length: horizon }, (_, i) => values[n - L + (i % L)]),
+    params: { seasonLength: L }
+  };
+}
+
+const MODELS = {
+  linear_regression: (values, horizon) => linearRegression(values, horizon),
+  holt_winters: (values, horizon, seasonLength) => holtWinters(values, horizon, seasonLength),
+  seasonal_naive: (values, horizon, seasonLength) => seasonalNaive(values, horizon, seasonLength)
+};
+
+/**
+ * Hold out the tail of the series and score every model on it
+ */
+function backtest(values, seasonLength, horizon) {
+  const holdout = Math.min(horizon, Math.max(1, Math.floor(values.length / 4)));
+  const train = values.slice(0, values.length - holdout);
+  const actual = values.slice(values.length - holdout);
+  if (train.length < 3) return null;
+
+  return Object.entries(MODELS).map(([name, model]) => {
+    const { forecast } = model(train, holdout, seasonLength);
+    const errors = actual.map((y, i) => y - forecast[i]);
+    const mae = errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length;
+    const pctErrors = actual
+      .map((y, i) => (y === 0 ? null : Math.abs(errors[i] / y)))
+      .filter(e => e !== null);
+    const mape = pctErrors.length > 0 ? (pctErrors.reduce((a, b) => a + b, 0) / pctErrors.length) * 100 : null;
+    return { name, mae: round(mae), mape: mape === null ? null : round(mape), holdout };
+  });
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Forecast an evenly spaced series of numbers
+ * Returns the chosen model, its backtest scores and point forecasts with 80%/95% intervals
+ */
+function forecastSeries(values, { periods = 3, seasonLength = null } = {}) {
+  if (values.length < 3) {
+    throw new Error(`At least 3 periods of history are needed to forecast (found ${values.length})`);
+  }
+
+  const scores = backtest(values, seasonLength, periods);
+  const chosen = scores
+    ? scores.slice().sort((a, b) => a.mae - b.mae)[0].name
+    : 'linear_regression';
+  const fit = MODELS[chosen](values, periods, seasonLength);
+
+  // Interval width from in-sample one-step residuals, widening with the horizon
+  const residuals = values
+    .map((y, t) => (fit.fitted[t] === null ? null : y - fit.fitted[t]))
+    .filter(r => r !== null);
+  let sigma = residuals.length > 0
+    ? Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length)
+    : 0;
+  const chosenScore = scores && scores.find(s => s.name === chosen);
+  if (sigma === 0 && chosenScore) sigma = chosenScore.mae * 1.25;
+
+  const nonNegative = values.every(v => v >= 0);
+  const clamp = (v) => (nonNegative ? Math.max(0, v) : v);
+
+  const forecast = fit.forecast.map((value, i) => {
+    const spread = sigma * Math.sqrt(i + 1);
+    return {
+      value: round(clamp(value)),
+      lower80: round(clamp(value - Z_80 * spread)),
+      upper80: round(clamp(value + Z_80 * spread)),
+      lower95: round(clamp(value - Z_95 * spread)),
+      upper95: round(clamp(value + Z_95 * spread))
+    };
+  });
+
+  const mape = chosenScore ? chosenScore.mape : null;
+  let confidence = 'low';
+  if (values.length >= 8 && mape !== null && mape < 25) confidence = 'medium';
+  if (values.length >= 24 && mape !== null && mape < 10) confidence = 'high';
+
+  return { model: chosen, params: fit.params || null, backtest: scores, forecast, confidence };
+}
+
+/**
+ * Build a forecast from raw rows
+ * options: dateColumn, metric, periods, frequency, aggregation (sum|avg), filters, groupBy, question
+ */
+function buildForecast(data, options = {}) {
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error('No data to forecast');
+  }
+  const periods = Math.min(Math.max(parseInt(options.periods) || 3, 1), 36);
+
+  let rows = data;
+  if (options.filters && options.filters.length > 0) {
+    rows = filterRows(data, options.filters);
+  }
+
+  const dateColumn = pickDateColumn(rows, options.dateColumn);
+  if (!dateColumn) throw new Error('No date column found to forecast over');
+  const metric = pickMetric(rows, options.question, dateColumn, options.metric);
+  if (!metric) throw new Error('No numeric column found to forecast');
+
+  const forecastRows = (subset) => {
+    const { frequency, yearless, series } = buildSeries(subset, dateColumn, metric, {
+      frequency: options.frequency,
+      aggregation: options.aggregation
+    });
+    const seasonLength = SEASON_LENGTHS[frequency];
+    const result = forecastSeries(series.map(p => p.value), { periods, seasonLength });
+    const lastKey = series[series.length - 1].key;
+    return {
+      frequency,
+      history: series.map(p => ({ period: p.period, value: round(p.value) })),
+      ...result,
+      forecast: result.forecast.map((f, i) => ({ period: bucketLabel(lastKey + i + 1, frequency, yearless), ...f }))
+    };
+  };
+
+  const result = { dateColumn, metric, aggregation: options.aggregation || 'sum', periods, ...forecastRows(rows) };
+
+  // Optional per-group forecasts for the largest groups
+  if (options.groupBy) {
+    const groupColumn = resolveColumn(options.groupBy, Object.keys(rows[0] || {}));
+    if (!groupColumn) throw new Error(`Unknown groupBy column "${options.groupBy}"`);
+    const totals = executeQuery(rows, {
+      groupBy: [groupColumn],
+      metrics: [{ column: metric, agg: 'sum', as: 'total' }],
+      sort: [{ by: 'total', direction: 'desc' }],
+      limit: 10
+    }).rows;
+    result.groupBy = groupColumn;
+    result.groups = totals.map(({ [groupColumn]: group }) => {
+      try {
+        return { group, ...forecastRows(rows.filter(r => r[groupColumn] === group)) };
+      } catch (err) {
+        return { group, error: err.message };
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Format a forecast as prompt text for the model to explain
+ */
+function formatForecast(forecast) {
+  if (!forecast) return '';
+  const lines = forecast.forecast.map(f =>
+    `- ${f.period}: ${f.value} (80% range ${f.lower80}-${f.upper80}, 95% range ${f.lower95}-${f.upper95})`
+  );
+  let text = `STATISTICAL FORECAST (computed by the server, ${forecast.model} model chosen by backtest, ${forecast.confidence} confidence):
+Metric: ${forecast.metric} (${forecast.aggregation} per ${forecast.frequency}), date column: ${forecast.dateColumn}
+History: ${forecast.history.map(h => `${h.period}=${h.value}`).join(', ')}
+Forecast:
+${lines.join('\n')}`;
+
+  if (forecast.groups) {
+    forecast.groups.filter(g => !g.error).forEach(g => {
+      text += `\n${forecast.groupBy} = ${g.group}: ${g.forecast.map(f => `${f.period}=${f.value}`).join(', ')} (${g.model})`;
+    });
+  }
+
+  return `${text}
+
+Use these forecast values and ranges as-is; explain them rather than producing your own projections.`;
+}
+
+module.exports = {
+  buildForecast,
+  forecastSeries,
+  buildSeries,
+  pickDateColumn,
+  pickMetric,
+  formatForecast,
+  SEASON_LENGTHS
+};
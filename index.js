@@ -3,43 +3,370 @@ require("dotenv").config();
 const express = require("express");
 const multer = require("multer");
 const cors = require("cors");
-const csv = require("csv-parser");
 const fs = require("fs");
-const { OpenAI } = require("openai");
 
 const { google } = require("googleapis");
 const { getAuthUrl, getTokens, fetchSheetData } = require('./googleAuth');
-const { processDataForAI, createOptimizedPrompt, isForecastingQuestion, generateSimpleForecast } = require('./dataProcessor');
-const { chatWithAgent, quickAnalysis, clearConversationMemory } = require('./aiProvider');
+const { processDataForAI, describeDatasets, formatDatasetContext, createOptimizedPrompt, isForecastingQuestion, isAnomalyQuestion, isDriverQuestion, isRetentionQuestion, isPeriodComparisonQuestion } = require('./dataProcessor');
+const { chatWithAgent, streamChatWithAgent, quickAnalysis, clearConversationMemory, planQuery, planScenario, invokeStructured, resolveAIOptions } = require('./aiProvider');
+const { StructuredOutputError } = require('./responseSchema');
+const { runPlannedQuery, planColumns } = require('./queryEngine');
 const { rateLimitMiddleware, getRemainingRequests, requestCounts } = require('./rateLimiter');
+const { sessionStore } = require('./sessionStore');
+const { buildForecast } = require('./forecasting');
+const { toDatasetName, suggestRelationships } = require('./relationships');
+const { profileDataset } = require('./profiler');
+const { ingestFile, ingestRows, readFileRows, loadFullDatasets, getIngestionLimits, IngestionLimitError } = require('./ingestion');
+const { FileFormatError, SUPPORTED_FORMATS } = require('./fileFormats');
+const { newStorageDir, removeStorage } = require('./columnStore');
+const { applyOperations, TransformError } = require('./transforms');
+const { suggestCleaning, fixOperations } = require('./cleaning');
+const { renderSvg, renderPng, normalizeChart, ChartError } = require('./chartRenderer');
+const { fillChartFromResult } = require('./chartSpec');
+const { REPORT_FORMATS, buildReport, renderReport } = require('./report');
+const { findInsights, suggestQuestions, createDigestPrompt } = require('./insights');
+const { detectAnomalies } = require('./anomalies');
+const { analyzeDrivers } = require('./drivers');
+const { buildCohorts } = require('./cohorts');
+const { listDomainPacks, getDomainPack, detectDomain, resolveDomain, domainSummary } = require('./domainPacks');
+const { normalizeMetric, compileMetric, computeMetrics, breakdownColumn, MetricError } = require('./metrics');
+const { comparePeriods } = require('./periods');
+const { runScenario, ScenarioError } = require('./scenarios');
 
 const app = express();
-const upload = multer({ dest: "uploads/" });
+const upload = multer({ dest: "uploads/", limits: { fileSize: getIngestionLimits().maxFileBytes } });
 const port = process.env.PORT || 3000;
 
 // Store temporary tokens (in production, use a proper database)
 const tempTokens = new Map();
 
-// Store CSV data per session (in production, use database or cloud storage)
-const sessionData = new Map();
+// CSV data and chat history per session live in the session store (see sessionStore.js)
+sessionStore.startSweeper((parseFloat(process.env.SESSION_SWEEP_MINUTES) || 15) * 60 * 1000);
 
 app.use(cors());
 app.use(express.json());
 app.use(express.static('.')); // Serve static files
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Upload options from the form: `format` forces a format, `sheet` picks an Excel worksheet,
+ * and delimiter / quote / encoding / headerRow / decimal / dateOrder override CSV dialect sniffing
+ */
+function getUploadOptions(req) {
+  const { format, sheet, delimiter, quote, encoding, headerRow, decimal, dateOrder } = req.body;
+  return {
+    format: format || null,
+    sheet: sheet || null,
+    fileName: req.file.originalname,
+    dialect: { delimiter, quote, encoding, headerRow, decimal, dateOrder }
+  };
+}
+
+/**
+ * 400 body for files we refuse (over a limit, unsupported or malformed), null for anything else
+ */
+function uploadErrorBody(err) {
+  if (err instanceof IngestionLimitError) {
+    return err.code === 'TOO_MANY_ROWS'
+      ? { error: "File too large", message: err.message, maxRows: err.limit }
+      : { error: "Too many columns", message: err.message, maxColumns: err.limit, actualColumns: err.actual };
+  }
+  if (err instanceof FileFormatError) {
+    return { error: err.code === 'INVALID_OPTION' ? "Invalid upload option" : "Unreadable file", code: err.code, message: err.message, supportedFormats: SUPPORTED_FORMATS, ...(err.details || {}) };
+  }
+  return null;
+}
 
-function parseCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => results.push(data))
-      .on("end", () => resolve(results))
-      .on("error", (err) => reject(err));
+/**
+ * Read the per-request provider/model selection (falls back to AI_PROVIDER)
+ * Sends a 400 and returns null for an unknown provider
+ */
+function getRequestAI(req, res) {
+  try {
+    return resolveAIOptions({ provider: req.body.provider, model: req.body.model });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Response body for a reply that never passed schema validation
+ */
+function structuredErrorBody(err) {
+  return {
+    error: "AI response failed validation",
+    code: err.code,
+    details: err.errors,
+    attempts: err.attempts
+  };
+}
+
+/**
+ * Have the model plan a query for the question, then compute it locally over all rows
+ * datasets - { name: rows }; storage - column store descriptors for datasets held as samples
+ */
+async function planAndRunQuery(datasets, question, ai, relationships = [], profiles = {}, storage = {}) {
+  const plan = await planQuery(question, describeDatasets(datasets, profiles), ai, relationships);
+  if (!plan) return runPlannedQuery(datasets, plan);
+
+  // Read back only the datasets and columns the plan uses
+  const columnsByDataset = {};
+  Object.entries(datasets).forEach(([name, rows]) => {
+    columnsByDataset[name] = storage[name] ? storage[name].columns : Object.keys(rows[0] || {});
   });
+  const needed = planColumns(plan, columnsByDataset);
+  const used = {};
+  Object.keys(needed).forEach(name => { used[name] = datasets[name]; });
+  return runPlannedQuery(await loadFullDatasets(used, storage, needed), plan);
+}
+
+/**
+ * Full rows of the columns a forecast, anomaly scan or driver analysis may use (dates, numbers and categories)
+ * identifiers - also keep identifier columns, which cohort analysis needs for customer and order ids
+ */
+async function loadForecastRows(name, rows, storage = {}, profile = null, { identifiers = false } = {}) {
+  const columns = profile
+    ? { [name]: profile.columns.filter(c => (identifiers || c.type !== 'identifier') && c.type !== 'text').map(c => c.name) }
+    : {};
+  const full = await loadFullDatasets({ [name]: rows }, storage, columns);
+  return full[name];
+}
+
+/**
+ * Rows an analysis endpoint works on: the session dataset named in the body (the first one by default),
+ * else the posted csvData
+ * identifiers - also read identifier columns (see loadForecastRows); allColumns - read every column
+ * Returns { name, data, sample, metadata, stored }; data is the full rows, sample what the session keeps
+ * and stored whether they came from the session
+ */
+async function loadRowsForRequest({ sessionId, dataset, csvData }, { identifiers = false, allColumns = false } = {}) {
+  if (!sessionId) return { name: dataset || 'data', data: csvData, sample: csvData, metadata: {}, stored: false };
+
+  const datasets = await sessionStore.getDatasets(sessionId);
+  const name = dataset || Object.keys(datasets)[0];
+  const metadata = await sessionStore.getMetadata(sessionId);
+  if (!datasets[name]) return { name, data: csvData, sample: csvData, metadata, stored: false };
+
+  const storage = await sessionStore.getStorage(sessionId);
+  const data = allColumns
+    ? (await loadFullDatasets({ [name]: datasets[name] }, storage))[name]
+    : await loadForecastRows(name, datasets[name], storage, (metadata.profiles || {})[name], { identifiers });
+  return { name, data, sample: datasets[name], metadata, stored: true };
+}
+
+/**
+ * Store transformed rows as a dataset's new version, refreshing its profile and the join suggestions
+ * history - every operation applied since upload; the stored version is history.length + 1
+ */
+async function saveTransformedDataset(sessionId, name, rows, columns, history) {
+  const ingested = await ingestRows(rows, { dir: newStorageDir(sessionId, name), columns });
+  // Small results fit in the session; an empty one keeps its (empty) store so the columns are remembered
+  if (!ingested.sampled && ingested.rowCount > 0) {
+    await removeStorage(ingested.storage);
+  }
+  await sessionStore.saveVersion(sessionId, name, ingested.sample, ingested.sampled ? ingested.storage : null, history);
+
+  const { profiles = {} } = await sessionStore.getMetadata(sessionId);
+  const relationships = suggestRelationships(await sessionStore.getDatasets(sessionId));
+  await sessionStore.setMetadata(sessionId, { relationships, profiles: { ...profiles, [name]: ingested.profile } });
+  return { ...ingested, relationships };
+}
+
+/**
+ * Apply transform operations to a session dataset's full rows and save the result as a new version
+ * entry - the dataset as listed by sessionStore.listDatasets
+ * Returns { version, applied, saved }; throws TransformError before saving anything if an operation fails
+ */
+async function transformSessionDataset(sessionId, entry, operations) {
+  const sample = await sessionStore.getDataset(sessionId, entry.name);
+  // A dry run on the session sample catches bad operations before reading the whole dataset
+  if (entry.sampled) applyOperations(sample, entry.columns, operations);
+  const full = await loadFullDatasets({ [entry.name]: sample }, await sessionStore.getStorage(sessionId));
+  const result = applyOperations(full[entry.name], entry.columns, operations);
+
+  const { history } = await sessionStore.getVersion(sessionId, entry.name);
+  const appliedAt = Date.now();
+  const applied = result.applied.map((step, i) => ({ version: history.length + i + 2, ...step, appliedAt }));
+  const saved = await saveTransformedDataset(sessionId, entry.name, result.rows, result.columns, history.concat(applied));
+  return { version: history.length + applied.length + 1, applied, saved };
+}
+
+/**
+ * Data quality findings for a session dataset, computed over its full rows
+ */
+async function findCleaningIssues(sessionId, entry) {
+  const sample = await sessionStore.getDataset(sessionId, entry.name);
+  const full = await loadFullDatasets({ [entry.name]: sample }, await sessionStore.getStorage(sessionId));
+  const { profiles = {} } = await sessionStore.getMetadata(sessionId);
+  return suggestCleaning(full[entry.name], profiles[entry.name]);
+}
+
+/**
+ * Take the numbers in a reply's chart from the computed result; charts with nothing to draw become null
+ * analyses - server analyses for the turn (driver, cohort); without a chart of its own the reply gets the first one's chart
+ */
+function fillResponseChart(response, computedResult, analyses = []) {
+  const fallback = analyses.find(analysis => analysis && analysis.chart);
+  if (!response.chart && fallback) {
+    response.chart = fallback.chart;
+    return;
+  }
+  if (!response.chart) return;
+  const filled = fillChartFromResult(response.chart, computedResult);
+  if (!filled.chart) console.log('Chart dropped:', filled.reason);
+  response.chart = filled.chart;
+}
+
+/**
+ * Keep the chart from a chat reply so it can be fetched as an image, and add its URLs to the reply
+ */
+async function registerChart(sessionId, question, response) {
+  if (!response.chart) return;
+  try {
+    normalizeChart(response.chart);
+  } catch (err) {
+    console.log('Chart not renderable:', err.message);
+    return;
+  }
+  const id = await sessionStore.addChart(sessionId, response.chart, { question });
+  response.chart = { ...response.chart, id, svgUrl: `/api/charts/${id}.svg`, pngUrl: `/api/charts/${id}.png` };
+}
+
+/**
+ * First-pass analysis of a newly uploaded dataset: local findings, narrated by the model
+ * Returns { summary, highlights, suggestedQuestions, insights, metric, dateColumn, partialPeriod }; if the model
+ * call fails the findings are still returned, with error set and the suggested questions templated
+ */
+async function buildDigest(sessionId, name, ai) {
+  const sample = await sessionStore.getDataset(sessionId, name);
+  const full = await loadFullDatasets({ [name]: sample }, await sessionStore.getStorage(sessionId));
+  const { profiles = {} } = await sessionStore.getMetadata(sessionId);
+  const result = findInsights(full[name], profiles[name]);
+  const digest = {
+    summary: null,
+    highlights: result.insights.slice(0, 3).map(insight => insight.title),
+    suggestedQuestions: suggestQuestions(result),
+    insights: result.insights,
+    metric: result.metric,
+    dateColumn: result.dateColumn,
+    partialPeriod: result.partialPeriod
+  };
+  if (result.insights.length === 0) return digest;
+
+  try {
+    const { response } = await invokeStructured(createDigestPrompt(name, result), ai);
+    digest.summary = response.answer;
+    if (response.keyInsights.length > 0) digest.highlights = response.keyInsights;
+    if (response.followUpQuestions.length > 0) digest.suggestedQuestions = response.followUpQuestions;
+  } catch (err) {
+    console.log('Digest narration failed:', err.message);
+    digest.error = err.message;
+  }
+  return digest;
+}
+
+/**
+ * Wrap an analysis so it only runs when the question asks for it
+ * The wrapped function returns null when the question doesn't match or the analysis can't run on the data
+ */
+function analysisForQuestion(label, matches, analyse) {
+  return (data, question, ...args) => {
+    if (!matches(question)) return null;
+    try {
+      return analyse(data, question, ...args);
+    } catch (err) {
+      console.log(`${label} skipped:`, err.message);
+      return null;
+    }
+  };
+}
+
+const forecastForQuestion = analysisForQuestion('Forecast', isForecastingQuestion, (data, question) => buildForecast(data, { question }));
+const anomaliesForQuestion = analysisForQuestion('Anomaly scan', isAnomalyQuestion, (data, question) => detectAnomalies(data, { question }));
+const driversForQuestion = analysisForQuestion('Driver analysis', isDriverQuestion, (data, question, profile = null) => analyzeDrivers(data, { question, profile }));
+const cohortsForQuestion = analysisForQuestion('Cohort analysis', isRetentionQuestion, (data) => buildCohorts(data));
+// Compares the latest period with the previous one (or a year earlier)
+const periodsForQuestion = analysisForQuestion('Period comparison', isPeriodComparisonQuestion, (data, question) => comparePeriods(data, { question }));
+
+/**
+ * The business domain for a set of datasets: detected from all their columns, unless the user chose one
+ * An override naming a pack that no longer exists falls back to detection
+ */
+function domainForDatasets(datasets, override = null) {
+  const columns = [...new Set(Object.values(datasets).flatMap(rows => Object.keys(rows[0] || {})))];
+  try {
+    return resolveDomain(columns, override);
+  } catch (err) {
+    console.log('Domain override ignored:', err.message);
+    return detectDomain(columns);
+  }
+}
+
+/**
+ * Body for a request naming a domain pack that doesn't exist
+ */
+function unknownDomainBody(domain) {
+  return { error: "Unknown domain", domain, available: listDomainPacks().map(pack => pack.id) };
+}
+
+/**
+ * Compute metrics over the full rows of the session datasets they are defined on
+ * Only the columns the metrics read are loaded from the column store
+ * options - { question, groupBy } as for computeMetrics
+ */
+async function computeSessionMetrics(sessionId, metrics, options = {}) {
+  if (metrics.length === 0) return [];
+  const datasets = await sessionStore.getDatasets(sessionId);
+  const { profiles = {} } = await sessionStore.getMetadata(sessionId);
+  const storage = await sessionStore.getStorage(sessionId);
+  const results = new Map();
+
+  for (const name of new Set(metrics.map(metric => metric.dataset))) {
+    const defined = metrics.filter(metric => metric.dataset === name);
+    if (!datasets[name]) {
+      defined.forEach(metric => results.set(metric, { name: metric.name, formula: metric.formula, dataset: name, error: `Dataset "${name}" not found` }));
+      continue;
+    }
+    const columns = profiles[name] ? profiles[name].columns.map(c => c.name) : Object.keys(datasets[name][0] || {});
+    const needed = new Set();
+    defined.forEach(metric => {
+      try {
+        compileMetric(metric, columns).columns.forEach(column => needed.add(column));
+      } catch (err) {
+        // computeMetrics reports it
+      }
+    });
+    const requested = options.groupBy || breakdownColumn(options.question, columns);
+    const groupColumn = requested && columns.find(c => c.toLowerCase() === String(requested).toLowerCase());
+    if (groupColumn) needed.add(groupColumn);
+
+    const full = await loadFullDatasets({ [name]: datasets[name] }, storage, { [name]: Array.from(needed) });
+    computeMetrics(full[name], defined, { ...options, columns })
+      .forEach((result, i) => results.set(defined[i], result));
+  }
+  return metrics.map(metric => results.get(metric));
+}
+
+/**
+ * Metric definitions sent with a one-off question (JSON text in multipart forms)
+ * Throws MetricError for definitions that don't fit the data
+ */
+function requestMetrics(value, columns) {
+  if (!value) return [];
+  let definitions = value;
+  if (typeof value === 'string') {
+    try {
+      definitions = JSON.parse(value);
+    } catch (err) {
+      throw new MetricError('metrics must be a JSON array of metric definitions', 'metrics');
+    }
+  }
+  if (!Array.isArray(definitions)) throw new MetricError('metrics must be an array of metric definitions', 'metrics');
+  return definitions.map(definition => normalizeMetric(definition, columns));
+}
+
+function metricErrorBody(err) {
+  return { error: "Invalid metric", message: err.message, field: err.field };
 }
 
 app.post("/api/ask", upload.single("csv"), async (req, res) => {
@@ -48,76 +375,212 @@ app.post("/api/ask", upload.single("csv"), async (req, res) => {
     const question = req.body.question;
     console.log(question);
 
-    const data = await parseCSV(filePath);
+    const ai = getRequestAI(req, res);
+    if (!ai) return;
+    if (req.body.domain && !getDomainPack(req.body.domain)) {
+      return res.status(400).json(unknownDomainBody(req.body.domain));
+    }
+
+    let data;
+    let format;
+    let warnings;
+    try {
+      ({ rows: data, format, warnings } = await readFileRows(filePath, getUploadOptions(req)));
+    } catch (err) {
+      const body = uploadErrorBody(err);
+      if (!body) throw err;
+      return res.status(400).json(body);
+    }
+
+    let definitions;
+    try {
+      definitions = requestMetrics(req.body.metrics, Object.keys(data[0] || {}));
+    } catch (err) {
+      if (!(err instanceof MetricError)) throw err;
+      return res.status(400).json(metricErrorBody(err));
+    }
     
     // Process data intelligently for AI analysis
     const processedData = processDataForAI(data, question);
     console.log("🚀 ~ processedData:", processedData)
-    const prompt = createOptimizedPrompt(processedData, question, processedData.summary);
+    const query = await planAndRunQuery({ data }, question, ai, [], { data: processedData.summary.profile });
+    const forecast = forecastForQuestion(data, question);
+    const anomalies = anomaliesForQuestion(data, question);
+    const drivers = driversForQuestion(data, question, processedData.summary.profile);
+    const cohorts = cohortsForQuestion(data, question);
+    const periods = periodsForQuestion(data, question);
+    const domain = resolveDomain(data, req.body.domain);
+    const metrics = computeMetrics(data, definitions, { question });
+    const prompt = createOptimizedPrompt(processedData, question, processedData.summary, {
+      computedResult: query.computedResult,
+      forecast,
+      anomalies,
+      drivers,
+      cohorts,
+      domain,
+      metrics,
+      periods
+    });
     console.log("🚀 ~ prompt:", prompt)
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [{ role: "user", content: prompt }],
-    });
+    const completion = await invokeStructured(prompt, ai, { computedResult: query.computedResult });
     console.log("🚀 ~ completion:", completion)
 
-    const raw = completion.choices[0].message.content;
-    console.log(raw);
+    const result = completion.response;
 
-    let result;
-    try {
-      result = JSON.parse(raw);
-      console.log(result);
-      
-      // Add metadata about data processing
-      result.metadata = {
-        totalRecords: processedData.totalRecords,
-        sampleSize: processedData.sampleSize,
-        confidence: result.confidence || 'medium',
-        limitations: result.limitations || null
-      };
-    } catch (e) {
-      result = { 
-        answer: raw, 
-        chart: null,
-        metadata: {
-          totalRecords: processedData.totalRecords,
-          sampleSize: processedData.sampleSize,
-          confidence: 'low',
-          limitations: 'Failed to parse AI response'
-        }
-      };
-    }
+    // Add metadata about data processing
+    result.metadata = {
+      totalRecords: processedData.totalRecords,
+      sampleSize: processedData.sampleSize,
+      format,
+      warnings,
+      confidence: result.confidence,
+      limitations: result.limitations,
+      provider: completion.provider,
+      attempts: completion.attempts,
+      domain: domainSummary(domain)
+    };
+    result.queryPlan = query.queryPlan;
+    result.computedResult = query.computedResult;
+    result.forecast = forecast;
+    result.anomalies = anomalies;
+    result.drivers = drivers;
+    result.cohorts = cohorts;
+    result.metrics = metrics;
+    result.periods = periods;
+    fillResponseChart(result, query.computedResult, [drivers, cohorts, periods]);
 
     res.json(result);
-    fs.unlink(filePath, () => {}); // clean up temp file
   } catch (err) {
     console.error(err);
+    if (err instanceof StructuredOutputError) {
+      return res.status(502).json(structuredErrorBody(err));
+    }
     res.status(500).json({ error: "Something went wrong" });
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {}); // clean up temp file
   }
 });
 
+/**
+ * Load the session data for a chat turn and compute everything the model should narrate
+ * Returns null when the session has no data
+ */
+async function prepareChatTurn(sessionId, message, csvData, ai) {
+  // Get CSV data from session storage or use provided data
+  let datasets = await sessionStore.getDatasets(sessionId);
+  const hasStoredData = Object.keys(datasets).length > 0;
+  if (!hasStoredData && Array.isArray(csvData)) {
+    datasets = { data: csvData };
+  }
+  
+  console.log('Chat request - sessionId:', sessionId);
+  console.log('Session datasets:', Object.keys(datasets));
+  
+  if (Object.keys(datasets).length === 0) {
+    console.log('Available sessions:', await sessionStore.listSessions());
+    return null;
+  }
+
+  const { relationships = [], profiles = {}, domain: domainOverride = null, metrics: definitions = [] } = hasStoredData ? await sessionStore.getMetadata(sessionId) : {};
+  const storage = hasStoredData ? await sessionStore.getStorage(sessionId) : {};
+  const primaryName = Object.keys(datasets)[0];
+  const primaryData = datasets[primaryName];
+
+  // Let the model plan a query, then compute the numbers locally over all rows
+  let query = { queryPlan: null, computedResult: null };
+  let forecast = null;
+  let anomalies = null;
+  let drivers = null;
+  let cohorts = null;
+  let periods = null;
+  if (primaryData.length > 0) {
+    query = await planAndRunQuery(datasets, message, ai, relationships, profiles, storage);
+    if (isForecastingQuestion(message) || isAnomalyQuestion(message) || isDriverQuestion(message) || isPeriodComparisonQuestion(message)) {
+      const rows = await loadForecastRows(primaryName, primaryData, storage, profiles[primaryName]);
+      forecast = forecastForQuestion(rows, message);
+      anomalies = anomaliesForQuestion(rows, message);
+      drivers = driversForQuestion(rows, message, profiles[primaryName]);
+      periods = periodsForQuestion(rows, message);
+    }
+    if (isRetentionQuestion(message)) {
+      const rows = await loadForecastRows(primaryName, primaryData, storage, profiles[primaryName], { identifiers: true });
+      cohorts = cohortsForQuestion(rows, message);
+    }
+  }
+
+  // Which version of each dataset the answer was computed from
+  const plan = query.queryPlan || {};
+  const used = [plan.from, plan.join && plan.join.dataset].filter(name => name && datasets[name]);
+  const listed = hasStoredData ? await sessionStore.listDatasets(sessionId) : [];
+  const datasetVersions = {};
+  // Record counts as in /api/ask: all rows of the datasets used, and how many the model saw
+  const metadata = { totalRecords: 0, sampleSize: 0 };
+  (used.length > 0 ? used : [primaryName]).forEach(name => {
+    const entry = listed.find(d => d.name === name);
+    datasetVersions[name] = entry ? entry.version : 1;
+    metadata.totalRecords += entry ? entry.rowCount : datasets[name].length;
+    metadata.sampleSize += datasets[name].length;
+  });
+  const versionNote = Object.entries(datasetVersions).map(([name, version]) => `${name} v${version}`).join(', ');
+  const domain = domainForDatasets(datasets, domainOverride);
+  metadata.domain = domainSummary(domain);
+  const metrics = await computeSessionMetrics(sessionId, definitions, { question: message });
+
+  return {
+    csvContext: `DATASET VERSION: ${versionNote}\n${formatDatasetContext(datasets, relationships, 3000, profiles)}`, // Limit context size
+    query,
+    forecast,
+    anomalies,
+    drivers,
+    cohorts,
+    periods,
+    domain,
+    metrics,
+    datasetVersions,
+    metadata
+  };
+}
+
+/**
+ * Add the server-computed parts of a chat turn to the model's reply, and note them on the saved turn
+ * so reports can show the turn's chart and record counts
+ */
+async function completeChatResponse(sessionId, message, turn, response) {
+  response.queryPlan = turn.query.queryPlan;
+  response.computedResult = turn.query.computedResult;
+  response.forecast = turn.forecast;
+  response.anomalies = turn.anomalies;
+  response.drivers = turn.drivers;
+  response.cohorts = turn.cohorts;
+  response.metrics = turn.metrics;
+  response.periods = turn.periods;
+  response.datasetVersions = turn.datasetVersions;
+  response.metadata = { ...turn.metadata, confidence: response.confidence, limitations: response.limitations };
+  fillResponseChart(response, turn.query.computedResult, [turn.drivers, turn.cohorts, turn.periods]);
+  await registerChart(sessionId, message, response);
+  await sessionStore.annotateChatTurn(sessionId, message, {
+    chartId: response.chart ? response.chart.id || null : null,
+    datasetVersions: turn.datasetVersions,
+    metadata: turn.metadata
+  });
+}
+
 // NEW: Chat endpoint with memory (rate limiting handled by Groq)
 app.post("/api/chat", 
   async (req, res) => {
     try {
       const { sessionId, message, csvData } = req.body;
-      const provider = process.env.AI_PROVIDER || 'groq';
       
       if (!sessionId || !message) {
         return res.status(400).json({ error: "Missing sessionId or message" });
       }
 
-      // Get CSV data from session storage or use provided data
-      let contextData = sessionData.get(sessionId) || csvData;
-      
-      console.log('Chat request - sessionId:', sessionId);
-      console.log('Session data exists:', !!sessionData.get(sessionId));
-      console.log('Context data exists:', !!contextData);
-      
-      if (!contextData) {
-        console.log('Available sessions:', Array.from(sessionData.keys()));
+      const ai = getRequestAI(req, res);
+      if (!ai) return;
+
+      const turn = await prepareChatTurn(sessionId, message, csvData, ai);
+      if (!turn) {
         return res.status(400).json({ 
           error: "No CSV data found. Please upload a file first." 
         });
@@ -127,15 +590,21 @@ app.post("/api/chat",
       const response = await chatWithAgent(
         sessionId, 
         message, 
-        JSON.stringify(contextData).substring(0, 3000), // Limit context size
-        provider
+        turn.csvContext,
+        ai,
+        { computedResult: turn.query.computedResult, forecast: turn.forecast, anomalies: turn.anomalies, drivers: turn.drivers, cohorts: turn.cohorts, periods: turn.periods, domain: turn.domain, metrics: turn.metrics }
       );
 
+      await completeChatResponse(sessionId, message, turn, response);
+
       // Rate limiting now handled by Groq API
 
       res.json(response);
     } catch (err) {
       console.error('Chat error:', err);
+      if (err instanceof StructuredOutputError) {
+        return res.status(502).json(structuredErrorBody(err));
+      }
       res.status(500).json({ 
         error: "Failed to process chat message",
         details: err.message,
@@ -145,6 +614,256 @@ app.post("/api/chat",
   }
 );
 
+// Streaming chat over Server-Sent Events
+// Events: "token" ({ token }) while the model writes, "repair" ({ attempt, errors }) if the reply
+// fails validation, then "result" (parsed response) or "error"
+app.post("/api/chat/stream", 
+  async (req, res) => {
+    const { sessionId, message, csvData } = req.body;
+
+    if (!sessionId || !message) {
+      return res.status(400).json({ error: "Missing sessionId or message" });
+    }
+
+    const ai = getRequestAI(req, res);
+    if (!ai) return;
+
+    // Cancel the model call if the client goes away before we finish
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      // The query plan is a model call too, so it stops with the stream
+      const turn = await prepareChatTurn(sessionId, message, csvData, { ...ai, signal: controller.signal });
+      if (!turn) {
+        return res.status(400).json({ 
+          error: "No CSV data found. Please upload a file first." 
+        });
+      }
+      if (controller.signal.aborted) return;
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      const response = await streamChatWithAgent(
+        sessionId,
+        message,
+        turn.csvContext,
+        ai,
+        {
+          computedResult: turn.query.computedResult,
+          forecast: turn.forecast,
+          anomalies: turn.anomalies,
+          drivers: turn.drivers,
+          cohorts: turn.cohorts,
+          periods: turn.periods,
+          domain: turn.domain,
+          metrics: turn.metrics,
+          signal: controller.signal,
+          onToken: (token) => sendEvent('token', { token }),
+          onRepair: (repair) => sendEvent('repair', repair)
+        }
+      );
+
+      await completeChatResponse(sessionId, message, turn, response);
+
+      sendEvent('result', response);
+      res.end();
+    } catch (err) {
+      if (controller.signal.aborted) {
+        console.log('Chat stream cancelled by client:', sessionId);
+        return;
+      }
+      console.error('Chat stream error:', err);
+      const body = err instanceof StructuredOutputError
+        ? structuredErrorBody(err)
+        : { error: "Failed to process chat message", details: err.message };
+      if (!res.headersSent) {
+        return res.status(err instanceof StructuredOutputError ? 502 : 500).json(body);
+      }
+      sendEvent('error', body);
+      res.end();
+    }
+  }
+);
+
+// Statistical forecast over a session dataset (or posted rows)
+app.post("/api/forecast", async (req, res) => {
+  try {
+    const { dateColumn, metric, periods, frequency, aggregation, filters, groupBy, question } = req.body;
+
+    const { data } = await loadRowsForRequest(req.body);
+    if (!Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({ error: "No CSV data found. Please upload a file first." });
+    }
+
+    let forecast;
+    try {
+      forecast = buildForecast(data, { dateColumn, metric, periods, frequency, aggregation, filters, groupBy, question });
+    } catch (err) {
+      return res.status(400).json({ error: "Unable to forecast", details: err.message });
+    }
+
+    res.json({ success: true, ...forecast });
+  } catch (err) {
+    console.error('Forecast error:', err);
+    res.status(500).json({ error: "Failed to generate forecast" });
+  }
+});
+
+// Unusual periods in a metric over time and sudden shifts in the category mix
+// Body: sessionId (+ dataset) or csvData, and optionally dateColumn, metric, dimension, frequency,
+// aggregation, filters, methods (rollingZ|iqr|seasonal), threshold, window, minShift, question
+app.post("/api/anomalies", async (req, res) => {
+  try {
+    const { dateColumn, metric, dimension, frequency, aggregation, filters, methods, threshold, window, minShift, question } = req.body;
+
+    const { data } = await loadRowsForRequest(req.body);
+    if (!Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({ error: "No CSV data found. Please upload a file first." });
+    }
+
+    let result;
+    try {
+      result = detectAnomalies(data, { dateColumn, metric, dimension, frequency, aggregation, filters, methods, threshold, window, minShift, question });
+    } catch (err) {
+      return res.status(400).json({ error: "Unable to detect anomalies", details: err.message });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Anomaly detection error:', err);
+    res.status(500).json({ error: "Failed to detect anomalies" });
+  }
+});
+
+// Acquisition cohorts, retention matrix, repeat rate and RFM segments over a session dataset (or posted rows)
+app.post("/api/cohorts", async (req, res) => {
+  try {
+    const { customerColumn, dateColumn, orderColumn, amountColumn, periods } = req.body;
+
+    const { data } = await loadRowsForRequest(req.body, { identifiers: true });
+    if (!Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({ error: "No CSV data found. Please upload a file first." });
+    }
+
+    let result;
+    try {
+      result = buildCohorts(data, { customerColumn, dateColumn, orderColumn, amountColumn, periods });
+    } catch (err) {
+      return res.status(400).json({ error: "Unable to build cohorts", details: err.message });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Cohort analysis error:', err);
+    res.status(500).json({ error: "Failed to build cohorts" });
+  }
+});
+
+// Period-over-period comparison: { sessionId, dataset } or { csvData }, plus optional dateColumn, metrics,
+// grain (day|week|month|quarter|year), compareTo (previous|year), groupBy, aggregation, fiscalYearStart, includePartial
+app.post("/api/periods", async (req, res) => {
+  try {
+    const { dateColumn, metrics, grain, compareTo, groupBy, aggregation, fiscalYearStart, includePartial } = req.body;
+
+    const { data } = await loadRowsForRequest(req.body);
+    if (!Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({ error: "No CSV data found. Please upload a file first." });
+    }
+
+    let result;
+    try {
+      result = comparePeriods(data, {
+        dateColumn,
+        metrics: typeof metrics === 'string' ? [metrics] : metrics,
+        grain,
+        compareTo,
+        groupBy,
+        aggregation,
+        fiscalYearStart,
+        includePartial: includePartial === true || includePartial === 'true'
+      });
+    } catch (err) {
+      return res.status(400).json({ error: "Unable to compare periods", details: err.message });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Period comparison error:', err);
+    res.status(500).json({ error: "Failed to compare periods" });
+  }
+});
+
+// What-if scenario: { sessionId, dataset } or { csvData }, plus either structured adjustments
+// ({ adjustments, recompute }) or a described scenario for the model to translate into them.
+// Optional metrics are reported besides the session's metrics and the totals of the changed columns.
+app.post("/api/scenarios", async (req, res) => {
+  try {
+    const { sessionId, adjustments, recompute, scenario: description, metrics } = req.body;
+
+    // Every column: adjustments may filter on any of them
+    const { name, data, sample, metadata, stored } = await loadRowsForRequest(req.body, { allColumns: true });
+    const profiles = metadata.profiles || {};
+    const defined = stored ? (metadata.metrics || []).filter(metric => metric.dataset === name) : [];
+    if (!Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({ error: "No CSV data found. Please upload a file first." });
+    }
+    const columns = Object.keys(data[0]);
+
+    let extra;
+    try {
+      extra = requestMetrics(metrics, columns).map(metric => ({ ...metric, dataset: name }));
+    } catch (err) {
+      if (err instanceof MetricError) return res.status(400).json(metricErrorBody(err));
+      throw err;
+    }
+
+    let scenario = { adjustments, recompute };
+    let assumptions = null;
+    if (!adjustments && !recompute) {
+      if (typeof description !== 'string' || !description.trim()) {
+        return res.status(400).json({ error: "Provide adjustments or a scenario to translate" });
+      }
+      const ai = getRequestAI(req, res);
+      if (!ai) return;
+      const { numericColumns } = describeDatasets({ [name]: sample }, profiles)[0].summary;
+      const plan = await planScenario(description, { name, columns, numericColumns, rows: data }, ai);
+      if (!plan || (plan.adjustments.length === 0 && plan.recompute.length === 0)) {
+        return res.status(400).json({ error: "Unable to translate scenario", details: "The scenario couldn't be expressed as adjustments to this dataset's columns" });
+      }
+      scenario = { adjustments: plan.adjustments, recompute: plan.recompute };
+      assumptions = plan.assumptions;
+    }
+
+    let result;
+    try {
+      result = runScenario(data, scenario, { metrics: [...defined, ...extra] });
+    } catch (err) {
+      if (!(err instanceof ScenarioError)) throw err;
+      return res.status(400).json({ error: "Invalid scenario", message: err.message, field: err.field, scenario });
+    }
+
+    if (sessionId) {
+      await registerChart(sessionId, description || 'What-if scenario', result);
+    }
+    res.json({ success: true, sessionId: sessionId || null, dataset: name, description: description || null, assumptions, ...result });
+  } catch (err) {
+    console.error('Scenario error:', err);
+    res.status(500).json({ error: "Failed to run scenario" });
+  }
+});
+
 // NEW: Upload CSV and start chat session
 app.post("/api/chat/upload", 
   upload.single("csv"),
@@ -152,69 +871,454 @@ app.post("/api/chat/upload",
     try {
       const filePath = req.file.path;
       const sessionId = req.body.sessionId || `session-${Date.now()}`;
+      // Each upload is a named dataset in the session; re-uploading a name replaces it
+      const datasetName = toDatasetName(req.body.datasetName || req.file.originalname);
+      // digest=true also runs a first-pass analysis of the new dataset
+      const wantsDigest = String(req.body.digest || '').toLowerCase() === 'true';
+      const ai = wantsDigest ? getRequestAI(req, res) : null;
+      if (wantsDigest && !ai) return;
 
-      const data = await parseCSV(filePath);
-      
-      console.log('Upload - sessionId:', sessionId);
-      console.log('Upload - data records:', data.length);
-      console.log('Upload - columns:', Object.keys(data[0] || {}));
-      
-      // Validate row count - limit to 1000 rows for demo
-      if (data.length > 1000) {
-        // Clean up file
-        fs.unlink(filePath, () => {});
-        return res.status(400).json({
-          error: "File too large",
-          message: `CSV file contains ${data.length} rows. Maximum allowed is 1000 rows for demo purposes.`,
-          maxRows: 1000,
-          actualRows: data.length
-        });
+      // Stream the file: profile it, store every row on disk and keep a sample in the session
+      let ingest;
+      try {
+        ingest = await ingestFile(filePath, { dir: newStorageDir(sessionId, datasetName), ...getUploadOptions(req) });
+      } catch (err) {
+        const body = uploadErrorBody(err);
+        if (!body) throw err;
+        return res.status(400).json(body);
       }
-      
-      // Validate column count - limit to 20 columns for demo
-      const columns = Object.keys(data[0] || {});
-      if (columns.length > 20) {
-        // Clean up file
-        fs.unlink(filePath, () => {});
-        return res.status(400).json({
-          error: "Too many columns",
-          message: `CSV file contains ${columns.length} columns. Maximum allowed is 20 columns for demo purposes.`,
-          maxColumns: 20,
-          actualColumns: columns.length
-        });
+
+      console.log('Upload - sessionId:', sessionId, 'dataset:', datasetName, 'format:', ingest.format);
+      console.log('Upload - data records:', ingest.rowCount, 'kept in session:', ingest.sample.length);
+      console.log('Upload - columns:', ingest.columns);
+
+      // Small files fit in the session whole; only sampled datasets need the column store
+      if (!ingest.sampled) {
+        await removeStorage(ingest.storage);
       }
-      
-      // Store CSV data for this session
-      sessionData.set(sessionId, data);
+      await sessionStore.setDataset(sessionId, datasetName, ingest.sample, ingest.sampled ? ingest.storage : null);
+
+      const profile = ingest.profile;
+      const { profiles = {}, domain: domainOverride = null } = await sessionStore.getMetadata(sessionId);
+
+      // Re-detect join keys and the business domain now that the session's set of datasets has changed
+      const sessionDatasets = await sessionStore.getDatasets(sessionId);
+      const relationships = suggestRelationships(sessionDatasets);
+      const domain = domainForDatasets(sessionDatasets, domainOverride);
+      await sessionStore.setMetadata(sessionId, { relationships, profiles: { ...profiles, [datasetName]: profile } });
       
       console.log('Upload - stored session data for:', sessionId);
-      console.log('Upload - total sessions:', sessionData.size);
+      console.log('Upload - total sessions:', (await sessionStore.listSessions()).length);
 
-      // Clean up file
-      fs.unlink(filePath, () => {});
+      const digest = wantsDigest ? await buildDigest(sessionId, datasetName, ai) : undefined;
 
       res.json({
         success: true,
         sessionId: sessionId,
-        recordCount: data.length,
-        columns: Object.keys(data[0] || {}),
-        message: "CSV uploaded successfully. You can now start asking questions!"
+        dataset: datasetName,
+        format: ingest.format,
+        sheet: ingest.sheet,
+        sheets: ingest.sheets,
+        dialect: ingest.dialect,
+        warnings: ingest.warnings,
+        recordCount: ingest.rowCount,
+        sampleSize: ingest.sample.length,
+        sampled: ingest.sampled,
+        columns: ingest.columns,
+        datasets: await sessionStore.listDatasets(sessionId),
+        relationships,
+        profile,
+        domain,
+        digest,
+        message: `${ingest.format.toUpperCase()} file uploaded successfully. You can now start asking questions!`
       });
     } catch (err) {
       console.error('Upload error:', err);
       res.status(500).json({ error: "Failed to upload CSV" });
+    } finally {
+      if (req.file) fs.unlink(req.file.path, () => {}); // clean up temp file
     }
   }
 );
 
+// Datasets in a session and the suggested join keys between them
+app.get("/api/sessions/:id/datasets", async (req, res) => {
+  try {
+    const datasets = await sessionStore.listDatasets(req.params.id);
+    if (datasets.length === 0) {
+      return res.status(404).json({ error: "Session not found or has no data" });
+    }
+    const { relationships = [] } = await sessionStore.getMetadata(req.params.id);
+    res.json({ success: true, sessionId: req.params.id, datasets, relationships });
+  } catch (err) {
+    console.error('Datasets error:', err);
+    res.status(500).json({ error: "Failed to load datasets" });
+  }
+});
+
+/**
+ * Find the dataset a request is about (by name, default the active one) in listDatasets form
+ * Sends a 404 and returns null when there is none
+ */
+async function findSessionDataset(id, name, res) {
+  const datasets = await sessionStore.listDatasets(id);
+  const entry = name ? datasets.find(d => d.name === name) : datasets.find(d => d.active) || datasets[0];
+  if (!entry) {
+    res.status(404).json({ error: name ? "Dataset not found" : "Session not found or has no data" });
+    return null;
+  }
+  return entry;
+}
+
+// Column types and statistics for a session's dataset (?dataset=name, default the active one)
+app.get("/api/sessions/:id/profile", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await findSessionDataset(id, req.query.dataset, res);
+    if (!entry) return;
+
+    // Sessions created before profiling was added have no cached profile
+    const { profiles = {} } = await sessionStore.getMetadata(id);
+    const profile = profiles[entry.name] || profileDataset(await sessionStore.getDataset(id, entry.name));
+    res.json({ success: true, sessionId: id, dataset: entry.name, profile });
+  } catch (err) {
+    console.error('Profile error:', err);
+    res.status(500).json({ error: "Failed to profile dataset" });
+  }
+});
+
+// Business domain packs the detection can choose from
+app.get("/api/domains", (req, res) => {
+  res.json({ success: true, domains: listDomainPacks() });
+});
+
+// Override a session's detected business domain: { domain: packId }, or { domain: null } to detect again
+app.post("/api/sessions/:id/domain", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const override = req.body.domain || null;
+    const datasets = await sessionStore.getDatasets(id);
+    if (Object.keys(datasets).length === 0) {
+      return res.status(404).json({ error: "Session not found or has no data" });
+    }
+    const pack = override ? getDomainPack(override) : null;
+    if (override && !pack) {
+      return res.status(400).json(unknownDomainBody(override));
+    }
+
+    await sessionStore.setMetadata(id, { domain: pack ? pack.id : null });
+    res.json({ success: true, sessionId: id, domain: domainForDatasets(datasets, pack ? pack.id : null) });
+  } catch (err) {
+    console.error('Domain error:', err);
+    res.status(500).json({ error: "Failed to set domain" });
+  }
+});
+
+// The session's defined metrics with their values over all rows (?by=column breaks every metric down)
+app.get("/api/sessions/:id/metrics", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if ((await sessionStore.listDatasets(id)).length === 0) {
+      return res.status(404).json({ error: "Session not found or has no data" });
+    }
+    const { metrics = [] } = await sessionStore.getMetadata(id);
+    res.json({ success: true, sessionId: id, metrics: await computeSessionMetrics(id, metrics, { groupBy: req.query.by || null }) });
+  } catch (err) {
+    console.error('Metrics error:', err);
+    res.status(500).json({ error: "Failed to compute metrics" });
+  }
+});
+
+// Define a metric: { name, formula, aggregation, format, description, filter, dataset } (see metrics.js)
+// Defining a name again replaces it
+app.post("/api/sessions/:id/metrics", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await findSessionDataset(id, req.body.dataset, res);
+    if (!entry) return;
+
+    const { metrics = [], profiles = {} } = await sessionStore.getMetadata(id);
+    const columns = profiles[entry.name]
+      ? profiles[entry.name].columns.map(c => c.name)
+      : Object.keys((await sessionStore.getDataset(id, entry.name))[0] || {});
+    let metric;
+    try {
+      metric = normalizeMetric({ ...req.body, dataset: entry.name }, columns);
+    } catch (err) {
+      if (!(err instanceof MetricError)) throw err;
+      return res.status(400).json(metricErrorBody(err));
+    }
+
+    const others = metrics.filter(m => m.name.toLowerCase() !== metric.name.toLowerCase());
+    await sessionStore.setMetadata(id, { metrics: [...others, metric] });
+    const [computed] = await computeSessionMetrics(id, [metric]);
+    res.json({ success: true, sessionId: id, replaced: others.length < metrics.length, metric: computed });
+  } catch (err) {
+    console.error('Metric error:', err);
+    res.status(500).json({ error: "Failed to save metric" });
+  }
+});
+
+app.delete("/api/sessions/:id/metrics/:name", async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    const { metrics = [] } = await sessionStore.getMetadata(id);
+    const remaining = metrics.filter(m => m.name.toLowerCase() !== name.toLowerCase());
+    if (remaining.length === metrics.length) {
+      return res.status(404).json({ error: "Metric not found" });
+    }
+    await sessionStore.setMetadata(id, { metrics: remaining });
+    res.json({ success: true, sessionId: id, metrics: remaining });
+  } catch (err) {
+    console.error('Metric error:', err);
+    res.status(500).json({ error: "Failed to delete metric" });
+  }
+});
+
+// Clean or reshape a dataset: { dataset, operations: [{ op, ... }] } (see transforms.js)
+// Every operation is applied to the full rows and recorded as a new dataset version
+app.post("/api/sessions/:id/transform", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { operations } = req.body;
+    const entry = await findSessionDataset(id, req.body.dataset, res);
+    if (!entry) return;
+
+    let transformed;
+    try {
+      transformed = await transformSessionDataset(id, entry, operations);
+    } catch (err) {
+      if (!(err instanceof TransformError)) throw err;
+      return res.status(400).json({ error: "Invalid transform", message: err.message, operationIndex: err.index });
+    }
+    const { version, applied, saved } = transformed;
+
+    res.json({
+      success: true,
+      sessionId: id,
+      dataset: entry.name,
+      version,
+      applied,
+      recordCount: saved.rowCount,
+      columns: saved.columns,
+      sampled: saved.sampled,
+      relationships: saved.relationships,
+      profile: saved.profile
+    });
+  } catch (err) {
+    console.error('Transform error:', err);
+    res.status(500).json({ error: "Failed to transform dataset" });
+  }
+});
+
+// Data quality problems in a dataset (?dataset=name), each with a fix that can be accepted
+app.get("/api/sessions/:id/cleaning", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await findSessionDataset(id, req.query.dataset, res);
+    if (!entry) return;
+    const findings = await findCleaningIssues(id, entry);
+    res.json({ success: true, sessionId: id, dataset: entry.name, version: entry.version, findings });
+  } catch (err) {
+    console.error('Cleaning suggestions error:', err);
+    res.status(500).json({ error: "Failed to check data quality" });
+  }
+});
+
+// Accept cleaning fixes: { dataset, fixes: [finding id] }
+// The fixes run as transform operations, so they show up in the history and can be undone
+app.post("/api/sessions/:id/cleaning/apply", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fixes } = req.body;
+    if (!Array.isArray(fixes) || fixes.length === 0) {
+      return res.status(400).json({ error: "Missing fixes", message: '"fixes" must list the ids of the findings to fix' });
+    }
+    const entry = await findSessionDataset(id, req.body.dataset, res);
+    if (!entry) return;
+
+    // Findings are recomputed so fixes always match the current version of the data
+    const findings = await findCleaningIssues(id, entry);
+    const { operations, fixed, missing, unfixable } = fixOperations(findings, fixes);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: "Unknown finding",
+        message: `No current finding with id ${missing.map(m => `"${m}"`).join(', ')}; the data may have changed since it was checked`,
+        findings: findings.map(f => f.id)
+      });
+    }
+    if (unfixable.length > 0) {
+      return res.status(400).json({
+        error: "Finding needs a decision",
+        message: findings.filter(f => unfixable.includes(f.id)).map(f => f.message).join(' '),
+        findings: unfixable
+      });
+    }
+
+    let transformed;
+    try {
+      transformed = await transformSessionDataset(id, entry, operations);
+    } catch (err) {
+      if (!(err instanceof TransformError)) throw err;
+      return res.status(400).json({ error: "Fix could not be applied", message: err.message, operationIndex: err.index });
+    }
+    const { version, applied, saved } = transformed;
+
+    res.json({
+      success: true,
+      sessionId: id,
+      dataset: entry.name,
+      version,
+      fixed,
+      applied,
+      recordCount: saved.rowCount,
+      columns: saved.columns,
+      sampled: saved.sampled,
+      relationships: saved.relationships,
+      profile: saved.profile,
+      remaining: (await findCleaningIssues(id, entry)).map(f => f.id)
+    });
+  } catch (err) {
+    console.error('Apply cleaning error:', err);
+    res.status(500).json({ error: "Failed to apply cleaning fixes" });
+  }
+});
+
+// Undo a dataset's latest transform operation by replaying the others over the uploaded rows
+app.post("/api/sessions/:id/transform/undo", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await findSessionDataset(id, req.body.dataset, res);
+    if (!entry) return;
+
+    const { history, original } = await sessionStore.getVersion(id, entry.name);
+    if (history.length === 0) {
+      return res.status(400).json({ error: "Nothing to undo", dataset: entry.name, version: 1 });
+    }
+
+    const remaining = history.slice(0, -1);
+    const full = await loadFullDatasets({ [entry.name]: original.rows }, { [entry.name]: original.storage });
+    const columns = original.storage ? original.storage.columns : Object.keys(original.rows[0] || {});
+    const result = remaining.length > 0
+      ? applyOperations(full[entry.name], columns, remaining.map(step => step.operation))
+      : { rows: full[entry.name], columns };
+    const saved = await saveTransformedDataset(id, entry.name, result.rows, result.columns, remaining);
+
+    res.json({
+      success: true,
+      sessionId: id,
+      dataset: entry.name,
+      version: remaining.length + 1,
+      undone: history[history.length - 1],
+      recordCount: saved.rowCount,
+      columns: saved.columns,
+      sampled: saved.sampled,
+      relationships: saved.relationships,
+      profile: saved.profile
+    });
+  } catch (err) {
+    console.error('Undo transform error:', err);
+    res.status(500).json({ error: "Failed to undo transform" });
+  }
+});
+
+// Transform history of a dataset (?dataset=name, default the active one)
+app.get("/api/sessions/:id/transform/history", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await findSessionDataset(id, req.query.dataset, res);
+    if (!entry) return;
+    const { version, history } = await sessionStore.getVersion(id, entry.name);
+    res.json({ success: true, sessionId: id, dataset: entry.name, version, history });
+  } catch (err) {
+    console.error('Transform history error:', err);
+    res.status(500).json({ error: "Failed to load transform history" });
+  }
+});
+
+// Remove one dataset from a session
+app.delete("/api/sessions/:id/datasets/:name", async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    if (!(await sessionStore.getSession(id))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    await sessionStore.removeDataset(id, name);
+    const relationships = suggestRelationships(await sessionStore.getDatasets(id));
+    const { profiles = {} } = await sessionStore.getMetadata(id);
+    const { [name]: removed, ...remainingProfiles } = profiles;
+    await sessionStore.setMetadata(id, { relationships, profiles: remainingProfiles });
+    res.json({ success: true, datasets: await sessionStore.listDatasets(id), relationships });
+  } catch (err) {
+    console.error('Remove dataset error:', err);
+    res.status(500).json({ error: "Failed to remove dataset" });
+  }
+});
+
+// A chart from a chat turn as an image: /api/charts/<id>.svg or .png (?width=&height= in pixels)
+app.get("/api/charts/:file", async (req, res) => {
+  try {
+    const match = req.params.file.match(/^(.+)\.(svg|png)$/i);
+    if (!match) {
+      return res.status(400).json({ error: "Unsupported image format", supportedFormats: ['svg', 'png'] });
+    }
+    const entry = await sessionStore.getChart(match[1]);
+    if (!entry) {
+      return res.status(404).json({ error: "Chart not found" });
+    }
+
+    const options = { width: req.query.width, height: req.query.height };
+    res.set('Cache-Control', 'private, max-age=3600');
+    if (match[2].toLowerCase() === 'svg') {
+      res.type('image/svg+xml').send(renderSvg(entry.chart, options));
+    } else {
+      res.type('image/png').send(renderPng(entry.chart, options));
+    }
+  } catch (err) {
+    if (err instanceof ChartError) {
+      return res.status(422).json({ error: "Chart cannot be rendered", message: err.message });
+    }
+    console.error('Chart render error:', err);
+    res.status(500).json({ error: "Failed to render chart" });
+  }
+});
+
+// The session's questions and answers as a report: ?format=html (default), md or pdf
+app.get("/api/sessions/:id/report", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || 'html').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "Unsupported report format", supportedFormats: REPORT_FORMATS });
+    }
+    const record = await sessionStore.getSession(id);
+    if (!record) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const report = await buildReport(record, await sessionStore.listDatasets(id), sessionStore.getChart, { title: req.query.title });
+    // Markdown links chart images, so their URLs have to work from wherever the file is opened
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const { body, contentType, extension } = await renderReport(report, format, {
+      chartUrl: (chart) => (chart.id ? `${baseUrl}/api/charts/${chart.id}.png` : null)
+    });
+    res.type(contentType);
+    if (format !== 'html') res.attachment(`report-${id}.${extension}`);
+    res.send(body);
+  } catch (err) {
+    console.error('Report error:', err);
+    res.status(500).json({ error: "Failed to build report" });
+  }
+});
+
 // NEW: Clear chat history
 app.post("/api/chat/clear", async (req, res) => {
   try {
     const { sessionId } = req.body;
     
     if (sessionId) {
-      clearConversationMemory(sessionId);
-      sessionData.delete(sessionId);
+      await clearConversationMemory(sessionId);
+      await sessionStore.deleteSession(sessionId);
     }
 
     res.json({ success: true, message: "Chat history cleared" });
@@ -255,6 +1359,13 @@ app.post('/api/ask-sheets', async (req, res) => {
   try {
     const { spreadsheetId, range, question, accessToken } = req.body;
 
+    const ai = getRequestAI(req, res);
+    if (!ai) return;
+
+    if (req.body.domain && !getDomainPack(req.body.domain)) {
+      return res.status(400).json(unknownDomainBody(req.body.domain));
+    }
+
     if (!accessToken) {
       return res.status(400).json({ 
         error: 'Access token required. Please authenticate first.',
@@ -290,48 +1401,69 @@ app.post('/api/ask-sheets', async (req, res) => {
       return obj;
     });
 
+    let definitions;
+    try {
+      definitions = requestMetrics(req.body.metrics, headers);
+    } catch (err) {
+      if (!(err instanceof MetricError)) throw err;
+      return res.status(400).json(metricErrorBody(err));
+    }
+
     // Process data intelligently for AI analysis
     const processedData = processDataForAI(data, question);
     console.log("🚀 ~ processedData:", processedData)
-    const prompt = createOptimizedPrompt(processedData, question, processedData.summary);
+    const query = await planAndRunQuery({ data }, question, ai, [], { data: processedData.summary.profile });
+    const forecast = forecastForQuestion(data, question);
+    const anomalies = anomaliesForQuestion(data, question);
+    const drivers = driversForQuestion(data, question, processedData.summary.profile);
+    const cohorts = cohortsForQuestion(data, question);
+    const periods = periodsForQuestion(data, question);
+    const domain = resolveDomain(data, req.body.domain);
+    const metrics = computeMetrics(data, definitions, { question });
+    const prompt = createOptimizedPrompt(processedData, question, processedData.summary, {
+      computedResult: query.computedResult,
+      forecast,
+      anomalies,
+      drivers,
+      cohorts,
+      domain,
+      metrics,
+      periods
+    });
     console.log("🚀 ~ prompt:", prompt)
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
-    });
+    const completion = await invokeStructured(prompt, ai, { computedResult: query.computedResult });
     console.log("🚀 ~ completion:", completion)
 
-    const raw = completion.choices[0].message.content;
-    console.log("🚀 ~ raw:", raw)
-    let result;
-    try {
-      result = JSON.parse(raw);
-      
-      // Add metadata about data processing
-      result.metadata = {
-        totalRecords: processedData.totalRecords,
-        sampleSize: processedData.sampleSize,
-        confidence: result.confidence || 'medium',
-        limitations: result.limitations || null
-      };
-    } catch (e) {
-      result = { 
-        answer: raw, 
-        chart: null,
-        metadata: {
-          totalRecords: processedData.totalRecords,
-          sampleSize: processedData.sampleSize,
-          confidence: 'low',
-          limitations: 'Failed to parse AI response'
-        }
-      };
-    }
+    const result = completion.response;
+
+    // Add metadata about data processing
+    result.metadata = {
+      totalRecords: processedData.totalRecords,
+      sampleSize: processedData.sampleSize,
+      confidence: result.confidence,
+      limitations: result.limitations,
+      provider: completion.provider,
+      attempts: completion.attempts,
+      domain: domainSummary(domain)
+    };
+    result.queryPlan = query.queryPlan;
+    result.computedResult = query.computedResult;
+    result.forecast = forecast;
+    result.anomalies = anomalies;
+    result.drivers = drivers;
+    result.cohorts = cohorts;
+    result.metrics = metrics;
+    result.periods = periods;
+    fillResponseChart(result, query.computedResult, [drivers, cohorts, periods]);
 
     res.json(result);
 
   } catch (err) {
     console.error(err);
+    if (err instanceof StructuredOutputError) {
+      return res.status(502).json(structuredErrorBody(err));
+    }
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
@@ -575,6 +1707,19 @@ app.post('/api/test-sheets', async (req, res) => {
   }
 });
 
+// Uploads over INGEST_MAX_FILE_MB are rejected by multer before they reach a route
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return res.status(413).json({
+      error: "File too large",
+      message: `Maximum upload size is ${Math.round(getIngestionLimits().maxFileBytes / (1024 * 1024))} MB.`,
+      maxBytes: getIngestionLimits().maxFileBytes
+    });
+  }
+  next(err);
+});
+
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
 });
\ No newline at end of file
@@ -0,0 +1,178 @@
+// ingestion.js - Streaming ingestion for large uploads (CSV, TSV, Excel, JSON, Parquet)
+// Rows are streamed once: profiled incrementally, written to the column store and sampled,
+// so only the sample and the aggregates are ever held in memory
+
+const { openRowSource } = require('./fileFormats');
+const { createDatasetProfiler } = require('./profiler');
+const { createColumnWriter, loadRows, removeStorage } = require('./columnStore');
+
+const FLUSH_EVERY = 5000;
+
+/**
+ * Upload limits for this deployment
+ * INGEST_MAX_ROWS, INGEST_MAX_COLUMNS, INGEST_MAX_FILE_MB, INGEST_SAMPLE_ROWS
+ */
+function getIngestionLimits() {
+  const read = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+  };
+  return {
+    maxRows: read('INGEST_MAX_ROWS', 500000),
+    maxColumns: read('INGEST_MAX_COLUMNS', 200),
+    maxFileBytes: read('INGEST_MAX_FILE_MB', 200) * 1024 * 1024,
+    // Rows kept in memory (and in the session) for prompts; smaller files are kept whole
+    sampleRows: read('INGEST_SAMPLE_ROWS', 2000)
+  };
+}
+
+/**
+ * Thrown when an upload goes over one of the configured limits
+ */
+class IngestionLimitError extends Error {
+  constructor(message, { code, limit, actual = null }) {
+    super(message);
+    this.name = 'IngestionLimitError';
+    this.code = code;
+    this.limit = limit;
+    this.actual = actual;
+  }
+}
+
+// What was detected about the file, for the upload response
+function describeSource(source) {
+  return {
+    format: source.format,
+    sheet: source.info.sheet || null,
+    sheets: source.info.sheets || null,
+    dialect: source.info.dialect || null,
+    warnings: source.info.warnings || []
+  };
+}
+
+/**
+ * Stream rows into the column store, profiling and sampling them on the way
+ * rows - any (async) iterable of row objects; columns - column order, taken from the first row if omitted
+ * Returns { columns, rowCount, sample, sampled, profile, storage }
+ * - sample: up to limits.sampleRows rows in original order (every row when there are few)
+ * - storage: descriptor for columnStore.loadRows
+ */
+async function ingestRows(rows, { dir, limits = getIngestionLimits(), columns = null }) {
+  let writer = null;
+  let profiler = null;
+  let rowCount = 0;
+  const reservoir = []; // [{ index, row }]
+
+  const start = async (names) => {
+    if (names.length > limits.maxColumns) {
+      throw new IngestionLimitError(
+        `File contains ${names.length} columns. Maximum allowed is ${limits.maxColumns} columns.`,
+        { code: 'TOO_MANY_COLUMNS', limit: limits.maxColumns, actual: names.length }
+      );
+    }
+    writer = await createColumnWriter(dir, names);
+    profiler = createDatasetProfiler(names);
+  };
+
+  try {
+    if (columns) await start(columns);
+    for await (const row of rows) {
+      if (!columns) {
+        columns = Object.keys(row);
+        await start(columns);
+      }
+
+      if (rowCount >= limits.maxRows) {
+        throw new IngestionLimitError(
+          `File contains more than ${limits.maxRows} rows. Maximum allowed is ${limits.maxRows} rows.`,
+          { code: 'TOO_MANY_ROWS', limit: limits.maxRows }
+        );
+      }
+
+      // Reservoir sampling keeps a uniform sample without knowing the row count up front
+      if (reservoir.length < limits.sampleRows) {
+        reservoir.push({ index: rowCount, row });
+      } else {
+        const slot = Math.floor(Math.random() * (rowCount + 1));
+        if (slot < limits.sampleRows) reservoir[slot] = { index: rowCount, row };
+      }
+
+      profiler.add(row);
+      writer.write(row);
+      rowCount++;
+      if (rowCount % FLUSH_EVERY === 0) await writer.flush();
+    }
+  } catch (err) {
+    await removeStorage({ dir });
+    throw err;
+  }
+
+  if (!columns) {
+    return { columns: [], rowCount: 0, sample: [], sampled: false, profile: createDatasetProfiler([]).finish(), storage: null };
+  }
+
+  const storage = await writer.close();
+  return {
+    columns,
+    rowCount,
+    sample: reservoir.sort((a, b) => a.index - b.index).map(entry => entry.row),
+    sampled: rowCount > reservoir.length,
+    profile: profiler.finish(),
+    storage
+  };
+}
+
+/**
+ * Stream an uploaded file into the column store
+ * options.format / fileName / sheet / dialect are passed to fileFormats.openRowSource
+ * Returns { format, sheet, sheets, dialect, warnings, ...ingestRows result }
+ */
+async function ingestFile(filePath, { dir, limits = getIngestionLimits(), format = null, fileName = '', sheet = null, dialect = {} }) {
+  const source = await openRowSource(filePath, { format, fileName, sheet, dialect });
+  const ingested = await ingestRows(source.rows, { dir, limits });
+  return { ...describeSource(source), ...ingested };
+}
+
+/**
+ * Read a whole (small) file into memory, for one-off requests that don't keep the data
+ * Returns { format, sheet, sheets, dialect, warnings, rows }
+ */
+async function readFileRows(filePath, { format = null, fileName = '', sheet = null, dialect = {}, maxRows = getIngestionLimits().maxRows } = {}) {
+  const source = await openRowSource(filePath, { format, fileName, sheet, dialect });
+  const rows = [];
+  for await (const row of source.rows) {
+    if (rows.length >= maxRows) {
+      throw new IngestionLimitError(`File contains more than ${maxRows} rows. Maximum allowed is ${maxRows} rows.`, {
+        code: 'TOO_MANY_ROWS',
+        limit: maxRows
+      });
+    }
+    rows.push(row);
+  }
+  return { ...describeSource(source), rows };
+}
+
+/**
+ * Swap sampled datasets for their full rows from the column store
+ * datasets - { name: rows } as kept in the session; storage - { name: descriptor }
+ * columns - optional { name: [column] } to read only what a computation needs
+ */
+async function loadFullDatasets(datasets, storage = {}, columns = {}) {
+  const full = {};
+  for (const [name, rows] of Object.entries(datasets)) {
+    const stored = storage[name];
+    full[name] = stored && stored.rowCount > rows.length
+      ? await loadRows(stored, columns[name] || null)
+      : rows;
+  }
+  return full;
+}
+
+module.exports = {
+  ingestFile,
+  ingestRows,
+  readFileRows,
+  loadFullDatasets,
+  getIngestionLimits,
+  IngestionLimitError
+};
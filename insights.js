@@ -0,0 +1,312 @@
+// insights.js - A first look at a new dataset, computed locally
+// Finds the largest categories, the strongest correlations, the biggest movers between the last two
+// periods, breaks in the trend and unusual periods. The model only narrates these findings (see
+// createDigestPrompt); it never has to spot them in a slice of raw rows.
+
+const { generateDataSummary } = require('./dataProcessor');
+const { buildSeries, pickDateColumn, pickMetric, SEASON_LENGTHS } = require('./forecasting');
+const { findSeriesAnomalies, dropPartialPeriod } = require('./anomalies');
+const { pearson } = require('./drivers');
+const { toNumber } = require('./queryEngine');
+const { formatNumber } = require('./chartRenderer');
+const { describeResponseSchema } = require('./responseSchema');
+
+const INSIGHT_TYPES = ['topMovers', 'trendBreaks', 'anomalies', 'largestCategories', 'correlations'];
+const MAX_PER_TYPE = 3;
+const MAX_CATEGORIES = 50;
+// The top category must hold this many times an even share to count as large
+const EVEN_SHARE_MULTIPLE = 1.5;
+const MIN_CORRELATION = 0.5;
+const MIN_ROWS_FOR_CORRELATION = 8;
+const MIN_PERIODS_FOR_TREND = 8;
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function percent(part, whole) {
+  return whole === 0 ? null : round((part / whole) * 100, 1);
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + v, 0);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function linearFit(values) {
+  const n = values.length;
+  const meanT = (n - 1) / 2;
+  const meanY = sum(values) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((y, t) => {
+    num += (t - meanT) * (y - meanY);
+    den += (t - meanT) ** 2;
+  });
+  const slope = den === 0 ? 0 : num / den;
+  const intercept = meanY - slope * meanT;
+  const fitted = values.map((_, t) => intercept + slope * t);
+  return { slope, fitted, sse: sum(values.map((y, t) => (y - fitted[t]) ** 2)) };
+}
+
+/**
+ * The categories holding the biggest share of the metric (or of the rows, without a metric)
+ */
+function findLargestCategories(rows, categorical, metric) {
+  return categorical.map(column => {
+    const totals = new Map();
+    rows.forEach(row => {
+      const key = row[column] === null || row[column] === undefined || row[column] === '' ? null : String(row[column]);
+      if (key === null) return;
+      const value = metric ? toNumber(row[metric]) : 1;
+      if (value === null) return;
+      totals.set(key, (totals.get(key) || 0) + value);
+    });
+    if (totals.size < 2 || totals.size > MAX_CATEGORIES) return null;
+    const ranked = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]);
+    const total = sum(ranked.map(([, value]) => value));
+    if (total <= 0) return null;
+    const [top, topValue] = ranked[0];
+    const share = percent(topValue, total);
+    // An even split has no largest category worth mentioning
+    if (topValue / total < EVEN_SHARE_MULTIPLE / totals.size) return null;
+    const measure = metric || 'rows';
+    return {
+      type: 'largestCategories',
+      title: `${top} is the largest ${column} with ${share}% of ${measure}`,
+      detail: `${ranked.slice(0, 3).map(([name, value]) => `${name}: ${formatNumber(value)} (${percent(value, total)}%)`).join(', ')} of ${totals.size} ${column} values.`,
+      score: share / 100,
+      data: { column, metric, total: round(total), top: ranked.slice(0, 5).map(([name, value]) => ({ name, value: round(value), share: percent(value, total) })) }
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Pairs of numeric columns that move together (or against each other)
+ */
+function findCorrelations(rows, numeric) {
+  const found = [];
+  for (let i = 0; i < numeric.length; i++) {
+    for (let j = i + 1; j < numeric.length; j++) {
+      const xs = [];
+      const ys = [];
+      let identical = true;
+      rows.forEach(row => {
+        const x = toNumber(row[numeric[i]]);
+        const y = toNumber(row[numeric[j]]);
+        if (x === null || y === null) return;
+        xs.push(x);
+        ys.push(y);
+        if (x !== y) identical = false;
+      });
+      // Two copies of the same column aren't a finding
+      if (xs.length < MIN_ROWS_FOR_CORRELATION || identical) continue;
+      const r = pearson(xs, ys);
+      if (r === null || Math.abs(r) < MIN_CORRELATION) continue;
+      found.push({
+        type: 'correlations',
+        title: `${numeric[i]} and ${numeric[j]} are ${r > 0 ? 'strongly linked' : 'inversely linked'} (r = ${round(r)})`,
+        detail: `When ${numeric[i]} is higher, ${numeric[j]} tends to be ${r > 0 ? 'higher' : 'lower'} (Pearson correlation over ${xs.length} rows). Correlation alone doesn't show which causes which.`,
+        score: Math.abs(r),
+        data: { columns: [numeric[i], numeric[j]], r: round(r, 3), rows: xs.length }
+      });
+    }
+  }
+  return found;
+}
+
+/**
+ * Change in the metric between the last two periods, overall and per category
+ */
+function findTopMovers(rows, categorical, dateColumn, metric, overall) {
+  const { series, frequency } = overall;
+  const last = series[series.length - 1];
+  const previous = series[series.length - 2];
+  const found = [];
+
+  const change = last.value - previous.value;
+  found.push({
+    type: 'topMovers',
+    title: `${metric} ${change >= 0 ? 'rose' : 'fell'} ${Math.abs(percent(change, previous.value) || 0)}% in ${last.period}`,
+    detail: `${formatNumber(previous.value)} in ${previous.period} to ${formatNumber(last.value)} in ${last.period} (${change >= 0 ? '+' : ''}${formatNumber(change)}).`,
+    score: previous.value === 0 ? 1 : Math.min(Math.abs(change / previous.value), 1),
+    data: { metric, column: null, name: null, from: previous.period, to: last.period, before: round(previous.value), after: round(last.value), change: round(change), changePercent: percent(change, previous.value) }
+  });
+
+  categorical.forEach(column => {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = row[column];
+      if (key === null || key === undefined || key === '') return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    if (groups.size < 2 || groups.size > MAX_CATEGORIES) return;
+    const movers = [];
+    groups.forEach((groupRows, name) => {
+      const values = new Map(buildSeries(groupRows, dateColumn, metric, { frequency }).series.map(p => [p.key, p.value]));
+      const before = values.get(previous.key) || 0;
+      const after = values.get(last.key) || 0;
+      if (before === 0 && after === 0) return;
+      movers.push({ name: String(name), before, after, change: after - before });
+    });
+    movers.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    const top = movers[0];
+    if (!top || top.change === 0) return;
+    const totalChange = Math.abs(change) || sum(movers.map(m => Math.abs(m.change)));
+    found.push({
+      type: 'topMovers',
+      title: `${top.name} ${top.change >= 0 ? 'gained' : 'lost'} the most ${metric} in ${last.period}`,
+      detail: `${column} ${top.name}: ${formatNumber(top.before)} to ${formatNumber(top.after)} (${top.change >= 0 ? '+' : ''}${formatNumber(top.change)}${top.before ? `, ${percent(top.change, top.before)}%` : ''}) versus ${previous.period}.`,
+      score: totalChange === 0 ? 0 : Math.min(Math.abs(top.change) / totalChange, 1),
+      data: {
+        metric,
+        column,
+        from: previous.period,
+        to: last.period,
+        movers: movers.slice(0, 5).map(m => ({ ...m, before: round(m.before), after: round(m.after), change: round(m.change), changePercent: m.before ? percent(m.change, m.before) : null }))
+      }
+    });
+  });
+  return found;
+}
+
+/**
+ * The point where a single straight trend fits worst: rising then falling, or a sudden speed-up
+ * Unusual periods (see findAnomalies) are replaced by their neighbours' average so a one-off
+ * spike isn't mistaken for a change of direction
+ */
+function findTrendBreaks(metric, overall, anomalies = []) {
+  const unusual = new Set(anomalies.map(a => a.data.period));
+  const raw = overall.series.map(p => p.value);
+  const values = overall.series.map((p, i) => {
+    if (!unusual.has(p.period)) return p.value;
+    const neighbours = [raw[i - 1], raw[i + 1]].filter(v => v !== undefined);
+    return sum(neighbours) / neighbours.length;
+  });
+  if (values.length < MIN_PERIODS_FOR_TREND) return [];
+  const single = linearFit(values);
+  if (single.sse === 0) return [];
+
+  let best = null;
+  for (let k = 3; k <= values.length - 3; k++) {
+    const before = linearFit(values.slice(0, k));
+    const after = linearFit(values.slice(k));
+    const improvement = 1 - (before.sse + after.sse) / single.sse;
+    if (!best || improvement > best.improvement) best = { k, before, after, improvement };
+  }
+  const { k, before, after, improvement } = best;
+  const reversed = Math.sign(before.slope) !== Math.sign(after.slope);
+  const ratio = Math.abs(after.slope) / (Math.abs(before.slope) || Infinity);
+  if (improvement < 0.5 || (!reversed && ratio > 0.5 && ratio < 2)) return [];
+
+  const period = overall.series[k].period;
+  const trend = (slope) => `${slope >= 0 ? 'rising' : 'falling'} about ${formatNumber(Math.abs(slope))} per ${overall.frequency}`;
+  return [{
+    type: 'trendBreaks',
+    title: `${metric} changed direction around ${period}`,
+    detail: `${metric} was ${trend(before.slope)} before ${period} and ${trend(after.slope)} from then on.`,
+    score: improvement,
+    data: { metric, period, frequency: overall.frequency, slopeBefore: round(before.slope), slopeAfter: round(after.slope) }
+  }];
+}
+
+/**
+ * Unusual periods, as found by the anomaly checks (see anomalies.js)
+ */
+function findAnomalies(metric, overall) {
+  const { points } = findSeriesAnomalies(overall.series, { seasonLength: overall.yearless ? null : SEASON_LENGTHS[overall.frequency] });
+  return points.map(point => ({
+    type: 'anomalies',
+    title: `${metric} was unusually ${point.direction} in ${point.period}`,
+    detail: `${formatNumber(point.value)} against about ${formatNumber(point.expected)} expected (${point.methods.map(m => m.method).join(', ')}).`,
+    score: Math.min(Math.max(...point.methods.map(m => Math.abs(m.score))) / 10, 1),
+    data: { metric, period: point.period, value: point.value, expected: point.expected, severity: point.severity }
+  }));
+}
+
+/**
+ * Compute the first-pass insights for a dataset
+ * rows - all rows; profile - the cached profile for them (computed if omitted)
+ * Returns { metric, dateColumn, frequency, partialPeriod, insights: [{ type, title, detail, score, data }] },
+ * with at most maxPerType insights of each type, strongest first, in INSIGHT_TYPES order
+ */
+function findInsights(rows, profile = null, { maxPerType = MAX_PER_TYPE } = {}) {
+  if (!rows || rows.length === 0) return { metric: null, dateColumn: null, frequency: null, partialPeriod: null, insights: [] };
+  const summary = generateDataSummary(rows, profile);
+  const numeric = summary.numericColumns;
+  const categorical = summary.categoricalColumns;
+  const dateColumn = summary.dateColumns.length > 0 ? pickDateColumn(rows) : null;
+  const metric = numeric.length > 0 ? pickMetric(rows, '', dateColumn) : null;
+  let overall = dateColumn && metric ? dropPartialPeriod(rows, dateColumn, buildSeries(rows, dateColumn, metric)) : null;
+  if (overall && overall.series.length < 2) overall = null;
+
+  const anomalies = overall ? findAnomalies(metric, overall) : [];
+  const found = [
+    ...(overall ? findTopMovers(rows, categorical, dateColumn, metric, overall) : []),
+    ...(overall ? findTrendBreaks(metric, overall, anomalies) : []),
+    ...anomalies,
+    ...findLargestCategories(rows, categorical, metric),
+    ...findCorrelations(rows, numeric)
+  ];
+
+  const insights = INSIGHT_TYPES.flatMap(type => found
+    .filter(insight => insight.type === type)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxPerType)
+    .map(insight => ({ ...insight, score: round(insight.score, 3) })));
+  return {
+    metric,
+    dateColumn,
+    frequency: overall ? overall.frequency : null,
+    partialPeriod: overall ? overall.partialPeriod || null : null,
+    insights
+  };
+}
+
+/**
+ * Follow-up questions that fit the insights, for when the model can't suggest any
+ */
+function suggestQuestions({ metric, dateColumn, insights }) {
+  const questions = [];
+  insights.forEach(insight => {
+    const { data } = insight;
+    if (insight.type === 'topMovers' && data.column) questions.push(`Why did ${data.metric} change for ${data.movers[0].name} in ${data.to}?`);
+    if (insight.type === 'trendBreaks') questions.push(`What changed around ${data.period} for ${data.metric}?`);
+    if (insight.type === 'anomalies') questions.push(`What happened to ${data.metric} in ${data.period}?`);
+    if (insight.type === 'largestCategories') questions.push(`How has ${data.column} ${data.top[0].name} performed over time?`);
+    if (insight.type === 'correlations') questions.push(`How does ${data.columns[0]} affect ${data.columns[1]}?`);
+  });
+  if (metric && dateColumn) questions.push(`Forecast ${metric} for the next 3 periods`);
+  return Array.from(new Set(questions)).slice(0, 5);
+}
+
+/**
+ * The prompt asking the model to turn the insights into a short digest
+ */
+function createDigestPrompt(datasetName, result) {
+  return `You are an expert business data analyst. A user just uploaded the dataset "${datasetName}".
+The server computed these findings over all of its rows (exact values):
+${result.insights.map((insight, i) => `${i + 1}. [${insight.type}] ${insight.title}. ${insight.detail}`).join('\n')}${result.partialPeriod ? `\n(${result.partialPeriod} looks incomplete and was left out of the period comparisons.)` : ''}
+
+Write a short first-look digest for a business owner:
+- "answer": two or three sentences on what stands out most
+- "keyInsights": the 3 most useful findings in plain language, using the numbers above as-is
+- "followUpQuestions": 3 to 5 short questions the user could ask next about this data
+- "chart": null
+
+Respond with ONLY a JSON object in this format:
+${describeResponseSchema()}`;
+}
+
+module.exports = {
+  INSIGHT_TYPES,
+  findInsights,
+  suggestQuestions,
+  createDigestPrompt
+};
@@ -0,0 +1,277 @@
+// metrics.js - Named business metrics (KPIs), defined once per session and computed over all rows
+// A metric is { name, formula, aggregation, format, description, dataset, filter }, e.g.
+//   Gross margin = (Revenue - Cost) / Revenue
+//   AOV          = sum(Revenue) / countdistinct(order_id)
+// Formulas and filters use the expression language from expression.js. aggregation says when rows are combined:
+//   'totals'  (default) sum-then-divide: each column is replaced by its total, or by the aggregate named
+//             in the formula (avg(Price), countdistinct(order_id), ...), then the formula runs once
+//   'average' divide-then-average: the formula runs on every row and the results are averaged
+//   'sum'     the formula runs on every row and the results are added up
+
+const { compileExpression, truthy, ExpressionError } = require('./expression');
+const { parseNumericValue } = require('./numberFormat');
+
+const AGGREGATIONS = ['totals', 'average', 'sum'];
+const FORMATS = ['number', 'percent', 'currency'];
+const MAX_NAME_LENGTH = 80;
+// Groups shown when a metric is broken down by a column
+const MAX_GROUPS = 20;
+
+/**
+ * Raised for metric definitions that are incomplete or don't compile against the dataset
+ * field - the definition field at fault
+ */
+class MetricError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'MetricError';
+    this.code = 'INVALID_METRIC';
+    this.field = field;
+  }
+}
+
+function numbers(values) {
+  return values.map(value => parseNumericValue(value)).filter(v => v !== null);
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Whole-column functions for 'totals' formulas
+const AGGREGATE_FUNCTIONS = {
+  sum: (values) => { const n = numbers(values); return n.length ? n.reduce((a, b) => a + b, 0) : null; },
+  avg: (values) => { const n = numbers(values); return n.length ? n.reduce((a, b) => a + b, 0) / n.length : null; },
+  min: (values) => numbers(values).reduce((a, b) => (a === null || b < a ? b : a), null),
+  max: (values) => numbers(values).reduce((a, b) => (a === null || b > a ? b : a), null),
+  count: (values) => values.filter(v => !isBlank(v)).length,
+  countdistinct: (values) => new Set(values.filter(v => !isBlank(v)).map(v => String(v).trim())).size
+};
+AGGREGATE_FUNCTIONS.average = AGGREGATE_FUNCTIONS.avg;
+
+const AGGREGATE_DEFINITIONS = Object.fromEntries(Object.keys(AGGREGATE_FUNCTIONS).map(name => [name, { args: [1, 1], aggregate: true }]));
+
+/**
+ * Compile a metric's formula and filter against the dataset's columns
+ * Returns { formula, filter, columns } where columns lists every column the metric reads
+ */
+function compileMetric(metric, columns) {
+  let formula;
+  let filter = null;
+  try {
+    formula = compileExpression(metric.formula, { columns, functions: AGGREGATE_DEFINITIONS });
+  } catch (err) {
+    if (err instanceof ExpressionError) throw new MetricError(`Formula: ${err.message}`, 'formula');
+    throw err;
+  }
+  if (metric.aggregation !== 'totals' && formula.aggregates.length > 0) {
+    throw new MetricError(`Aggregate functions like ${formula.aggregates[0].name}() need aggregation "totals"`, 'formula');
+  }
+  if (metric.filter) {
+    try {
+      filter = compileExpression(metric.filter, { columns });
+    } catch (err) {
+      if (err instanceof ExpressionError) throw new MetricError(`Filter: ${err.message}`, 'filter');
+      throw err;
+    }
+  }
+  const used = new Set([...formula.columns, ...(filter ? filter.columns : [])]);
+  return { formula, filter, columns: Array.from(used) };
+}
+
+/**
+ * Check a metric definition and fill in defaults; throws MetricError
+ * columns - the dataset's columns, so column names can be resolved and checked
+ */
+function normalizeMetric(definition, columns) {
+  if (!definition || typeof definition !== 'object') throw new MetricError('Metric must be an object');
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name) throw new MetricError('Metric needs a "name"', 'name');
+  if (name.length > MAX_NAME_LENGTH) throw new MetricError(`Metric names are limited to ${MAX_NAME_LENGTH} characters`, 'name');
+  if (typeof definition.formula !== 'string' || !definition.formula.trim()) {
+    throw new MetricError('Metric needs a "formula"', 'formula');
+  }
+  const aggregation = definition.aggregation || 'totals';
+  if (!AGGREGATIONS.includes(aggregation)) {
+    throw new MetricError(`Unknown aggregation "${aggregation}". Use one of: ${AGGREGATIONS.join(', ')}`, 'aggregation');
+  }
+  const format = definition.format || 'number';
+  if (!FORMATS.includes(format)) throw new MetricError(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`, 'format');
+  if (definition.filter !== undefined && definition.filter !== null && typeof definition.filter !== 'string') {
+    throw new MetricError('Filter must be an expression string', 'filter');
+  }
+
+  const metric = {
+    name,
+    formula: definition.formula.trim(),
+    aggregation,
+    format,
+    description: typeof definition.description === 'string' ? definition.description : null,
+    dataset: definition.dataset || null,
+    filter: definition.filter ? definition.filter.trim() : null
+  };
+  const compiled = compileMetric(metric, columns);
+  return { ...metric, columns: compiled.columns };
+}
+
+/**
+ * Apply the metric's aggregation to rows that passed its filter
+ */
+function aggregateRows(rows, compiled, aggregation) {
+  if (aggregation === 'totals') {
+    const totals = {};
+    compiled.formula.columns.forEach(column => {
+      totals[column] = AGGREGATE_FUNCTIONS.sum(rows.map(row => row[column]));
+    });
+    compiled.formula.aggregates.forEach(({ key, name, column }) => {
+      totals[key] = AGGREGATE_FUNCTIONS[name](rows.map(row => row[column]));
+    });
+    return parseNumericValue(compiled.formula.evaluate(totals));
+  }
+  const values = numbers(rows.map(row => compiled.formula.evaluate(row)));
+  if (values.length === 0) return null;
+  const total = values.reduce((a, b) => a + b, 0);
+  return aggregation === 'sum' ? total : total / values.length;
+}
+
+function finite(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Display text for a metric value: "23.4%", "$1,234.50" or "1,234.5"
+ */
+function formatMetricValue(value, format = 'number') {
+  if (value === null || value === undefined) return 'n/a';
+  if (format === 'percent') return `${(value * 100).toFixed(1)}%`;
+  const digits = Math.abs(value) < 1 && value !== 0 ? { maximumSignificantDigits: 3 } : { maximumFractionDigits: 2 };
+  const text = Math.abs(value).toLocaleString('en-US', format === 'currency' ? { minimumFractionDigits: 2, maximumFractionDigits: 2 } : digits);
+  return `${value < 0 ? '-' : ''}${format === 'currency' ? '$' : ''}${text}`;
+}
+
+/**
+ * Compute a metric over rows
+ * options.groupBy - also compute it per value of this column (largest first, up to MAX_GROUPS)
+ * options.columns - the dataset's columns, when rows may be empty
+ * Returns { name, formula, aggregation, format, description, dataset, filter, value, display, rows, groupBy, groups }
+ */
+function computeMetric(rows, metric, { groupBy = null, columns = Object.keys(rows[0] || {}) } = {}) {
+  const compiled = compileMetric(metric, columns);
+  const kept = compiled.filter ? rows.filter(row => truthy(compiled.filter.evaluate(row))) : rows;
+  const value = finite(aggregateRows(kept, compiled, metric.aggregation));
+
+  const result = {
+    name: metric.name,
+    formula: metric.formula,
+    aggregation: metric.aggregation,
+    format: metric.format,
+    description: metric.description,
+    dataset: metric.dataset,
+    filter: metric.filter,
+    value,
+    display: formatMetricValue(value, metric.format),
+    rows: kept.length
+  };
+
+  if (groupBy) {
+    const groupColumn = columns.find(c => c.toLowerCase() === String(groupBy).toLowerCase());
+    if (!groupColumn) throw new MetricError(`Unknown column "${groupBy}"`, 'groupBy');
+    const groups = new Map();
+    kept.forEach(row => {
+      const key = isBlank(row[groupColumn]) ? '(blank)' : String(row[groupColumn]).trim();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    result.groupBy = groupColumn;
+    result.groups = Array.from(groups, ([group, groupRows]) => {
+      const groupValue = finite(aggregateRows(groupRows, compiled, metric.aggregation));
+      return { group, value: groupValue, display: formatMetricValue(groupValue, metric.format), rows: groupRows.length };
+    })
+      .sort((a, b) => (b.value ?? -Infinity) - (a.value ?? -Infinity))
+      .slice(0, MAX_GROUPS);
+  }
+  return result;
+}
+
+function mentions(text, phrase) {
+  const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[_\s]+/g, '[_\\s]+');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+}
+
+/**
+ * Metrics the question refers to by name
+ */
+function metricsInQuestion(question, metrics) {
+  const text = String(question || '').toLowerCase();
+  return metrics.filter(metric => mentions(text, metric.name));
+}
+
+/**
+ * The column a question wants a breakdown by ("margin by region", "AOV per store"), or null
+ */
+function breakdownColumn(question, columns) {
+  const text = String(question || '').toLowerCase();
+  const match = text.match(/\b(?:by|per|for each|across|split by|broken down by)\s+(.+)$/);
+  if (!match) return null;
+  // The longest name wins, so "store region" beats "store"
+  return columns
+    .filter(column => mentions(match[1], column))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Compute several metrics over the same rows
+ * options.question - metrics it names are broken down by the column it asks about ("margin by region")
+ * options.groupBy - break every metric down by this column instead
+ * Metrics that no longer fit the data (a column was dropped or renamed) come back as { name, formula, error }
+ */
+function computeMetrics(rows, metrics, { question = null, groupBy = null, columns = Object.keys(rows[0] || {}) } = {}) {
+  const named = metricsInQuestion(question, metrics);
+  const asked = groupBy || breakdownColumn(question, columns);
+  return metrics.map(metric => {
+    try {
+      return computeMetric(rows, metric, { columns, groupBy: groupBy || (named.includes(metric) ? asked : null) });
+    } catch (err) {
+      if (!(err instanceof MetricError)) throw err;
+      return { name: metric.name, formula: metric.formula, dataset: metric.dataset, error: err.message };
+    }
+  });
+}
+
+/**
+ * Metric block for prompts
+ * results - computeMetric results, or { name, formula, error } for metrics that couldn't be computed
+ */
+function formatMetrics(results) {
+  if (!results || results.length === 0) return '';
+  const howCombined = {
+    totals: 'columns totalled, then the formula applied',
+    average: 'formula applied per row, then averaged',
+    sum: 'formula applied per row, then summed'
+  };
+  const lines = results.map(result => {
+    if (result.error) return `- ${result.name} = ${result.formula}: could not be computed (${result.error})`;
+    const parts = [`- ${result.name} = ${result.formula} [${howCombined[result.aggregation]}${result.filter ? `; only rows where ${result.filter}` : ''}]: ${result.display} over ${result.rows} rows`];
+    if (result.description) parts.push(`  Meaning: ${result.description}`);
+    if (result.groups) {
+      parts.push(`  By ${result.groupBy}: ${result.groups.map(g => `${g.group} ${g.display}`).join(', ')}`);
+    }
+    return parts.join('\n');
+  });
+  return `DEFINED METRICS (the team's own KPI definitions, computed by the server over all rows - quote these values and use these definitions when the question names a metric):
+${lines.join('\n')}`;
+}
+
+module.exports = {
+  AGGREGATIONS,
+  FORMATS,
+  MetricError,
+  normalizeMetric,
+  compileMetric,
+  computeMetric,
+  computeMetrics,
+  formatMetricValue,
+  metricsInQuestion,
+  breakdownColumn,
+  formatMetrics
+};
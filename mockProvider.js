@@ -0,0 +1,82 @@
+// mockProvider.js - Offline AI provider that returns scripted responses
+// Used with AI_PROVIDER=mock (or provider: "mock" per request) so the server can run without API keys
+
+require('dotenv').config();
+const fs = require('fs');
+
+// Fallback scripts when MOCK_AI_RESPONSES_FILE doesn't match anything
+const DEFAULT_SCRIPTS = [
+  {
+    match: 'query planner',
+    response: { query: null }
+  },
+  {
+    response: {
+      answer: 'This is a scripted response from the mock AI provider.',
+      keyInsights: ['Mock provider is active - no data was sent to an AI service'],
+      recommendations: ['Set AI_PROVIDER to a real provider for actual analysis'],
+      confidence: 'low',
+      limitations: 'Generated by the mock provider'
+    }
+  }
+];
+
+/**
+ * Load scripted responses: a JSON array of { match?: regex, response: string|object }
+ * The first script whose `match` is found in the prompt wins; scripts without `match` always match
+ */
+function loadMockScripts() {
+  const file = process.env.MOCK_AI_RESPONSES_FILE;
+  if (!file) return DEFAULT_SCRIPTS;
+  try {
+    const scripts = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(scripts)) throw new Error('expected a JSON array');
+    return [...scripts, ...DEFAULT_SCRIPTS];
+  } catch (err) {
+    console.error(`Failed to load mock responses from ${file}:`, err.message);
+    return DEFAULT_SCRIPTS;
+  }
+}
+
+function promptText(input) {
+  if (typeof input === 'string') return input;
+  if (Array.isArray(input)) return input.map(m => (typeof m === 'string' ? m : m.content)).join('\n');
+  return String(input);
+}
+
+/**
+ * Create a mock chat model with the same invoke/stream surface as the LangChain models
+ */
+function createMockModel({ scripts = loadMockScripts(), model = 'mock' } = {}) {
+  const reply = (input) => {
+    const text = promptText(input);
+    const script = scripts.find(s => !s.match || new RegExp(s.match, 'i').test(text));
+    if (!script) return '';
+    if (script.error) {
+      const error = new Error(script.error);
+      error.status = script.status;
+      throw error;
+    }
+    return typeof script.response === 'string' ? script.response : JSON.stringify(script.response);
+  };
+
+  return {
+    model,
+    async invoke(input, options = {}) {
+      if (options.signal && options.signal.aborted) throw new Error('Aborted');
+      return { content: reply(input) };
+    },
+    async stream(input, options = {}) {
+      const content = reply(input);
+      return (async function* () {
+        // Emit word-sized chunks so clients see a realistic token stream
+        for (const token of content.match(/\S+\s*/g) || []) {
+          if (options.signal && options.signal.aborted) throw new Error('Aborted');
+          yield { content: token };
+        }
+      })();
+    }
+  };
+}
+
+module.exports = { createMockModel, loadMockScripts };
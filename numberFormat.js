@@ -0,0 +1,105 @@
+// numberFormat.js - Locale-aware number and currency parsing
+// "1,234.56" (US/UK) and "1.234,56" (most of Europe) differ only in which separator marks the decimals
+
+const CURRENCY_SYMBOLS = '$€£¥₹';
+const CURRENCY_PATTERN = new RegExp(`[${CURRENCY_SYMBOLS}]|USD|EUR|GBP`, 'gi');
+
+const DOT_DECIMAL = { decimal: '.', thousands: ',' };
+const COMMA_DECIMAL = { decimal: ',', thousands: '.' };
+
+// Thousands separators people actually use: the other mark, spaces, non-breaking spaces and apostrophes (1'234.50)
+const GROUP_CHARS = "\\s\\u00a0'";
+
+/**
+ * Strip currency, percent and sign wrappers, leaving just the digits and separators
+ * Returns { digits, negative } or null when there is nothing numeric left
+ */
+function unwrap(value) {
+  let text = String(value).trim();
+  if (text === '') return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  text = text.replace(CURRENCY_PATTERN, '').replace(/%$/, '').trim();
+  if (/^[-+]/.test(text)) {
+    negative = negative !== (text[0] === '-');
+    text = text.slice(1).trim();
+  } else if (/-$/.test(text)) {
+    // Trailing minus, as some accounting exports write it
+    negative = !negative;
+    text = text.slice(0, -1).trim();
+  }
+  return /\d/.test(text) ? { digits: text, negative } : null;
+}
+
+function escapeForClass(char) {
+  return char.replace(/[\\\]^-]/g, '\\$&');
+}
+
+/**
+ * Parse numbers the way people write them: "$3,600", "(250)", "12.5%", "1,234.56"
+ * format - { decimal, thousands }; "1.234,56" parses with { decimal: ',', thousands: '.' }
+ * Returns null for anything that isn't a number
+ */
+function parseNumericValue(value, format = DOT_DECIMAL) {
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  if (value === null || value === undefined) return null;
+  const parts = unwrap(value);
+  if (!parts) return null;
+
+  const decimal = format.decimal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const groups = `[${escapeForClass(format.thousands)}${GROUP_CHARS}]`;
+  const pattern = new RegExp(`^(\\d{1,3}(${groups}\\d{3})+|\\d+)?(${decimal}\\d+)?$`);
+  if (!pattern.test(parts.digits)) return null;
+
+  const canonical = parts.digits
+    .replace(new RegExp(groups, 'g'), '')
+    .replace(format.decimal, '.');
+  const num = Number(canonical);
+  if (isNaN(num)) return null;
+  return parts.negative ? -num : num;
+}
+
+/**
+ * Rewrite a comma-decimal number into dot-decimal form, keeping any currency or percent marks
+ * ("€1.234,56" -> "€1234.56"); anything that isn't such a number is returned unchanged
+ */
+function normalizeNumber(value, format) {
+  if (!format || format.decimal === '.' || typeof value !== 'string') return value;
+  const text = value.trim();
+  const match = text.match(new RegExp(`^([^\\d]*?)([\\d${escapeForClass(format.thousands)}${GROUP_CHARS},]*\\d)([^\\d]*)$`));
+  if (!match) return value;
+  const num = parseNumericValue(match[2], format);
+  if (num === null) return value;
+  return `${match[1]}${num}${match[3]}`;
+}
+
+/**
+ * Guess the number format from sample cells
+ * Returns { decimal, thousands, ambiguous } - ambiguous when the cells point both ways
+ */
+function detectNumberFormat(values) {
+  let dot = 0;
+  let comma = 0;
+  values.forEach(value => {
+    const parts = value === null || value === undefined ? null : unwrap(value);
+    if (!parts) return;
+    const digits = parts.digits;
+    // Unambiguous cases only: a decimal part after the last separator, or both separators present
+    if (/^\d{1,3}(,\d{3})+\.\d+$/.test(digits) || /^\d+\.\d{1,2}$/.test(digits) || /^\d+\.\d{4,}$/.test(digits)) dot++;
+    else if (/^\d{1,3}(\.\d{3})+,\d+$/.test(digits) || /^\d+,\d{1,2}$/.test(digits) || /^\d+,\d{4,}$/.test(digits)) comma++;
+  });
+  const format = comma > dot ? COMMA_DECIMAL : DOT_DECIMAL;
+  return { ...format, ambiguous: dot > 0 && comma > 0 };
+}
+
+module.exports = {
+  CURRENCY_SYMBOLS,
+  DOT_DECIMAL,
+  COMMA_DECIMAL,
+  parseNumericValue,
+  normalizeNumber,
+  detectNumberFormat
+};
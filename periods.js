@@ -0,0 +1,313 @@
+// periods.js - Period-over-period comparisons (MoM, QoQ, YoY, ...)
+// Buckets rows by day, week, month, quarter or year (calendar.js) and compares the latest complete
+// period with the one before it, or with the same period a year earlier, per metric and per value
+// of a dimension. Results include a table in the computed result shape and a chart spec drawn from it.
+
+const { toNumber, resolveColumn } = require('./queryEngine');
+const { pickDateColumn, pickMetric } = require('./forecasting');
+const { GRAINS, DAY_MS, getFiscalYearStart, parseDateCell, columnDateOptions, detectFrequency, bucketKey, bucketLabel, bucketRange } = require('./calendar');
+const { breakdownColumn } = require('./metrics');
+const { validateChartSpec, fillChartFromResult } = require('./chartSpec');
+
+const COMPARE_TO = ['previous', 'year'];
+const SHORT_NAMES = { day: 'DoD', week: 'WoW', month: 'MoM', quarter: 'QoQ', year: 'YoY' };
+// Periods per year, for year-over-year at each grain (days are matched by calendar date instead)
+const PERIODS_PER_YEAR = { week: 52, month: 12, quarter: 4, year: 1 };
+// Groups kept in a breakdown, largest change first
+const MAX_GROUPS = 15;
+// Periods of history returned with the comparison
+const HISTORY_PERIODS = 13;
+
+const GRAIN_PHRASES = [
+  { grain: 'day', pattern: /\b(day over day|day-over-day|dod|yesterday|daily|previous day|prior day)\b/ },
+  { grain: 'week', pattern: /\b(week over week|week-over-week|wow|last week|previous week|prior week|this week|weekly)\b/ },
+  { grain: 'month', pattern: /\b(month over month|month-over-month|mom|last month|previous month|prior month|this month|monthly)\b/ },
+  { grain: 'quarter', pattern: /\b(quarter over quarter|quarter-over-quarter|qoq|last quarter|previous quarter|prior quarter|this quarter|quarterly)\b/ },
+  { grain: 'year', pattern: /\b(annual|annually|yearly|this year|full year)\b/ }
+];
+const YEAR_OVER_YEAR = /\b(year over year|year-over-year|yoy|same (day|week|month|quarter|period) last year|last year|previous year|prior year|a year ago|year ago)\b/;
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * The period size and comparison a question asks for
+ * "this month vs last month" -> { grain: 'month', compareTo: 'previous' }
+ * "YoY revenue"              -> { grain: null, compareTo: 'year' } (grain left to the data)
+ */
+function comparisonFromQuestion(question) {
+  const text = String(question || '').toLowerCase();
+  const asked = GRAIN_PHRASES.find(({ pattern }) => pattern.test(text));
+  return { grain: asked ? asked.grain : null, compareTo: YEAR_OVER_YEAR.test(text) ? 'year' : 'previous' };
+}
+
+function numericColumns(data, exclude) {
+  return Object.keys(data[0] || {}).filter(column => {
+    if (column === exclude) return false;
+    const values = data.map(row => row[column]).filter(v => v !== '' && v != null);
+    return values.length > 0 && values.filter(v => toNumber(v) !== null).length / values.length >= 0.8;
+  });
+}
+
+/**
+ * Metrics to compare: the ones asked for, numeric columns the question names, else the most business-like one
+ */
+function pickMetrics(data, dateColumn, question, requested) {
+  const columns = Object.keys(data[0] || {});
+  if (requested && requested.length > 0) {
+    return requested.map(name => {
+      const column = resolveColumn(name, columns);
+      if (!column) throw new Error(`Unknown metric column "${name}"`);
+      return column;
+    });
+  }
+  const text = String(question || '').toLowerCase();
+  const mentioned = numericColumns(data, dateColumn).filter(column => text.includes(column.toLowerCase()));
+  if (mentioned.length > 0) return mentioned;
+  const metric = pickMetric(data, question, dateColumn);
+  return metric ? [metric] : [];
+}
+
+// A period with no rows sold nothing; it has no average
+function aggregate(rows, metric, aggregation) {
+  const values = rows.map(row => toNumber(row[metric])).filter(v => v !== null);
+  if (values.length === 0) return aggregation === 'avg' ? null : 0;
+  const total = values.reduce((a, b) => a + b, 0);
+  return aggregation === 'avg' ? total / values.length : total;
+}
+
+function compareValues(current, previous) {
+  const change = current !== null && previous !== null ? current - previous : null;
+  const growth = change !== null && previous !== 0 ? change / Math.abs(previous) : null;
+  return { current: round(current), previous: round(previous), change: round(change), growth: round(growth, 4) };
+}
+
+/**
+ * Compare the latest complete period with the previous one or the same period a year earlier
+ * options: dateColumn, metrics, grain (day|week|month|quarter|year), compareTo (previous|year), groupBy,
+ *   aggregation (sum|avg), fiscalYearStart, includePartial, question
+ * Returns { dateColumn, grain, compareTo, label, fiscalYearStart, aggregation, current, previous, partialPeriod,
+ *   metrics: [{ metric, current, previous, change, growth }], groupBy, groups, history, table, chart }
+ */
+function comparePeriods(data, options = {}) {
+  if (!Array.isArray(data) || data.length === 0) throw new Error('No data to compare');
+  const fromQuestion = comparisonFromQuestion(options.question);
+  const compareTo = options.compareTo || fromQuestion.compareTo;
+  if (!COMPARE_TO.includes(compareTo)) throw new Error(`compareTo must be one of: ${COMPARE_TO.join(', ')}`);
+  const requestedGrain = options.grain || fromQuestion.grain;
+  if (requestedGrain && !GRAINS.includes(requestedGrain)) throw new Error(`grain must be one of: ${GRAINS.join(', ')}`);
+  const aggregation = options.aggregation === 'avg' ? 'avg' : 'sum';
+  const fiscalYearStart = getFiscalYearStart(options.fiscalYearStart);
+
+  const dateColumn = pickDateColumn(data, options.dateColumn);
+  if (!dateColumn) throw new Error('No date column found to compare periods over');
+  const metrics = pickMetrics(data, dateColumn, options.question, options.metrics);
+  if (metrics.length === 0) throw new Error('No numeric column found to compare');
+
+  const dateOptions = columnDateOptions(data.map(row => row[dateColumn]), { fiscalYearStart });
+  const dated = [];
+  data.forEach(row => {
+    const date = parseDateCell(row[dateColumn], dateOptions);
+    if (date) dated.push({ row, date });
+  });
+  if (dated.length === 0) throw new Error(`No dates could be read from "${dateColumn}"`);
+
+  // Bare month names ("January") only support month-over-month within the one unnamed year
+  const yearless = dated.every(d => d.date.month !== undefined);
+  let grain;
+  let native;
+  const buckets = new Map();
+  if (yearless) {
+    if (compareTo === 'year') throw new Error(`Year-over-year needs dates with years; "${dateColumn}" only has month names`);
+    if (requestedGrain && requestedGrain !== 'month') throw new Error(`"${dateColumn}" only has month names, so it can only be compared by month`);
+    grain = 'month';
+    native = 'month';
+    dated.forEach(({ row, date }) => {
+      if (!buckets.has(date.month)) buckets.set(date.month, []);
+      buckets.get(date.month).push(row);
+    });
+  } else {
+    const usable = dated.filter(d => d.date.time !== undefined);
+    native = detectFrequency(usable.map(d => d.date.time));
+    // Never finer than the data; monthly unless the question or the data says otherwise
+    const wanted = requestedGrain || 'month';
+    grain = GRAINS[Math.max(GRAINS.indexOf(wanted), GRAINS.indexOf(native))];
+    usable.forEach(({ row, date }) => {
+      const key = bucketKey(date.time, grain, fiscalYearStart);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(row);
+    });
+  }
+
+  const keys = Array.from(buckets.keys()).sort((a, b) => a - b);
+  const label = (key) => bucketLabel(key, grain, yearless, fiscalYearStart);
+  const describe = (key) => ({
+    period: label(key),
+    ...(yearless ? {} : bucketRange(key, grain, fiscalYearStart)),
+    rows: (buckets.get(key) || []).length
+  });
+
+  // Data that stops partway through the last period would compare a few days with a whole period
+  let currentKey = keys[keys.length - 1];
+  let partialPeriod = null;
+  if (!yearless && !options.includePartial && GRAINS.indexOf(native) < GRAINS.indexOf(grain) && keys.length > 1) {
+    const lastTime = buckets.get(currentKey).reduce((latest, row) => {
+      const time = parseDateCell(row[dateColumn], dateOptions).time;
+      return time > latest ? time : latest;
+    }, -Infinity);
+    const end = Date.parse(bucketRange(currentKey, grain, fiscalYearStart).to);
+    if (bucketKey(lastTime, native) < bucketKey(end, native)) {
+      partialPeriod = { ...describe(currentKey), dataEnds: new Date(lastTime).toISOString().slice(0, 10) };
+      currentKey -= 1;
+    }
+  }
+
+  let previousKey = currentKey - 1;
+  if (compareTo === 'year' && grain === 'day') {
+    const d = new Date(currentKey * DAY_MS);
+    previousKey = bucketKey(Date.UTC(d.getUTCFullYear() - 1, d.getUTCMonth(), d.getUTCDate()), 'day');
+  } else if (compareTo === 'year') {
+    previousKey = currentKey - PERIODS_PER_YEAR[grain];
+  }
+  if (previousKey < keys[0]) {
+    throw new Error(`Not enough history to compare ${label(currentKey)} with ${label(previousKey)}: data starts ${label(keys[0])}`);
+  }
+
+  const currentRows = buckets.get(currentKey) || [];
+  const previousRows = buckets.get(previousKey) || [];
+  const results = metrics.map(metric => ({
+    metric,
+    ...compareValues(aggregate(currentRows, metric, aggregation), aggregate(previousRows, metric, aggregation))
+  }));
+
+  const primary = metrics[0];
+  const columns = Object.keys(data[0]);
+  const requestedGroup = options.groupBy || breakdownColumn(options.question, columns.filter(c => c !== dateColumn && !metrics.includes(c)));
+  const groupBy = requestedGroup ? resolveColumn(requestedGroup, columns) : null;
+  if (requestedGroup && !groupBy) throw new Error(`Unknown groupBy column "${requestedGroup}"`);
+
+  let groups = null;
+  if (groupBy) {
+    const byGroup = (rows) => {
+      const map = new Map();
+      rows.forEach(row => {
+        const group = row[groupBy] === null || row[groupBy] === undefined || row[groupBy] === '' ? '(blank)' : String(row[groupBy]);
+        if (!map.has(group)) map.set(group, []);
+        map.get(group).push(row);
+      });
+      return map;
+    };
+    const current = byGroup(currentRows);
+    const previous = byGroup(previousRows);
+    const totalChange = results[0].change;
+    groups = Array.from(new Set([...current.keys(), ...previous.keys()]))
+      .map(group => {
+        const compared = compareValues(
+          aggregate(current.get(group) || [], primary, aggregation),
+          aggregate(previous.get(group) || [], primary, aggregation)
+        );
+        // For sums, how much of the overall change this group accounts for
+        const shareOfChange = aggregation === 'sum' && totalChange ? round(compared.change / totalChange, 4) : null;
+        return { group, ...compared, shareOfChange };
+      })
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, MAX_GROUPS);
+  }
+
+  // Recent history of the primary metric
+  const history = [];
+  const firstHistoryKey = Math.max(keys[0], currentKey - HISTORY_PERIODS + 1);
+  for (let key = firstHistoryKey; key <= currentKey; key++) {
+    history.push({ period: label(key), value: round(aggregate(buckets.get(key) || [], primary, aggregation)) });
+  }
+
+  const currentLabel = label(currentKey);
+  const previousLabel = label(previousKey);
+  let table;
+  let spec;
+  if (groups) {
+    table = {
+      columns: [groupBy, 'current', 'previous', 'change', 'growth', 'shareOfChange'],
+      rows: groups.map(g => ({ [groupBy]: g.group, current: g.current, previous: g.previous, change: g.change, growth: g.growth, shareOfChange: g.shareOfChange }))
+    };
+    spec = {
+      version: 2,
+      type: 'bar',
+      title: `${primary} by ${groupBy}: ${currentLabel} vs ${previousLabel}`,
+      mode: 'grouped',
+      x: { field: groupBy, title: groupBy },
+      y: { title: primary },
+      series: [{ name: currentLabel, field: 'current' }, { name: previousLabel, field: 'previous' }]
+    };
+  } else {
+    table = { columns: ['period', primary], rows: history.map(h => ({ period: h.period, [primary]: h.value })) };
+    spec = {
+      version: 2,
+      type: 'bar',
+      title: `${primary} per ${grain}`,
+      x: { field: 'period', title: grain },
+      y: { title: primary },
+      series: [{ name: primary, field: primary }]
+    };
+  }
+
+  return {
+    dateColumn,
+    grain,
+    compareTo,
+    label: compareTo === 'year' ? 'YoY' : SHORT_NAMES[grain],
+    fiscalYearStart,
+    aggregation,
+    current: describe(currentKey),
+    previous: describe(previousKey),
+    partialPeriod,
+    metrics: results,
+    groupBy,
+    groups,
+    history,
+    table,
+    chart: fillChartFromResult(validateChartSpec(spec).value, table).chart
+  };
+}
+
+function formatChange(result) {
+  if (result.change === null) return 'no comparison';
+  const sign = result.change > 0 ? '+' : '';
+  const growth = result.growth === null ? 'n/a' : `${sign}${(result.growth * 100).toFixed(1)}%`;
+  return `${sign}${result.change} (${growth})`;
+}
+
+/**
+ * Format a period comparison as prompt text for the model to explain
+ */
+function formatPeriodComparison(comparison) {
+  if (!comparison) return '';
+  const range = (p) => (p.from ? `${p.period} (${p.from} to ${p.to}, ${p.rows} rows)` : `${p.period} (${p.rows} rows)`);
+  let text = `PERIOD COMPARISON (${comparison.label}, computed by the server over all rows, ${comparison.aggregation} per ${comparison.grain}${comparison.fiscalYearStart !== 1 ? `, fiscal year starting month ${comparison.fiscalYearStart}` : ''}):
+Date column: ${comparison.dateColumn}
+Current: ${range(comparison.current)}
+Compared with: ${range(comparison.previous)}`;
+  if (comparison.partialPeriod) {
+    text += `\n${comparison.partialPeriod.period} is left out because the data stops on ${comparison.partialPeriod.dataEnds}, partway through it`;
+  }
+  text += `\n${comparison.metrics.map(m => `- ${m.metric}: ${m.current} vs ${m.previous} -> ${formatChange(m)}`).join('\n')}`;
+
+  if (comparison.groups) {
+    text += `\nBy ${comparison.groupBy} (${comparison.metrics[0].metric}, largest changes first):\n${comparison.groups.map(g =>
+      `- ${g.group}: ${g.current} vs ${g.previous} -> ${formatChange(g)}${g.shareOfChange !== null ? `, ${(g.shareOfChange * 100).toFixed(0)}% of the total change` : ''}`
+    ).join('\n')}`;
+  }
+  text += `\nHistory (${comparison.metrics[0].metric} per ${comparison.grain}): ${comparison.history.map(h => `${h.period}=${h.value}`).join(', ')}`;
+
+  return `${text}
+
+Use these figures as-is when describing how the periods compare.`;
+}
+
+module.exports = {
+  COMPARE_TO,
+  comparisonFromQuestion,
+  comparePeriods,
+  formatPeriodComparison
+};
@@ -0,0 +1,416 @@
+// profiler.js - Typed schema inference and per-column profiling
+// Scans every value in a column (not just the first few) before deciding its type
+// Profiles are built incrementally, so a file can be profiled while it streams in
+
+const { parseDateCell } = require('./calendar');
+const { parseNumericValue, CURRENCY_SYMBOLS } = require('./numberFormat');
+
+const TYPE_THRESHOLD = 0.95;
+const NUMERIC_DATE = /^\d{1,2}([/.-])\d{1,2}\1(\d{2}|\d{4})$/;
+const TOP_VALUES = 5;
+// Beyond these sizes distinct counts, top values, quantiles and histograms become estimates
+const MAX_TRACKED_DISTINCT = 10000;
+const NUMBER_RESERVOIR = 10000;
+const NULL_TOKENS = new Set(['', 'null', 'n/a', 'na', 'none', '-', 'nan']);
+const BOOLEAN_PAIRS = { true: true, false: false, yes: true, no: false, y: true, n: false };
+// "id", "customer_id", "CustomerID", "customerId", "SKU", "Order Number" - but not "paid" or "valid"
+const ID_NAME_PATTERNS = [/^id$/i, /[_\s-]id$/i, /[a-z](Id|ID)$/, /sku|uuid|guid/i, /(^|[_\s-])(code|no|number)$/i];
+
+function looksLikeIdName(name) {
+  return ID_NAME_PATTERNS.some(pattern => pattern.test(name));
+}
+
+const NUMERIC_TYPES = ['integer', 'decimal', 'currency', 'percent'];
+const DATE_TYPES = ['date', 'datetime'];
+
+function isNull(value) {
+  if (value === null || value === undefined) return true;
+  return NULL_TOKENS.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * Classify a single non-null, trimmed value
+ */
+function classifyText(text) {
+  const lower = text.toLowerCase();
+
+  if (Object.prototype.hasOwnProperty.call(BOOLEAN_PAIRS, lower)) return { kind: 'boolean', format: lower };
+  if (/^0\d+$/.test(text)) return { kind: 'zeroPadded' };
+  if (/^[-+]?\d+$/.test(text) || /^[-+]?\d{1,3}(,\d{3})+$/.test(text)) {
+    return { kind: 'integer', format: text.includes(',') ? 'thousands' : null };
+  }
+  if (/^[-+]?(\d+|\d{1,3}(,\d{3})+)?\.\d+$/.test(text)) {
+    return { kind: 'decimal', format: text.includes(',') ? 'thousands' : null };
+  }
+
+  const currency = text.match(new RegExp(`^\\(?[-+]?([${CURRENCY_SYMBOLS}])\\s?[\\d,]*\\.?\\d+\\)?$|^[-+]?[\\d,]*\\.?\\d+\\s?(USD|EUR|GBP|[${CURRENCY_SYMBOLS}])$`, 'i'));
+  if (currency) return { kind: 'currency', format: (currency[1] || currency[2]).toUpperCase() };
+  if (/^[-+]?[\d,]*\.?\d+\s?%$/.test(text)) return { kind: 'percent', format: '%' };
+
+  // "04/03/2024" reads either way round, so numeric dates keep both readings and the column decides
+  const monthFirst = parseDateCell(text, { dayFirst: false });
+  const dayFirst = NUMERIC_DATE.test(text) ? parseDateCell(text, { dayFirst: true }) : monthFirst;
+  const date = monthFirst || dayFirst;
+  if (date) {
+    if (date.month !== undefined) return { kind: 'date', format: 'month name' };
+    return {
+      kind: /\d{1,2}:\d{2}/.test(text) ? 'datetime' : 'date',
+      format: dateFormat(text),
+      time: monthFirst ? monthFirst.time : undefined,
+      dayFirstTime: dayFirst ? dayFirst.time : undefined
+    };
+  }
+
+  return { kind: 'string' };
+}
+
+function dateFormat(text) {
+  if (/^\d{4}-\d{1,2}-\d{1,2}/.test(text)) return 'YYYY-MM-DD';
+  if (/^\d{4}-\d{1,2}$/.test(text)) return 'YYYY-MM';
+  if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(text)) return 'MM/DD/YYYY';
+  if (/^\d{1,2}\/\d{1,2}\/\d{2}$/.test(text)) return 'MM/DD/YY';
+  if (/^\d{1,2}\.\d{1,2}\.\d{4}$/.test(text)) return 'DD.MM.YYYY';
+  if (/^\d{1,2}-\d{1,2}-\d{4}$/.test(text)) return 'MM-DD-YYYY';
+  if (/^[A-Za-z]+\.? \d{1,2},? \d{4}$/.test(text)) return 'Month DD, YYYY';
+  if (/^[A-Za-z]+\.? \d{4}$/.test(text)) return 'Month YYYY';
+  return 'other';
+}
+
+function mostCommon(formats) {
+  let best = null;
+  (formats || new Map()).forEach((count, item) => {
+    if (item && (!best || count > best.count)) best = { item, count };
+  });
+  return best ? best.item : null;
+}
+
+/**
+ * Decide the column type from the tallies collected by a column profiler
+ */
+function inferType(name, tally) {
+  const { present: total, kinds, formats, distinctCount } = tally;
+  if (total === 0) return { type: 'text', format: null };
+
+  const share = (...names) => names.reduce((sum, k) => sum + (kinds[k] || 0), 0) / total;
+  const formatOf = (kind) => mostCommon(formats[kind]);
+
+  // "00123" only makes sense as a label, so zero padding wins over integer
+  if (kinds.zeroPadded && share('zeroPadded', 'integer') >= TYPE_THRESHOLD) {
+    return { type: 'identifier', format: 'zero-padded' };
+  }
+  if (share('boolean') >= TYPE_THRESHOLD) {
+    const sample = formatOf('boolean');
+    return { type: 'boolean', format: ['yes', 'no', 'y', 'n'].includes(sample) ? 'yes/no' : 'true/false' };
+  }
+  if (kinds.currency && share('currency', 'integer', 'decimal') >= TYPE_THRESHOLD) {
+    return { type: 'currency', format: formatOf('currency') };
+  }
+  if (kinds.percent && share('percent', 'integer', 'decimal') >= TYPE_THRESHOLD) {
+    return { type: 'percent', format: '%' };
+  }
+  if (share('integer') >= TYPE_THRESHOLD) {
+    // Unique integers in an "...id" / "code" column are labels, not quantities
+    if (looksLikeIdName(name) && distinctCount >= total * 0.95) {
+      return { type: 'identifier', format: 'numeric' };
+    }
+    return { type: 'integer', format: formatOf('integer') };
+  }
+  if (share('integer', 'decimal') >= TYPE_THRESHOLD) {
+    return { type: 'decimal', format: formatOf('decimal') || formatOf('integer') };
+  }
+  if (kinds.datetime && share('date', 'datetime') >= TYPE_THRESHOLD) {
+    return { type: 'datetime', format: formatOf('datetime') };
+  }
+  if (share('date') >= TYPE_THRESHOLD) {
+    return { type: 'date', format: formatOf('date') };
+  }
+
+  // Remaining columns are strings: identifiers, free text or categories
+  const distinctRatio = distinctCount / total;
+  const avgLength = tally.totalLength / total;
+  if (distinctRatio >= 0.95 && total >= 10 && (looksLikeIdName(name) || tally.codeLike)) {
+    return { type: 'identifier', format: 'text' };
+  }
+  if (avgLength > 50 || (distinctRatio > 0.8 && total >= 10 && avgLength >= 20)) {
+    return { type: 'text', format: null };
+  }
+  return { type: 'category', format: null };
+}
+
+/**
+ * Linear-interpolated quantile of sorted numbers
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Equal-width histogram with roughly Sturges' number of bins (at most 10)
+ */
+function histogram(sorted, maxBins = 10) {
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [{ from: min, to: max, count: sorted.length }];
+
+  const bins = Math.min(maxBins, Math.ceil(Math.log2(sorted.length)) + 1);
+  const width = (max - min) / bins;
+  const result = Array.from({ length: bins }, (_, i) => ({
+    from: round(min + i * width),
+    to: round(i === bins - 1 ? max : min + (i + 1) * width),
+    count: 0
+  }));
+  sorted.forEach(v => {
+    const index = Math.min(bins - 1, Math.floor((v - min) / width));
+    result[index].count++;
+  });
+  return result;
+}
+
+function round(value, digits = 4) {
+  if (value === null || value === undefined) return value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Incremental profiler for one column: add(value) for every row, then finish()
+ * Sums, means, ranges and null counts are exact; with more than MAX_TRACKED_DISTINCT distinct
+ * values or NUMBER_RESERVOIR numbers the distinct count, top values, quantiles and histogram
+ * are estimates and the profile is flagged `approximate`
+ */
+function createColumnProfiler(name) {
+  const tally = { present: 0, kinds: {}, formats: {}, distinctCount: 0, totalLength: 0, codeLike: true };
+  const values = new Map(); // text -> { count, kind, format, time }
+  let count = 0;
+  let untracked = 0; // values seen after the distinct map filled up
+  let minLength = null;
+  let maxLength = null;
+
+  // Numeric and date accumulators run for every value; the inferred type decides which are reported
+  const numbers = { count: 0, sum: 0, mean: 0, m2: 0, min: null, max: null, reservoir: [] };
+  // Date ranges under both readings of numeric dates, and the cells that only read one way
+  const times = { monthFirst: { count: 0, min: null, max: null }, dayFirst: { count: 0, min: null, max: null } };
+  const dateOrder = { monthFirstOnly: 0, dayFirstOnly: 0, dotted: 0 };
+
+  function classify(text) {
+    const known = values.get(text);
+    if (known) {
+      known.count++;
+      return known;
+    }
+    const classified = { count: 1, ...classifyText(text) };
+    if (values.size < MAX_TRACKED_DISTINCT) values.set(text, classified);
+    else untracked++;
+    return classified;
+  }
+
+  function addNumber(num) {
+    numbers.count++;
+    numbers.sum += num;
+    // Welford's online variance
+    const delta = num - numbers.mean;
+    numbers.mean += delta / numbers.count;
+    numbers.m2 += delta * (num - numbers.mean);
+    if (numbers.min === null || num < numbers.min) numbers.min = num;
+    if (numbers.max === null || num > numbers.max) numbers.max = num;
+    if (numbers.reservoir.length < NUMBER_RESERVOIR) {
+      numbers.reservoir.push(num);
+    } else {
+      const slot = Math.floor(Math.random() * numbers.count);
+      if (slot < NUMBER_RESERVOIR) numbers.reservoir[slot] = num;
+    }
+  }
+
+  function add(value) {
+    count++;
+    if (isNull(value)) return;
+    const text = String(value).trim();
+    const classified = classify(text);
+
+    tally.present++;
+    tally.kinds[classified.kind] = (tally.kinds[classified.kind] || 0) + 1;
+    if (classified.format) {
+      const formats = tally.formats[classified.kind] || (tally.formats[classified.kind] = new Map());
+      formats.set(classified.format, (formats.get(classified.format) || 0) + 1);
+    }
+    tally.totalLength += text.length;
+    if (minLength === null || text.length < minLength) minLength = text.length;
+    if (maxLength === null || text.length > maxLength) maxLength = text.length;
+    if (tally.codeLike && !(/^[A-Za-z0-9_-]+$/.test(text) && /\d/.test(text))) tally.codeLike = false;
+
+    const num = parseNumericValue(text);
+    if (num !== null) addNumber(num);
+    if (classified.time !== undefined || classified.dayFirstTime !== undefined) {
+      addTime(times.monthFirst, classified.time);
+      addTime(times.dayFirst, classified.dayFirstTime);
+      if (classified.time === undefined) dateOrder.dayFirstOnly++;
+      if (classified.dayFirstTime === undefined) dateOrder.monthFirstOnly++;
+      if (classified.format === 'DD.MM.YYYY') dateOrder.dotted++;
+    }
+  }
+
+  function addTime(range, time) {
+    if (time === undefined) return;
+    range.count++;
+    if (range.min === null || time < range.min) range.min = time;
+    if (range.max === null || time > range.max) range.max = time;
+  }
+
+  // Day first when some dates only read that way and none only read month first; dotted dates are day
+  // first unless they say otherwise
+  function readsDayFirst() {
+    if (dateOrder.dayFirstOnly > 0) return dateOrder.monthFirstOnly === 0;
+    return dateOrder.monthFirstOnly === 0 && dateOrder.dotted > 0;
+  }
+
+  function finish() {
+    // Counting every untracked value as new is exact for key-like columns and an upper bound otherwise
+    tally.distinctCount = values.size + untracked;
+    const inferred = inferType(name, tally);
+    const { type } = inferred;
+    const dayFirst = DATE_TYPES.includes(type) && readsDayFirst();
+    const format = dayFirst && inferred.format ? inferred.format.replace(/^MM([/-])DD/, 'DD$1MM') : inferred.format;
+    const sampled = numbers.count > numbers.reservoir.length;
+
+    const profile = {
+      name,
+      type,
+      format,
+      count,
+      nullCount: count - tally.present,
+      nullRate: count === 0 ? 0 : round(1 - tally.present / count),
+      distinctCount: tally.distinctCount,
+      topValues: Array.from(values.entries())
+        .sort((a, b) => b[1].count - a[1].count)
+        .slice(0, TOP_VALUES)
+        .map(([value, v]) => ({ value, count: v.count }))
+    };
+
+    if (NUMERIC_TYPES.includes(type)) {
+      const sorted = [...numbers.reservoir].sort((a, b) => a - b);
+      profile.stats = {
+        min: numbers.min,
+        max: numbers.max,
+        mean: numbers.count ? round(numbers.mean) : null,
+        sum: round(numbers.sum),
+        stdDev: numbers.count > 1 ? round(Math.sqrt(numbers.m2 / (numbers.count - 1))) : 0,
+        quantiles: {
+          p25: round(quantile(sorted, 0.25)),
+          p50: round(quantile(sorted, 0.5)),
+          p75: round(quantile(sorted, 0.75))
+        },
+        invalidCount: tally.present - numbers.count
+      };
+      // Scale reservoir bins back up to the full column
+      const scale = sorted.length ? numbers.count / sorted.length : 1;
+      profile.histogram = histogram(sorted).map(bin => ({ ...bin, count: Math.round(bin.count * scale) }));
+    } else if (DATE_TYPES.includes(type) && format !== 'month name') {
+      const range = dayFirst ? times.dayFirst : times.monthFirst;
+      profile.stats = {
+        min: range.min !== null ? new Date(range.min).toISOString().slice(0, 10) : null,
+        max: range.max !== null ? new Date(range.max).toISOString().slice(0, 10) : null,
+        invalidCount: tally.present - range.count
+      };
+    } else {
+      profile.stats = {
+        minLength,
+        maxLength,
+        avgLength: tally.present ? round(tally.totalLength / tally.present, 1) : null
+      };
+    }
+
+    if (untracked > 0 || (NUMERIC_TYPES.includes(type) && sampled)) profile.approximate = true;
+    return profile;
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Profile one column's values
+ */
+function profileColumn(name, values) {
+  const profiler = createColumnProfiler(name);
+  values.forEach(value => profiler.add(value));
+  return profiler.finish();
+}
+
+/**
+ * Incremental profiler for a whole dataset: add(row) for every row, then finish()
+ */
+function createDatasetProfiler(columns) {
+  const profilers = columns.map(name => ({ name, profiler: createColumnProfiler(name) }));
+  let rowCount = 0;
+  return {
+    add(row) {
+      rowCount++;
+      profilers.forEach(({ name, profiler }) => profiler.add(row[name]));
+    },
+    finish() {
+      return {
+        rowCount,
+        columnCount: columns.length,
+        columns: profilers.map(({ profiler }) => profiler.finish())
+      };
+    }
+  };
+}
+
+/**
+ * Profile every column of a dataset
+ * Returns { rowCount, columnCount, columns: [profile] }
+ */
+function profileDataset(data) {
+  const profiler = createDatasetProfiler(Object.keys((data && data[0]) || {}));
+  (data || []).forEach(row => profiler.add(row));
+  return profiler.finish();
+}
+
+function isNumericType(type) {
+  return NUMERIC_TYPES.includes(type);
+}
+
+function isDateType(type) {
+  return DATE_TYPES.includes(type);
+}
+
+/**
+ * Compact, one line per column description of a profile for prompts
+ */
+function formatProfile(profile) {
+  return profile.columns.map(c => {
+    const parts = [`${c.type}${c.format ? ` (${c.format})` : ''}`];
+    if (c.approximate) parts.push('estimated from a sample');
+    if (c.nullRate > 0) parts.push(`${Math.round(c.nullRate * 100)}% empty`);
+    parts.push(`${c.distinctCount} distinct`);
+    if (isNumericType(c.type) && c.stats.min !== null) {
+      parts.push(`min ${c.stats.min}, median ${c.stats.quantiles.p50}, max ${c.stats.max}, total ${c.stats.sum}`);
+    } else if (isDateType(c.type) && c.stats && c.stats.min) {
+      parts.push(`${c.stats.min} to ${c.stats.max}`);
+    } else if (c.type === 'category' || c.type === 'boolean' || c.format === 'month name') {
+      parts.push(`top: ${c.topValues.map(t => `${t.value} (${t.count})`).join(', ')}`);
+    }
+    return `- ${c.name}: ${parts.join('; ')}`;
+  }).join('\n');
+}
+
+module.exports = {
+  classifyText,
+  isNull,
+  histogram,
+  profileDataset,
+  profileColumn,
+  createDatasetProfiler,
+  createColumnProfiler,
+  parseNumericValue,
+  formatProfile,
+  isNumericType,
+  isDateType,
+  NUMERIC_TYPES,
+  DATE_TYPES
+};
@@ -0,0 +1,424 @@
+// queryEngine.js - Deterministic aggregation over parsed rows
+// The AI plans a query, this module executes it, and the model only narrates the result
+
+const { joinRows, formatRelationships } = require('./relationships');
+const { parseNumericValue } = require('./numberFormat');
+
+const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max'];
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'];
+// Plans without metrics list matching rows; they return at most ROW_LIMIT rows unless they ask for
+// more, and never more than MAX_ROW_LIMIT
+const ROW_LIMIT = 100;
+const MAX_ROW_LIMIT = 1000;
+
+/**
+ * Convert a cell value to a number, or null if it isn't numeric
+ * Accepts currency, percent and accounting formats ("$3,600", "12%", "(250)")
+ */
+function toNumber(value) {
+  return parseNumericValue(value);
+}
+
+/**
+ * Find the real column name for a (possibly differently cased) name from the plan
+ */
+function resolveColumn(name, columns) {
+  if (typeof name !== 'string') return null;
+  if (columns.includes(name)) return name;
+  const lower = name.trim().toLowerCase();
+  return columns.find(c => c.toLowerCase() === lower) || null;
+}
+
+/**
+ * Check a query plan against the dataset columns and return a normalised copy
+ */
+function validateQueryPlan(plan, columns) {
+  if (!plan || typeof plan !== 'object') {
+    throw new Error('Query plan must be an object');
+  }
+
+  const requireColumn = (name, where) => {
+    const column = resolveColumn(name, columns);
+    if (!column) throw new Error(`Unknown column "${name}" in ${where}`);
+    return column;
+  };
+
+  const filters = (plan.filters || []).map(f => {
+    const op = f.op || 'eq';
+    if (!FILTER_OPERATORS.includes(op)) throw new Error(`Unsupported filter operator: ${op}`);
+    return { column: requireColumn(f.column, 'filters'), op, value: f.value };
+  });
+
+  const groupBy = (plan.groupBy || []).map(c => requireColumn(c, 'groupBy'));
+
+  const metrics = (plan.metrics || []).map(m => {
+    const agg = (m.agg || 'sum').toLowerCase();
+    if (!AGGREGATIONS.includes(agg)) throw new Error(`Unsupported aggregation: ${agg}`);
+    // count may be used without a column to count rows
+    const column = m.column ? requireColumn(m.column, 'metrics') : null;
+    if (!column && agg !== 'count') throw new Error(`Aggregation ${agg} needs a column`);
+    return { column, agg, as: m.as || (column ? `${agg}_${column}` : 'count') };
+  });
+
+  const outputColumns = [...groupBy, ...metrics.map(m => m.as)];
+  const selectable = metrics.length > 0 ? outputColumns : columns;
+
+  const sort = (plan.sort || []).map(s => {
+    const by = resolveColumn(s.by, selectable);
+    if (!by) throw new Error(`Cannot sort by "${s.by}"`);
+    return { by, direction: s.direction === 'asc' ? 'asc' : 'desc' };
+  });
+
+  let limit = null;
+  if (plan.limit !== undefined && plan.limit !== null) {
+    limit = parseInt(plan.limit);
+    if (isNaN(limit) || limit <= 0) throw new Error(`Invalid limit: ${plan.limit}`);
+  }
+  if (metrics.length === 0) {
+    limit = Math.min(limit || ROW_LIMIT, MAX_ROW_LIMIT);
+  }
+
+  return { filters, groupBy, metrics, sort, limit };
+}
+
+function matchesFilter(row, filter) {
+  const cell = row[filter.column];
+  const cellNum = toNumber(cell);
+  const valueNum = toNumber(filter.value);
+  const bothNumeric = cellNum !== null && valueNum !== null;
+  const text = String(cell ?? '').trim().toLowerCase();
+  const target = String(filter.value ?? '').trim().toLowerCase();
+
+  switch (filter.op) {
+    case 'eq':
+      return bothNumeric ? cellNum === valueNum : text === target;
+    case 'neq':
+      return bothNumeric ? cellNum !== valueNum : text !== target;
+    case 'gt':
+      return bothNumeric && cellNum > valueNum;
+    case 'gte':
+      return bothNumeric && cellNum >= valueNum;
+    case 'lt':
+      return bothNumeric && cellNum < valueNum;
+    case 'lte':
+      return bothNumeric && cellNum <= valueNum;
+    case 'in': {
+      const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+      return values.some(v => String(v).trim().toLowerCase() === text);
+    }
+    case 'contains':
+      return text.includes(target);
+    default:
+      return false;
+  }
+}
+
+function aggregate(rows, metric) {
+  if (metric.agg === 'count') {
+    if (!metric.column) return rows.length;
+    return rows.filter(r => r[metric.column] !== '' && r[metric.column] != null).length;
+  }
+
+  const values = rows.map(r => toNumber(r[metric.column])).filter(v => v !== null);
+  if (values.length === 0) return null;
+
+  switch (metric.agg) {
+    case 'sum':
+      return values.reduce((a, b) => a + b, 0);
+    case 'avg':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    // reduce rather than Math.min(...values): spreading large columns overflows the stack
+    case 'min':
+      return values.reduce((a, b) => (b < a ? b : a));
+    case 'max':
+      return values.reduce((a, b) => (b > a ? b : a));
+    default:
+      return null;
+  }
+}
+
+function compareValues(a, b) {
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (numA !== null && numB !== null) return numA - numB;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * The rows matching a plan's filters, with no limit; for analyses that narrow the data before running
+ */
+function filterRows(data, filters) {
+  const columns = Object.keys((data && data[0]) || {});
+  const query = validateQueryPlan({ filters }, columns);
+  return data.filter(row => query.filters.every(f => matchesFilter(row, f)));
+}
+
+/**
+ * Execute a query plan over an array of row objects
+ * Returns { columns, rows, matchedRecords, totalRecords, truncated }; truncated is true when the
+ * limit cut rows off the result
+ */
+function executeQuery(data, plan) {
+  const columns = Object.keys((data && data[0]) || {});
+  const query = validateQueryPlan(plan, columns);
+
+  const filtered = data.filter(row => query.filters.every(f => matchesFilter(row, f)));
+
+  let resultRows;
+  let resultColumns;
+
+  if (query.metrics.length > 0) {
+    // Group rows, keeping first-seen order of the groups
+    const groups = new Map();
+    filtered.forEach(row => {
+      const key = JSON.stringify(query.groupBy.map(c => row[c]));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    if (query.groupBy.length === 0 && groups.size === 0) {
+      groups.set('[]', []);
+    }
+
+    resultRows = Array.from(groups.values()).map(groupRows => {
+      const out = {};
+      query.groupBy.forEach(c => { out[c] = groupRows[0][c]; });
+      query.metrics.forEach(m => { out[m.as] = roundValue(aggregate(groupRows, m)); });
+      return out;
+    });
+    resultColumns = [...query.groupBy, ...query.metrics.map(m => m.as)];
+  } else {
+    resultRows = filtered.slice();
+    resultColumns = columns;
+  }
+
+  if (query.sort.length > 0) {
+    resultRows.sort((a, b) => {
+      for (const s of query.sort) {
+        const cmp = compareValues(a[s.by], b[s.by]);
+        if (cmp !== 0) return s.direction === 'asc' ? cmp : -cmp;
+      }
+      return 0;
+    });
+  }
+
+  const truncated = Boolean(query.limit) && resultRows.length > query.limit;
+  if (truncated) {
+    resultRows = resultRows.slice(0, query.limit);
+  }
+
+  return {
+    columns: resultColumns,
+    rows: resultRows,
+    matchedRecords: filtered.length,
+    totalRecords: data.length,
+    truncated,
+    plan: query
+  };
+}
+
+function roundValue(value) {
+  if (typeof value !== 'number') return value;
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Build the prompt asking the model to plan a query (not to answer the question)
+ * tables - [{ name, summary, sampleRows }], the first one is the default "from" dataset
+ */
+function createQueryPlanPrompt(tables, question, relationships = []) {
+  const schemas = tables.map(({ name, summary, sampleRows = [] }) => `DATASET "${name}" (${summary.totalRecords || 0} rows)
+COLUMNS: ${(summary.columns || []).join(', ')}
+NUMERIC COLUMNS: ${(summary.numericColumns || []).join(', ')}
+CATEGORICAL COLUMNS: ${(summary.categoricalColumns || []).join(', ')}
+DATE COLUMNS: ${(summary.dateColumns || []).join(', ')}
+Sample Rows:
+${JSON.stringify(sampleRows.slice(0, 3), null, 2)}`).join('\n\n');
+
+  const joinHelp = tables.length > 1 ? `
+RELATIONSHIPS:
+${formatRelationships(relationships)}
+
+To combine datasets, set "from" to the main dataset and add "join". Columns of the joined dataset are then
+referenced as "<dataset>.<column>" (e.g. "customers.Region") everywhere else in the plan.
+` : '';
+
+  return `You are a query planner for a data analysis engine. Do NOT answer the question and do NOT calculate anything.
+Translate the question into a query plan that the engine will execute over the full dataset.
+
+${schemas}
+${joinHelp}
+QUESTION: ${question}
+
+Respond with JSON only, in this format:
+{
+  "query": {${tables.length > 1 ? `
+    "from": "<dataset name>",
+    "join": {"dataset": "<dataset name>", "on": {"left": "<column in from>", "right": "<column in joined dataset>"}, "type": "left|inner"},` : ''}
+    "filters": [{"column": "...", "op": "${FILTER_OPERATORS.join('|')}", "value": "..."}],
+    "groupBy": ["..."],
+    "metrics": [{"column": "...", "agg": "${AGGREGATIONS.join('|')}", "as": "..."}],
+    "sort": [{"by": "<groupBy column or metric alias>", "direction": "asc|desc"}],
+    "limit": 10
+  }
+}
+
+Use only the column names listed above. Omit any part that is not needed.
+If the question cannot be answered with an aggregation (e.g. general advice), respond with {"query": null}.`;
+}
+
+/**
+ * Extract a query plan from the planner's raw reply
+ * Returns null if the model decided no query is needed or the reply isn't usable
+ */
+function parseQueryPlan(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const jsonMatch = raw.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (parsed && Object.prototype.hasOwnProperty.call(parsed, 'query')) {
+      return parsed.query || null;
+    }
+    return parsed;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The columns each dataset must provide to run a plan, so stored datasets can be read column by column
+ * columnsByDataset - { name: [column] }; returns { name: [column] }, or all columns where the plan lists rows
+ */
+function planColumns(plan, columnsByDataset) {
+  const names = Object.keys(columnsByDataset);
+  if (!plan || names.length === 0) return {};
+  const from = (plan.from && resolveColumn(plan.from, names)) || names[0];
+  const joinName = plan.join ? resolveColumn(plan.join.dataset, names) : null;
+
+  // Without metrics the result is the matching rows themselves (capped at the plan's limit), so every column is needed
+  if (!plan.metrics || plan.metrics.length === 0) {
+    const all = { [from]: columnsByDataset[from] };
+    if (joinName) all[joinName] = columnsByDataset[joinName];
+    return all;
+  }
+
+  const refs = [
+    ...(plan.filters || []).map(f => f.column),
+    ...(plan.groupBy || []),
+    ...plan.metrics.map(m => m.column)
+  ].filter(ref => typeof ref === 'string');
+
+  const pick = (name, wanted) => {
+    const columns = columnsByDataset[name];
+    const picked = new Set(wanted.map(ref => resolveColumn(ref, columns)).filter(Boolean));
+    // Keep at least one column so row counts survive
+    if (picked.size === 0 && columns.length > 0) picked.add(columns[0]);
+    return Array.from(picked);
+  };
+
+  const result = {};
+  if (joinName) {
+    const prefix = `${joinName.toLowerCase()}.`;
+    const joined = refs.filter(ref => ref.toLowerCase().startsWith(prefix)).map(ref => ref.slice(prefix.length));
+    const on = plan.join.on || {};
+    result[from] = pick(from, [...refs, on.left]);
+    result[joinName] = pick(joinName, [...joined, on.right]);
+  } else {
+    result[from] = pick(from, refs);
+  }
+  return result;
+}
+
+/**
+ * Pick the rows a plan runs over: its "from" dataset, joined with "join" if given
+ * datasets - { name: rows }, or a plain row array for single-dataset callers
+ */
+function resolvePlanRows(datasets, plan) {
+  if (Array.isArray(datasets)) return datasets;
+  const names = Object.keys(datasets);
+  if (names.length === 0) throw new Error('No datasets to query');
+
+  const from = plan.from ? resolveColumn(plan.from, names) : names[0];
+  if (!from) throw new Error(`Unknown dataset "${plan.from}"`);
+  if (!plan.join) return datasets[from];
+
+  const joinName = resolveColumn(plan.join.dataset, names);
+  if (!joinName) throw new Error(`Unknown dataset "${plan.join.dataset}" in join`);
+  const on = plan.join.on || {};
+  const leftKey = resolveColumn(on.left, Object.keys(datasets[from][0] || {}));
+  const rightKey = resolveColumn(on.right, Object.keys(datasets[joinName][0] || {}));
+  if (!leftKey || !rightKey) throw new Error(`Invalid join keys ${on.left} -> ${on.right}`);
+
+  return joinRows(datasets[from], datasets[joinName], leftKey, rightKey, {
+    type: plan.join.type === 'inner' ? 'inner' : 'left',
+    prefix: joinName
+  });
+}
+
+/**
+ * Execute a plan if there is one, swallowing plan errors so the caller can still narrate
+ * Returns { queryPlan, computedResult, queryError }
+ */
+function runPlannedQuery(datasets, plan) {
+  if (!plan) {
+    return { queryPlan: null, computedResult: null, queryError: null };
+  }
+  try {
+    const result = executeQuery(resolvePlanRows(datasets, plan), plan);
+    return {
+      queryPlan: { ...(plan.from ? { from: plan.from } : {}), ...(plan.join ? { join: plan.join } : {}), ...result.plan },
+      computedResult: {
+        columns: result.columns,
+        rows: result.rows,
+        matchedRecords: result.matchedRecords,
+        totalRecords: result.totalRecords,
+        truncated: result.truncated
+      },
+      queryError: null
+    };
+  } catch (err) {
+    console.error('Query execution failed:', err.message);
+    return { queryPlan: plan, computedResult: null, queryError: err.message };
+  }
+}
+
+/**
+ * Format a computed result as prompt text for the model to narrate
+ * Only the first maxRows rows are shown; the model is told how many more there are
+ */
+function formatComputedResult(computedResult, maxRows = 50) {
+  if (!computedResult) return '';
+  const rows = computedResult.rows.slice(0, maxRows);
+  const columns = computedResult.columns || Object.keys(computedResult.rows[0] || {});
+  const omitted = computedResult.rows.length - rows.length;
+  const notes = [
+    omitted > 0 ? `${omitted} more rows omitted` : null,
+    computedResult.truncated ? `the result was cut to ${computedResult.rows.length} rows; ${computedResult.matchedRecords} records matched` : null
+  ].filter(Boolean);
+  return `COMPUTED RESULT (exact values calculated by the server over ${computedResult.matchedRecords} of ${computedResult.totalRecords} records):
+Columns: ${columns.join(', ')}
+${JSON.stringify(rows, null, 2)}${notes.length > 0 ? `\n(${notes.join('; ')})` : ''}
+
+These numbers are authoritative. Do not recalculate them; use them as-is when answering, and build charts from these columns.`;
+}
+
+module.exports = {
+  executeQuery,
+  filterRows,
+  validateQueryPlan,
+  createQueryPlanPrompt,
+  parseQueryPlan,
+  runPlannedQuery,
+  resolvePlanRows,
+  planColumns,
+  formatComputedResult,
+  toNumber,
+  resolveColumn,
+  matchesFilter,
+  AGGREGATIONS,
+  FILTER_OPERATORS,
+  ROW_LIMIT,
+  MAX_ROW_LIMIT
+};
@@ -0,0 +1,178 @@
+// relationships.js - Join key suggestions and joins between the datasets in a session
+
+const MAX_DISTINCT = 5000;
+
+/**
+ * Turn an uploaded file name into a dataset name ("Orders 2024.csv" -> "orders_2024")
+ */
+function toDatasetName(fileName, fallback = 'data') {
+  const base = String(fileName || '').replace(/\.[^.]*$/, '');
+  const name = base.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return name || fallback;
+}
+
+function normalizeKey(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim().toLowerCase();
+}
+
+function distinctValues(rows, column) {
+  const values = new Set();
+  for (const row of rows) {
+    const key = normalizeKey(row[column]);
+    if (key !== '') values.add(key);
+    if (values.size > MAX_DISTINCT) break;
+  }
+  return values;
+}
+
+// "number" when every value is a plain number, else "text"; keys only join columns of the same kind
+function valueKind(values) {
+  for (const value of values) {
+    if (!/^-?\d+(\.\d+)?$/.test(value)) return 'text';
+  }
+  return 'number';
+}
+
+// Distinct values and kind of every column, computed once per dataset
+function columnStats(rows) {
+  const stats = {};
+  Object.keys(rows[0]).forEach(column => {
+    const values = distinctValues(rows, column);
+    if (values.size > 0) stats[column] = { values, kind: valueKind(values), unique: values.size / rows.length };
+  });
+  return stats;
+}
+
+// "CustomerID", "customer_id" and "customer id" all compare equal
+function simplifyName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * How much the two column names suggest a key relationship (0-1)
+ */
+function nameScore(leftTable, leftColumn, rightTable, rightColumn) {
+  const left = simplifyName(leftColumn);
+  const right = simplifyName(rightColumn);
+  if (left === right) return 1;
+
+  // orders.customer_id -> customers.id
+  const singular = (table) => simplifyName(table).replace(/s$/, '');
+  if (right === 'id' && (left === `${singular(rightTable)}id` || left === `${singular(rightTable)}`)) return 0.9;
+  if (left === 'id' && (right === `${singular(leftTable)}id` || right === `${singular(leftTable)}`)) return 0.9;
+
+  if (left.endsWith('id') && right.endsWith('id') && (left.includes(right) || right.includes(left))) return 0.6;
+  return 0;
+}
+
+/**
+ * Suggest join keys between every pair of datasets
+ * Scores combine name similarity with how many of one side's values are found on the other
+ * Returns [{ left: { dataset, column }, right: { dataset, column }, overlap, cardinality, score }]
+ */
+function suggestRelationships(datasets, { minScore = 0.5 } = {}) {
+  const names = Object.keys(datasets).filter(name => Array.isArray(datasets[name]) && datasets[name].length > 0);
+  const stats = {};
+  names.forEach(name => { stats[name] = columnStats(datasets[name]); });
+  const suggestions = [];
+
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const leftName = names[i];
+      const rightName = names[j];
+      let best = null;
+
+      Object.entries(stats[leftName]).forEach(([leftColumn, left]) => {
+        Object.entries(stats[rightName]).forEach(([rightColumn, right]) => {
+          if (left.kind !== right.kind) return;
+          const { values: leftValues, unique: leftUnique } = left;
+          const { values: rightValues, unique: rightUnique } = right;
+
+          let shared = 0;
+          leftValues.forEach(v => { if (rightValues.has(v)) shared++; });
+          if (shared === 0) return;
+
+          // Share of the smaller side found in the larger one
+          const overlap = shared / Math.min(leftValues.size, rightValues.size);
+          const byName = nameScore(leftName, leftColumn, rightName, rightColumn);
+
+          // Keys identify rows on at least one side; low-cardinality columns (e.g. "Region") make poor keys
+          if (Math.max(leftUnique, rightUnique) < 0.9 && byName < 1) return;
+
+          const score = Math.round((overlap * 0.6 + byName * 0.4) * 100) / 100;
+          if (score < minScore) return;
+
+          const cardinality =
+            leftUnique >= 0.99 && rightUnique >= 0.99 ? 'one-to-one'
+              : rightUnique >= 0.99 ? 'many-to-one'
+                : leftUnique >= 0.99 ? 'one-to-many'
+                  : 'many-to-many';
+
+          const candidate = {
+            left: { dataset: leftName, column: leftColumn },
+            right: { dataset: rightName, column: rightColumn },
+            overlap: Math.round(overlap * 100) / 100,
+            cardinality,
+            score
+          };
+          if (!best || candidate.score > best.score) best = candidate;
+        });
+      });
+
+      if (best) suggestions.push(best);
+    }
+  }
+
+  return suggestions.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Join two row arrays on a key
+ * Columns from the right side are prefixed with "<prefix>." so they can't collide with the left side
+ */
+function joinRows(leftRows, rightRows, leftKey, rightKey, { type = 'left', prefix = 'right' } = {}) {
+  const index = new Map();
+  rightRows.forEach(row => {
+    const key = normalizeKey(row[rightKey]);
+    if (key === '') return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(row);
+  });
+
+  const rightColumns = Object.keys(rightRows[0] || {});
+  const emptyRight = {};
+  rightColumns.forEach(c => { emptyRight[`${prefix}.${c}`] = ''; });
+
+  const joined = [];
+  leftRows.forEach(left => {
+    const matches = index.get(normalizeKey(left[leftKey]));
+    if (!matches) {
+      if (type === 'left') joined.push({ ...left, ...emptyRight });
+      return;
+    }
+    matches.forEach(right => {
+      const out = { ...left };
+      rightColumns.forEach(c => { out[`${prefix}.${c}`] = right[c]; });
+      joined.push(out);
+    });
+  });
+  return joined;
+}
+
+/**
+ * Describe the relationships for a prompt
+ */
+function formatRelationships(relationships) {
+  if (!relationships || relationships.length === 0) return 'No relationships detected between datasets.';
+  return relationships
+    .map(r => `- ${r.left.dataset}.${r.left.column} -> ${r.right.dataset}.${r.right.column} (${r.cardinality}, ${Math.round(r.overlap * 100)}% of values match)`)
+    .join('\n');
+}
+
+module.exports = {
+  toDatasetName,
+  suggestRelationships,
+  joinRows,
+  formatRelationships
+};
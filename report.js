@@ -0,0 +1,282 @@
+// report.js - Shareable analysis reports built from a chat session
+// A report lists the session's datasets with a short profile, then every question asked with its
+// answer, insights, recommendations, next steps and chart. It renders to Markdown, HTML or PDF.
+
+const { parseStructuredResponse } = require('./responseSchema');
+const { renderSvg, renderPng, formatNumber } = require('./chartRenderer');
+
+const REPORT_FORMATS = ['html', 'md', 'pdf'];
+const CONTENT_TYPES = { html: 'text/html; charset=utf-8', md: 'text/markdown; charset=utf-8', pdf: 'application/pdf' };
+const MAX_TOP_VALUES = 3;
+const NUMERIC_TYPES = ['integer', 'number', 'currency', 'percent'];
+
+/**
+ * One line describing a profiled column: its range for numbers, its most common values otherwise
+ */
+function summarizeColumn(column) {
+  const stats = column.stats || {};
+  if (NUMERIC_TYPES.includes(column.type) && stats.min !== undefined) {
+    return `${formatNumber(stats.min)} to ${formatNumber(stats.max)}, mean ${formatNumber(stats.mean)}`;
+  }
+  const top = (column.topValues || []).slice(0, MAX_TOP_VALUES).map(v => `${v.value} (${v.count})`);
+  return top.length > 0 ? `${column.distinctCount} distinct; most common ${top.join(', ')}` : '';
+}
+
+function describeDataset(entry, profile) {
+  return {
+    name: entry.name,
+    rowCount: entry.rowCount,
+    version: entry.version,
+    sampled: entry.sampled,
+    columns: profile
+      ? profile.columns.map(c => ({ name: c.name, type: c.type, nullRate: c.nullRate, summary: summarizeColumn(c) }))
+      : entry.columns.map(name => ({ name, type: null, nullRate: null, summary: '' }))
+  };
+}
+
+/**
+ * Gather a session into a report
+ * record - the session record; datasets - its sessionStore.listDatasets entries
+ * getChart(id) - looks up a chart kept by a chat turn
+ * Returns { title, sessionId, generatedAt, datasets, sections }
+ */
+async function buildReport(record, datasets, getChart, { title = 'Analysis report' } = {}) {
+  const profiles = (record.metadata && record.metadata.profiles) || {};
+  const sections = [];
+  for (const turn of record.chatTurns) {
+    const { value } = parseStructuredResponse(turn.output);
+    if (!value) continue;
+    const details = turn.details || {};
+    const stored = details.chartId ? await getChart(details.chartId) : null;
+    sections.push({
+      question: turn.input,
+      askedAt: new Date(turn.createdAt).toISOString(),
+      answer: value.answer,
+      keyInsights: value.keyInsights,
+      recommendations: value.recommendations,
+      nextSteps: value.nextSteps,
+      potentialImpact: value.potentialImpact,
+      chart: stored ? { id: stored.id, ...stored.chart } : null,
+      metadata: {
+        confidence: value.confidence,
+        limitations: value.limitations,
+        ...details.metadata,
+        datasetVersions: details.datasetVersions || null
+      }
+    });
+  }
+  return {
+    title,
+    sessionId: record.sessionId,
+    generatedAt: new Date().toISOString(),
+    datasets: datasets.map(entry => describeDataset(entry, profiles[entry.name])),
+    sections
+  };
+}
+
+/**
+ * "1200 records (sample of 500 shown to the model) · sales v2 · confidence high"
+ */
+function describeMetadata(metadata) {
+  const parts = [];
+  if (metadata.totalRecords !== undefined) {
+    const sample = metadata.sampleSize !== undefined && metadata.sampleSize < metadata.totalRecords ? ` (sample of ${metadata.sampleSize} shown to the model)` : '';
+    parts.push(`${metadata.totalRecords} records${sample}`);
+  }
+  if (metadata.datasetVersions) {
+    parts.push(Object.entries(metadata.datasetVersions).map(([name, version]) => `${name} v${version}`).join(', '));
+  }
+  if (metadata.confidence) parts.push(`confidence ${metadata.confidence}`);
+  return parts.join(' · ');
+}
+
+function datasetLine(dataset) {
+  return `${dataset.rowCount} rows, ${dataset.columns.length} columns, version ${dataset.version}`;
+}
+
+const LISTS = [
+  ['keyInsights', 'Key insights'],
+  ['recommendations', 'Recommendations'],
+  ['nextSteps', 'Next steps']
+];
+
+// Keep HTML in questions and answers from being rendered by Markdown viewers
+function markdownText(text) {
+  return String(text).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Markdown report; charts are linked as images through chartUrl(chart) (skipped when it returns null)
+ */
+function renderMarkdown(report, { chartUrl = () => null } = {}) {
+  const lines = [`# ${markdownText(report.title)}`, '', `Generated ${report.generatedAt} · session ${markdownText(report.sessionId)}`, '', '## Data', ''];
+  report.datasets.forEach(dataset => {
+    lines.push(`### ${markdownText(dataset.name)}`, '', datasetLine(dataset), '', '| Column | Type | Missing | Summary |', '| --- | --- | --- | --- |');
+    dataset.columns.forEach(c => {
+      const missing = c.nullRate === null ? '' : `${Math.round(c.nullRate * 1000) / 10}%`;
+      lines.push(`| ${[c.name, c.type || '', missing, c.summary].map(cell => markdownText(cell).replace(/\|/g, '\\|')).join(' | ')} |`);
+    });
+    lines.push('');
+  });
+  if (report.sections.length === 0) lines.push('_No questions were asked in this session._', '');
+
+  report.sections.forEach((section, i) => {
+    lines.push(`## ${i + 1}. ${markdownText(section.question)}`, '', markdownText(section.answer), '');
+    LISTS.forEach(([key, heading]) => {
+      if (section[key].length === 0) return;
+      lines.push(`**${heading}**`, '', ...section[key].map(item => `- ${markdownText(item)}`), '');
+    });
+    if (section.potentialImpact) lines.push(`**Potential impact:** ${markdownText(section.potentialImpact)}`, '');
+    const url = section.chart ? chartUrl(section.chart) : null;
+    if (url) lines.push(`![${markdownText(section.chart.title || 'Chart').replace(/[[\]]/g, '')}](${url})`, '');
+    if (section.metadata.limitations) lines.push(`_Limitations: ${markdownText(section.metadata.limitations)}_`, '');
+    const meta = describeMetadata(section.metadata);
+    if (meta) lines.push(`<sub>${meta}</sub>`, '');
+  });
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function chartSvg(chart) {
+  try {
+    return renderSvg(chart, { width: 720 });
+  } catch (err) {
+    return `<p class="meta">Chart could not be drawn: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+/**
+ * Self-contained HTML report with charts inlined as SVG
+ */
+function renderHtml(report) {
+  const datasets = report.datasets.map(dataset => `
+    <h3>${escapeHtml(dataset.name)}</h3>
+    <p class="meta">${escapeHtml(datasetLine(dataset))}</p>
+    <table><tr><th>Column</th><th>Type</th><th>Missing</th><th>Summary</th></tr>
+    ${dataset.columns.map(c => `<tr><td>${escapeHtml(c.name)}</td><td>${escapeHtml(c.type || '')}</td><td>${c.nullRate === null ? '' : `${Math.round(c.nullRate * 1000) / 10}%`}</td><td>${escapeHtml(c.summary)}</td></tr>`).join('')}
+    </table>`).join('');
+
+  const sections = report.sections.map((section, i) => `
+    <section>
+      <h2>${i + 1}. ${escapeHtml(section.question)}</h2>
+      <p>${escapeHtml(section.answer)}</p>
+      ${LISTS.filter(([key]) => section[key].length > 0).map(([key, heading]) => `<h4>${heading}</h4><ul>${section[key].map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`).join('')}
+      ${section.potentialImpact ? `<p><strong>Potential impact:</strong> ${escapeHtml(section.potentialImpact)}</p>` : ''}
+      ${section.chart ? `<div class="chart">${chartSvg(section.chart)}</div>` : ''}
+      ${section.metadata.limitations ? `<p class="meta">Limitations: ${escapeHtml(section.metadata.limitations)}</p>` : ''}
+      <p class="meta">${escapeHtml(describeMetadata(section.metadata))}</p>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #333; line-height: 1.5; }
+    h1 { margin-bottom: 0; }
+    section { border-top: 1px solid #e5e5e5; margin-top: 32px; padding-top: 8px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e5e5; }
+    .meta { color: #777; font-size: 13px; }
+    .chart svg { max-width: 100%; height: auto; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="meta">Generated ${escapeHtml(report.generatedAt)} · session ${escapeHtml(report.sessionId)}</p>
+  <h2>Data</h2>
+  ${datasets}
+  ${report.sections.length === 0 ? '<p><em>No questions were asked in this session.</em></p>' : sections}
+</body>
+</html>`;
+}
+
+/**
+ * PDF report with charts embedded as PNG images
+ * Returns a Promise for the PDF buffer
+ */
+function renderPdf(report) {
+  // Required here so the other formats keep working where pdfkit isn't installed
+  const PDFDocument = require('pdfkit');
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: report.title } });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const heading = (text, size) => doc.moveDown(0.5).font('Helvetica-Bold').fontSize(size).fillColor('#333').text(text).moveDown(0.3);
+  const body = (text) => doc.font('Helvetica').fontSize(11).fillColor('#333').text(text);
+  const meta = (text) => doc.font('Helvetica').fontSize(9).fillColor('#777').text(text);
+
+  doc.font('Helvetica-Bold').fontSize(22).text(report.title);
+  meta(`Generated ${report.generatedAt} · session ${report.sessionId}`);
+
+  heading('Data', 16);
+  report.datasets.forEach(dataset => {
+    heading(dataset.name, 13);
+    meta(datasetLine(dataset));
+    doc.moveDown(0.3);
+    dataset.columns.forEach(c => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#333').text(`${c.name}`, { continued: true })
+        .font('Helvetica').text(`  ${[c.type, c.summary].filter(Boolean).join(' - ')}`);
+    });
+  });
+  if (report.sections.length === 0) body('No questions were asked in this session.');
+
+  report.sections.forEach((section, i) => {
+    doc.addPage();
+    heading(`${i + 1}. ${section.question}`, 15);
+    body(section.answer);
+    LISTS.forEach(([key, title]) => {
+      if (section[key].length === 0) return;
+      heading(title, 12);
+      doc.font('Helvetica').fontSize(11).fillColor('#333').list(section[key], { bulletRadius: 2 });
+    });
+    if (section.potentialImpact) {
+      heading('Potential impact', 12);
+      body(section.potentialImpact);
+    }
+    if (section.chart) {
+      doc.moveDown();
+      try {
+        const png = renderPng(section.chart, { width: 1000, height: 560 });
+        const height = width * 0.56;
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+        doc.image(png, doc.page.margins.left, doc.y, { width });
+        doc.y += height;
+      } catch (err) {
+        meta(`Chart could not be drawn: ${err.message}`);
+      }
+    }
+    doc.moveDown();
+    if (section.metadata.limitations) meta(`Limitations: ${section.metadata.limitations}`);
+    meta(describeMetadata(section.metadata));
+  });
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Render a built report; returns { body, contentType, extension }
+ * options.chartUrl is used by the Markdown format to link chart images
+ */
+async function renderReport(report, format, options = {}) {
+  const renderers = { html: renderHtml, md: (r) => renderMarkdown(r, options), pdf: renderPdf };
+  return { body: await renderers[format](report), contentType: CONTENT_TYPES[format], extension: format };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildReport,
+  renderReport,
+  renderMarkdown,
+  renderHtml,
+  renderPdf
+};
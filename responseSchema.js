@@ -0,0 +1,206 @@
+// responseSchema.js - The one response shape every AI answer must match
+// Replies are validated against RESPONSE_SCHEMA; invalid ones are sent back to the model with the errors
+
+const { describeChartSpec, describeChartRules, validateChartSpec } = require('./chartSpec');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const RESPONSE_SCHEMA = {
+  answer: { type: 'string', required: true, description: 'Clear business explanation with specific actionable recommendations' },
+  keyInsights: { type: 'array', items: 'string', default: [], description: 'Top 3 business insights from the data' },
+  recommendations: { type: 'array', items: 'string', default: [], description: 'Specific actions to take based on findings' },
+  potentialImpact: { type: 'string', nullable: true, default: null, description: 'Expected business impact of implementing recommendations' },
+  nextSteps: { type: 'array', items: 'string', default: [], description: 'Immediate next steps to implement recommendations' },
+  followUpQuestions: { type: 'array', items: 'string', default: [], description: 'Short questions the user could ask next' },
+  // The chart spec has its own versioned rules (see chartSpec.js)
+  chart: { nullable: true, default: null, description: 'Chart of the key numbers, or null', validate: validateChartSpec },
+  confidence: { enum: CONFIDENCE_LEVELS, default: 'medium', description: 'How confident the analysis is' },
+  limitations: { type: 'string', nullable: true, default: null, description: 'Any limitations of the analysis' }
+};
+
+/**
+ * Thrown when the model keeps replying with something that doesn't match the schema
+ */
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], raw = null, attempts = 0 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = 'INVALID_AI_RESPONSE';
+    this.errors = errors;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Describe the schema for prompts as an example JSON object
+ */
+function describeResponseSchema() {
+  return `{
+  "answer": "${RESPONSE_SCHEMA.answer.description}",
+  "keyInsights": ["${RESPONSE_SCHEMA.keyInsights.description}"],
+  "recommendations": ["${RESPONSE_SCHEMA.recommendations.description}"],
+  "potentialImpact": "${RESPONSE_SCHEMA.potentialImpact.description}",
+  "nextSteps": ["${RESPONSE_SCHEMA.nextSteps.description}"],
+  "followUpQuestions": ["${RESPONSE_SCHEMA.followUpQuestions.description}"],
+  "chart": ${describeChartSpec()},
+  "confidence": "${CONFIDENCE_LEVELS.join('|')}",
+  "limitations": "${RESPONSE_SCHEMA.limitations.description}"
+}
+Respond with this JSON object only. "answer" is required.
+${describeChartRules()}`;
+}
+
+/**
+ * Pull the JSON object out of a raw model reply
+ * Returns { value } or { error }
+ */
+function extractJson(raw) {
+  if (!raw || typeof raw !== 'string' || raw.trim() === '') {
+    return { error: 'Response was empty' };
+  }
+  const jsonMatch = raw.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { error: 'Response did not contain a JSON object' };
+  }
+  try {
+    return { value: JSON.parse(jsonMatch[0]) };
+  } catch (e) {
+    return { error: `Response was not valid JSON: ${e.message}` };
+  }
+}
+
+/**
+ * Map older reply shapes onto the schema: `chartData` (chat) and top-level labels/data/type (ask)
+ */
+function normalizeLegacyShape(value) {
+  const out = { ...value };
+  if (out.chart === undefined && out.chartData !== undefined) {
+    out.chart = out.chartData;
+  }
+  if (out.chart === undefined && Array.isArray(out.labels) && Array.isArray(out.data)) {
+    out.chart = { labels: out.labels, data: out.data, type: out.type };
+  }
+  delete out.chartData;
+  delete out.labels;
+  delete out.data;
+  delete out.type;
+  return out;
+}
+
+function checkItem(kind, item) {
+  if (kind === 'string') return typeof item === 'string' ? { value: item } : { error: 'must be a string' };
+  if (kind === 'number') {
+    // Models often quote numbers; accept numeric strings but nothing else
+    const num = typeof item === 'number' ? item : (typeof item === 'string' && item.trim() !== '' ? Number(item) : NaN);
+    return isNaN(num) ? { error: 'must be a number' } : { value: num };
+  }
+  return { value: item };
+}
+
+function validateField(rule, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (rule.required) errors.push(`${path} is required`);
+    else if (value === null && !rule.nullable && rule.default === undefined) errors.push(`${path} must not be null`);
+    return rule.default === undefined ? null : JSON.parse(JSON.stringify(rule.default));
+  }
+
+  if (rule.validate) {
+    const checked = rule.validate(value, path);
+    errors.push(...checked.errors);
+    return checked.value;
+  }
+
+  if (rule.enum) {
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    if (!rule.enum.includes(text)) {
+      errors.push(`${path} must be one of ${rule.enum.join(', ')}`);
+      return value;
+    }
+    return text;
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') errors.push(`${path} must be a string`);
+    return value;
+  }
+
+  if (rule.type === 'array') {
+    // A single string where a list was expected is an easy, safe repair
+    const list = typeof value === 'string' && rule.items === 'string' ? [value] : value;
+    if (!Array.isArray(list)) {
+      errors.push(`${path} must be an array`);
+      return value;
+    }
+    return list.map((item, i) => {
+      const checked = checkItem(rule.items, item);
+      if (checked.error) errors.push(`${path}[${i}] ${checked.error}`);
+      return checked.error ? item : checked.value;
+    });
+  }
+
+  if (rule.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path} must be an object`);
+      return value;
+    }
+    const out = {};
+    Object.entries(rule.properties).forEach(([key, childRule]) => {
+      out[key] = validateField(childRule, value[key], `${path}.${key}`, errors);
+    });
+    return out;
+  }
+
+  return value;
+}
+
+/**
+ * Validate a parsed reply against the schema
+ * Returns { valid, errors, value } where value has every schema field (defaults filled in)
+ */
+function validateResponse(parsed) {
+  const errors = [];
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { valid: false, errors: ['Response must be a JSON object'], value: null };
+  }
+
+  const input = normalizeLegacyShape(parsed);
+  const value = {};
+  Object.entries(RESPONSE_SCHEMA).forEach(([key, rule]) => {
+    value[key] = validateField(rule, input[key], key, errors);
+  });
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Parse and validate a raw model reply in one step
+ */
+function parseStructuredResponse(raw) {
+  const extracted = extractJson(raw);
+  if (extracted.error) {
+    return { valid: false, errors: [extracted.error], value: null };
+  }
+  return validateResponse(extracted.value);
+}
+
+/**
+ * The follow-up message sent to the model when its reply failed validation
+ */
+function createRepairPrompt(errors) {
+  return `Your previous reply did not match the required JSON format. Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object in this format:
+${describeResponseSchema()}`;
+}
+
+module.exports = {
+  RESPONSE_SCHEMA,
+  StructuredOutputError,
+  describeResponseSchema,
+  validateResponse,
+  parseStructuredResponse,
+  createRepairPrompt,
+  extractJson
+};
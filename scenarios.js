@@ -0,0 +1,265 @@
+// scenarios.js - What-if scenarios: adjust a copy of a dataset and compare KPIs before and after
+// A scenario is { adjustments, recompute }:
+//   adjustments - applied in order, each to the rows matching its filters (same filters as query plans):
+//     { column: 'Units', change: 'percent', value: -5, filters: [{ column: 'Product', op: 'eq', value: 'Laptop' }] }
+//     change is 'percent' (value is a percentage), 'absolute' (value is added) or 'set' (value replaces the cell)
+//   recompute - columns derived again after the adjustments, e.g. [{ column: 'Revenue', formula: 'Price * Units' }]
+// KPIs are the defined metrics (metrics.js) plus the total of every column the scenario changes.
+// The model can translate a described scenario into this shape (createScenarioPrompt / parseScenarioPlan),
+// but the numbers are always computed here.
+
+const { toNumber, resolveColumn, matchesFilter, FILTER_OPERATORS } = require('./queryEngine');
+const { compileExpression, columnRef, ExpressionError } = require('./expression');
+const { normalizeMetric, computeMetrics, formatMetricValue, MetricError } = require('./metrics');
+const { validateChartSpec, fillChartFromResult } = require('./chartSpec');
+
+const CHANGES = ['percent', 'absolute', 'set'];
+const MAX_ADJUSTMENTS = 20;
+// Categorical values listed per column in the planner prompt
+const MAX_PROMPT_VALUES = 25;
+const TABLE_COLUMNS = ['kpi', 'baseline', 'scenario', 'change', 'changePercent'];
+
+/**
+ * Raised for scenarios that are incomplete or don't fit the dataset
+ * field - the part of the scenario at fault, e.g. "adjustments[1].column"
+ */
+class ScenarioError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'ScenarioError';
+    this.code = 'INVALID_SCENARIO';
+    this.field = field;
+  }
+}
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+function normalizeFilters(filters, columns, path) {
+  if (filters === undefined || filters === null) return [];
+  if (!Array.isArray(filters)) throw new ScenarioError(`${path} must be an array`, path);
+  return filters.map((filter, i) => {
+    const at = `${path}[${i}]`;
+    const column = filter && resolveColumn(filter.column, columns);
+    if (!column) throw new ScenarioError(`Unknown column "${filter && filter.column}"`, `${at}.column`);
+    const op = filter.op || 'eq';
+    if (!FILTER_OPERATORS.includes(op)) throw new ScenarioError(`Unknown filter operator "${op}". Use one of: ${FILTER_OPERATORS.join(', ')}`, `${at}.op`);
+    return { column, op, value: filter.value };
+  });
+}
+
+/**
+ * Check a scenario against the dataset's columns and return a normalised copy; throws ScenarioError
+ */
+function normalizeScenario(scenario, columns) {
+  if (!scenario || typeof scenario !== 'object') throw new ScenarioError('Scenario must be an object');
+  const adjustments = scenario.adjustments || [];
+  const recompute = scenario.recompute || [];
+  if (!Array.isArray(adjustments)) throw new ScenarioError('adjustments must be an array', 'adjustments');
+  if (!Array.isArray(recompute)) throw new ScenarioError('recompute must be an array', 'recompute');
+  if (adjustments.length === 0 && recompute.length === 0) throw new ScenarioError('Scenario needs at least one adjustment', 'adjustments');
+  if (adjustments.length > MAX_ADJUSTMENTS) throw new ScenarioError(`Scenarios are limited to ${MAX_ADJUSTMENTS} adjustments`, 'adjustments');
+
+  const normalizedAdjustments = adjustments.map((adjustment, i) => {
+    const at = `adjustments[${i}]`;
+    const column = adjustment && resolveColumn(adjustment.column, columns);
+    if (!column) throw new ScenarioError(`Unknown column "${adjustment && adjustment.column}"`, `${at}.column`);
+    const change = adjustment.change || 'percent';
+    if (!CHANGES.includes(change)) throw new ScenarioError(`Unknown change "${change}". Use one of: ${CHANGES.join(', ')}`, `${at}.change`);
+    const value = toNumber(adjustment.value);
+    if (value === null) throw new ScenarioError(`${at}.value must be a number`, `${at}.value`);
+    if (change === 'percent' && value <= -100) throw new ScenarioError('A percentage change must be above -100', `${at}.value`);
+    return { column, change, value, filters: normalizeFilters(adjustment.filters, columns, `${at}.filters`) };
+  });
+
+  // Recomputed columns may be new, so later formulas can use earlier ones
+  const known = [...columns];
+  const normalizedRecompute = recompute.map((item, i) => {
+    const at = `recompute[${i}]`;
+    if (!item || typeof item.column !== 'string' || !item.column.trim()) throw new ScenarioError(`${at} needs a "column"`, `${at}.column`);
+    const column = resolveColumn(item.column, known) || item.column.trim();
+    try {
+      compileExpression(item.formula, { columns: known });
+    } catch (err) {
+      if (err instanceof ExpressionError) throw new ScenarioError(`Formula: ${err.message}`, `${at}.formula`);
+      throw err;
+    }
+    if (!known.includes(column)) known.push(column);
+    return { column, formula: item.formula.trim() };
+  });
+
+  return { adjustments: normalizedAdjustments, recompute: normalizedRecompute };
+}
+
+function adjustValue(current, { change, value }) {
+  if (change === 'set') return value;
+  const number = toNumber(current);
+  if (number === null) return current;
+  return change === 'percent' ? number * (1 + value / 100) : number + value;
+}
+
+/**
+ * Apply a normalised scenario to copies of the rows
+ * Returns { rows, affected } where affected counts the rows each adjustment changed
+ */
+function applyScenario(rows, scenario) {
+  const copies = rows.map(row => ({ ...row }));
+  const affected = scenario.adjustments.map(adjustment => {
+    let count = 0;
+    copies.forEach(row => {
+      if (!adjustment.filters.every(filter => matchesFilter(row, filter))) return;
+      row[adjustment.column] = adjustValue(row[adjustment.column], adjustment);
+      count++;
+    });
+    return count;
+  });
+  scenario.recompute.forEach(({ column, formula }) => {
+    const expression = compileExpression(formula, { columns: Object.keys(copies[0] || {}) });
+    copies.forEach(row => { row[column] = expression.evaluate(row); });
+  });
+  return { rows: copies, affected };
+}
+
+// "Total <column>" for every column the scenario changes, unless a defined metric has that name
+function defaultKpis(scenario, columns, metrics) {
+  // Column -> the first part of the scenario that changes it, for errors
+  const changed = new Map();
+  scenario.adjustments.forEach((a, i) => { if (!changed.has(a.column)) changed.set(a.column, `adjustments[${i}].column`); });
+  scenario.recompute.forEach((r, i) => { if (!changed.has(r.column)) changed.set(r.column, `recompute[${i}].column`); });
+  const taken = new Set(metrics.map(m => m.name.toLowerCase()));
+  return Array.from(changed)
+    .filter(([column]) => !taken.has(`total ${column.toLowerCase()}`))
+    .map(([column, field]) => {
+      try {
+        return normalizeMetric({ name: `Total ${column}`, formula: columnRef(column) }, columns);
+      } catch (err) {
+        if (err instanceof MetricError) throw new ScenarioError(`Cannot total "${column}": ${err.message}`, field);
+        throw err;
+      }
+    });
+}
+
+/**
+ * Run a scenario and compare its KPIs with the baseline
+ * options.metrics - normalised metric definitions (metrics.js) to report besides the changed column totals
+ * Returns { scenario, affected, rows, comparison, table, chart }; comparison has one entry per KPI
+ */
+function runScenario(rows, scenarioInput, { metrics = [] } = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) throw new ScenarioError('No data to run the scenario on');
+  const columns = Object.keys(rows[0]);
+  const scenario = normalizeScenario(scenarioInput, columns);
+  const applied = applyScenario(rows, scenario);
+  const scenarioColumns = Object.keys(applied.rows[0]);
+
+  const kpis = [...metrics, ...defaultKpis(scenario, scenarioColumns, metrics)];
+  // A recomputed column that didn't exist before has no baseline
+  const baseline = computeMetrics(rows, kpis, { columns });
+  const adjusted = computeMetrics(applied.rows, kpis, { columns: scenarioColumns });
+
+  const comparison = kpis.map((kpi, i) => {
+    const before = baseline[i].error ? null : baseline[i].value;
+    const after = adjusted[i].error ? null : adjusted[i].value;
+    const change = before !== null && after !== null ? after - before : null;
+    return {
+      kpi: kpi.name,
+      format: kpi.format,
+      baseline: round(before, 4),
+      scenario: round(after, 4),
+      change: round(change, 4),
+      changePercent: change !== null && before !== 0 ? round((change / Math.abs(before)) * 100, 2) : null,
+      baselineDisplay: formatMetricValue(before, kpi.format),
+      scenarioDisplay: formatMetricValue(after, kpi.format),
+      error: adjusted[i].error || baseline[i].error || null
+    };
+  });
+
+  const table = {
+    columns: TABLE_COLUMNS,
+    rows: comparison.map(c => ({ kpi: c.kpi, baseline: c.baseline, scenario: c.scenario, change: c.change, changePercent: c.changePercent }))
+  };
+  const spec = validateChartSpec({
+    version: 2,
+    type: 'bar',
+    title: 'Baseline vs scenario',
+    mode: 'grouped',
+    x: { field: 'kpi', title: 'KPI' },
+    series: [{ name: 'Baseline', field: 'baseline' }, { name: 'Scenario', field: 'scenario' }]
+  }).value;
+
+  return {
+    scenario,
+    affected: scenario.adjustments.map((adjustment, i) => ({ ...adjustment, rows: applied.affected[i] })),
+    rows: rows.length,
+    comparison,
+    table,
+    chart: fillChartFromResult(spec, table).chart
+  };
+}
+
+/**
+ * Prompt asking the model to turn a described scenario into adjustments (it must not compute anything)
+ * table - { name, columns, numericColumns, rows } for the dataset; categorical values are listed so
+ *   "laptop prices" can become a filter on the right column and value
+ */
+function createScenarioPrompt(description, { name, columns, numericColumns, rows }) {
+  const values = columns
+    .filter(column => !numericColumns.includes(column))
+    .map(column => {
+      const distinct = Array.from(new Set(rows.map(row => row[column]).filter(v => v !== null && v !== undefined && v !== '').map(String)));
+      return distinct.length > 0 && distinct.length <= MAX_PROMPT_VALUES ? `- ${column}: ${distinct.join(', ')}` : null;
+    })
+    .filter(Boolean);
+
+  return `You are a scenario planner for a what-if simulation engine. Do NOT estimate any results.
+Translate the scenario into adjustments that the engine will apply to every row of the dataset.
+
+DATASET "${name}"
+COLUMNS: ${columns.join(', ')}
+NUMERIC COLUMNS: ${numericColumns.join(', ')}
+${values.length > 0 ? `VALUES:\n${values.join('\n')}\n` : ''}
+SCENARIO: ${description}
+
+Respond with JSON only, in this format:
+{
+  "adjustments": [{"column": "<numeric column>", "change": "${CHANGES.join('|')}", "value": <number>,
+    "filters": [{"column": "...", "op": "${FILTER_OPERATORS.join('|')}", "value": "..."}]}],
+  "recompute": [{"column": "<column>", "formula": "<expression over columns, e.g. [Unit Price] * Units>"}],
+  "assumptions": "<one sentence on how you read the scenario>"
+}
+
+"percent" values are percentages (10 means +10%, -5 means -5%). Leave "filters" empty to change every row.
+When a column such as revenue depends on the ones you change and there is no price column to recompute it
+from, adjust it too (a 10% price rise with 5% fewer units is revenue +10% and revenue -5%, in that order).
+Use only the column names listed above. If the scenario can't be expressed, respond with {"adjustments": []}.`;
+}
+
+/**
+ * Extract { adjustments, recompute, assumptions } from the planner's raw reply, or null
+ */
+function parseScenarioPlan(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const jsonMatch = raw.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!parsed || !Array.isArray(parsed.adjustments)) return null;
+    return {
+      adjustments: parsed.adjustments,
+      recompute: Array.isArray(parsed.recompute) ? parsed.recompute : [],
+      assumptions: typeof parsed.assumptions === 'string' ? parsed.assumptions : null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  CHANGES,
+  ScenarioError,
+  normalizeScenario,
+  applyScenario,
+  runScenario,
+  createScenarioPrompt,
+  parseScenarioPlan
+};
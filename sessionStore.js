@@ -0,0 +1,455 @@
+// sessionStore.js - Pluggable persistence for session datasets, chat turns and metadata
+// Backends: "file" (JSON file per session, survives restarts) and "memory" (process-local, for tests)
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { removeStorage } = require('./columnStore');
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_SWEEP_MINUTES = 15;
+
+/**
+ * In-memory backend - same behaviour as the old Maps, lost on restart
+ */
+function createMemoryBackend() {
+  const records = new Map();
+  return {
+    name: 'memory',
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async set(id, record) {
+      records.set(id, record);
+    },
+    async delete(id) {
+      records.delete(id);
+    },
+    async list() {
+      return Array.from(records.keys());
+    },
+  };
+}
+
+/**
+ * File backend - one JSON file per session under `dir`
+ */
+function createFileBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Session IDs come from clients, so never use them as raw file names
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(id)}.json`);
+
+  return {
+    name: 'file',
+    async get(id) {
+      try {
+        const raw = await fs.promises.readFile(fileFor(id), 'utf8');
+        return JSON.parse(raw);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        console.error(`Failed to read session ${id}:`, err.message);
+        return null;
+      }
+    },
+    async set(id, record) {
+      // Write to a temp file first so a crash never leaves half a session on disk
+      const target = fileFor(id);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(record));
+      await fs.promises.rename(tmp, target);
+    },
+    async delete(id) {
+      await fs.promises.rm(fileFor(id), { force: true });
+    },
+    async list() {
+      const files = await fs.promises.readdir(dir);
+      return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -'.json'.length)));
+    },
+  };
+}
+
+/**
+ * Wrap a backend with the session record shape, TTL expiry and a cleanup sweeper
+ */
+function createSessionStore({ backend, ttlMs = DEFAULT_TTL_HOURS * 60 * 60 * 1000 } = {}) {
+  backend = backend || createMemoryBackend();
+  let sweepTimer = null;
+  const pendingWrites = new Map();
+
+  const isExpired = (record) => record.expiresAt && record.expiresAt <= Date.now();
+
+  // Column store directories a record points at: current datasets and the originals of transformed ones
+  function storageDirs(record) {
+    const current = Object.values(record.storage || {});
+    const originals = Object.values(record.versions || {}).map(v => v.original && v.original.storage);
+    return current.concat(originals).filter(Boolean);
+  }
+
+  // Delete the column store copies a change stopped referring to
+  async function removeUnreferenced(before, after) {
+    const kept = new Set(after.map(s => s.dir));
+    await Promise.all(before.filter(s => !kept.has(s.dir)).map(removeStorage));
+  }
+
+  // Full copies of large datasets live in the column store, outside the session record
+  async function removeRecord(sessionId, record) {
+    await backend.delete(sessionId);
+    await Promise.all(storageDirs(record).map(removeStorage));
+  }
+
+  function newRecord(sessionId) {
+    const now = Date.now();
+    return {
+      sessionId,
+      datasets: {},
+      activeDataset: null,
+      storage: {},
+      versions: {},
+      charts: {},
+      chatTurns: [],
+      metadata: {},
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ttlMs,
+    };
+  }
+
+  /**
+   * Load a live session record, dropping it if it has expired
+   */
+  async function getSession(sessionId) {
+    const record = await backend.get(sessionId);
+    if (!record) return null;
+    if (isExpired(record)) {
+      await removeRecord(sessionId, record);
+      return null;
+    }
+    // Sessions saved before multi-dataset support held a single `data` array
+    if (!record.datasets) {
+      record.datasets = record.data ? { data: record.data } : {};
+      record.activeDataset = record.data ? 'data' : null;
+      delete record.data;
+    }
+    record.storage = record.storage || {};
+    record.versions = record.versions || {};
+    record.charts = record.charts || {};
+    return record;
+  }
+
+  /**
+   * Apply a change to a session (creating it if needed) and extend its TTL
+   */
+  async function updateSession(sessionId, change) {
+    // Serialise read-modify-write per session so concurrent requests don't drop each other's changes
+    const previous = pendingWrites.get(sessionId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const record = (await getSession(sessionId)) || newRecord(sessionId);
+      change(record);
+      record.updatedAt = Date.now();
+      record.expiresAt = record.updatedAt + ttlMs;
+      await backend.set(sessionId, record);
+      return record;
+    });
+    pendingWrites.set(sessionId, write);
+    try {
+      return await write;
+    } finally {
+      if (pendingWrites.get(sessionId) === write) pendingWrites.delete(sessionId);
+    }
+  }
+
+  /**
+   * Get one dataset's rows - the named one, or the most recently uploaded
+   */
+  async function getDataset(sessionId, name = null) {
+    const record = await getSession(sessionId);
+    if (!record) return null;
+    return record.datasets[name || record.activeDataset] || null;
+  }
+
+  /**
+   * Get every dataset in the session as { name: rows }, most recently uploaded first
+   */
+  async function getDatasets(sessionId) {
+    const record = await getSession(sessionId);
+    if (!record) return {};
+    const { datasets, activeDataset } = record;
+    const ordered = {};
+    if (activeDataset && datasets[activeDataset]) ordered[activeDataset] = datasets[activeDataset];
+    Object.keys(datasets).forEach(name => { ordered[name] = datasets[name]; });
+    return ordered;
+  }
+
+  /**
+   * Add or replace a named dataset and make it the active one
+   * data - the rows kept in the session (a sample when the full rows are in `storage`)
+   * storage - column store descriptor for the full dataset, if it was ingested there
+   * Replacing a dataset starts its transform history again
+   */
+  async function setDataset(sessionId, name, data, storage = null) {
+    let before = [];
+    let after = [];
+    await updateSession(sessionId, (record) => {
+      before = storageDirs(record);
+      record.datasets[name] = data;
+      record.activeDataset = name;
+      if (storage) record.storage[name] = storage;
+      else delete record.storage[name];
+      delete record.versions[name];
+      after = storageDirs(record);
+    });
+    await removeUnreferenced(before, after);
+  }
+
+  /**
+   * Store a transformed version of a dataset
+   * history - every operation applied since upload ([] restores the upload itself)
+   * The uploaded rows are kept as the original so earlier versions can be rebuilt
+   */
+  async function saveVersion(sessionId, name, data, storage, history) {
+    let before = [];
+    let after = [];
+    await updateSession(sessionId, (record) => {
+      before = storageDirs(record);
+      const existing = record.versions[name];
+      const original = existing
+        ? existing.original
+        : { rows: record.datasets[name], storage: record.storage[name] || null };
+      record.datasets[name] = data;
+      if (storage) record.storage[name] = storage;
+      else delete record.storage[name];
+      if (history.length > 0) record.versions[name] = { version: history.length + 1, history, original };
+      else delete record.versions[name];
+      after = storageDirs(record);
+    });
+    await removeUnreferenced(before, after);
+  }
+
+  /**
+   * Version and transform history of a dataset: { version, history, original }
+   * Datasets that were never transformed are version 1 with no history or original
+   */
+  async function getVersion(sessionId, name) {
+    const record = await getSession(sessionId);
+    const entry = record && record.versions[name];
+    return entry || { version: 1, history: [], original: null };
+  }
+
+  async function removeDataset(sessionId, name) {
+    if (!(await getSession(sessionId))) return;
+    let before = [];
+    let after = [];
+    await updateSession(sessionId, (record) => {
+      before = storageDirs(record);
+      delete record.datasets[name];
+      delete record.storage[name];
+      delete record.versions[name];
+      if (record.activeDataset === name) {
+        record.activeDataset = Object.keys(record.datasets).pop() || null;
+      }
+      after = storageDirs(record);
+    });
+    await removeUnreferenced(before, after);
+  }
+
+  /**
+   * Column store descriptors for the session's datasets: { name: storage }
+   */
+  async function getStorage(sessionId) {
+    const record = await getSession(sessionId);
+    return record ? record.storage : {};
+  }
+
+  /**
+   * Summaries of the datasets in a session: [{ name, rowCount, columns, active, sampled, version }]
+   * rowCount is the full dataset's; `sampled` means the session only holds a sample of it
+   */
+  async function listDatasets(sessionId) {
+    const record = await getSession(sessionId);
+    if (!record) return [];
+    return Object.entries(record.datasets).map(([name, rows]) => {
+      const stored = record.storage[name];
+      const rowCount = stored ? stored.rowCount : rows.length;
+      return {
+        name,
+        rowCount,
+        columns: stored ? stored.columns : Object.keys(rows[0] || {}),
+        active: name === record.activeDataset,
+        sampled: rowCount > rows.length,
+        version: record.versions[name] ? record.versions[name].version : 1
+      };
+    });
+  }
+
+  async function getChatTurns(sessionId) {
+    const record = await getSession(sessionId);
+    return record ? record.chatTurns : [];
+  }
+
+  async function appendChatTurn(sessionId, input, output) {
+    await updateSession(sessionId, (record) => {
+      record.chatTurns.push({ input, output, createdAt: Date.now() });
+    });
+  }
+
+  /**
+   * Attach what the server added to a reply (chart id, record counts...) to the latest turn for `input`
+   */
+  async function annotateChatTurn(sessionId, input, details) {
+    await updateSession(sessionId, (record) => {
+      const turn = record.chatTurns.slice().reverse().find(t => t.input === input && !t.details);
+      if (turn) turn.details = details;
+    });
+  }
+
+  async function clearChatTurns(sessionId) {
+    if (!(await getSession(sessionId))) return;
+    await updateSession(sessionId, (r) => {
+      r.chatTurns = [];
+    });
+  }
+
+  /**
+   * Keep a chart produced in a chat turn; returns its id
+   * Chart ids start with the encoded session id, so getChart can find a chart from the id alone
+   */
+  async function addChart(sessionId, chart, { question = null } = {}) {
+    const chartId = `${Buffer.from(sessionId).toString('base64url')}_${crypto.randomBytes(4).toString('hex')}`;
+    await updateSession(sessionId, (record) => {
+      record.charts[chartId] = { chart, question, createdAt: Date.now() };
+    });
+    return chartId;
+  }
+
+  /**
+   * Look up a chart by id: { id, sessionId, chart, question, createdAt } or null
+   */
+  async function getChart(chartId) {
+    const separator = String(chartId).lastIndexOf('_');
+    if (separator <= 0) return null;
+    const sessionId = Buffer.from(chartId.slice(0, separator), 'base64url').toString();
+    const record = await getSession(sessionId);
+    const entry = record && record.charts[chartId];
+    return entry ? { id: chartId, sessionId, ...entry } : null;
+  }
+
+  async function getMetadata(sessionId) {
+    const record = await getSession(sessionId);
+    return record ? record.metadata : {};
+  }
+
+  async function setMetadata(sessionId, metadata) {
+    await updateSession(sessionId, (record) => {
+      record.metadata = { ...record.metadata, ...metadata };
+    });
+  }
+
+  async function deleteSession(sessionId) {
+    const record = await backend.get(sessionId);
+    if (record) await removeRecord(sessionId, record);
+  }
+
+  async function listSessions() {
+    return backend.list();
+  }
+
+  /**
+   * Delete every expired session, returning how many were removed
+   */
+  async function sweepExpired() {
+    let removed = 0;
+    const ids = await backend.list();
+    for (const id of ids) {
+      const record = await backend.get(id);
+      if (record && isExpired(record)) {
+        await removeRecord(id, record);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(`✅ Session sweeper removed ${removed} expired session(s)`);
+    }
+    return removed;
+  }
+
+  function startSweeper(intervalMs = DEFAULT_SWEEP_MINUTES * 60 * 1000) {
+    stopSweeper();
+    sweepTimer = setInterval(() => {
+      sweepExpired().catch(err => console.error('Session sweep failed:', err));
+    }, intervalMs);
+    // Don't keep the process alive just for the sweeper
+    sweepTimer.unref();
+  }
+
+  function stopSweeper() {
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  }
+
+  return {
+    backend: backend.name,
+    getSession,
+    updateSession,
+    getDataset,
+    getDatasets,
+    setDataset,
+    saveVersion,
+    getVersion,
+    removeDataset,
+    getStorage,
+    listDatasets,
+    getChatTurns,
+    appendChatTurn,
+    annotateChatTurn,
+    clearChatTurns,
+    addChart,
+    getChart,
+    getMetadata,
+    setMetadata,
+    deleteSession,
+    listSessions,
+    sweepExpired,
+    startSweeper,
+    stopSweeper,
+  };
+}
+
+/**
+ * Build the store configured by environment variables
+ * SESSION_STORE=file|memory, SESSION_DIR, SESSION_TTL_HOURS
+ */
+function createStoreFromEnv() {
+  const type = process.env.SESSION_STORE || 'file';
+  const ttlHours = parseFloat(process.env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+  let backend;
+  switch (type) {
+    case 'memory':
+      backend = createMemoryBackend();
+      break;
+    case 'file':
+      // Hidden alongside the column store's .datasets (see columnStore.js)
+      backend = createFileBackend(process.env.SESSION_DIR || path.join(__dirname, '.sessions'));
+      break;
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+
+  return createSessionStore({ backend, ttlMs: ttlHours * 60 * 60 * 1000 });
+}
+
+// Shared store used by the server and the AI provider
+const sessionStore = createStoreFromEnv();
+
+module.exports = {
+  sessionStore,
+  createSessionStore,
+  createMemoryBackend,
+  createFileBackend,
+};
@@ -0,0 +1,66 @@
+// Test script for anomaly detection over time and category mix
+const { detectAnomalies, formatAnomalies } = require('./anomalies');
+
+console.log('🧪 Testing Anomaly Detection\n');
+
+// Four years of monthly sales with a December peak, one bad month and a channel mix shift
+const rows = [];
+let seed = 7;
+const noise = () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed / 2147483647 - 0.5) * 1200;
+};
+for (let m = 0; m < 48; m++) {
+  const date = `${2022 + Math.floor(m / 12)}-${String((m % 12) + 1).padStart(2, '0')}-01`;
+  const december = m % 12 === 11 ? 6000 : 0;
+  const total = Math.round((10000 + m * 150 + december + noise()) * (m === 32 ? 0.45 : 1));
+  // From month 30 on, Online takes half of the sales instead of a fifth
+  const online = m >= 42 ? 0.5 : 0.2;
+  rows.push({ Date: date, Channel: 'Online', Revenue: String(Math.round(total * online)) });
+  rows.push({ Date: date, Channel: 'Store', Revenue: String(Math.round(total * (1 - online))) });
+}
+
+const result = detectAnomalies(rows);
+console.log(`1. ${result.metric} per ${result.frequency} over ${result.series.length} periods, split by ${result.dimension}`);
+
+// Test 2: The bad month is found; December peaks are expected, not anomalies
+console.log('\n2. Unusual periods:');
+result.anomalies.forEach(a => console.log(`   ${a.period}: ${a.value} vs ${a.expected} expected (${a.direction}, ${a.severity}; ${a.methods.map(m => `${m.method} ${m.score}`).join(', ')})`));
+console.log(`   Bad month found: ${result.anomalies.some(a => a.period === '2024-09') ? '✅' : '❌'}`);
+console.log(`   December peaks not flagged: ${result.anomalies.every(a => !a.period.endsWith('-12')) ? '✅' : '❌'}`);
+
+// Test 3: Mix shift
+console.log('\n3. Mix shifts:');
+result.mixShifts.forEach(s => console.log(`   ${s.period}: ${s.category} ${s.baselineShare} -> ${s.share}`));
+console.log(`   Reported once, where it starts: ${result.mixShifts.length === 2 && result.mixShifts.every(s => s.period === '2025-07') ? '✅' : '❌'}`);
+
+// Test 4: Options and errors
+const methodsOnly = detectAnomalies(rows, { methods: ['iqr'], dimension: false });
+console.log(`\n4. IQR only: ${methodsOnly.anomalies.length} period(s), no mix check: ${methodsOnly.dimension === null ? '✅' : '❌'}`);
+[
+  [rows, { methods: ['magic'] }],
+  [rows.slice(0, 4), {}],
+  [rows.map(r => ({ Channel: r.Channel, Revenue: r.Revenue })), {}]
+].forEach(([data, options]) => {
+  try {
+    detectAnomalies(data, options);
+    console.log('   ❌ no error');
+  } catch (err) {
+    console.log(`   ${err.message}`);
+  }
+});
+[{ threshold: -1 }, { threshold: 0 }, { window: '0' }, { window: 2.5 }, { minShift: 'lots' }].forEach(options => {
+  try {
+    detectAnomalies(rows, options);
+    console.log(`   ❌ ${JSON.stringify(options)} accepted`);
+  } catch (err) {
+    console.log(`   ✅ ${err.message}`);
+  }
+});
+const stricter = detectAnomalies(rows, { threshold: '4', window: '8' });
+console.log(`   Numeric strings accepted: ${stricter.anomalies.length <= result.anomalies.length ? '✅' : '❌'} ${stricter.anomalies.length} period(s) at threshold 4`);
+
+// Test 5: Prompt text
+console.log(`\n5. Prompt:\n${formatAnomalies(result)}`);
+
+console.log('\n✅ Anomaly tests completed!');
@@ -1,4 +1,5 @@
 const { detectBusinessType, getBusinessContext, getDateRange, createOptimizedPrompt } = require('./dataProcessor');
+const { detectDomain, resolveDomain, registerDomainPack, listDomainPacks } = require('./domainPacks');
 
 console.log('🧪 Testing Business-Focused Prompts\n');
 
@@ -63,5 +64,45 @@ console.log('  Contains business context:', prompt.includes('retail/e-commerce')
 console.log('  Contains business focus:', prompt.includes('product performance'));
 console.log('  Contains actionable insights:', prompt.includes('keyInsights'));
 console.log('  Contains recommendations:', prompt.includes('recommendations'));
+console.log('  Contains KPI guidance:', prompt.includes('Average order value'));
+console.log('\n');
+
+// Test scored domain detection
+console.log('5. Testing Scored Domain Detection:');
+const restaurantColumns = ['order_id', 'menu_item', 'category', 'table_number', 'covers', 'check_total', 'tip'];
+const restaurant = detectDomain(restaurantColumns);
+console.log(`  Restaurant with a category column: ${restaurant.name} (confidence ${restaurant.confidence})`);
+console.log('  Scores:', restaurant.scores.map(s => `${s.id}=${s.score}`).join(', '));
+console.log('  Available KPIs:', restaurant.kpis.filter(k => k.available).map(k => `${k.name} <- ${k.columns.join(' / ')}`).join('; '));
+const sales = detectDomain(salesData);
+console.log(`  Sales data: ${sales.name} (confidence ${sales.confidence}, matched ${sales.scores[0].matched.join(', ')})`);
+const vague = detectDomain(['id', 'value', 'notes']);
+console.log(`  Vague columns: ${vague.name} (confidence ${vague.confidence})`);
+console.log('  "report" is not a sales rep:', detectDomain(['report_name', 'value']).id);
+
+const overridden = resolveDomain(restaurantColumns, 'retail');
+console.log(`  Overridden to: ${overridden.name} (overridden ${overridden.overridden})`);
+try {
+  resolveDomain(restaurantColumns, 'astrology');
+} catch (err) {
+  console.log('  Unknown override rejected:', err.message);
+}
+console.log('\n');
+
+// Test custom packs
+console.log('6. Testing Custom Domain Packs:');
+registerDomainPack({
+  id: 'saas',
+  name: 'SaaS subscription business',
+  signals: [{ match: 'mrr', weight: 3 }, { match: 'subscription', weight: 3 }, { match: 'plan', weight: 1 }, { match: 'churn', weight: 2 }],
+  focus: 'recurring revenue, churn, expansion',
+  guidance: 'Track MRR movements and which plans churn.',
+  kpis: [{ name: 'ARPA', description: 'MRR per account', needs: ['mrr', 'account|customer'] }],
+  suggestedQuestions: ['Which plans churn most?']
+});
+const saas = detectDomain(['account_id', 'plan', 'mrr', 'subscription_start', 'churned']);
+console.log(`  SaaS columns: ${saas.name} (confidence ${saas.confidence})`);
+console.log('  ARPA available:', saas.kpis[0].available, saas.kpis[0].columns.join(', '));
+console.log('  Packs:', listDomainPacks().map(p => p.id).join(', '));
 
 console.log('\n✅ Business prompt tests completed!');
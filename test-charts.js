@@ -0,0 +1,95 @@
+// Test script for server-side chart rendering
+const { renderSvg, renderPng } = require('./chartRenderer');
+const { validateChartSpec, checkChartBinding, fillChartFromResult } = require('./chartSpec');
+
+console.log('🧪 Testing Chart Rendering\n');
+
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
+const charts = {
+  'Bar': { type: 'bar', labels: ['North', 'South', 'East', 'West'], data: [120, 340, -50, 220], title: 'Revenue by region' },
+  'Stacked bar': { type: 'bar', stacked: true, labels: months, series: [{ name: 'Laptops', data: [10, 20, 30, 25, 18, 22] }, { name: 'Mice', data: [5, 8, 2, 6, 9, 4] }] },
+  'Line': { type: 'line', labels: months, data: [1000, 1200, 1150, 1400, 1600, 1550] },
+  'Multi-series line': { type: 'line', labels: months, series: [{ name: 'Revenue', data: [10, 12, 11, 14, 16, 15] }, { name: 'Cost', data: [8, 9, null, 10, 11, 12] }], yTitle: 'USD (K)' },
+  'Pie': { type: 'pie', labels: ['Electronics', 'Furniture', 'Toys'], data: [50, 30, 20] },
+  'Scatter': { type: 'scatter', points: Array.from({ length: 40 }, (_, i) => ({ x: i, y: i * 2 + (i % 5) * 3 })), xTitle: 'Units', yTitle: 'Revenue' },
+  'Histogram': { type: 'histogram', values: Array.from({ length: 300 }, (_, i) => 50 + ((i * 37) % 100)) },
+  'Heatmap': { type: 'heatmap', labels: ['Month 0', 'Month 1', 'Month 2'], series: [{ name: '2024-01', data: [100, 42, 30] }, { name: '2024-02', data: [100, 38, null] }], y: { unit: '%' } }
+};
+
+// Test 1: Every chart type renders to SVG and PNG
+Object.entries(charts).forEach(([name, spec], i) => {
+  const svg = renderSvg(spec);
+  const png = renderPng(spec, { width: 400 });
+  const isPng = png.subarray(1, 4).toString() === 'PNG';
+  console.log(`${i + 1}. ${name}: SVG ${svg.length} bytes, PNG ${png.length} bytes ${isPng ? '✅' : '❌'}`);
+});
+
+// Test 2: Bad specs are rejected with a reason
+console.log('\n9. Invalid charts:');
+[
+  { type: 'donut', labels: ['a'], data: [1] },
+  { type: 'bar', labels: ['a', 'b'], data: [1] },
+  { type: 'pie', labels: ['a', 'b'], data: [5, -1] }
+].forEach(spec => {
+  try {
+    renderSvg(spec);
+    console.log('   ❌ rendered');
+  } catch (err) {
+    console.log(`   ${err.message}`);
+  }
+});
+
+// Test 3: Labels are escaped
+const escaped = renderSvg({ type: 'bar', labels: ['<b>R&D</b>'], data: [1] });
+console.log(`\n10. Escaped labels: ${escaped.includes('&lt;b&gt;R&amp;D&lt;/b&gt;') ? '✅' : '❌'}`);
+
+// Test 4: Version 2 specs take their numbers from the computed result
+console.log('\n11. Chart spec filled from a computed result:');
+const computed = {
+  columns: ['Month', 'Category', 'Revenue'],
+  rows: [
+    { Month: '2024-02', Category: 'Toys', Revenue: 120 }, { Month: '2024-02', Category: 'Garden', Revenue: 80 },
+    { Month: '2024-01', Category: 'Toys', Revenue: 100 }, { Month: '2024-01', Category: 'Garden', Revenue: 50 }
+  ]
+};
+[
+  { type: 'area', mode: 'stacked', x: { field: 'month' }, y: { title: 'Revenue', currency: 'USD' }, series: [{ field: 'Revenue', data: [1, 2] }], seriesBy: 'Category', sort: { by: 'label' } },
+  { type: 'bar', series: [{ field: 'Revenue' }], sort: { by: 'value', direction: 'desc' } },
+  { type: 'line', series: [{ field: 'Profit' }] },
+  { type: 'bar', labels: ['a', 'b'], series: [{ name: 'Typed', data: [1] }] }
+].forEach(spec => {
+  const { value, errors } = validateChartSpec(spec);
+  if (errors.length > 0) return console.log(`   ${spec.type}: rejected - ${errors.join('; ')}`);
+  const { chart, reason } = fillChartFromResult(value, computed);
+  if (!chart) return console.log(`   ${spec.type}: dropped - ${reason}`);
+  renderSvg(chart);
+  console.log(`   ${spec.type}: ${JSON.stringify(chart.labels)} ${chart.series.map(s => `${s.name}=${JSON.stringify(s.data)}`).join(' ')} (${chart.dataSource})`);
+});
+
+// Test 5: Series without a field bind by name, and typed numbers are never drawn next to a computed result
+console.log('\n12. Series bound by name:');
+const named = validateChartSpec({ type: 'bar', labels: ['a', 'b'], series: [{ name: 'revenue', data: [1, 2] }] }).value;
+const byName = fillChartFromResult(named, computed).chart;
+console.log(`   Name "revenue": ${byName && byName.dataSource === 'computed' && byName.series[0].data.join() === '120,80,100,50' ? '✅' : '❌'} ${byName && byName.series[0].data.join(', ')}`);
+const typed = validateChartSpec({ type: 'bar', labels: ['a', 'b'], series: [{ name: 'Typed', data: [1, 2] }] }).value;
+const unbound = fillChartFromResult(typed, computed);
+console.log(`   Typed series dropped: ${unbound.chart === null ? '✅' : '❌'} ${unbound.reason}`);
+console.log(`   Repair errors: ${checkChartBinding(typed, computed).length === 1 && checkChartBinding(named, computed).length === 0 ? '✅' : '❌'}`);
+console.log(`   No computed result, nothing to bind: ${checkChartBinding(typed, null).length === 0 && fillChartFromResult(typed, null).chart.dataSource === 'model' ? '✅' : '❌'}`);
+
+// Test 6: Axis ranges over many values don't overflow the stack
+console.log('\n13. Large inputs:');
+const many = 150000;
+const largeCharts = {
+  'Scatter': { type: 'scatter', points: Array.from({ length: many }, (_, i) => ({ x: i, y: i % 97 })) },
+  'Heatmap': { type: 'heatmap', labels: Array.from({ length: many / 10 }, (_, i) => `C${i}`), series: Array.from({ length: 10 }, (_, s) => ({ name: `R${s}`, data: Array.from({ length: many / 10 }, (_, i) => (i * s) % 50) })) }
+};
+Object.entries(largeCharts).forEach(([name, spec]) => {
+  try {
+    console.log(`   ${name} with ${many} values: ✅ SVG ${renderSvg(spec).length} bytes`);
+  } catch (err) {
+    console.log(`   ${name} with ${many} values: ❌ ${err.message}`);
+  }
+});
+
+console.log('\n✅ Chart tests completed!');
@@ -0,0 +1,66 @@
+// Test script for cohort and retention analysis
+const { buildCohorts, formatCohorts } = require('./cohorts');
+
+console.log('🧪 Testing Cohort Analysis\n');
+
+// 240 customers acquired over six months; each later month they come back with a falling chance
+let seed = 5;
+const random = () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+const rows = [];
+let orderId = 1000;
+for (let c = 0; c < 240; c++) {
+  const start = c % 6;
+  for (let month = start; month < 9; month++) {
+    const offset = month - start;
+    if (offset > 0 && random() > 0.6 / offset) continue;
+    const day = String(1 + Math.floor(random() * 27)).padStart(2, '0');
+    const date = `2024-${String(month + 1).padStart(2, '0')}-${day}`;
+    const order = `ORD-${orderId++}`;
+    // Two lines on the same order count as one purchase
+    rows.push({ order_id: order, customer_id: `C${c}`, order_date: date, amount: String(20 + (c % 7) * 5) });
+    rows.push({ order_id: order, customer_id: `C${c}`, order_date: date, amount: '5' });
+  }
+}
+
+const result = buildCohorts(rows);
+console.log(`1. Columns: customer ${result.customerColumn}, date ${result.dateColumn}, order ${result.orderColumn}, amount ${result.amountColumn}`);
+console.log(`   ${result.customers} customers as of ${result.asOf}, repeat rate ${result.repeatRate}`);
+
+// Test 2: Retention matrix
+console.log('\n2. Retention by cohort:');
+result.cohorts.forEach(c => console.log(`   ${c.cohort} (${c.customers}): ${c.retention.slice(0, 9).map(r => (r === null ? '-' : r)).join(' ')}`));
+console.log(`   Month 0 is always 100%: ${result.cohorts.every(c => c.retention[0] === 1) ? '✅' : '❌'}`);
+console.log(`   Months not reached yet are empty: ${result.cohorts[5].retention[4] === null ? '✅' : '❌'}`);
+console.log(`   Average: ${result.averageRetention.slice(0, 9).join(' ')}`);
+
+// Test 3: RFM segments
+console.log('\n3. RFM segments:');
+result.rfm.forEach(s => console.log(`   ${s.segment}: ${s.customers} (${s.share}), ${s.avgRecencyDays} days, ${s.avgPurchases} purchases, ${s.avgSpend} spent`));
+console.log(`   Every customer in one segment: ${result.rfm.reduce((sum, s) => sum + s.customers, 0) === result.customers ? '✅' : '❌'}`);
+
+// Test 4: Heatmap chart spec
+const { chart } = result;
+console.log(`\n4. Chart: ${chart.type}, ${chart.series.length} cohorts x ${chart.labels.length} months, first row ${chart.series[0].data.slice(0, 4).join(', ')}`);
+
+// Test 5: Options and errors
+console.log(`\n5. Three periods: ${buildCohorts(rows, { periods: 3 }).cohorts[0].retention.length === 3 ? '✅' : '❌'}`);
+[
+  [rows.map(r => ({ order_date: r.order_date, amount: r.amount })), {}],
+  [rows, { customerColumn: 'shopper' }],
+  [rows.map(r => ({ ...r, order_date: 'March' })), {}]
+].forEach(([data, options]) => {
+  try {
+    buildCohorts(data, options);
+    console.log('   ❌ no error');
+  } catch (err) {
+    console.log(`   ${err.message}`);
+  }
+});
+
+// Test 6: Prompt text
+console.log(`\n6. Prompt:\n${formatCohorts(result).split('\n').map(line => `   ${line}`).join('\n')}`);
+
+console.log('\n✅ Cohort tests completed!');
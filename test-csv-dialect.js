@@ -0,0 +1,56 @@
+// Test script for CSV dialect sniffing and locale-aware numbers and dates
+const { sniffDialect } = require('./csvDialect');
+const { parseNumericValue, COMMA_DECIMAL } = require('./numberFormat');
+const { parseDateCell } = require('./calendar');
+
+console.log('🧪 Testing CSV Dialect Detection\n');
+
+const show = (label, dialect) => {
+  const { encoding, bom, delimiter, headerRow, decimal, dateOrder, warnings } = dialect;
+  console.log(`${label}: ${JSON.stringify({ encoding, bom, delimiter, headerRow, decimal, dateOrder })}`);
+  warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+};
+
+// Test 1: European export - semicolons, decimal commas and a title above the header
+show('1. European export', sniffDialect(Buffer.from('Sales report 2024\n\nRegion;Revenue\nNorth;1.234,56\nSouth;"2.000,00"\n')));
+
+// Test 2: UTF-16 with a byte order mark
+show('2. UTF-16LE', sniffDialect(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('name\tamount\nJosé\t$3,600\n', 'utf16le')])));
+
+// Test 3: Windows-1252 bytes that aren't valid UTF-8
+show('3. Windows-1252', sniffDialect(Buffer.from('name,city\nRen\xe9e,Caf\xe9\n', 'latin1')));
+
+// Test 4: No header row
+show('4. Headerless', sniffDialect(Buffer.from('1,2024-01-01,5.5\n2,2024-01-02,6.5\n')));
+
+// Test 5: Overrides win over sniffing
+show('5. Overrides', sniffDialect(Buffer.from('a;b\n1;2\n'), { delimiter: ',', headerRow: 0 }));
+
+// Test 6: Number parsing
+console.log('\n6. Numbers:');
+['$3,600', '(250)', '12.5%', '1,234.56', '€ 99'].forEach(v => console.log(`   ${v} -> ${parseNumericValue(v)}`));
+['1.234,56', '12,5%', '1 234,5'].forEach(v => console.log(`   ${v} (decimal comma) -> ${parseNumericValue(v, COMMA_DECIMAL)}`));
+
+// Test 7: Date order
+console.log('\n7. Date order:');
+show('   Day first (17/04)', sniffDialect(Buffer.from('date,amount\n01/04/2024,5\n17/04/2024,6\n')));
+show('   Month first (04/17)', sniffDialect(Buffer.from('date,amount\n04/01/2024,5\n04/17/2024,6\n')));
+show('   Undecided, decimal commas', sniffDialect(Buffer.from('Datum;Betrag\n01.04.2024;1.234,56\n02.04.2024;99,50\n')));
+show('   Undecided, decimal points', sniffDialect(Buffer.from('date,amount\n01/04/2024,1234.56\n02/04/2024,99.50\n')));
+show('   Override', sniffDialect(Buffer.from('date,amount\n01/04/2024,5\n'), { dateOrder: 'dmy' }));
+const iso = (parsed) => (parsed ? new Date(parsed.time).toISOString().slice(0, 10) : 'null');
+[
+  ['13/01/2024', {}, 'null'],
+  ['13/01/2024', { dayFirst: true }, '2024-01-13'],
+  ['2024-02-30', {}, 'null'],
+  ['2024-13-40', {}, 'null'],
+  ['Feb 30 2024', {}, 'null'],
+  ['01.02.2024', {}, '2024-02-01'],
+  ['13.02.2024', {}, '2024-02-13'],
+  ['2024-02-29', {}, '2024-02-29']
+].forEach(([text, options, expected]) => {
+  const actual = iso(parseDateCell(text, options));
+  console.log(`   ${text}${options.dayFirst ? ' (day first)' : ''} -> ${actual} ${actual === expected ? '✅' : `❌ expected ${expected}`}`);
+});
+
+console.log('\n✅ Dialect tests completed!');
@@ -0,0 +1,69 @@
+// Test script for driver analysis
+const { pearson, spearman, analyzeDrivers, formatDrivers } = require('./drivers');
+
+console.log('🧪 Testing Driver Analysis\n');
+
+// Test 1: Correlation measures
+console.log('1. Correlations:');
+const xs = [1, 2, 3, 4, 5, 6];
+const curved = xs.map(x => x ** 3);
+console.log(`   Pearson on a curve: ${pearson(xs, curved).toFixed(3)}, Spearman: ${spearman(xs, curved)} ${spearman(xs, curved) === 1 ? '✅' : '❌'}`);
+console.log(`   Ties share a rank: ${spearman([1, 2, 2, 3], [1, 2, 2, 3]) === 1 ? '✅' : '❌'}`);
+console.log(`   Constant column: ${pearson([1, 1, 1], [1, 2, 3])}`);
+
+// Revenue = 50 x Units + 3 x AdSpend, plus a West premium and some noise; UnitsDoubled repeats Units
+let seed = 11;
+const noise = () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed / 2147483647 - 0.5) * 400;
+};
+const rows = [];
+for (let i = 0; i < 120; i++) {
+  const units = 10 + (i * 7) % 40;
+  const adSpend = 100 + (i * 13) % 300;
+  const region = ['North', 'South', 'West'][i % 3];
+  const revenue = 50 * units + 3 * adSpend + (region === 'West' ? 800 : 0) + noise();
+  rows.push({ Region: region, Units: String(units), UnitsDoubled: String(units * 2), AdSpend: String(adSpend), Revenue: revenue.toFixed(2) });
+}
+
+// Test 2: Target from the question
+const result = analyzeDrivers(rows, { question: 'How do units and ad spend affect revenue?' });
+console.log(`\n2. Target: ${result.target} ${result.target === 'Revenue' ? '✅' : '❌'}`);
+
+// Test 3: Driver table
+console.log('\n3. Driver table:');
+console.log(`   ${result.table.columns.join(' | ')}`);
+result.table.rows.forEach(row => console.log(`   ${result.table.columns.map(c => row[c]).join(' | ')}`));
+
+// Test 4: Regression recovers the coefficients and drops the repeated column
+const { regression } = result;
+const coefficient = (column) => regression.coefficients.find(c => c.column === column).coefficient;
+console.log(`\n4. Regression: R² ${regression.rSquared}, Units ${coefficient('Units')}, AdSpend ${coefficient('AdSpend')}, dropped ${regression.dropped.join(', ')}`);
+console.log(`   Coefficients close to 50 and 3: ${Math.abs(coefficient('Units') - 50) < 5 && Math.abs(coefficient('AdSpend') - 3) < 0.5 ? '✅' : '❌'}`);
+console.log(`   Repeated column left out: ${regression.dropped.includes('UnitsDoubled') ? '✅' : '❌'}`);
+
+// Test 5: Category contributions
+const region = result.contributions.find(c => c.column === 'Region');
+console.log(`\n5. Region (eta ${region.eta}):`);
+region.categories.forEach(c => console.log(`   ${c.value}: total ${c.total}, share ${c.share}, avg ${c.average} (${c.vsAverage >= 0 ? '+' : ''}${c.vsAverage} vs overall)`));
+
+// Test 6: Chart spec and prompt
+console.log(`\n6. Chart: ${result.chart.type} "${result.chart.title}", ${result.chart.labels.join(', ')} -> ${result.chart.data.join(', ')}`);
+console.log(formatDrivers(result).split('\n').map(line => `   ${line}`).join('\n'));
+
+// Test 7: Errors
+console.log('\n7. Errors:');
+[
+  [rows.slice(0, 5), {}],
+  [rows, { target: 'Region' }],
+  [rows.map(r => ({ Region: 'All', Revenue: r.Revenue })), {}]
+].forEach(([data, options]) => {
+  try {
+    analyzeDrivers(data, options);
+    console.log('   ❌ no error');
+  } catch (err) {
+    console.log(`   ${err.message}`);
+  }
+});
+
+console.log('\n✅ Driver analysis tests completed!');
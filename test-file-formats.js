@@ -0,0 +1,103 @@
+// Test script for upload formats: detection, delimited text, JSON, JSON lines and Excel workbooks
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { detectFormat, FileFormatError } = require('./fileFormats');
+const { readFileRows } = require('./ingestion');
+
+console.log('🧪 Testing File Formats\n');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-formats-'));
+const write = (name, content) => {
+  const file = path.join(root, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+const read = (file, options = {}) => readFileRows(file, { fileName: path.basename(file), ...options });
+const failure = (promise) => promise.then(() => null, err => err);
+
+async function writeWorkbook(name, sheets) {
+  const workbook = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    const sheet = workbook.addWorksheet(sheetName);
+    rows.forEach(row => sheet.addRow(row));
+  });
+  const file = path.join(root, name);
+  await workbook.xlsx.writeFile(file);
+  return file;
+}
+
+async function run() {
+  // Test 1: Format detection from content first, then the file name
+  console.log('1. Format detection:');
+  const csvFile = write('sales.csv', 'Month,Revenue\nJan,100\nFeb,200\n');
+  const tsvFile = write('export', 'Month\tRevenue\nJan\t100\n');
+  const jsonFile = write('data.txt', '[{"Month": "Jan"}]');
+  const ndjsonFile = write('events.json', '{"id": 1}\n{"id": 2}\n');
+  const xlsFile = write('old.xls', Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0, 0, 0, 0]));
+  for (const [file, expected] of [[csvFile, 'csv'], [tsvFile, 'tsv'], [jsonFile, 'json'], [ndjsonFile, 'ndjson']]) {
+    const format = await detectFormat(file, path.basename(file));
+    console.log(`   ${path.basename(file)}: ${format === expected ? '✅' : '❌'} ${format}`);
+  }
+  const legacy = await failure(detectFormat(xlsFile, 'old.xls'));
+  console.log(`   Legacy .xls rejected: ${legacy instanceof FileFormatError && legacy.code === 'UNSUPPORTED_FORMAT' ? '✅' : '❌'}`);
+  const forced = await failure(read(csvFile, { format: 'xml' }));
+  console.log(`   Unknown forced format: ${forced instanceof FileFormatError ? '✅' : '❌'} ${forced && forced.message}`);
+
+  // Test 2: Delimited text goes through the sniffed dialect
+  console.log('\n2. Delimited text:');
+  const european = await read(write('eu.csv', 'Datum;Umsatz\n17.04.2024;1.234,50\n18.04.2024;99,90\n'));
+  console.log(`   Dialect: ${european.dialect.delimiter === 'semicolon' && european.dialect.decimal === ',' ? '✅' : '❌'} ${JSON.stringify(european.dialect)}`);
+  console.log(`   Rows normalised: ${european.rows[0].Umsatz === '1234.5' && european.rows[0].Datum === '2024-04-17' ? '✅' : '❌'} ${JSON.stringify(european.rows[0])}`);
+  const tabs = await read(tsvFile, { format: 'tsv' });
+  console.log(`   TSV: ${tabs.rows[0].Revenue === '100' ? '✅' : '❌'}`);
+
+  // Test 3: JSON documents are flattened into aligned rows
+  console.log('\n3. JSON:');
+  const nested = await read(write('orders.json', JSON.stringify({
+    meta: { exported: '2024-04-01' },
+    orders: [
+      { id: 1, customer: { name: 'Ada', region: 'North' }, tags: ['vip'] },
+      { id: 2, customer: { name: 'Bob' }, total: 20 }
+    ]
+  })));
+  console.log(`   Wrapped array found: ${nested.rows.length === 2 ? '✅' : '❌'}`);
+  console.log(`   Columns: ${Object.keys(nested.rows[0]).join(', ')}`);
+  console.log(`   Flattened and aligned: ${nested.rows[1]['customer.region'] === '' && nested.rows[0].tags === '["vip"]' && nested.rows[1].total === '20' ? '✅' : '❌'}`);
+  const brokenJson = await failure(read(write('broken.json', '[{"id": 1},')));
+  console.log(`   Invalid JSON: ${brokenJson instanceof FileFormatError && brokenJson.code === 'INVALID_FILE' ? '✅' : '❌'} ${brokenJson && brokenJson.message}`);
+
+  // Test 4: JSON lines collect every column before emitting rows
+  console.log('\n4. JSON lines:');
+  const lines = await read(write('events.ndjson', '{"id": 1, "type": "view"}\n\n{"id": 2, "amount": 5}\n'));
+  console.log(`   ${lines.rows.length === 2 && lines.rows[0].amount === '' && lines.rows[1].type === '' ? '✅' : '❌'} ${JSON.stringify(lines.rows)}`);
+  const badLine = await failure(read(write('bad.ndjson', '{"id": 1}\n{oops}\n')));
+  console.log(`   Bad line reported: ${badLine && /line 2/.test(badLine.message) ? '✅' : '❌'} ${badLine && badLine.message}`);
+
+  // Test 5: Workbooks read the first sheet with data unless one is named
+  console.log('\n5. Excel workbooks:');
+  const workbook = await writeWorkbook('report.xlsx', {
+    Cover: [],
+    Notes: [['Prepared by finance']],
+    Sales: [[], ['Month', 'Revenue', 'Revenue', 'Booked'], ['Jan', 100, 110, new Date(Date.UTC(2024, 0, 31))], ['Feb', { formula: 'B3*2', result: 200 }, 220, null]]
+  });
+  const firstWithData = await read(workbook);
+  console.log(`   Default sheet: ${firstWithData.sheet === 'Sales' ? '✅' : '❌'} ${firstWithData.sheet} of ${firstWithData.sheets.join(', ')}`);
+  console.log(`   Header after blank rows, repeats suffixed: ${Object.keys(firstWithData.rows[0]).join(', ') === 'Month, Revenue, Revenue_2, Booked' ? '✅' : '❌'}`);
+  console.log(`   Dates and formulas as text: ${firstWithData.rows[0].Booked === '2024-01-31' && firstWithData.rows[1].Revenue === '200' ? '✅' : '❌'}`);
+  const byName = await read(workbook, { sheet: 'sales' });
+  const byNumber = await read(workbook, { sheet: 3 });
+  console.log(`   By name or number: ${byName.rows.length === 2 && byNumber.sheet === 'Sales' ? '✅' : '❌'}`);
+  const namedEmpty = await read(workbook, { sheet: 'Cover' });
+  console.log(`   A named empty sheet is read as asked: ${namedEmpty.rows.length === 0 && namedEmpty.sheet === 'Cover' ? '✅' : '❌'}`);
+  const missing = await failure(read(workbook, { sheet: 'Budget' }));
+  console.log(`   Unknown sheet: ${missing && missing.code === 'SHEET_NOT_FOUND' && missing.details.sheets.length === 3 ? '✅' : '❌'} ${missing && missing.message}`);
+  const blank = await failure(read(await writeWorkbook('blank.xlsx', { One: [], Two: [['Header only']] })));
+  console.log(`   No data anywhere: ${blank && blank.code === 'EMPTY_WORKBOOK' && blank.details.sheets.join() === 'One,Two' ? '✅' : '❌'} ${blank && blank.message}`);
+}
+
+run()
+  .then(() => console.log('\n✅ File format tests completed!'))
+  .catch(err => console.error('❌ File format test failed:', err))
+  .finally(() => fs.rmSync(root, { recursive: true, force: true }));
@@ -1,5 +1,6 @@
 // Test script for forecasting functionality
-const { isForecastingQuestion, generateSimpleForecast } = require('./dataProcessor');
+const { isForecastingQuestion } = require('./dataProcessor');
+const { buildForecast, forecastSeries } = require('./forecasting');
 
 console.log('🧪 Testing Forecasting Functionality\n');
 
@@ -20,40 +21,42 @@ testQuestions.forEach(question => {
   console.log(`   "${question}" -> ${isForecast ? '✅ FORECAST' : '❌ ANALYSIS'}`);
 });
 
-// Test 2: Simple forecasting
-console.log('\n2. Testing Simple Forecasting:');
+// Test 2: Forecasting from rows with a month column
+console.log('\n2. Testing Forecasting from Rows:');
 const sampleData = [
-  { month: 'Jan', sales: 100 },
-  { month: 'Feb', sales: 120 },
-  { month: 'Mar', sales: 110 },
-  { month: 'Apr', sales: 130 },
-  { month: 'May', sales: 140 },
-  { month: 'Jun', sales: 150 },
-  { month: 'Jul', sales: 160 },
-  { month: 'Aug', sales: 170 }
+  { month: '2024-01', sales: 100 },
+  { month: '2024-02', sales: 120 },
+  { month: '2024-03', sales: 110 },
+  { month: '2024-04', sales: 130 },
+  { month: '2024-05', sales: 140 },
+  { month: '2024-06', sales: 150 },
+  { month: '2024-07', sales: 160 },
+  { month: '2024-08', sales: 170 }
 ];
 
-const forecast = generateSimpleForecast(sampleData, 3);
-if (forecast) {
-  console.log(`   Trend: ${forecast.trend > 0 ? '📈 Growing' : '📉 Declining'} (${forecast.trend.toFixed(2)})`);
-  console.log(`   Last Value: ${forecast.lastValue}`);
-  console.log(`   Forecast (next 3 periods): [${forecast.forecast.join(', ')}]`);
-  console.log(`   Confidence: ${forecast.confidence}`);
-} else {
-  console.log('   ❌ No forecast generated');
-}
+const forecast = buildForecast(sampleData, { periods: 3 });
+console.log(`   Date column: ${forecast.dateColumn}, metric: ${forecast.metric}, frequency: ${forecast.frequency}`);
+console.log(`   Model: ${forecast.model} (backtest MAE: ${forecast.backtest.map(b => `${b.name}=${b.mae}`).join(', ')})`);
+forecast.forecast.forEach(f => {
+  console.log(`   ${f.period}: ${f.value} (95% range ${f.lower95}-${f.upper95})`);
+});
+console.log(`   Confidence: ${forecast.confidence}`);
+
+// Test 3: Seasonal series of numbers
+console.log('\n3. Testing with a Seasonal Series:');
+const numericData = Array.from({ length: 24 }, (_, i) => 100 + i * 5 + (i % 4 === 3 ? 40 : 0));
+const numericForecast = forecastSeries(numericData, { periods: 4, seasonLength: 4 });
+console.log(`   Model: ${numericForecast.model}`);
+console.log(`   Forecast (next 4 periods): [${numericForecast.forecast.map(f => f.value).join(', ')}]`);
+console.log(`   Confidence: ${numericForecast.confidence}`);
 
-// Test 3: Array of numbers
-console.log('\n3. Testing with Array of Numbers:');
-const numericData = [100, 120, 110, 130, 140, 150, 160, 170, 180, 190];
-const numericForecast = generateSimpleForecast(numericData, 4);
-if (numericForecast) {
-  console.log(`   Trend: ${numericForecast.trend > 0 ? '📈 Growing' : '📉 Declining'} (${numericForecast.trend.toFixed(2)})`);
-  console.log(`   Last Value: ${numericForecast.lastValue}`);
-  console.log(`   Forecast (next 4 periods): [${numericForecast.forecast.join(', ')}]`);
-  console.log(`   Confidence: ${numericForecast.confidence}`);
-} else {
-  console.log('   ❌ No forecast generated');
+// Test 4: Too little history
+console.log('\n4. Testing with Too Little History:');
+try {
+  forecastSeries([100, 120], { periods: 2 });
+  console.log('   ❌ Forecast generated from 2 points');
+} catch (e) {
+  console.log(`   ✅ Rejected: ${e.message}`);
 }
 
 console.log('\n✅ Forecasting tests completed!');
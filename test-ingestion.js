@@ -0,0 +1,76 @@
+// Test script for streaming ingestion: the column store, reservoir sampling and upload limits
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ingestRows, loadFullDatasets, IngestionLimitError } = require('./ingestion');
+const { newStorageDir, loadRows, removeStorage } = require('./columnStore');
+
+console.log('🧪 Testing Ingestion\n');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+const limits = { maxRows: 5000, maxColumns: 10, sampleRows: 100 };
+
+function* generateRows(count) {
+  for (let i = 0; i < count; i++) {
+    yield { Id: i, Region: i % 2 === 0 ? 'North' : 'South', Revenue: i * 10, Note: i % 500 === 0 ? null : `row ${i}` };
+  }
+}
+
+async function run() {
+  // Test 1: Column store round trip
+  console.log('1. Column store:');
+  const dir = newStorageDir('session/1', 'orders 2024', root);
+  console.log(`   Names encoded in the path: ${path.relative(root, dir).startsWith('session%2F1/orders%202024-') ? '✅' : '❌'} ${path.relative(root, dir)}`);
+  const ingested = await ingestRows(generateRows(2000), { dir, limits });
+  const full = await loadRows(ingested.storage);
+  console.log(`   Every row stored: ${full.length === 2000 && full[1999].Revenue === 19990 ? '✅' : '❌'} ${full.length} rows`);
+  console.log(`   Nulls kept: ${full[500].Note === null && full[501].Note === 'row 501' ? '✅' : '❌'}`);
+  const some = await loadRows(ingested.storage, ['Revenue', 'Missing']);
+  console.log(`   Chosen columns only: ${JSON.stringify(Object.keys(some[0])) === '["Revenue"]' ? '✅' : '❌'}`);
+
+  // Test 2: Reservoir sample
+  console.log('\n2. Sample:');
+  const { sample } = ingested;
+  const inOrder = sample.every((row, i) => i === 0 || row.Id > sample[i - 1].Id);
+  console.log(`   Size: ${sample.length === limits.sampleRows && ingested.sampled ? '✅' : '❌'} ${sample.length} of ${ingested.rowCount}, sampled=${ingested.sampled}`);
+  console.log(`   Original order: ${inOrder ? '✅' : '❌'}`);
+  console.log(`   Spread over the file: ${sample[sample.length - 1].Id > 1000 ? '✅' : '❌'} last sampled row ${sample[sample.length - 1].Id}`);
+  console.log(`   Profiled every row: ${ingested.profile.rowCount === 2000 && ingested.profile.columns.find(c => c.name === 'Revenue').stats.max === 19990 ? '✅' : '❌'}`);
+
+  const small = await ingestRows(generateRows(40), { dir: newStorageDir('session-1', 'small', root), limits });
+  console.log(`   Small files kept whole: ${small.sample.length === 40 && !small.sampled ? '✅' : '❌'}`);
+  const empty = await ingestRows([], { dir: newStorageDir('session-1', 'empty', root), limits });
+  console.log(`   Empty input: ${empty.rowCount === 0 && empty.storage === null ? '✅' : '❌'}`);
+
+  // Test 3: Sampled datasets are swapped for their full rows
+  console.log('\n3. Loading full datasets:');
+  const loaded = await loadFullDatasets({ orders: sample, small: small.sample }, { orders: ingested.storage }, { orders: ['Id', 'Revenue'] });
+  console.log(`   Sampled dataset read back: ${loaded.orders.length === 2000 && !('Region' in loaded.orders[0]) ? '✅' : '❌'} ${loaded.orders.length} rows`);
+  console.log(`   Whole dataset used as is: ${loaded.small === small.sample ? '✅' : '❌'}`);
+
+  // Test 4: Limits stop the upload and remove what was written
+  console.log('\n4. Limits:');
+  const tooLong = newStorageDir('session-1', 'long', root);
+  const rowError = await ingestRows(generateRows(limits.maxRows + 1), { dir: tooLong, limits }).catch(err => err);
+  console.log(`   Too many rows: ${rowError instanceof IngestionLimitError && rowError.code === 'TOO_MANY_ROWS' ? '✅' : '❌'} ${rowError.message}`);
+  console.log(`   Partial copy removed: ${!fs.existsSync(tooLong) ? '✅' : '❌'}`);
+  const wide = Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`c${i}`, i]));
+  const columnError = await ingestRows([wide], { dir: newStorageDir('session-1', 'wide', root), limits }).catch(err => err);
+  console.log(`   Too many columns: ${columnError instanceof IngestionLimitError && columnError.actual === 12 ? '✅' : '❌'} ${columnError.message}`);
+
+  // Test 5: Removing storage tidies the session directory
+  console.log('\n5. Removing storage:');
+  const other = await ingestRows(generateRows(10), { dir: newStorageDir('session-1', 'other', root), limits });
+  await removeStorage(small.storage);
+  console.log(`   Session directory kept while in use: ${!fs.existsSync(small.storage.dir) && fs.existsSync(path.join(root, 'session-1')) ? '✅' : '❌'}`);
+  await removeStorage(other.storage);
+  console.log(`   Last dataset takes the session directory with it: ${!fs.existsSync(path.join(root, 'session-1')) ? '✅' : '❌'}`);
+  await removeStorage(ingested.storage);
+  await removeStorage(ingested.storage);
+  console.log(`   Removing twice is fine: ${!fs.existsSync(dir) ? '✅' : '❌'}`);
+}
+
+run()
+  .then(() => console.log('\n✅ Ingestion tests completed!'))
+  .catch(err => console.error('❌ Ingestion test failed:', err))
+  .finally(() => fs.rmSync(root, { recursive: true, force: true }));
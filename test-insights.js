@@ -0,0 +1,38 @@
+// Test script for the first-pass insights computed on upload
+const { findInsights, suggestQuestions, createDigestPrompt } = require('./insights');
+
+console.log('🧪 Testing Upload Insights\n');
+
+// Two years of monthly sales: growth that turns into decline in 2024, and one spike
+const rows = [];
+for (let m = 0; m < 24; m++) {
+  const month = `${2023 + Math.floor(m / 12)}-${String((m % 12) + 1).padStart(2, '0')}-15`;
+  const level = m < 14 ? 1000 + m * 100 : 2300 - (m - 14) * 120;
+  ['Online', 'Store', 'Wholesale'].forEach((channel, i) => {
+    const share = [0.6, 0.3, 0.1][i];
+    const spike = m === 9 && channel === 'Online' ? 2500 : 0;
+    const revenue = Math.round(level * share + spike + (m % 3) * 10);
+    rows.push({ Date: month, Channel: channel, Revenue: String(revenue), Units: String(Math.round(revenue / 25) + (m % 4)), Discount: String(30 - Math.round(revenue / 100)) });
+  });
+}
+
+const result = findInsights(rows);
+console.log(`1. Metric: ${result.metric}, date column: ${result.dateColumn}, frequency: ${result.frequency}`);
+
+// Test 2: Each kind of finding
+console.log('\n2. Insights:');
+result.insights.forEach(insight => console.log(`   [${insight.type}] ${insight.title}\n      ${insight.detail}`));
+
+// Test 3: A dataset that ends part way through a month
+const partial = rows.concat([{ Date: '2025-01-02', Channel: 'Online', Revenue: '40', Units: '2', Discount: '29' }]);
+console.log(`\n3. Incomplete last period left out: ${findInsights(partial).partialPeriod === '2025-01' ? '✅' : '❌'}`);
+
+// Test 4: Follow-up questions and the digest prompt
+console.log('\n4. Suggested questions:');
+suggestQuestions(result).forEach(q => console.log(`   - ${q}`));
+console.log(`   Digest prompt lists every finding: ${result.insights.every(i => createDigestPrompt('sales', result).includes(i.title)) ? '✅' : '❌'}`);
+
+// Test 5: Nothing to find
+console.log(`\n5. Empty dataset: ${JSON.stringify(findInsights([]).insights)}`);
+
+console.log('\n✅ Insight tests completed!');
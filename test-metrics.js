@@ -0,0 +1,74 @@
+// Test script for the metrics registry
+const { normalizeMetric, computeMetric, metricsInQuestion, breakdownColumn, formatMetrics, MetricError } = require('./metrics');
+
+console.log('🧪 Testing Metrics\n');
+
+// Two orders of two lines each, and one of one line
+const rows = [
+  { order_id: 'A1', region: 'North', revenue: '100', cost: '60', units: '2' },
+  { order_id: 'A1', region: 'North', revenue: '300', cost: '150', units: '1' },
+  { order_id: 'A2', region: 'South', revenue: '50', cost: '45', units: '5' },
+  { order_id: 'A2', region: 'South', revenue: '50', cost: '40', units: '5' },
+  { order_id: 'A3', region: 'North', revenue: '$1,000', cost: '400', units: '10' }
+];
+const columns = Object.keys(rows[0]);
+
+// Test 1: Sum-then-divide vs divide-then-average
+console.log('1. Aggregation semantics:');
+const margin = normalizeMetric({ name: 'Gross margin', formula: '(Revenue - Cost) / Revenue', format: 'percent' }, columns);
+const rowMargin = normalizeMetric({ name: 'Average line margin', formula: '(revenue - cost) / revenue', aggregation: 'average', format: 'percent' }, columns);
+const totals = computeMetric(rows, margin);
+const average = computeMetric(rows, rowMargin);
+console.log(`   Gross margin (totals): ${totals.display} ${Math.abs(totals.value - 805 / 1500) < 1e-9 ? '✅' : '❌'}`);
+console.log(`   Average line margin: ${average.display} ${Math.abs(average.value - (0.4 + 0.5 + 0.1 + 0.2 + 0.6) / 5) < 1e-9 ? '✅' : '❌'}`);
+console.log(`   Column names resolved: ${margin.columns.join(', ')}`);
+
+// Test 2: Aggregate functions
+console.log('\n2. Aggregate functions:');
+const aov = normalizeMetric({ name: 'AOV', formula: 'sum(revenue) / countdistinct(order_id)', format: 'currency' }, columns);
+console.log(`   AOV: ${computeMetric(rows, aov).display} ${computeMetric(rows, aov).value === 500 ? '✅' : '❌'}`);
+const lineTotal = normalizeMetric({ name: 'Line profit', formula: 'revenue - cost', aggregation: 'sum' }, columns);
+console.log(`   Line profit (sum): ${computeMetric(rows, lineTotal).display}`);
+const northOnly = normalizeMetric({ name: 'North units', formula: 'units', filter: "region = 'north'" }, columns);
+console.log(`   North units (filtered): ${computeMetric(rows, northOnly).value} from ${computeMetric(rows, northOnly).rows} rows`);
+
+// Test 3: Breakdown by a column
+console.log('\n3. Breakdown:');
+const byRegion = computeMetric(rows, margin, { groupBy: 'Region' });
+byRegion.groups.forEach(g => console.log(`   ${g.group}: ${g.display} (${g.rows} rows)`));
+
+// Test 4: Questions
+console.log('\n4. Questions:');
+const question = 'How does gross margin compare by region?';
+console.log(`   Named metrics: ${metricsInQuestion(question, [margin, aov, rowMargin]).map(m => m.name).join(', ')}`);
+console.log(`   Breakdown column: ${breakdownColumn(question, columns)}`);
+console.log(`   "aov per order id": ${breakdownColumn('aov per order id', columns)}`);
+console.log(`   No breakdown: ${breakdownColumn('what is the aov?', columns)}`);
+
+// Test 5: Invalid definitions
+console.log('\n5. Invalid definitions:');
+[
+  { name: 'Bad column', formula: 'revenue / visits' },
+  { name: 'Bad syntax', formula: '(revenue - cost' },
+  { name: 'Aggregate per row', formula: 'sum(revenue)', aggregation: 'average' },
+  { name: 'Aggregate of expression', formula: 'sum(revenue * 2)' },
+  { name: 'Bad aggregation', formula: 'revenue', aggregation: 'median' },
+  { formula: 'revenue' }
+].forEach(definition => {
+  try {
+    normalizeMetric(definition, columns);
+    console.log(`   ${definition.name}: accepted ❌`);
+  } catch (err) {
+    console.log(`   ${definition.name || '(no name)'}: ${err instanceof MetricError ? '✅' : '❌'} [${err.field}] ${err.message}`);
+  }
+});
+
+// Test 6: Prompt block
+console.log('\n6. Prompt block:');
+console.log(formatMetrics([
+  byRegion,
+  computeMetric(rows, aov),
+  { name: 'Conversion', formula: 'orders / visits', error: 'Unknown column "visits"' }
+]).split('\n').map(line => `   ${line}`).join('\n'));
+
+console.log('\n✅ Metrics tests completed!');
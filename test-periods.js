@@ -0,0 +1,107 @@
+// Test script for the calendar and period-over-period comparisons
+const { parseDateCell, bucketKey, bucketLabel, bucketRange, describeDateRange } = require('./calendar');
+const { comparePeriods, comparisonFromQuestion, formatPeriodComparison } = require('./periods');
+const { profileDataset } = require('./profiler');
+
+console.log('🧪 Testing Period Comparisons\n');
+
+const iso = (parsed) => (parsed && parsed.time !== undefined ? `${new Date(parsed.time).toISOString().slice(0, 10)} (${parsed.grain})` : JSON.stringify(parsed));
+
+// Test 1: Parsing
+console.log('1. Date cells:');
+[
+  ['2024-03-15', '2024-03-15 (day)'],
+  ['3/15/2024', '2024-03-15 (day)'],
+  ['March 2024', '2024-03-01 (month)'],
+  ['2024-W01', '2024-01-01 (week)'],
+  ['2021-W01', '2021-01-04 (week)'],
+  ['Week 11, 2024', '2024-03-11 (week)'],
+  ['2024-W11-3', '2024-03-13 (day)'],
+  ['Q3 2024', '2024-07-01 (quarter)'],
+  ['2024-Q1', '2024-01-01 (quarter)'],
+  ['FY2024', '2024-01-01 (year)'],
+  ['2023', '2023-01-01 (year)'],
+  ['January', '{"month":0,"grain":"month"}'],
+  ['ORD-1000', 'null'],
+  ['ORD-2024-001', 'null'],
+  ['INV-2024-010', 'null'],
+  ['Room 2001', 'null'],
+  ['12/31/99', '1999-12-31 (day)'],
+  ['12/31/24', '2024-12-31 (day)'],
+  ['2023-W53', 'null'],
+  ['2020-W53', '2020-12-28 (week)'],
+  ['2024/03/15', '2024-03-15 (day)'],
+  ['15-Mar-2024', '2024-03-15 (day)'],
+  ['Tuesday, March 5, 2024', '2024-03-05 (day)']
+].forEach(([text, expected]) => {
+  const actual = iso(parseDateCell(text));
+  console.log(`   ${text} -> ${actual} ${actual === expected ? '✅' : `❌ expected ${expected}`}`);
+});
+const fiscal = { fiscalYearStart: 4 };
+console.log(`   FY25 (April start) -> ${iso(parseDateCell('FY25', fiscal))} ${iso(parseDateCell('FY25', fiscal)) === '2024-04-01 (year)' ? '✅' : '❌'}`);
+console.log(`   FY25 Q3 (April start) -> ${iso(parseDateCell('FY25 Q3', fiscal))} ${iso(parseDateCell('FY25 Q3', fiscal)) === '2024-10-01 (quarter)' ? '✅' : '❌'}`);
+const invoices = profileDataset(['INV-2024-001', 'INV-2024-002', 'INV-2024-010', 'INV-2024-011'].map(id => ({ Invoice: id })));
+console.log(`   Invoice ids not typed as dates: ${invoices.columns[0].type !== 'date' ? '✅' : '❌'} ${invoices.columns[0].type}`);
+
+// Test 2: Buckets
+console.log('\n2. Buckets:');
+const may = Date.UTC(2024, 4, 20);
+console.log(`   Calendar quarter: ${bucketLabel(bucketKey(may, 'quarter'), 'quarter')} ${JSON.stringify(bucketRange(bucketKey(may, 'quarter'), 'quarter'))}`);
+console.log(`   Fiscal quarter (April start): ${bucketLabel(bucketKey(may, 'quarter', 4), 'quarter', false, 4)} ${JSON.stringify(bucketRange(bucketKey(may, 'quarter', 4), 'quarter', 4))}`);
+console.log(`   Fiscal year (April start): ${bucketLabel(bucketKey(may, 'year', 4), 'year', false, 4)} ${JSON.stringify(bucketRange(bucketKey(may, 'year', 4), 'year', 4))}`);
+console.log(`   Week: ${bucketLabel(bucketKey(may, 'week'), 'week')} ${JSON.stringify(bucketRange(bucketKey(may, 'week'), 'week'))}`);
+console.log(`   Date range of month names: ${describeDateRange(['March', 'January', 'February'])}`);
+console.log(`   Date range of mixed formats: ${describeDateRange(['2024-02-01', '1/15/2024', '2023-12-31'])}`);
+
+// Test 3: Questions
+console.log('\n3. Questions:');
+['How did this month compare to last month?', 'Revenue QoQ', 'YoY growth by region', 'Sales this month vs the same month last year', 'Compare weekly orders']
+  .forEach(question => console.log(`   "${question}" -> ${JSON.stringify(comparisonFromQuestion(question))}`));
+
+// Daily sales for 2023-01-01 .. 2024-06-17; North grows 1% a month, South is flat
+const rows = [];
+for (let time = Date.UTC(2023, 0, 1); time <= Date.UTC(2024, 5, 17); time += 24 * 60 * 60 * 1000) {
+  const date = new Date(time);
+  const months = (date.getUTCFullYear() - 2023) * 12 + date.getUTCMonth();
+  rows.push({ date: date.toISOString().slice(0, 10), region: 'North', revenue: String(100 * (1 + 0.01 * months)), units: '2' });
+  rows.push({ date: date.toISOString().slice(0, 10), region: 'South', revenue: '50', units: '1' });
+}
+
+// Test 4: Month over month, with the partial month left out
+console.log('\n4. Month over month:');
+const mom = comparePeriods(rows, { question: 'How did revenue compare to last month by region?' });
+console.log(`   ${mom.label}: ${mom.current.period} vs ${mom.previous.period}, partial ${mom.partialPeriod && mom.partialPeriod.period} (data ends ${mom.partialPeriod && mom.partialPeriod.dataEnds})`);
+console.log(`   Current is May 2024: ${mom.current.period === '2024-05' ? '✅' : '❌'}`);
+mom.metrics.forEach(m => console.log(`   ${m.metric}: ${m.current} vs ${m.previous} (${m.change}, ${(m.growth * 100).toFixed(2)}%)`));
+mom.groups.forEach(g => console.log(`   ${g.group}: ${g.change} (${g.shareOfChange === null ? 'n/a' : `${(g.shareOfChange * 100).toFixed(0)}%`} of change)`));
+console.log(`   Chart: ${mom.chart.type} "${mom.chart.title}" with ${mom.chart.series.length} series over ${mom.chart.labels.length} groups`);
+
+// Test 5: Year over year and quarters
+console.log('\n5. Year over year and quarters:');
+const yoy = comparePeriods(rows, { question: 'revenue year over year' });
+console.log(`   ${yoy.label} at ${yoy.grain}: ${yoy.current.period} vs ${yoy.previous.period} ${yoy.previous.period === '2023-05' ? '✅' : '❌'}`);
+const qoq = comparePeriods(rows, { grain: 'quarter', metrics: ['units'] });
+console.log(`   QoQ: ${qoq.current.period} vs ${qoq.previous.period}, units ${qoq.metrics[0].current} vs ${qoq.metrics[0].previous} (Q2 2024 is partial: ${qoq.partialPeriod ? qoq.partialPeriod.period : 'no'})`);
+const fiscalQuarters = comparePeriods(rows, { grain: 'quarter', fiscalYearStart: 4, includePartial: true });
+console.log(`   Fiscal, partial included: ${fiscalQuarters.current.period} (${fiscalQuarters.current.from} to ${fiscalQuarters.current.to}) vs ${fiscalQuarters.previous.period}`);
+
+// Test 6: Month names without years
+console.log('\n6. Month names:');
+const named = ['January', 'February', 'March'].flatMap((month, i) => [
+  { Month: month, Product: 'Laptop', Revenue: String(1000 + i * 100) },
+  { Month: month, Product: 'Mouse', Revenue: String(200 - i * 10) }
+]);
+const byName = comparePeriods(named, { question: 'revenue vs last month' });
+console.log(`   ${byName.current.period} vs ${byName.previous.period}: ${byName.metrics[0].change}`);
+try {
+  comparePeriods(named, { question: 'revenue year over year' });
+  console.log('   YoY on month names: accepted ❌');
+} catch (err) {
+  console.log(`   YoY on month names: ✅ ${err.message}`);
+}
+
+// Test 7: Prompt block
+console.log('\n7. Prompt block:');
+console.log(formatPeriodComparison(mom).split('\n').map(line => `   ${line}`).join('\n'));
+
+console.log('\n✅ Period comparison tests completed!');
@@ -0,0 +1,39 @@
+// Test script for column type inference and profiling
+const fs = require('fs');
+const { profileDataset, formatProfile } = require('./profiler');
+
+console.log('🧪 Testing Column Profiler\n');
+
+// Minimal CSV reader for the sample file (no quoted fields in it)
+const [header, ...lines] = fs.readFileSync('./sample_sales_data.csv', 'utf8').trim().split('\n');
+const columns = header.split(',');
+const data = lines.map(line => {
+  const values = line.split(',');
+  const row = {};
+  columns.forEach((c, i) => row[c] = values[i]);
+  return row;
+});
+
+// Test 1: Sample sales data
+console.log('1. Sample sales data:');
+console.log(formatProfile(profileDataset(data)));
+
+// Test 2: Formats people actually type
+console.log('\n2. Mixed formats:');
+const messy = Array.from({ length: 12 }, (_, i) => ({
+  customer_id: String(i + 1).padStart(5, '0'),
+  price: `$${(1000 + i * 10).toLocaleString('en-US')}`,
+  discount: `${i * 1.5}%`,
+  paid: i % 2 ? 'yes' : 'no',
+  ordered_at: `2024-01-0${(i % 9) + 1} 10:00`,
+  note: `Customer asked about delivery options for order ${i}`
+}));
+messy[3].price = '';
+const profile = profileDataset(messy);
+console.log(formatProfile(profile));
+
+const price = profile.columns.find(c => c.name === 'price');
+console.log(`\n   price null rate: ${price.nullRate}, quartiles: ${JSON.stringify(price.stats.quantiles)}`);
+console.log(`   price histogram: ${price.histogram.map(b => `${b.from}-${b.to}: ${b.count}`).join(', ')}`);
+
+console.log('\n✅ Profiler tests completed!');
@@ -0,0 +1,92 @@
+// Test script for AI provider selection, the fallback chain, the mock provider and provider configuration
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scriptsFile = path.join(os.tmpdir(), `providers-${process.pid}.json`);
+fs.writeFileSync(scriptsFile, JSON.stringify([
+  { match: 'over quota', error: 'Rate limit reached (429)', status: 429 },
+  { match: 'revenue|sales', response: { answer: 'Scripted revenue answer' } },
+  { match: 'plain text', response: 'Just some words back' }
+]));
+process.env.MOCK_AI_RESPONSES_FILE = scriptsFile;
+
+const { invokeModel, streamModel, resolveAIOptions } = require('./aiProvider');
+const { createMockModel, loadMockScripts } = require('./mockProvider');
+
+// The local provider fails without a server URL, which makes it a handy broken first choice
+delete process.env.LOCAL_AI_BASE_URL;
+delete process.env.AI_FALLBACK_PROVIDERS;
+
+console.log('🧪 Testing AI Providers\n');
+
+async function run() {
+  // Test 1: Provider selection
+  console.log('1. Provider selection:');
+  process.env.AI_PROVIDER = 'mock';
+  console.log(`   Default from AI_PROVIDER: ${resolveAIOptions().provider === 'mock' ? '✅' : '❌'}`);
+  const picked = resolveAIOptions({ provider: 'openai', model: 'gpt-4o-mini' });
+  console.log(`   Per request: ${picked.provider === 'openai' && picked.model === 'gpt-4o-mini' ? '✅' : '❌'}`);
+  try {
+    resolveAIOptions({ provider: 'skynet' });
+    console.log('   ❌ Unknown provider accepted');
+  } catch (err) {
+    console.log(`   ✅ Rejected: ${err.message}`);
+  }
+
+  // Test 2: Scripted mock replies
+  console.log('\n2. Mock provider:');
+  const scripts = loadMockScripts();
+  console.log(`   Built-in scripts follow the file's: ${scripts.length > 3 && scripts[0].match === 'over quota' ? '✅' : '❌'} ${scripts.length} scripts`);
+  const model = createMockModel({ scripts });
+  const json = (await model.invoke([{ role: 'user', content: 'How were SALES?' }])).content;
+  console.log(`   Regex match, case-insensitive: ${JSON.parse(json).answer === 'Scripted revenue answer' ? '✅' : '❌'}`);
+  console.log(`   String reply: ${(await model.invoke('plain text please')).content === 'Just some words back' ? '✅' : '❌'}`);
+  const fallback = JSON.parse((await model.invoke('Something else entirely')).content);
+  console.log(`   Default reply: ${fallback.confidence === 'low' ? '✅' : '❌'} ${fallback.answer}`);
+  const chunks = [];
+  for await (const chunk of await model.stream('plain text please')) chunks.push(chunk.content);
+  console.log(`   Streams word chunks: ${chunks.length === 4 && chunks.join('') === 'Just some words back' ? '✅' : '❌'}`);
+  const aborted = new AbortController();
+  aborted.abort();
+  const abortedReply = await model.invoke('plain text', { signal: aborted.signal }).catch(err => err.message);
+  console.log(`   Honours abort: ${abortedReply === 'Aborted' ? '✅' : '❌'}`);
+
+  // Test 3: Falling back to the next provider
+  console.log('\n3. Fallback chain:');
+  process.env.AI_FALLBACK_PROVIDERS = 'nonsense, mock';
+  const rescued = await invokeModel('What was revenue?', { provider: 'local' });
+  console.log(`   Failed provider skipped: ${rescued.provider === 'mock' && JSON.parse(rescued.content).answer === 'Scripted revenue answer' ? '✅' : '❌'} answered by ${rescued.provider}`);
+  const tokens = [];
+  const streamed = await streamModel('plain text please', { provider: 'local', onToken: token => tokens.push(token) });
+  console.log(`   Streaming falls back too: ${streamed.provider === 'mock' && tokens.join('') === 'Just some words back' ? '✅' : '❌'}`);
+
+  process.env.AI_FALLBACK_PROVIDERS = 'local';
+  const limited = await invokeModel('We are over quota', { provider: 'mock' }).catch(err => err);
+  console.log(`   Last error surfaces when every provider fails: ${limited instanceof Error && /LOCAL_AI_BASE_URL/.test(limited.message) ? '✅' : '❌'} ${limited.message}`);
+
+  delete process.env.AI_FALLBACK_PROVIDERS;
+  const alone = await invokeModel('We are over quota', { provider: 'mock' }).catch(err => err);
+  console.log(`   Rate limit without a fallback: ${alone.status === 429 ? '✅' : '❌'} ${alone.message}`);
+
+  // Test 4: Claude and local providers need their keys and server settings
+  console.log('\n4. Claude and local providers:');
+  const claude = resolveAIOptions({ provider: 'claude', model: 'claude-3-5-haiku-latest' });
+  const local = resolveAIOptions({ provider: 'local' });
+  console.log(`   Selectable: ${claude.provider === 'claude' && claude.model === 'claude-3-5-haiku-latest' && local.provider === 'local' ? '✅' : '❌'}`);
+  delete process.env.ANTHROPIC_API_KEY;
+  const noKey = await invokeModel('hello', { provider: 'claude' }).catch(err => err);
+  console.log(`   Claude without ANTHROPIC_API_KEY: ${noKey instanceof Error && /API key/i.test(noKey.message) ? '✅' : '❌'} ${noKey.message}`);
+  const noUrl = await invokeModel('hello', { provider: 'local' }).catch(err => err);
+  console.log(`   Local without LOCAL_AI_BASE_URL: ${/LOCAL_AI_BASE_URL/.test(noUrl.message) ? '✅' : '❌'} ${noUrl.message}`);
+  process.env.LOCAL_AI_BASE_URL = 'http://127.0.0.1:11434/v1';
+  delete process.env.LOCAL_AI_MODEL;
+  const noModel = await invokeModel('hello', { provider: 'local' }).catch(err => err);
+  console.log(`   Local without LOCAL_AI_MODEL: ${/LOCAL_AI_MODEL/.test(noModel.message) ? '✅' : '❌'} ${noModel.message}`);
+  delete process.env.LOCAL_AI_BASE_URL;
+}
+
+run()
+  .then(() => console.log('\n✅ Provider tests completed!'))
+  .catch(err => console.error('❌ Provider test failed:', err))
+  .finally(() => fs.unlinkSync(scriptsFile));
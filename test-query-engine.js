@@ -0,0 +1,60 @@
+// Test script for the deterministic query engine
+const fs = require('fs');
+const { executeQuery, parseQueryPlan, formatComputedResult, ROW_LIMIT, MAX_ROW_LIMIT } = require('./queryEngine');
+
+console.log('🧪 Testing Query Engine\n');
+
+// Minimal CSV reader for the sample file (no quoted fields in it)
+const [header, ...lines] = fs.readFileSync('./sample_sales_data.csv', 'utf8').trim().split('\n');
+const columns = header.split(',');
+const data = lines.map(line => {
+  const values = line.split(',');
+  const row = {};
+  columns.forEach((c, i) => row[c] = values[i]);
+  return row;
+});
+
+// Test 1: Revenue by Category
+console.log('1. Revenue by Category:');
+const byCategory = executeQuery(data, {
+  groupBy: ['Category'],
+  metrics: [{ column: 'Revenue', agg: 'sum', as: 'totalRevenue' }],
+  sort: [{ by: 'totalRevenue', direction: 'desc' }]
+});
+byCategory.rows.forEach(r => console.log(`   ${r.Category}: ${r.totalRevenue}`));
+
+// Test 2: Top 2 products by units, excluding Laptop
+console.log('\n2. Top 2 products by units (excluding Laptop):');
+const topProducts = executeQuery(data, {
+  filters: [{ column: 'product', op: 'neq', value: 'Laptop' }],
+  groupBy: ['Product'],
+  metrics: [{ column: 'Units', agg: 'sum', as: 'units' }, { agg: 'count', as: 'months' }],
+  sort: [{ by: 'units', direction: 'desc' }],
+  limit: 2
+});
+topProducts.rows.forEach(r => console.log(`   ${r.Product}: ${r.units} units over ${r.months} months`));
+
+// Test 3: Plan parsing and invalid plans
+console.log('\n3. Plan parsing:');
+console.log('   Null plan:', parseQueryPlan('{"query": null}'));
+console.log('   Wrapped plan:', JSON.stringify(parseQueryPlan('Here: {"query": {"groupBy": ["Month"]}}')));
+try {
+  executeQuery(data, { metrics: [{ column: 'Profit', agg: 'sum' }] });
+  console.log('   ❌ Unknown column accepted');
+} catch (e) {
+  console.log(`   ✅ Rejected: ${e.message}`);
+}
+
+// Test 4: Row-listing plans are capped
+console.log('\n4. Row listing limits:');
+const many = Array.from({ length: MAX_ROW_LIMIT + 500 }, (_, i) => ({ Id: i, Amount: i % 7 }));
+const listed = executeQuery(many, { filters: [{ column: 'Amount', op: 'gt', value: 0 }] });
+console.log(`   Default limit: ${listed.rows.length === ROW_LIMIT && listed.truncated ? '✅' : '❌'} ${listed.rows.length} of ${listed.matchedRecords} matching rows`);
+const asked = executeQuery(many, { limit: 5000 });
+console.log(`   Limit capped at ${MAX_ROW_LIMIT}: ${asked.rows.length === MAX_ROW_LIMIT && asked.truncated ? '✅' : '❌'}`);
+const few = executeQuery(data, { filters: [{ column: 'Product', op: 'eq', value: 'Laptop' }] });
+console.log(`   Short listing not truncated: ${few.truncated === false ? '✅' : '❌'} ${few.rows.length} rows`);
+const preview = formatComputedResult(listed, 20);
+console.log(`   Prompt preview: ${preview.includes('80 more rows omitted') && preview.includes(`${listed.matchedRecords} records matched`) ? '✅' : '❌'}`);
+
+console.log('\n✅ Query engine tests completed!');
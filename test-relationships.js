@@ -0,0 +1,56 @@
+// Test script for join key suggestions and joins between datasets
+const { toDatasetName, suggestRelationships, joinRows, formatRelationships } = require('./relationships');
+
+console.log('🧪 Testing Relationships\n');
+
+const customers = [
+  { id: 'C1', Name: 'Ada', Region: 'North' },
+  { id: 'C2', Name: 'Bob', Region: 'South' },
+  { id: 'C3', Name: 'Cy', Region: 'North' }
+];
+const orders = [
+  { OrderID: '1001', customer_id: 'c1', Name: 'Pens', Amount: '120' },
+  { OrderID: '1002', customer_id: 'C2 ', Name: 'Ink', Amount: '80' },
+  { OrderID: '1003', customer_id: 'C1', Name: 'Paper', Amount: '45' },
+  { OrderID: '1004', customer_id: 'C9', Name: 'Pads', Amount: '60' }
+];
+const key = (r) => `${r.left.dataset}.${r.left.column} -> ${r.right.dataset}.${r.right.column}`;
+
+// Test 1: Dataset names from file names
+console.log('1. Dataset names:');
+[['Orders 2024.csv', 'orders_2024'], ['__Q1--Sales__.xlsx', 'q1_sales'], ['.csv', 'data']].forEach(([file, expected]) => {
+  const name = toDatasetName(file);
+  console.log(`   ${file} -> ${name} ${name === expected ? '✅' : '❌'}`);
+});
+
+// Test 2: Key scoring from column names and shared values
+console.log('\n2. Key scoring:');
+const [best, ...others] = suggestRelationships({ customers, orders });
+console.log(`   Best: ${best && key(best) === 'customers.id -> orders.customer_id' ? '✅' : '❌'} ${best && key(best)} (score ${best && best.score})`);
+console.log(`   Cardinality and overlap: ${best && best.cardinality === 'one-to-many' && best.overlap === 0.67 ? '✅' : '❌'} ${best && best.cardinality}, ${best && best.overlap}`);
+console.log(`   One suggestion per pair: ${others.length === 0 ? '✅' : '❌'}`);
+const regions = suggestRelationships({ north: [{ Region: 'North' }, { Region: 'North' }], south: [{ Zone: 'North' }, { Zone: 'North' }] });
+console.log(`   Low-cardinality columns with different names skipped: ${regions.length === 0 ? '✅' : '❌'}`);
+console.log(`   ${formatRelationships([best])}`);
+
+// Test 3: Numbers only join numbers
+console.log('\n3. Kind mismatch:');
+const products = [{ sku: '1001', Label: 'Pen' }, { sku: '1002', Label: 'Ink' }];
+const codes = [{ sku: '1001', Code: 'A' }, { sku: '1002x', Code: 'B' }, { sku: 'n/a', Code: 'C' }];
+console.log(`   Number and text keys not paired: ${suggestRelationships({ products, codes }).length === 0 ? '✅' : '❌'}`);
+const moreProducts = [{ sku: '1001', Label: 'Pen' }, { sku: '1002', Label: 'Ink' }, { sku: '1003', Label: 'Pad' }];
+const numbered = suggestRelationships({ products, moreProducts });
+console.log(`   Number keys paired: ${numbered.length === 1 && numbered[0].left.column === 'sku' ? '✅' : '❌'}`);
+
+// Test 4: Left and inner joins
+console.log('\n4. Joins:');
+const left = joinRows(orders, customers, 'customer_id', 'id', { prefix: 'customers' });
+console.log(`   Left join keeps unmatched rows: ${left.length === 4 && left[3]['customers.Name'] === '' ? '✅' : '❌'} ${left.length} rows`);
+console.log(`   Keys matched case- and space-insensitively: ${left[0]['customers.Name'] === 'Ada' && left[1]['customers.Name'] === 'Bob' ? '✅' : '❌'}`);
+console.log(`   Right columns prefixed: ${left[0].Name === 'Pens' && left[0]['customers.Name'] === 'Ada' ? '✅' : '❌'}`);
+const inner = joinRows(orders, customers, 'customer_id', 'id', { type: 'inner', prefix: 'customers' });
+console.log(`   Inner join drops unmatched rows: ${inner.length === 3 && inner.every(r => r['customers.id']) ? '✅' : '❌'} ${inner.length} rows`);
+const fanOut = joinRows(customers, orders, 'id', 'customer_id', { type: 'inner', prefix: 'orders' });
+console.log(`   One row per match: ${fanOut.filter(r => r.id === 'C1').length === 2 ? '✅' : '❌'}`);
+
+console.log('\n✅ Relationship tests completed!');
@@ -0,0 +1,79 @@
+// Test script for session reports: building, HTML escaping, Markdown and PDF output
+const { buildReport, renderReport, REPORT_FORMATS } = require('./report');
+
+console.log('🧪 Testing Reports\n');
+
+const hostile = '<script>alert("x")</script>';
+const charts = {
+  c1: { id: 'c1', chart: { type: 'bar', title: 'Revenue <by> region', labels: ['North', '<img src=x onerror=alert(1)>'], data: [120, 80] } },
+  c2: { id: 'c2', chart: { type: 'bar', labels: ['a'], data: [] } }
+};
+const record = {
+  sessionId: 'sales-review',
+  metadata: {
+    profiles: {
+      sales: {
+        columns: [
+          { name: 'Region | Zone', type: 'categorical', nullRate: 0.125, distinctCount: 2, topValues: [{ value: 'North', count: 5 }, { value: 'South', count: 3 }] },
+          { name: 'Revenue', type: 'currency', nullRate: 0, stats: { min: 10, max: 1200, mean: 300 } }
+        ]
+      }
+    }
+  },
+  chatTurns: [
+    {
+      input: `Which region ${hostile} grew?`,
+      output: JSON.stringify({ answer: 'North grew 50% & leads', keyInsights: ['North: <b>120</b>'], recommendations: ['Invest "more" in North'], confidence: 'high' }),
+      createdAt: Date.UTC(2024, 3, 1),
+      details: { chartId: 'c1', metadata: { totalRecords: 1200, sampleSize: 500 }, datasetVersions: { sales: 2 } }
+    },
+    { input: 'This turn failed', output: 'not a structured reply', createdAt: Date.UTC(2024, 3, 2) },
+    {
+      input: 'And the broken chart?',
+      output: JSON.stringify({ answer: 'See below', limitations: 'Only one month' }),
+      createdAt: Date.UTC(2024, 3, 3),
+      details: { chartId: 'c2' }
+    }
+  ]
+};
+const datasets = [{ name: 'sales', rowCount: 1200, columns: ['Region | Zone', 'Revenue'], version: 2, sampled: true }];
+
+async function run() {
+  // Test 1: Building the report from a session
+  console.log('1. Building:');
+  const report = await buildReport(record, datasets, async (id) => charts[id] || null, { title: `Q1 review ${hostile}` });
+  console.log(`   Sections: ${report.sections.length === 2 ? '✅' : '❌'} ${report.sections.length} (unreadable turn skipped)`);
+  console.log(`   Chart attached: ${report.sections[0].chart && report.sections[0].chart.id === 'c1' ? '✅' : '❌'}`);
+  console.log(`   Column summaries: ${report.datasets[0].columns.map(c => c.summary).join(' / ')}`);
+  console.log(`   Metadata kept: ${report.sections[0].metadata.datasetVersions.sales === 2 && report.sections[0].metadata.confidence === 'high' ? '✅' : '❌'}`);
+
+  // Test 2: HTML escapes everything that came from users or the model
+  console.log('\n2. HTML:');
+  const html = (await renderReport(report, 'html')).body;
+  console.log(`   No raw script tags: ${!html.includes('<script>') ? '✅' : '❌'}`);
+  console.log(`   Question escaped: ${html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;') ? '✅' : '❌'}`);
+  console.log(`   Answer and lists escaped: ${html.includes('50% &amp; leads') && html.includes('North: &lt;b&gt;120&lt;/b&gt;') && html.includes('Invest &quot;more&quot;') ? '✅' : '❌'}`);
+  console.log(`   Chart inlined as SVG with escaped labels: ${html.includes('<svg') && !html.includes('<img src=x') ? '✅' : '❌'}`);
+  console.log(`   Bad chart reported, not thrown: ${html.includes('Chart could not be drawn') ? '✅' : '❌'}`);
+  console.log(`   Sample noted: ${html.includes('1200 records (sample of 500 shown to the model)') ? '✅' : '❌'}`);
+
+  // Test 3: Markdown keeps tables intact and HTML inert
+  console.log('\n3. Markdown:');
+  const md = (await renderReport(report, 'md', { chartUrl: (chart) => `/api/charts/${chart.id}.png` })).body;
+  console.log(`   Pipes escaped in tables: ${md.includes('| Region \\| Zone |') ? '✅' : '❌'}`);
+  console.log(`   HTML made inert: ${!md.includes('<script>') && md.includes('&lt;script&gt;') ? '✅' : '❌'}`);
+  console.log(`   Chart linked: ${md.includes('![Revenue &lt;by&gt; region](/api/charts/c1.png)') ? '✅' : '❌'}`);
+  const empty = await buildReport({ sessionId: 'empty', chatTurns: [] }, [], async () => null);
+  console.log(`   Empty session: ${(await renderReport(empty, 'md')).body.includes('No questions were asked') ? '✅' : '❌'}`);
+
+  // Test 4: PDF output
+  console.log('\n4. PDF:');
+  const pdf = await renderReport(report, 'pdf');
+  const text = pdf.body.toString('latin1');
+  console.log(`   ${text.startsWith('%PDF-') && text.trimEnd().endsWith('%%EOF') ? '✅' : '❌'} ${pdf.body.length} bytes, ${pdf.contentType}`);
+  console.log(`   Formats: ${REPORT_FORMATS.join(', ')}`);
+}
+
+run()
+  .then(() => console.log('\n✅ Report tests completed!'))
+  .catch(err => console.error('❌ Report test failed:', err));
@@ -0,0 +1,90 @@
+// Test script for the AI response schema and the repair loop
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scripted replies for the repair loop; the first match wins, and repair prompts repeat the question
+const scriptsFile = path.join(os.tmpdir(), `response-schema-${process.pid}.json`);
+fs.writeFileSync(scriptsFile, JSON.stringify([
+  { match: 'always broken', response: 'Sorry, no JSON today' },
+  { match: 'typed chart', response: { answer: 'Revenue by month', chart: { type: 'bar', labels: ['a', 'b'], data: [1, 2] } } },
+  { match: 'did not match the required JSON format', response: { answer: 'Fixed on retry', confidence: 'high' } },
+  { match: 'needs repair', response: { answer: 42, confidence: 'certain' } }
+]));
+process.env.MOCK_AI_RESPONSES_FILE = scriptsFile;
+process.env.AI_REPAIR_RETRIES = '2';
+
+const { parseStructuredResponse, extractJson, createRepairPrompt, StructuredOutputError } = require('./responseSchema');
+const { invokeStructured } = require('./aiProvider');
+
+console.log('🧪 Testing Response Schema\n');
+
+// Test 1: A valid reply gets every field, with defaults filled in
+console.log('1. Valid reply:');
+const valid = parseStructuredResponse('{"answer": "Sales grew 12%", "keyInsights": "Laptops lead", "confidence": "HIGH"}');
+console.log(`   Valid: ${valid.valid ? '✅' : '❌'} ${valid.errors.join('; ')}`);
+console.log(`   Single insight became a list: ${JSON.stringify(valid.value.keyInsights) === '["Laptops lead"]' ? '✅' : '❌'}`);
+console.log(`   Confidence lower-cased: ${valid.value.confidence === 'high' ? '✅' : '❌'}`);
+console.log(`   Defaults: ${Array.isArray(valid.value.recommendations) && valid.value.chart === null && valid.value.limitations === null ? '✅' : '❌'}`);
+
+// Test 2: Older reply shapes are mapped onto the schema
+console.log('\n2. Legacy shapes:');
+const chatShape = parseStructuredResponse('{"answer": "ok", "chartData": {"type": "pie", "labels": ["A", "B"], "data": [3, 4]}}');
+console.log(`   chartData: ${chatShape.valid && chatShape.value.chart && chatShape.value.chart.type === 'pie' ? '✅' : '❌'} ${chatShape.errors.join('; ')}`);
+const askShape = parseStructuredResponse('{"answer": "ok", "type": "bar", "labels": ["Jan", "Feb"], "data": ["10", 20]}');
+console.log(`   Top-level labels/data: ${askShape.valid && askShape.value.chart && askShape.value.chart.labels.join() === 'Jan,Feb' ? '✅' : '❌'} ${askShape.errors.join('; ')}`);
+console.log(`   Legacy keys removed: ${['chartData', 'labels', 'data', 'type'].every(key => !(key in askShape.value)) ? '✅' : '❌'}`);
+
+// Test 3: Invalid replies list every problem
+console.log('\n3. Invalid replies:');
+[
+  ['Empty', ''],
+  ['Prose only', 'Revenue is up this month.'],
+  ['Broken JSON', '{"answer": "ok",}'],
+  ['Not an object', '[1, 2]'],
+  ['Missing answer', '{"keyInsights": []}'],
+  ['Wrong types', '{"answer": 5, "recommendations": [1], "confidence": "sure"}']
+].forEach(([label, raw]) => {
+  const result = parseStructuredResponse(raw);
+  console.log(`   ${label}: ${result.valid ? '❌ accepted' : `✅ ${result.errors.join('; ')}`}`);
+});
+
+// Test 4: JSON is found inside prose and code fences
+console.log('\n4. Extracting JSON:');
+const fenced = extractJson('Here you go:\n```json\n{"answer": "fenced"}\n```');
+console.log(`   Code fence: ${fenced.value && fenced.value.answer === 'fenced' ? '✅' : '❌'}`);
+
+// Test 5: The repair prompt names the problems
+console.log('\n5. Repair prompt:');
+const repairPrompt = createRepairPrompt(['answer is required', 'confidence must be one of high, medium, low']);
+console.log(`   Lists errors: ${repairPrompt.includes('- answer is required') && repairPrompt.includes('- confidence must be one of') ? '✅' : '❌'}`);
+console.log(`   Repeats the format: ${repairPrompt.includes('"answer"') ? '✅' : '❌'}`);
+
+// Test 6: The repair loop re-prompts until the reply is valid, then gives up
+async function testRepairLoop() {
+  console.log('\n6. Repair loop:');
+  const ai = { provider: 'mock' };
+
+  const repaired = await invokeStructured('This reply needs repair', ai);
+  console.log(`   Fixed on retry: ${repaired.response.answer === 'Fixed on retry' && repaired.attempts === 2 ? '✅' : '❌'} (${repaired.attempts} attempts)`);
+
+  try {
+    await invokeStructured('This reply is always broken', ai);
+    console.log('   ❌ Gave up without an error');
+  } catch (err) {
+    const ok = err instanceof StructuredOutputError && err.attempts === 3 && err.raw === 'Sorry, no JSON today';
+    console.log(`   Gives up after the retries: ${ok ? '✅' : '❌'} ${err.message} (${err.attempts} attempts)`);
+  }
+
+  // A chart that won't bind to the computed result is sent back, then dropped rather than drawn
+  const computedResult = { columns: ['Month', 'Revenue'], rows: [{ Month: 'Jan', Revenue: 10 }, { Month: 'Feb', Revenue: 20 }] };
+  const unbound = await invokeStructured('Please send a typed chart', ai, { computedResult });
+  console.log(`   Unbound chart dropped: ${unbound.response.chart === null && unbound.response.answer === 'Revenue by month' ? '✅' : '❌'} (${unbound.attempts} attempts)`);
+  const noResult = await invokeStructured('Please send a typed chart', ai);
+  console.log(`   Kept without a computed result: ${noResult.response.chart && noResult.attempts === 1 ? '✅' : '❌'}`);
+}
+
+testRepairLoop()
+  .then(() => console.log('\n✅ Response schema tests completed!'))
+  .catch(err => console.error('❌ Repair loop test failed:', err))
+  .finally(() => fs.unlinkSync(scriptsFile));
@@ -0,0 +1,89 @@
+// Test script for what-if scenarios
+const { runScenario, applyScenario, normalizeScenario, createScenarioPrompt, parseScenarioPlan, ScenarioError } = require('./scenarios');
+const { normalizeMetric } = require('./metrics');
+
+console.log('🧪 Testing Scenarios\n');
+
+const rows = [
+  { Month: 'January', Product: 'Laptop', Price: '1000', Units: '10', Revenue: '10000', Cost: '7000' },
+  { Month: 'January', Product: 'Mouse', Price: '20', Units: '100', Revenue: '2000', Cost: '800' },
+  { Month: 'February', Product: 'Laptop', Price: '1000', Units: '20', Revenue: '20000', Cost: '14000' },
+  { Month: 'February', Product: 'Mouse', Price: '20', Units: '50', Revenue: '1000', Cost: '400' }
+];
+const columns = Object.keys(rows[0]);
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+
+// Test 1: Laptop prices +10%, laptop units -5%, revenue recomputed
+console.log('1. Price rise with lost units:');
+const laptops = [{ column: 'product', op: 'eq', value: 'laptop' }];
+const result = runScenario(rows, {
+  adjustments: [
+    { column: 'price', change: 'percent', value: 10, filters: laptops },
+    { column: 'units', change: 'percent', value: -5, filters: laptops }
+  ],
+  recompute: [{ column: 'Revenue', formula: 'Price * Units' }]
+});
+result.comparison.forEach(c => console.log(`   ${c.kpi}: ${c.baselineDisplay} -> ${c.scenarioDisplay} (${c.changePercent}%)`));
+const revenue = result.comparison.find(c => c.kpi === 'Total Revenue');
+// Laptops: 30 units at 1000 become 28.5 at 1100; mice are unchanged
+console.log(`   Revenue: ${close(revenue.scenario, 28.5 * 1100 + 3000) ? '✅' : '❌'} ${revenue.scenario}`);
+console.log(`   Rows affected: ${result.affected.map(a => `${a.column} ${a.rows}`).join(', ')}`);
+console.log(`   Original rows untouched: ${rows[0].Price === '1000' ? '✅' : '❌'}`);
+
+// Test 2: Defined metrics as KPIs
+console.log('\n2. Defined metrics:');
+const margin = normalizeMetric({ name: 'Gross margin', formula: '(Revenue - Cost) / Revenue', format: 'percent' }, columns);
+const withMargin = runScenario(rows, {
+  adjustments: [{ column: 'Cost', change: 'absolute', value: 100 }, { column: 'Revenue', change: 'percent', value: 5, filters: [{ column: 'Month', op: 'eq', value: 'February' }] }]
+}, { metrics: [margin] });
+withMargin.comparison.forEach(c => console.log(`   ${c.kpi}: ${c.baselineDisplay} -> ${c.scenarioDisplay} (change ${c.change})`));
+console.log(`   KPIs: ${withMargin.comparison.map(c => c.kpi).join(', ')}`);
+
+// Test 3: Comparison chart
+console.log('\n3. Chart:');
+console.log(`   ${result.chart.type} "${result.chart.title}": ${result.chart.labels.join(', ')}`);
+result.chart.series.forEach(s => console.log(`   ${s.name}: ${s.data.join(', ')}`));
+
+// Test 4: Set values and non-numeric cells
+console.log('\n4. Set values:');
+const set = applyScenario(rows, normalizeScenario({ adjustments: [{ column: 'Price', change: 'set', value: 25, filters: [{ column: 'Product', op: 'in', value: ['Mouse'] }] }] }, columns));
+console.log(`   Mouse prices: ${set.rows.filter(r => r.Product === 'Mouse').map(r => r.Price).join(', ')} (${set.affected[0]} rows)`);
+const text = applyScenario([{ Product: 'Laptop', Units: 'n/a' }], normalizeScenario({ adjustments: [{ column: 'Units', value: 10 }] }, ['Product', 'Units']));
+console.log(`   Non-numeric cell left alone: ${text.rows[0].Units === 'n/a' ? '✅' : '❌'}`);
+const usd = runScenario([{ 'Price [USD]': '10' }, { 'Price [USD]': '30' }], { adjustments: [{ column: 'Price [USD]', value: 10 }] });
+console.log(`   Bracketed column totalled: ${usd.comparison[0].kpi === 'Total Price [USD]' && close(usd.comparison[0].scenario, 44) ? '✅' : '❌'} ${usd.comparison[0].scenario}`);
+try {
+  runScenario([{ 'Odd]`name': '1' }], { adjustments: [{ column: 'Odd]`name', value: 10 }] });
+  console.log('   Untotallable column: accepted ❌');
+} catch (err) {
+  console.log(`   Untotallable column: ${err instanceof ScenarioError && err.field === 'adjustments[0].column' ? '✅' : '❌'} [${err.field}] ${err.message}`);
+}
+
+// Test 5: Invalid scenarios
+console.log('\n5. Invalid scenarios:');
+[
+  ['No adjustments', { adjustments: [] }],
+  ['Unknown column', { adjustments: [{ column: 'Margin', change: 'percent', value: 5 }] }],
+  ['Unknown change', { adjustments: [{ column: 'Units', change: 'double', value: 2 }] }],
+  ['Missing value', { adjustments: [{ column: 'Units', change: 'percent' }] }],
+  ['Below -100%', { adjustments: [{ column: 'Units', change: 'percent', value: -150 }] }],
+  ['Bad filter', { adjustments: [{ column: 'Units', value: 5, filters: [{ column: 'Product', op: 'like', value: 'Lap%' }] }] }],
+  ['Bad formula', { recompute: [{ column: 'Revenue', formula: 'Price * Quantity' }] }]
+].forEach(([label, scenario]) => {
+  try {
+    normalizeScenario(scenario, columns);
+    console.log(`   ${label}: accepted ❌`);
+  } catch (err) {
+    console.log(`   ${label}: ${err instanceof ScenarioError ? '✅' : '❌'} [${err.field}] ${err.message}`);
+  }
+});
+
+// Test 6: Translating a described scenario
+console.log('\n6. Planner:');
+const prompt = createScenarioPrompt('what if I raise laptop prices 10% and lose 5% of units?', { name: 'sales', columns, numericColumns: ['Price', 'Units', 'Revenue', 'Cost'], rows });
+console.log(`   Prompt lists products: ${prompt.includes('- Product: Laptop, Mouse') ? '✅' : '❌'}`);
+const plan = parseScenarioPlan('Here you go:\n{"adjustments": [{"column": "Price", "change": "percent", "value": 10, "filters": [{"column": "Product", "op": "eq", "value": "Laptop"}]}], "assumptions": "Only laptops change"}');
+console.log(`   Parsed: ${plan.adjustments.length} adjustment(s), ${plan.recompute.length} recompute, "${plan.assumptions}"`);
+console.log(`   Unreadable reply: ${parseScenarioPlan('I cannot help with that') === null ? '✅' : '❌'}`);
+
+console.log('\n✅ Scenario tests completed!');
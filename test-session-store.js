@@ -0,0 +1,94 @@
+// Test script for the session store: backends, TTL expiry and the sweeper
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, createMemoryBackend, createFileBackend } = require('./sessionStore');
+const { newStorageDir, createColumnWriter } = require('./columnStore');
+
+console.log('🧪 Testing Session Store\n');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const rows = [{ Product: 'Laptop', Revenue: 1000 }, { Product: 'Mouse', Revenue: 20 }];
+
+async function storedCopy(sessionId, name) {
+  const writer = await createColumnWriter(newStorageDir(sessionId, name, path.join(root, 'datasets')), Object.keys(rows[0]));
+  rows.forEach(row => writer.write(row));
+  return writer.close();
+}
+
+async function run() {
+  // Test 1: Datasets, chat turns, charts and metadata round-trip through the file backend
+  console.log('1. File backend:');
+  const dir = path.join(root, 'sessions');
+  const store = createSessionStore({ backend: createFileBackend(dir) });
+  await store.setDataset('team/a b', 'orders', rows);
+  await store.setDataset('team/a b', 'customers', [{ id: 1 }]);
+  await store.appendChatTurn('team/a b', 'What sold best?', 'Laptops');
+  const chartId = await store.addChart('team/a b', { type: 'bar', labels: ['Laptop'], data: [1000] }, { question: 'What sold best?' });
+  await store.setMetadata('team/a b', { domain: 'retail' });
+
+  const reopened = createSessionStore({ backend: createFileBackend(dir) });
+  const names = Object.keys(await reopened.getDatasets('team/a b'));
+  console.log(`   Survives a new store: ${names.join(', ') === 'customers, orders' ? '✅' : '❌'} ${names.join(', ')} (active first)`);
+  console.log(`   Chat turns: ${(await reopened.getChatTurns('team/a b')).length === 1 ? '✅' : '❌'}`);
+  const chart = await reopened.getChart(chartId);
+  console.log(`   Chart by id: ${chart && chart.sessionId === 'team/a b' && chart.question === 'What sold best?' ? '✅' : '❌'}`);
+  console.log(`   Metadata: ${(await reopened.getMetadata('team/a b')).domain === 'retail' ? '✅' : '❌'}`);
+  console.log(`   Session id never used as a raw path: ${fs.readdirSync(dir).join(', ')} ${fs.readdirSync(dir).length === 1 ? '✅' : '❌'}`);
+
+  // Test 2: Concurrent updates to one session are all kept
+  console.log('\n2. Concurrent updates:');
+  await Promise.all(Array.from({ length: 10 }, (_, i) => store.appendChatTurn('busy', `q${i}`, `a${i}`)));
+  const turns = await store.getChatTurns('busy');
+  console.log(`   ${turns.length === 10 ? '✅' : '❌'} ${turns.length} of 10 turns kept`);
+
+  // Test 3: Sessions saved before multi-dataset support are read as one "data" dataset
+  console.log('\n3. Legacy sessions:');
+  const legacyBackend = createMemoryBackend();
+  await legacyBackend.set('old', { sessionId: 'old', data: rows, chatTurns: [], metadata: {}, expiresAt: Date.now() + 60000 });
+  const legacy = createSessionStore({ backend: legacyBackend });
+  const legacyList = await legacy.listDatasets('old');
+  console.log(`   ${legacyList.length === 1 && legacyList[0].name === 'data' && legacyList[0].active ? '✅' : '❌'} ${JSON.stringify(legacyList)}`);
+
+  // Test 4: Expired sessions are gone on read, and their stored datasets with them
+  console.log('\n4. TTL expiry:');
+  const shortLived = createSessionStore({ backend: createMemoryBackend(), ttlMs: 50 });
+  const storage = await storedCopy('brief', 'orders');
+  await shortLived.setDataset('brief', 'orders', rows.slice(0, 1), storage);
+  console.log(`   Live before the TTL: ${(await shortLived.getDataset('brief')) ? '✅' : '❌'}`);
+  await sleep(80);
+  console.log(`   Gone after the TTL: ${(await shortLived.getDataset('brief')) === null ? '✅' : '❌'}`);
+  console.log(`   Stored copy removed: ${!fs.existsSync(storage.dir) ? '✅' : '❌'}`);
+
+  // Test 5: The sweeper removes expired sessions nobody reads again
+  console.log('\n5. Sweeper:');
+  const swept = createSessionStore({ backend: createMemoryBackend(), ttlMs: 50 });
+  await swept.setDataset('idle-1', 'data', rows);
+  await swept.setDataset('idle-2', 'data', rows);
+  await sleep(80);
+  await swept.setDataset('fresh', 'data', rows);
+  const removed = await swept.sweepExpired();
+  console.log(`   sweepExpired: ${removed === 2 ? '✅' : '❌'} removed ${removed}, left ${(await swept.listSessions()).join(', ')}`);
+  await swept.setDataset('idle-3', 'data', rows);
+  swept.startSweeper(20);
+  await sleep(120);
+  swept.stopSweeper();
+  console.log(`   Timer sweep: ${(await swept.listSessions()).length === 0 ? '✅' : '❌'}`);
+
+  // Test 6: Replacing or removing a dataset drops the stored copy it no longer uses
+  console.log('\n6. Stored copies:');
+  const replaced = createSessionStore({ backend: createMemoryBackend() });
+  const first = await storedCopy('swap', 'orders');
+  await replaced.setDataset('swap', 'orders', rows, first);
+  const second = await storedCopy('swap', 'orders');
+  await replaced.setDataset('swap', 'orders', rows, second);
+  console.log(`   Replaced copy removed: ${!fs.existsSync(first.dir) && fs.existsSync(second.dir) ? '✅' : '❌'}`);
+  await replaced.removeDataset('swap', 'orders');
+  console.log(`   Removed dataset's copy removed: ${!fs.existsSync(second.dir) ? '✅' : '❌'}`);
+}
+
+run()
+  .then(() => console.log('\n✅ Session store tests completed!'))
+  .catch(err => console.error('❌ Session store test failed:', err))
+  .finally(() => fs.rmSync(root, { recursive: true, force: true }));
@@ -0,0 +1,100 @@
+// Test script for the streamed chat endpoint (/api/chat/stream) against the mock provider
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const scriptsFile = path.join(os.tmpdir(), `streaming-${process.pid}.json`);
+fs.writeFileSync(scriptsFile, JSON.stringify([
+  { match: 'query planner', response: { query: null } },
+  { match: 'streaming check', response: { answer: 'North sold the most', keyInsights: ['North leads with 300'], confidence: 'high' } }
+]));
+process.env.MOCK_AI_RESPONSES_FILE = scriptsFile;
+
+const { planQuery } = require('./aiProvider');
+
+const port = process.env.TEST_PORT || 3999;
+const base = `http://127.0.0.1:${port}`;
+const csvData = [
+  { Region: 'North', Sales: '300' },
+  { Region: 'South', Sales: '120' }
+];
+
+console.log('🧪 Testing Chat Streaming\n');
+
+function startServer() {
+  const server = spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+    env: { ...process.env, PORT: String(port), AI_PROVIDER: 'mock', SESSION_STORE: 'memory', AI_FALLBACK_PROVIDERS: '' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start within 15s')), 15000);
+    server.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('Server running')) {
+        clearTimeout(timer);
+        resolve(server);
+      }
+    });
+    server.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+// Split a finished SSE body into { event, data } pairs
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = (block.match(/^event: (.*)$/m) || [])[1];
+    const data = (block.match(/^data: (.*)$/m) || [])[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+const post = (body) => fetch(`${base}/api/chat/stream`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+async function run() {
+  // Test 1: Tokens arrive as events, then the validated result
+  console.log('1. Token stream:');
+  const res = await post({ sessionId: `stream-${process.pid}`, message: 'streaming check: which region sold most?', csvData });
+  console.log(`   Event stream: ${res.status === 200 && res.headers.get('content-type') === 'text/event-stream' ? '✅' : '❌'} ${res.status} ${res.headers.get('content-type')}`);
+  const events = parseEvents(await res.text());
+  const tokens = events.filter(e => e.event === 'token');
+  const last = events[events.length - 1];
+  console.log(`   Tokens: ${tokens.length > 1 ? '✅' : '❌'} ${tokens.length} token events`);
+  console.log(`   Tokens spell the reply: ${JSON.parse(tokens.map(e => e.data.token).join('')).answer === 'North sold the most' ? '✅' : '❌'}`);
+  console.log(`   Result last: ${last.event === 'result' && last.data.answer === 'North sold the most' && last.data.confidence === 'high' ? '✅' : '❌'} ${last.event}`);
+  console.log(`   Server fields added: ${last.data.metadata && last.data.metadata.totalRecords === 2 ? '✅' : '❌'}`);
+
+  // Test 2: Errors before the stream starts are plain JSON
+  console.log('\n2. Errors before streaming:');
+  const missing = await post({ sessionId: 'stream-empty' });
+  console.log(`   Missing message: ${missing.status === 400 && (await missing.json()).error === 'Missing sessionId or message' ? '✅' : '❌'} ${missing.status}`);
+  const noData = await post({ sessionId: 'stream-empty', message: 'streaming check' });
+  console.log(`   No data: ${noData.status === 400 && /No CSV data/.test((await noData.json()).error) ? '✅' : '❌'} ${noData.status}`);
+  const badProvider = await post({ sessionId: 'stream-empty', message: 'streaming check', provider: 'skynet' });
+  console.log(`   Unknown provider: ${badProvider.status === 400 ? '✅' : '❌'} ${badProvider.status}`);
+
+  // Test 3: A cancelled query plan stops the turn instead of carrying on without a plan
+  console.log('\n3. Cancelled query plan:');
+  const controller = new AbortController();
+  controller.abort();
+  const cancelled = await planQuery('streaming check', [], { provider: 'mock', signal: controller.signal }).then(() => null, err => err);
+  console.log(`   Abort rethrown: ${cancelled instanceof Error ? '✅' : '❌'} ${cancelled && cancelled.message}`);
+  const plan = await planQuery('streaming check', [], { provider: 'mock' });
+  console.log(`   Plan without a signal: ${plan === null ? '✅' : '❌'} (no aggregation needed)`);
+}
+
+let server = null;
+startServer()
+  .then((started) => { server = started; return run(); })
+  .then(() => console.log('\n✅ Streaming tests completed!'))
+  .catch(err => console.error('❌ Streaming test failed:', err))
+  .finally(() => {
+    if (server) server.kill();
+    fs.rmSync(scriptsFile, { force: true });
+  });
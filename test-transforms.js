@@ -0,0 +1,107 @@
+// Test script for dataset transforms and the expression language
+const { applyOperations, TransformError } = require('./transforms');
+const { compileExpression } = require('./expression');
+const { suggestCleaning, fixOperations } = require('./cleaning');
+
+console.log('🧪 Testing Dataset Transforms\n');
+
+const rows = [
+  { Customer: '  Ann  Lee ', Region: 'North', Revenue: '$1,200', Cost: '800', Date: '3/5/2024' },
+  { Customer: 'Bob Ray', Region: '', Revenue: '900', Cost: '', Date: '2024-04-01' },
+  { Customer: 'Bob Ray', Region: 'South', Revenue: '900', Cost: '300', Date: 'n/a' }
+];
+const columns = Object.keys(rows[0]);
+
+const show = (label, operations) => {
+  try {
+    const result = applyOperations(rows, columns, operations);
+    console.log(`${label}:`);
+    result.applied.forEach(step => console.log(`   ${step.description}`));
+    console.log(`   -> ${JSON.stringify(result.rows)}`);
+  } catch (err) {
+    console.log(`${label}: ❌ ${err.message}`);
+  }
+};
+
+// Test 1: Cleaning
+show('1. Trim, cast and fill', [
+  { op: 'trim' },
+  { op: 'cast', column: 'Revenue', to: 'number' },
+  { op: 'cast', column: 'Date', to: 'date' },
+  { op: 'fillNulls', column: 'Cost', strategy: 'mean' },
+  { op: 'fillNulls', column: 'Region', value: 'Unknown' }
+]);
+
+// Test 2: Duplicates and missing values
+show('2. Dedupe and drop nulls', [
+  { op: 'dedupe', columns: ['Customer'], keep: 'last' },
+  { op: 'dropNulls', columns: ['Cost'] }
+]);
+
+// Test 3: Reshaping columns
+show('3. Rename, split and merge', [
+  { op: 'rename', column: 'Revenue', to: 'Sales' },
+  { op: 'split', column: 'Customer', delimiter: ' ', into: ['First', 'Last'] },
+  { op: 'merge', columns: ['Last', 'First'], into: 'Name', separator: ', ' }
+]);
+
+// Test 4: Derived columns and filters
+show('4. Derive and filter', [
+  { op: 'derive', column: 'Margin', expression: 'Revenue - Cost' },
+  { op: 'derive', column: 'Tier', expression: "if(Margin >= 400, 'high', 'low')" },
+  { op: 'filter', expression: "not isnull(Region) and Region != 'South'" }
+]);
+
+// Test 5: Errors name the failing operation
+show('5. Unknown column', [{ op: 'trim' }, { op: 'derive', column: 'x', expression: 'Profit * 2' }]);
+show('   Not an expression', [{ op: 'filter', expression: 'require("fs")' }]);
+show('   Object member as a function', [{ op: 'derive', column: 'x', expression: 'constructor(Revenue)' }]);
+['constructor', 'toString', 'hasOwnProperty', '__proto__'].forEach(op => {
+  try {
+    applyOperations(rows, columns, [{ op }]);
+    console.log(`   Op "${op}": ❌ accepted`);
+  } catch (err) {
+    console.log(`   Op "${op}": ${err instanceof TransformError ? '✅' : '❌'} ${err.message}`);
+  }
+});
+
+// Test 6: Expressions on their own
+console.log('\n6. Expressions:');
+[
+  ['[Unit Price] * Quantity', { 'Unit Price': '2.50', Quantity: '4' }],
+  ['round(Revenue / 3, 2)', { Revenue: '$100' }],
+  ["concat(upper(Code), '-', year(Date))", { Code: 'ab', Date: '2024-06-01' }],
+  ['coalesce(Nickname, Name)', { Nickname: '', Name: 'Ann' }]
+].forEach(([text, row]) => console.log(`   ${text} -> ${compileExpression(text).evaluate(row)}`));
+
+// Test 7: Cleaning suggestions become transform operations
+console.log('\n7. Cleaning suggestions:');
+const dirty = Array.from({ length: 30 }, (_, i) => ({
+  Category: i === 3 ? 'electronics ' : ['Electronics', 'Toys', 'Garden'][i % 3],
+  OrderDate: i % 10 === 0 ? `3/${i + 1}/2024` : `2024-03-${String(i + 1).padStart(2, '0')}`,
+  Quantity: i === 5 ? '-2' : String(1 + (i % 4)),
+  Revenue: i === 8 ? '95000' : String(100 + i * 3)
+}));
+dirty.push({ ...dirty[1] });
+const findings = suggestCleaning(dirty);
+findings.forEach(f => console.log(`   [${f.severity}] ${f.id}: ${f.message}\n      Fix: ${f.fix ? f.fix.description : 'needs a decision'}`));
+const cleaned = applyOperations(dirty, Object.keys(dirty[0]), fixOperations(findings, findings.map(f => f.id)).operations);
+console.log(`   After fixing everything: ${suggestCleaning(cleaned.rows).length} finding(s) left`);
+const bracketed = Array.from({ length: 30 }, (_, i) => ({ 'Qty [pcs]': i === 5 ? '-2' : String(1 + (i % 4)) }));
+const bracketFix = suggestCleaning(bracketed).find(f => f.type === 'impossibleValues');
+const bracketRows = applyOperations(bracketed, ['Qty [pcs]'], bracketFix.fix.operations).rows;
+console.log(`   Column names with brackets: ${bracketRows[5]['Qty [pcs]'] === '' ? '✅' : '❌'} ${bracketFix.fix.operations[0].expression}`);
+
+// Test 8: Day-first dates are read day first, and undecidable ones aren't rewritten
+console.log('\n8. Date order:');
+const european = Array.from({ length: 20 }, (_, i) => ({ Day: i % 4 === 0 ? `2024-04-0${1 + (i % 9)}` : `${String(10 + i).padStart(2, '0')}/04/2024` }));
+const dayFirst = suggestCleaning(european).find(f => f.type === 'mixedDateFormats');
+console.log(`   ${dayFirst.message}\n      Fix: ${dayFirst.fix.description}`);
+const castRows = applyOperations(european, ['Day'], dayFirst.fix.operations).rows;
+console.log(`   17/04/2024 -> ${castRows[7].Day} ${castRows[7].Day === '2024-04-17' ? '✅' : '❌'}`);
+const undecided = Array.from({ length: 20 }, (_, i) => ({ Day: i % 4 === 0 ? '2024-04-01' : `0${1 + (i % 9)}/04/2024` }));
+const ambiguous = suggestCleaning(undecided).find(f => f.type === 'mixedDateFormats');
+console.log(`   ${ambiguous.message}`);
+console.log(`   No one-click fix: ${ambiguous.fix === null && fixOperations([ambiguous], [ambiguous.id]).unfixable.length === 1 ? '✅' : '❌'}`);
+
+console.log('\n✅ Transform tests completed!');
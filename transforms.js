@@ -0,0 +1,360 @@
+// transforms.js - Cleaning and reshaping operations applied to a dataset's rows
+// Operations are plain JSON ({ op: "trim", columns: [...] }) so they can be stored in the
+// session's history and replayed from the original upload to undo the latest one
+
+const { compileExpression, truthy, ExpressionError } = require('./expression');
+const { parseNumericValue } = require('./numberFormat');
+const { parseDateCell, columnDateOptions } = require('./calendar');
+
+const OPERATIONS = ['trim', 'cast', 'fillNulls', 'dropNulls', 'dedupe', 'rename', 'replaceValues', 'split', 'merge', 'derive', 'filter'];
+const CAST_TYPES = ['number', 'integer', 'string', 'date', 'boolean'];
+const FILL_STRATEGIES = ['value', 'mean', 'median', 'mode', 'previous'];
+const MAX_SPLIT_PARTS = 20;
+
+/**
+ * Raised for operations that can't be applied (unknown op, missing column, bad expression...)
+ * index - position of the failing operation in the request
+ */
+class TransformError extends Error {
+  constructor(message, index = null) {
+    super(message);
+    this.name = 'TransformError';
+    this.code = 'INVALID_OPERATION';
+    this.index = index;
+  }
+}
+
+function isNull(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Cells are kept as text, like uploaded data; drop float noise such as 0.30000000000000004
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return isFinite(value) ? String(Number(value.toPrecision(12))) : '';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  return String(value);
+}
+
+function resolveColumn(name, columns) {
+  if (typeof name !== 'string' || name === '') throw new TransformError('Column name is required');
+  if (columns.includes(name)) return name;
+  const match = columns.find(c => c.toLowerCase() === name.toLowerCase());
+  if (!match) throw new TransformError(`Unknown column "${name}"`);
+  return match;
+}
+
+// `column` or `columns` from an operation; every column when neither is given and `all` is allowed
+function targetColumns(operation, columns, { all = true } = {}) {
+  const names = operation.columns !== undefined ? operation.columns : operation.column !== undefined ? [operation.column] : null;
+  if (names === null) {
+    if (!all) throw new TransformError(`${operation.op} needs "column" or "columns"`);
+    return columns.slice();
+  }
+  if (!Array.isArray(names) || names.length === 0) throw new TransformError('"columns" must be a non-empty array');
+  return names.map(name => resolveColumn(name, columns));
+}
+
+function newColumnName(name, columns, replacing = []) {
+  if (typeof name !== 'string' || name.trim() === '') throw new TransformError('New column name is required');
+  const clean = name.trim();
+  if (columns.includes(clean) && !replacing.includes(clean)) throw new TransformError(`Column "${clean}" already exists`);
+  return clean;
+}
+
+function castValue(value, to, dateOptions = {}) {
+  if (isNull(value)) return '';
+  switch (to) {
+    case 'number': {
+      const num = parseNumericValue(value);
+      return num === null ? null : formatValue(num);
+    }
+    case 'integer': {
+      const num = parseNumericValue(value);
+      return num === null ? null : String(Math.round(num));
+    }
+    case 'date': {
+      const parsed = parseDateCell(value, dateOptions);
+      return parsed && parsed.time !== undefined ? new Date(parsed.time).toISOString().slice(0, 10) : null;
+    }
+    case 'boolean': {
+      const text = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1', 't'].includes(text)) return 'true';
+      if (['false', 'no', 'n', '0', 'f'].includes(text)) return 'false';
+      return null;
+    }
+    default:
+      return String(value);
+  }
+}
+
+function fillValue(rows, column, strategy) {
+  const present = rows.map(row => row[column]).filter(value => !isNull(value));
+  if (strategy === 'mode') {
+    const counts = new Map();
+    present.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let best = null;
+    counts.forEach((count, value) => { if (!best || count > best.count) best = { value, count }; });
+    return best ? best.value : null;
+  }
+  const numbers = present.map(value => parseNumericValue(value)).filter(n => n !== null);
+  if (numbers.length === 0) throw new TransformError(`Column "${column}" has no numbers to take the ${strategy} of`);
+  if (strategy === 'mean') return formatValue(numbers.reduce((sum, n) => sum + n, 0) / numbers.length);
+  numbers.sort((a, b) => a - b);
+  const mid = Math.floor(numbers.length / 2);
+  return formatValue(numbers.length % 2 ? numbers[mid] : (numbers[mid - 1] + numbers[mid]) / 2);
+}
+
+// Each handler takes (rows, columns, operation) and returns { rows, columns, description }
+// Handlers copy rows they change, so the input rows are never modified
+const HANDLERS = {
+  trim(rows, columns, operation) {
+    const targets = targetColumns(operation, columns);
+    let changed = 0;
+    const out = rows.map(row => {
+      let copy = null;
+      targets.forEach(column => {
+        const value = row[column];
+        if (typeof value !== 'string') return;
+        const trimmed = value.trim().replace(/\s{2,}/g, ' ');
+        if (trimmed !== value) {
+          copy = copy || { ...row };
+          copy[column] = trimmed;
+          changed++;
+        }
+      });
+      return copy || row;
+    });
+    return { rows: out, columns, description: `Trimmed whitespace in ${targets.length} column(s); ${changed} cell(s) changed` };
+  },
+
+  cast(rows, columns, operation) {
+    const targets = targetColumns(operation, columns, { all: false });
+    if (!CAST_TYPES.includes(operation.to)) {
+      throw new TransformError(`"to" must be one of ${CAST_TYPES.join(', ')}`);
+    }
+    let failed = 0;
+    if (operation.dayFirst !== undefined && typeof operation.dayFirst !== 'boolean') {
+      throw new TransformError('"dayFirst" must be true or false');
+    }
+    // Numeric dates are read day first when dayFirst says so, else in the order each column's values point to
+    const dateOptions = {};
+    if (operation.to === 'date') {
+      targets.forEach(column => { dateOptions[column] = columnDateOptions(rows.map(row => row[column]), { dayFirst: operation.dayFirst }); });
+    }
+    const out = rows.map(row => {
+      const copy = { ...row };
+      targets.forEach(column => {
+        const value = castValue(row[column], operation.to, dateOptions[column]);
+        if (value === null) failed++;
+        copy[column] = value === null ? '' : value;
+      });
+      return copy;
+    });
+    const note = failed > 0 ? `; ${failed} value(s) could not be converted and were set to empty` : '';
+    const order = operation.to === 'date' && operation.dayFirst !== undefined ? ` (${operation.dayFirst ? 'day' : 'month'} first)` : '';
+    return { rows: out, columns, description: `Converted ${targets.join(', ')} to ${operation.to}${order}${note}` };
+  },
+
+  fillNulls(rows, columns, operation) {
+    const targets = targetColumns(operation, columns);
+    const strategy = operation.strategy || 'value';
+    if (!FILL_STRATEGIES.includes(strategy)) {
+      throw new TransformError(`"strategy" must be one of ${FILL_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'value' && (operation.value === undefined || operation.value === null)) {
+      throw new TransformError('fillNulls needs a "value" (or a strategy such as mean, median, mode, previous)');
+    }
+    const fills = {};
+    targets.forEach(column => {
+      fills[column] = strategy === 'value' ? formatValue(operation.value)
+        : strategy === 'previous' ? null
+        : fillValue(rows, column, strategy);
+    });
+
+    let filled = 0;
+    const last = {};
+    const out = rows.map(row => {
+      let copy = null;
+      targets.forEach(column => {
+        if (!isNull(row[column])) {
+          last[column] = row[column];
+          return;
+        }
+        const value = strategy === 'previous' ? last[column] : fills[column];
+        if (value === undefined || value === null) return;
+        copy = copy || { ...row };
+        copy[column] = value;
+        filled++;
+      });
+      return copy || row;
+    });
+    return { rows: out, columns, description: `Filled ${filled} empty cell(s) in ${targets.join(', ')} using ${strategy === 'value' ? `"${formatValue(operation.value)}"` : strategy}` };
+  },
+
+  dropNulls(rows, columns, operation) {
+    const targets = targetColumns(operation, columns);
+    const how = operation.how || 'any';
+    if (how !== 'any' && how !== 'all') throw new TransformError('"how" must be "any" or "all"');
+    const out = rows.filter(row => (how === 'any'
+      ? !targets.some(column => isNull(row[column]))
+      : !targets.every(column => isNull(row[column]))));
+    return { rows: out, columns, description: `Dropped ${rows.length - out.length} row(s) with ${how === 'any' ? 'an empty' : 'only empty'} ${targets.length === columns.length ? 'value' : targets.join(', ')}` };
+  },
+
+  dedupe(rows, columns, operation) {
+    const targets = targetColumns(operation, columns);
+    const keep = operation.keep || 'first';
+    if (keep !== 'first' && keep !== 'last') throw new TransformError('"keep" must be "first" or "last"');
+    const keyOf = (row) => JSON.stringify(targets.map(column => (isNull(row[column]) ? '' : String(row[column]).trim().toLowerCase())));
+    const seen = new Set();
+    const ordered = keep === 'first' ? rows : rows.slice().reverse();
+    const kept = ordered.filter(row => {
+      const key = keyOf(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const out = keep === 'first' ? kept : kept.reverse();
+    return { rows: out, columns, description: `Removed ${rows.length - out.length} duplicate row(s)${targets.length === columns.length ? '' : ` by ${targets.join(', ')}`}, keeping the ${keep}` };
+  },
+
+  rename(rows, columns, operation) {
+    const from = resolveColumn(operation.column, columns);
+    const to = newColumnName(operation.to, columns, [from]);
+    const renamed = columns.map(c => (c === from ? to : c));
+    const out = rows.map(row => {
+      const copy = {};
+      columns.forEach((c, i) => { copy[renamed[i]] = row[c]; });
+      return copy;
+    });
+    return { rows: out, columns: renamed, description: `Renamed ${from} to ${to}` };
+  },
+
+  replaceValues(rows, columns, operation) {
+    const column = resolveColumn(operation.column, columns);
+    const mapping = operation.mapping;
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+      throw new TransformError('"mapping" must be an object of { "old value": "new value" }');
+    }
+    let changed = 0;
+    const out = rows.map(row => {
+      const value = row[column] === null || row[column] === undefined ? '' : String(row[column]);
+      if (!Object.prototype.hasOwnProperty.call(mapping, value)) return row;
+      changed++;
+      return { ...row, [column]: formatValue(mapping[value]) };
+    });
+    return { rows: out, columns, description: `Replaced ${changed} value(s) in ${column} (${Object.keys(mapping).length} mapping(s))` };
+  },
+
+  split(rows, columns, operation) {
+    const column = resolveColumn(operation.column, columns);
+    const delimiter = operation.delimiter === undefined ? ',' : String(operation.delimiter);
+    if (delimiter === '') throw new TransformError('"delimiter" must not be empty');
+
+    let names = operation.into;
+    if (names !== undefined && (!Array.isArray(names) || names.length < 2)) {
+      throw new TransformError('"into" must list at least two column names');
+    }
+    if (!names) {
+      const parts = rows.reduce((max, row) => Math.max(max, isNull(row[column]) ? 0 : String(row[column]).split(delimiter).length), 0);
+      names = Array.from({ length: Math.min(Math.max(parts, 2), MAX_SPLIT_PARTS) }, (_, i) => `${column}_${i + 1}`);
+    }
+    const keepOriginal = operation.keep === true;
+    names = names.map(name => newColumnName(name, columns, keepOriginal ? [] : [column]));
+
+    const index = columns.indexOf(column);
+    const added = columns.slice(0, index + (keepOriginal ? 1 : 0)).concat(names, columns.slice(index + 1));
+    const out = rows.map(row => {
+      const parts = isNull(row[column]) ? [] : String(row[column]).split(delimiter);
+      // Anything past the last new column stays joined in it
+      const values = names.map((_, i) => (i === names.length - 1 ? parts.slice(i).join(delimiter) : parts[i] || '').trim());
+      const copy = {};
+      added.forEach(c => {
+        const at = names.indexOf(c);
+        copy[c] = at === -1 ? row[c] : values[at];
+      });
+      return copy;
+    });
+    return { rows: out, columns: added, description: `Split ${column} on "${delimiter}" into ${names.join(', ')}` };
+  },
+
+  merge(rows, columns, operation) {
+    const targets = targetColumns(operation, columns, { all: false });
+    if (targets.length < 2) throw new TransformError('merge needs at least two columns');
+    const keepOriginal = operation.keep === true;
+    const into = newColumnName(operation.into, columns, keepOriginal ? [] : targets);
+    const separator = operation.separator === undefined ? ' ' : String(operation.separator);
+
+    // The new column takes the place of the merged ones, or follows them when they are kept
+    const positions = targets.map(c => columns.indexOf(c));
+    const before = keepOriginal
+      ? columns.slice(0, Math.max(...positions) + 1)
+      : columns.slice(0, Math.min(...positions)).filter(c => !targets.includes(c));
+    const after = columns.filter(c => !before.includes(c) && (keepOriginal || !targets.includes(c)));
+    const merged = before.concat([into], after);
+    const out = rows.map(row => {
+      const value = targets.map(c => row[c]).filter(v => !isNull(v)).map(v => String(v).trim()).join(separator);
+      const copy = {};
+      merged.forEach(c => { copy[c] = c === into ? value : row[c]; });
+      return copy;
+    });
+    return { rows: out, columns: merged, description: `Merged ${targets.join(', ')} into ${into}` };
+  },
+
+  derive(rows, columns, operation) {
+    const name = newColumnName(operation.column, columns, columns);
+    const expression = compileExpression(operation.expression, { columns });
+    const replacing = columns.includes(name);
+    const out = rows.map(row => ({ ...row, [name]: formatValue(expression.evaluate(row)) }));
+    return {
+      rows: out,
+      columns: replacing ? columns : columns.concat([name]),
+      description: `${replacing ? 'Recomputed' : 'Added'} ${name} = ${operation.expression}`
+    };
+  },
+
+  filter(rows, columns, operation) {
+    const expression = compileExpression(operation.expression, { columns });
+    const out = rows.filter(row => truthy(expression.evaluate(row)));
+    return { rows: out, columns, description: `Kept ${out.length} of ${rows.length} row(s) where ${operation.expression}` };
+  }
+};
+
+/**
+ * Apply operations in order
+ * rows - the dataset's rows (not modified); columns - its columns in order
+ * Returns { rows, columns, applied: [{ operation, description, rowsBefore, rowsAfter }] }
+ * Throws TransformError naming the operation that failed
+ */
+function applyOperations(rows, columns, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new TransformError('"operations" must be a non-empty array');
+  }
+  let current = { rows, columns };
+  const applied = [];
+  operations.forEach((operation, index) => {
+    // Only the listed ops: names such as "constructor" would otherwise find Object.prototype members
+    const handler = operation && OPERATIONS.includes(operation.op) ? HANDLERS[operation.op] : null;
+    if (!handler) {
+      throw new TransformError(`Operation ${index + 1}: unknown op "${operation && operation.op}". Supported: ${OPERATIONS.join(', ')}`, index);
+    }
+    try {
+      const result = handler(current.rows, current.columns, operation);
+      applied.push({ operation, description: result.description, rowsBefore: current.rows.length, rowsAfter: result.rows.length });
+      current = result;
+    } catch (err) {
+      if (err instanceof TransformError || err instanceof ExpressionError) {
+        throw new TransformError(`Operation ${index + 1} (${operation.op}): ${err.message}`, index);
+      }
+      throw err;
+    }
+  });
+  return { rows: current.rows, columns: current.columns, applied };
+}
+
+module.exports = {
+  OPERATIONS,
+  TransformError,
+  applyOperations
+};